@@ -1,7 +1,7 @@
 /// <reference path="shared.app.js" />
 
 /* Alchemy Factory Planner (Offline)
- * - Stores data in localStorage
+ * - Stores data in IndexedDB (localStorage fallback), with automatic restore points
  * - Import/Export JSON
  * - CRUD Materials, Machines (incl Furnace special case), Recipes
  */
@@ -37,6 +37,16 @@
   const SETTINGS_STORAGE_KEY = "af_planner_settings_v1";
   const SCHEMA_VERSION = 1;
 
+  // IndexedDB persistence (the *_STORAGE_KEY localStorage keys above are only read by the one-time migration)
+  const IDB_NAME = "af_planner";
+  const IDB_VERSION = 1;
+  const IDB_RECORDS_STORE = "records";
+  const IDB_SNAPSHOTS_STORE = "snapshots";
+  const LS_RECORD_PREFIX = "af_planner_rec:"; // localStorage fallback when IndexedDB is unavailable
+  const SNAPSHOT_INTERVAL_MS = 10 * 60 * 1000;
+  const SNAPSHOT_MAX_COUNT = 30;
+  const SYNC_CHANNEL_NAME = "af_planner_sync"; // BroadcastChannel shared by all windows of the planner
+
   // Game constants
   const CONVEYOR_SPEED = 60; // items per minute
 
@@ -94,9 +104,11 @@
     workspaces: {
       version: 1,
       activeId: null,
-      /** @type {Array<{ id: string, name: string, build: { placedMachines: Array<any>, connections: Array<any>, camera: any } }>} */
+      /** @type {Array<{ id: string, name: string, profileId: string, build: { placedMachines: Array<any>, connections: Array<any>, camera: any } }>} */
       tabs: [],
     },
+    // Database profiles ({ id, name }); the default profile is always first. Loaded with the workspaces.
+    profiles: [],
     blueprintEditStack: [], // Stack of canvas states when editing blueprints recursively
     currentBlueprintEdit: null, // { blueprintId, instanceId (if editing a placed instance), parentInstanceId (for nested edits) }
     blueprintMachineCountCache: {}, // Cache for recursive blueprint machine counts { blueprintId: { totalCount, breakdown: { machineId: count } } }
@@ -150,8 +162,936 @@
 
 
 
+  // ---------- Persistence (IndexedDB) ----------
+  // App data is stored as small records: one per DB item (`db:<collection>:<id>`), one per workspace tab
+  // (`tab:<id>`), plus `db:meta` (item order), `workspaces`, `profiles`, `skills`, `settings` and `uiPrefs`.
+  // The DB and settings of a database profile other than the default one live under `db@<profileId>:…` and
+  // `settings@<profileId>`; the default profile keeps the plain keys.
+  // openStorage() loads every record into memory at startup, so the load*/save* helpers stay synchronous.
+  // Saves compare each record with the JSON last written and queue only what changed; the queue is written
+  // in one transaction per task. Restore points (full copies of the persisted state) live in their own store.
+
+  const DB_COLLECTIONS = ["materials", "machines", "recipes", "blueprints"];
+  const DEFAULT_PROFILE_ID = "default";
+  const LEGACY_STORAGE_KEYS = [
+    STORAGE_KEY,
+    WORKSPACES_STORAGE_KEY,
+    BUILD_STORAGE_KEY,
+    SKILLS_STORAGE_KEY,
+    SETTINGS_STORAGE_KEY,
+    UI_PREFS_STORAGE_KEY,
+  ];
+
+  /** @type {(IDBDatabase|null)} */
+  let storageIdb = null;
+  /** @type {"indexeddb"|"localStorage"|"memory"} */
+  let storageBackend = "memory";
+  /** @type {Map<string, string>} record key -> JSON as last loaded/queued */
+  const storageRecords = new Map();
+  /** @type {Map<string, (string|null)>} record key -> JSON to write, or null to delete */
+  let storagePending = new Map();
+  let storageFlushQueued = false;
+  /** @type {Promise<void>} */
+  let storageFlushChain = Promise.resolve();
+  let autoSnapshots = false; // enabled once openStorage() has finished
+  let lastSnapshotAt = 0;
+  let lastSnapshotData = null;
+  /** @type {Array<string>} legacy localStorage keys to remove once the migrated records are written */
+  let legacyKeysToRemove = [];
+  /** @type {Map<string, string>} record key -> JSON this window last saw in storage (the base for conflict checks) */
+  const storageBase = new Map();
+  /** @type {Set<string>} records changed differently here and in another window, held back until the user picks a side */
+  const syncConflicts = new Set();
+  let syncConflictsPrompting = false;
+  /** @type {(BroadcastChannel|null)} */
+  let syncChannel = null;
+
+  function idbRequest(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  function idbTransactionDone(tx) {
+    return new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error("IndexedDB transaction aborted"));
+    });
+  }
+
+  function openIdb() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(IDB_NAME, IDB_VERSION);
+      request.onupgradeneeded = () => {
+        const idb = request.result;
+        if (!idb.objectStoreNames.contains(IDB_RECORDS_STORE)) idb.createObjectStore(IDB_RECORDS_STORE);
+        if (!idb.objectStoreNames.contains(IDB_SNAPSHOTS_STORE)) {
+          idb.createObjectStore(IDB_SNAPSHOTS_STORE, { keyPath: "id", autoIncrement: true });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error("IndexedDB is blocked by another open tab"));
+    });
+  }
+
+  /** @returns {Promise<Map<string, string>>} */
+  async function readIdbRecords() {
+    const tx = storageIdb.transaction(IDB_RECORDS_STORE, "readonly");
+    const store = tx.objectStore(IDB_RECORDS_STORE);
+    const [keys, values] = await Promise.all([idbRequest(store.getAllKeys()), idbRequest(store.getAll())]);
+    return new Map(keys.map((key, i) => [String(key), values[i]]));
+  }
+
+  function readLocalStorageRecords() {
+    const out = new Map();
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      if (key && key.startsWith(LS_RECORD_PREFIX)) out.set(key.slice(LS_RECORD_PREFIX.length), localStorage.getItem(key));
+    }
+    return out;
+  }
+
+  /**
+   * Open the store and load all records into memory, then run the one-time localStorage migration.
+   * Never throws: without IndexedDB the records go to localStorage, and without that they stay in memory.
+   */
+  async function openStorage() {
+    try {
+      storageIdb = await openIdb();
+      (await readIdbRecords()).forEach((json, key) => storageRecords.set(key, json));
+      storageBackend = "indexeddb";
+    } catch (err) {
+      console.warn("[AF] IndexedDB unavailable, falling back to localStorage:", err);
+      storageIdb = null;
+      try {
+        readLocalStorageRecords().forEach((json, key) => storageRecords.set(key, json));
+        storageBackend = "localStorage";
+      } catch {
+        storageBackend = "memory";
+      }
+    }
+
+    storageRecords.forEach((json, key) => storageBase.set(key, json));
+
+    if (!storageRecords.has("migration")) migrateLegacyStorage();
+    await flushStorage();
+
+    if (storageBackend === "indexeddb") {
+      const latest = (await listRestorePoints())[0];
+      lastSnapshotAt = latest ? latest.at : 0;
+      if (legacyKeysToRemove.length > 0) {
+        await createRestorePoint("Migrated from localStorage", "migration");
+      } else if (hasAnyPersistedState() && Date.now() - lastSnapshotAt >= SNAPSHOT_INTERVAL_MS) {
+        await createRestorePoint("Session start", "session");
+      }
+    }
+    if (legacyKeysToRemove.length > 0 && storageBackend !== "memory") {
+      legacyKeysToRemove.forEach(key => localStorage.removeItem(key));
+      legacyKeysToRemove = [];
+    }
+
+    autoSnapshots = storageBackend === "indexeddb";
+
+    // Queued writes would be lost with the page; start the transaction while it is still alive.
+    window.addEventListener("pagehide", () => flushStorage());
+    startSync();
+  }
+
+  /**
+   * One-time import of the localStorage keys used before IndexedDB (and of records a previous session had to
+   * keep in localStorage). The old keys are removed after the records are written; a "Migrated from
+   * localStorage" restore point keeps a copy.
+   */
+  function migrateLegacyStorage() {
+    const parse = (raw) => {
+      try {
+        return JSON.parse(raw);
+      } catch {
+        return null;
+      }
+    };
+    /** @type {Object<string, string>} */
+    const legacy = {};
+    try {
+      if (storageBackend === "indexeddb" && storageRecords.size === 0) {
+        readLocalStorageRecords().forEach((json, key) => {
+          storageRecords.set(key, json);
+          storagePending.set(key, json);
+          legacy[LS_RECORD_PREFIX + key] = json;
+        });
+      }
+      LEGACY_STORAGE_KEYS.forEach(key => {
+        const raw = localStorage.getItem(key);
+        if (raw != null) legacy[key] = raw;
+      });
+    } catch {
+      // localStorage unavailable: nothing to migrate.
+    }
+
+    if (legacy[STORAGE_KEY] != null) {
+      const db = parse(legacy[STORAGE_KEY]);
+      if (db) writeDbRecords(normalizeDb(db));
+    }
+
+    let workspaces = legacy[WORKSPACES_STORAGE_KEY] != null ? parse(legacy[WORKSPACES_STORAGE_KEY]) : null;
+    if (!workspaces && legacy[BUILD_STORAGE_KEY] != null) {
+      const build = parse(legacy[BUILD_STORAGE_KEY]);
+      if (build) workspaces = { activeId: null, tabs: [{ name: "New Production 1", build }] };
+    }
+    if (workspaces && Array.isArray(workspaces.tabs)) {
+      const tabs = workspaces.tabs
+        .filter(t => t && typeof t === "object")
+        .map((t, idx) => ({
+          id: typeof t.id === "string" ? t.id : makeId("ws"),
+          name: typeof t.name === "string" ? t.name : `New Production ${idx + 1}`,
+          build: normalizeBuildData(t.build || t),
+        }));
+      writeWorkspaceRecords(typeof workspaces.activeId === "string" ? workspaces.activeId : null, tabs);
+    }
+
+    [[SKILLS_STORAGE_KEY, "skills"], [SETTINGS_STORAGE_KEY, "settings"], [UI_PREFS_STORAGE_KEY, "uiPrefs"]].forEach(([legacyKey, key]) => {
+      if (legacy[legacyKey] == null) return;
+      const value = parse(legacy[legacyKey]);
+      if (value && typeof value === "object") putRecord(key, value);
+    });
+
+    legacyKeysToRemove = Object.keys(legacy);
+    putRecord("migration", { from: legacyKeysToRemove.length > 0 ? "localStorage" : null, at: new Date().toISOString() });
+  }
+
+  /** @returns {any} Parsed record, or null when missing/corrupt. */
+  function getRecord(key) {
+    const json = storageRecords.get(key);
+    if (json == null) return null;
+    try {
+      return JSON.parse(json);
+    } catch {
+      return null;
+    }
+  }
+
+  function putRecord(key, value) {
+    const json = JSON.stringify(value);
+    if (storageRecords.get(key) === json) return;
+    storageRecords.set(key, json);
+    storagePending.set(key, json);
+    scheduleStorageFlush();
+  }
+
+  function deleteRecord(key) {
+    if (!storageRecords.has(key)) return;
+    storageRecords.delete(key);
+    storagePending.set(key, null);
+    scheduleStorageFlush();
+  }
+
+  /**
+   * Write `entries` and delete every other record whose key starts with `prefix`.
+   * @param {string} prefix
+   * @param {Array<[string, any]>} entries
+   */
+  function replaceRecords(prefix, entries) {
+    const keep = new Set();
+    entries.forEach(([key, value]) => {
+      keep.add(key);
+      putRecord(key, value);
+    });
+    Array.from(storageRecords.keys()).forEach(key => {
+      if (key.startsWith(prefix) && !keep.has(key)) deleteRecord(key);
+    });
+  }
+
+  function scheduleStorageFlush() {
+    if (storageFlushQueued) return;
+    storageFlushQueued = true;
+    setTimeout(() => {
+      storageFlushQueued = false;
+      flushStorage();
+    }, 0);
+  }
+
+  /**
+   * Write all queued records now. Resolves once they are committed (or the failure has been reported;
+   * failed records stay queued for the next save).
+   * A record another window has written since this window last saw it is not overwritten: the stored
+   * records are merged in instead (see mergeRemoteRecords()).
+   * @returns {Promise<void>}
+   */
+  function flushStorage() {
+    storageFlushChain = storageFlushChain.then(async () => {
+      if (storagePending.size === 0) return;
+      const batch = storagePending;
+      storagePending = new Map();
+      /** @type {Array<[string, (string|null)]>} */
+      const written = [];
+      /** @type {Map<string, (string|null)>} */
+      const stale = new Map();
+      const canWrite = (key, current, json) => {
+        const stored = current ?? null;
+        return stored === (storageBase.get(key) ?? null) || stored === json;
+      };
+      try {
+        if (storageBackend === "indexeddb") {
+          const tx = storageIdb.transaction(IDB_RECORDS_STORE, "readwrite");
+          const done = idbTransactionDone(tx);
+          const store = tx.objectStore(IDB_RECORDS_STORE);
+          const keys = Array.from(batch.keys()).filter(key => !syncConflicts.has(key));
+          const current = await Promise.all(keys.map(key => idbRequest(store.get(key))));
+          keys.forEach((key, i) => {
+            const json = batch.get(key);
+            if (!canWrite(key, current[i], json)) {
+              stale.set(key, json);
+              return;
+            }
+            if (json === null) store.delete(key);
+            else store.put(json, key);
+            written.push([key, json]);
+          });
+          await done;
+        } else if (storageBackend === "localStorage") {
+          batch.forEach((json, key) => {
+            if (syncConflicts.has(key)) return;
+            if (!canWrite(key, localStorage.getItem(LS_RECORD_PREFIX + key), json)) {
+              stale.set(key, json);
+              return;
+            }
+            if (json === null) localStorage.removeItem(LS_RECORD_PREFIX + key);
+            else localStorage.setItem(LS_RECORD_PREFIX + key, json);
+            written.push([key, json]);
+          });
+        }
+      } catch (err) {
+        console.error("[AF] Saving failed:", err);
+        batch.forEach((json, key) => {
+          if (!storagePending.has(key)) storagePending.set(key, json);
+        });
+        AF.ui?.setStatus?.(`Saving failed: ${err?.message || err}`, "error");
+        return;
+      }
+
+      written.forEach(([key, json]) => (json === null ? storageBase.delete(key) : storageBase.set(key, json)));
+      if (written.length > 0) syncChannel?.postMessage({ changes: written });
+
+      if (stale.size > 0) {
+        stale.forEach((json, key) => {
+          if (!storagePending.has(key)) storagePending.set(key, json);
+        });
+        const stored = storageBackend === "indexeddb" ? await readIdbRecords() : readLocalStorageRecords();
+        /** @type {Map<string, (string|null)>} */
+        const remote = new Map();
+        stored.forEach((json, key) => {
+          if (json !== storageBase.get(key)) remote.set(key, json);
+        });
+        storageBase.forEach((_json, key) => {
+          if (!stored.has(key)) remote.set(key, null);
+        });
+        mergeRemoteRecords(remote);
+        scheduleStorageFlush();
+      }
+
+      if (autoSnapshots && Date.now() - lastSnapshotAt >= SNAPSHOT_INTERVAL_MS) {
+        await createRestorePoint("Automatic", "auto");
+      }
+    });
+    return storageFlushChain;
+  }
+
+  /** @param {string=} profileId */
+  function dbRecordPrefix(profileId = DEFAULT_PROFILE_ID) {
+    return profileId === DEFAULT_PROFILE_ID ? "db:" : `db@${profileId}:`;
+  }
+
+  /** @param {string=} profileId */
+  function settingsRecordKey(profileId = DEFAULT_PROFILE_ID) {
+    return profileId === DEFAULT_PROFILE_ID ? "settings" : `settings@${profileId}`;
+  }
+
+  /**
+   * Split a DB record key: `collection` is null for the `meta` record. Null when `key` is not a DB record.
+   * @param {string} key
+   * @returns {({ profileId: string, collection: (string|null), id: (string|null) }|null)}
+   */
+  function parseDbRecordKey(key) {
+    const match = /^db(?:@([^:]+))?:([^:]+)(?::(.*))?$/.exec(key);
+    if (!match) return null;
+    const isMeta = match[2] === "meta" && match[3] === undefined;
+    return { profileId: match[1] || DEFAULT_PROFILE_ID, collection: isMeta ? null : match[2], id: isMeta ? null : match[3] ?? null };
+  }
+
+  /**
+   * @param {Db} db
+   * @param {string=} profileId
+   */
+  function writeDbRecords(db, profileId = DEFAULT_PROFILE_ID) {
+    const prefix = dbRecordPrefix(profileId);
+    const entries = [];
+    const order = {};
+    DB_COLLECTIONS.forEach(name => {
+      order[name] = [];
+      (db[name] || []).forEach((item, idx) => {
+        const id = typeof item?.id === "string" ? item.id : `#${idx}`;
+        order[name].push(id);
+        entries.push([`${prefix}${name}:${id}`, item]);
+      });
+    });
+    entries.push([`${prefix}meta`, { version: db.version, meta: db.meta, order }]);
+    replaceRecords(prefix, entries);
+  }
+
+  /**
+   * @param {string=} profileId
+   * @returns {(Object|null)} The stored database (not normalized), or null when there is none.
+   */
+  function readDbRecords(profileId = DEFAULT_PROFILE_ID) {
+    const prefix = dbRecordPrefix(profileId);
+    const meta = getRecord(`${prefix}meta`);
+    if (!meta) return null;
+    const db = { version: meta.version, meta: meta.meta };
+    DB_COLLECTIONS.forEach(name => {
+      db[name] = (meta.order?.[name] || []).map(id => getRecord(`${prefix}${name}:${id}`)).filter(Boolean);
+    });
+    return db;
+  }
+
+  /**
+   * The profile list; the default profile is always first.
+   * @returns {Array<DbProfile>}
+   */
+  function readProfileRecords() {
+    const stored = getRecord("profiles");
+    const profiles = [{ id: DEFAULT_PROFILE_ID, name: "Default" }];
+    (Array.isArray(stored?.profiles) ? stored.profiles : []).forEach(p => {
+      if (!p || typeof p.id !== "string" || !p.id || p.id.includes(":")) return;
+      const name = (typeof p.name === "string" && p.name.trim()) ? p.name.trim() : p.id;
+      if (p.id === DEFAULT_PROFILE_ID) profiles[0].name = name;
+      else if (!profiles.some(x => x.id === p.id)) profiles.push({ id: p.id, name });
+    });
+    return profiles;
+  }
+
+  /** @param {Array<DbProfile>} profiles */
+  function writeProfileRecords(profiles) {
+    putRecord("profiles", { version: 1, profiles: profiles.map(p => ({ id: p.id, name: p.name })) });
+  }
+
+  /**
+   * @param {(string|null)} activeId
+   * @param {Array<{ id: string, name: string, build: Object }>} tabs
+   */
+  function writeWorkspaceRecords(activeId, tabs) {
+    putRecord("workspaces", { version: 1, activeId, tabIds: tabs.map(t => t.id) });
+    replaceRecords("tab:", tabs.map(t => [`tab:${t.id}`, t]));
+  }
+
+  /** @returns {({ activeId: (string|null), tabs: Array<Object> }|null)} */
+  function readWorkspaceRecords() {
+    const meta = getRecord("workspaces");
+    if (!meta) return null;
+    return {
+      activeId: typeof meta.activeId === "string" ? meta.activeId : null,
+      tabs: (Array.isArray(meta.tabIds) ? meta.tabIds : []).map(id => getRecord(`tab:${id}`)).filter(Boolean),
+    };
+  }
+
+  /**
+   * Returns true if any persisted app data exists.
+   * (UI prefs are intentionally ignored; we only care about actual app data.)
+   */
+  function hasAnyPersistedState() {
+    return ["db:meta", "workspaces", "skills", "settings"].some(key => storageRecords.has(key));
+  }
+
+  // ---------- Multi-window Sync ----------
+  // Every window keeps its own copy of the records. After a write it tells the other windows which records
+  // changed (BroadcastChannel; with the localStorage fallback the browser's `storage` events do this), and
+  // they merge those records in. Writes are also checked against the stored record, so a change is never
+  // lost when a message did not arrive in time.
+
+  function startSync() {
+    if (storageBackend === "indexeddb" && typeof BroadcastChannel === "function") {
+      syncChannel = new BroadcastChannel(SYNC_CHANNEL_NAME);
+      syncChannel.onmessage = (e) => {
+        if (Array.isArray(e.data?.changes)) queueRemoteMerge(new Map(e.data.changes));
+      };
+    } else if (storageBackend === "localStorage") {
+      // One event per key: collect the keys of one save before merging, so `db:meta` and its items arrive together.
+      /** @type {(Map<string, (string|null)>|null)} */
+      let collected = null;
+      window.addEventListener("storage", (e) => {
+        if (!e.key || !e.key.startsWith(LS_RECORD_PREFIX)) return;
+        if (!collected) {
+          collected = new Map();
+          setTimeout(() => {
+            const changes = collected;
+            collected = null;
+            queueRemoteMerge(changes);
+          }, 50);
+        }
+        collected.set(e.key.slice(LS_RECORD_PREFIX.length), e.newValue);
+      });
+    }
+  }
+
+  /** Merge after any write in progress, so a record is never compared while it is being written. */
+  function queueRemoteMerge(remote) {
+    storageFlushChain = storageFlushChain.then(() => mergeRemoteRecords(remote));
+  }
+
+  function setRecordFromRemote(key, json) {
+    if (json === null) storageRecords.delete(key);
+    else storageRecords.set(key, json);
+    storagePending.delete(key);
+  }
+
+  /** Tab records also carry the camera, which each window keeps for itself. */
+  function withoutCamera(json) {
+    if (json === null) return null;
+    try {
+      const tab = JSON.parse(json);
+      if (tab?.build) delete tab.build.camera;
+      return JSON.stringify(tab);
+    } catch {
+      return json;
+    }
+  }
+
+  /**
+   * Three-way merge of records another window wrote (`remote`: key -> JSON, null when deleted), using the
+   * last stored version this window saw as the base:
+   * - changed on one side only: that side wins
+   * - `db:meta` / `workspaces` / `profiles` changed on both: the ID lists are merged
+   * - skills, settings and UI prefs changed on both: this window's save wins
+   * - a DB item or workspace tab changed differently on both: the user decides (see promptSyncConflicts())
+   * @param {Map<string, (string|null)>} remote
+   */
+  function mergeRemoteRecords(remote) {
+    /** @type {Set<string>} */
+    const taken = new Set();
+    let indexesMerged = false;
+    let conflicted = false;
+
+    remote.forEach((theirs, key) => {
+      const base = storageBase.get(key) ?? null;
+      const mine = storageRecords.get(key) ?? null;
+      if (theirs === null) storageBase.delete(key);
+      else storageBase.set(key, theirs);
+
+      if (mine === theirs) {
+        storagePending.delete(key);
+        syncConflicts.delete(key);
+        return;
+      }
+      if (theirs === base) return; // only this window changed it; the queued write stands
+      if (mine === base && !syncConflicts.has(key)) {
+        setRecordFromRemote(key, theirs);
+        taken.add(key);
+        return;
+      }
+
+      if (key === "workspaces" || key === "profiles" || parseDbRecordKey(key)?.collection === null) {
+        storageRecords.set(key, mergeIndexRecord(key, mine, theirs));
+        storagePending.set(key, storageRecords.get(key));
+        indexesMerged = true;
+        // A profile only they added has no record here that would bring it into the live list.
+        if (key === "profiles") taken.add(key);
+      } else if (key.startsWith("tab:") && withoutCamera(mine) === withoutCamera(base)) {
+        // Only panned/zoomed here: take their machines; the live camera is kept by applyRemoteRecords().
+        setRecordFromRemote(key, theirs);
+        taken.add(key);
+      } else if (key.startsWith("tab:") && [base, mine].some(json => withoutCamera(json) === withoutCamera(theirs))) {
+        // Only panned/zoomed there (or both made the same edit): keep ours.
+        storagePending.set(key, mine);
+      } else if (parseDbRecordKey(key) || key.startsWith("tab:")) {
+        syncConflicts.add(key);
+        storagePending.delete(key);
+        conflicted = true;
+      } else {
+        storagePending.set(key, mine);
+      }
+    });
+
+    // A conflicting item or tab stays listed until the user has decided.
+    if (indexesMerged || conflicted) reconcileRecordIndexes();
+    if (taken.size > 0) applyRemoteRecords(taken);
+    if (indexesMerged) scheduleStorageFlush();
+    if (conflicted) promptSyncConflicts();
+  }
+
+  /**
+   * Both windows changed an ID list (`db:meta` order, workspace tab IDs or the profile list): keep ours,
+   * then add theirs.
+   */
+  function mergeIndexRecord(key, mine, theirs) {
+    if (mine === null || theirs === null) return mine ?? theirs;
+    const a = JSON.parse(mine);
+    const b = JSON.parse(theirs);
+    const union = (x, y) => Array.from(new Set([...(Array.isArray(x) ? x : []), ...(Array.isArray(y) ? y : [])]));
+    if (key === "workspaces") return JSON.stringify({ ...a, tabIds: union(a.tabIds, b.tabIds) });
+    if (key === "profiles") {
+      const profiles = Array.isArray(a.profiles) ? [...a.profiles] : [];
+      (Array.isArray(b.profiles) ? b.profiles : []).forEach(p => {
+        if (!profiles.some(x => x?.id === p?.id)) profiles.push(p);
+      });
+      return JSON.stringify({ ...a, profiles });
+    }
+    const order = {};
+    DB_COLLECTIONS.forEach(name => (order[name] = union(a.order?.[name], b.order?.[name])));
+    return JSON.stringify({ ...a, order });
+  }
+
+  /**
+   * Make each profile's `db:meta` and `workspaces` list exactly the item/tab records that exist: IDs without
+   * a record are dropped, records missing from the list are appended.
+   */
+  function reconcileRecordIndexes() {
+    const listIds = (ids, prefix) => {
+      const out = (Array.isArray(ids) ? ids : []).filter(id => storageRecords.has(prefix + id));
+      const listed = new Set(out);
+      storageRecords.forEach((_json, key) => {
+        const id = key.slice(prefix.length);
+        if (key.startsWith(prefix) && !listed.has(id)) {
+          out.push(id);
+          listed.add(id);
+        }
+      });
+      return out;
+    };
+    readProfileRecords().forEach(profile => {
+      const prefix = dbRecordPrefix(profile.id);
+      const meta = getRecord(`${prefix}meta`);
+      if (!meta) return;
+      const order = {};
+      DB_COLLECTIONS.forEach(name => (order[name] = listIds(meta.order?.[name], `${prefix}${name}:`)));
+      putRecord(`${prefix}meta`, { ...meta, order });
+    });
+    const workspaces = getRecord("workspaces");
+    if (workspaces) putRecord("workspaces", { ...workspaces, tabIds: listIds(workspaces.tabIds, "tab:") });
+  }
+
+  /**
+   * Bring the live state up to date with records taken from another window. Local edits are committed to
+   * undo history first and the baseline is reset afterwards, so the other window's edits are not undoable here.
+   * A DB change from there drops this profile's undo history, which could otherwise revert it.
+   * @param {Set<string>} keys
+   */
+  function applyRemoteRecords(keys) {
+    const dbChanged = Array.from(keys).some(key => parseDbRecordKey(key)?.profileId === loadedProfileId);
+    const tabsChanged = Array.from(keys).some(key => key.startsWith("tab:")) || keys.has("workspaces");
+    const settingsChanged = keys.has(settingsRecordKey(loadedProfileId));
+    if (!dbChanged && !tabsChanged && !settingsChanged && !keys.has("skills") && !keys.has("profiles")) return;
+
+    flushHistory();
+    if (keys.has("profiles")) state.profiles = readProfileRecords();
+    if (dbChanged) {
+      state.db = loadDb();
+      dropDbDependentHistory(null);
+      if (state.ui.selected.materials && !AF.core.getMaterialById(state.ui.selected.materials)) state.ui.selected.materials = null;
+      if (state.ui.selected.machines && !AF.core.getMachineById(state.ui.selected.machines)) state.ui.selected.machines = null;
+      AF.calculator?.invalidateBlueprintCountCache?.();
+    }
+    if (keys.has("skills")) state.skills = loadSkills();
+    if (settingsChanged) state.settings = loadSettings();
+    if (tabsChanged || keys.has("profiles")) applyRemoteWorkspaces(keys);
+    // The active tab may have been moved to another profile there.
+    if (getActiveProfileId() !== loadedProfileId) loadProfileData(getActiveProfileId());
+    resetHistoryBaseline();
+
+    AF.ui?.renderAllUIElements?.();
+    AF.scheduler?.invalidate?.({ needsRecalc: true, needsRender: true, forceRecreate: true });
+    AF.ui?.setStatus?.("Updated with changes from another window.", "info");
+  }
+
+  /**
+   * Take the other window's tab list and tab contents. This window stays on its active tab (and keeps its
+   * camera and any blueprint being edited) unless that tab was closed there.
+   * @param {Set<string>} keys
+   */
+  function applyRemoteWorkspaces(keys) {
+    const previous = getActiveWorkspaceTab();
+    const canvas = getMainCanvasBuild();
+    applyWorkspaceData({ activeId: state.workspaces.activeId, tabs: readWorkspaceRecords()?.tabs || [] });
+    const tab = getActiveWorkspaceTab();
+
+    if (!previous || tab.id !== previous.id) {
+      showActiveTabBuild();
+      if (previous) AF.ui?.setStatus?.(`"${previous.name}" was closed in another window.`, "warning");
+      return;
+    }
+    if (keys.has(`tab:${tab.id}`)) {
+      canvas.placedMachines = tab.build.placedMachines;
+      canvas.connections = tab.build.connections;
+    }
+    tab.build = { placedMachines: canvas.placedMachines, connections: canvas.connections, camera: canvas.camera };
+
+    if (state.blueprintEditStack.length === 0) {
+      const placedIds = new Set(state.build.placedMachines.map(pm => pm.id));
+      state.build.selectedMachines = state.build.selectedMachines.filter(id => placedIds.has(id));
+      if (state.build.selectedConnection && !state.build.connections.some(c => c.id === state.build.selectedConnection)) {
+        state.build.selectedConnection = null;
+      }
+    }
+  }
+
+  /**
+   * @param {string} key
+   * @returns {StorageConflict}
+   */
+  function describeSyncConflict(key) {
+    const parse = (json) => {
+      try {
+        return json == null ? null : JSON.parse(json);
+      } catch {
+        return null;
+      }
+    };
+    const mine = getRecord(key);
+    const theirs = parse(storageBase.get(key));
+    const isTab = key.startsWith("tab:");
+    const dbKey = isTab ? null : parseDbRecordKey(key);
+    const collection = dbKey?.collection ?? null;
+    const id = isTab ? key.slice("tab:".length) : (dbKey?.id ?? key);
+    return {
+      key,
+      kind: isTab ? "workspace" : (HISTORY_NOUNS[collection]?.[0] || collection),
+      id,
+      name: String(mine?.name || theirs?.name || id),
+      mineDeleted: !mine,
+      theirsDeleted: !theirs,
+    };
+  }
+
+  /**
+   * Ask which version of each conflicting record to keep (this window's by default), then write the
+   * choice so both windows end up with it.
+   */
+  async function promptSyncConflicts() {
+    if (syncConflictsPrompting || syncConflicts.size === 0) return;
+    syncConflictsPrompting = true;
+    const conflicts = Array.from(syncConflicts).map(describeSyncConflict);
+    /** @type {Object<string, ("mine"|"theirs")>} */
+    let choices = {};
+    try {
+      choices = (await AF.ui?.syncConflicts?.resolve?.(conflicts)) || {};
+    } catch (err) {
+      console.error("[AF] Conflict dialog failed:", err);
+    } finally {
+      syncConflictsPrompting = false;
+    }
+
+    /** @type {Set<string>} */
+    const taken = new Set();
+    conflicts.forEach(({ key }) => {
+      if (!syncConflicts.delete(key)) return; // settled by a later merge
+      if (choices[key] === "theirs") {
+        setRecordFromRemote(key, storageBase.get(key) ?? null);
+        taken.add(key);
+      } else {
+        storagePending.set(key, storageRecords.get(key) ?? null);
+      }
+    });
+    reconcileRecordIndexes();
+    if (taken.size > 0) applyRemoteRecords(taken);
+    scheduleStorageFlush();
+    if (syncConflicts.size > 0) promptSyncConflicts();
+  }
+
+  // ---------- Restore Points ----------
+
+  function summarizePersistedState(data) {
+    const count = (name) => (Array.isArray(data.db?.[name]) ? data.db[name].length : 0);
+    return {
+      materials: count("materials"),
+      machines: count("machines"),
+      recipes: count("recipes"),
+      blueprints: count("blueprints"),
+      tabs: (data.workspaces?.tabs || []).map(t => ({ id: t.id, name: t.name })),
+    };
+  }
+
+  /**
+   * Store a copy of everything persisted right now. Automatic points are skipped when nothing changed
+   * since the previous one; the oldest points are pruned beyond SNAPSHOT_MAX_COUNT.
+   * @param {string} label
+   * @param {RestorePointKind=} kind
+   * @returns {Promise<(RestorePointInfo|null)>}
+   */
+  async function createRestorePoint(label, kind = "manual") {
+    if (storageBackend !== "indexeddb") return null;
+    // The in-memory records already include queued writes, so this is the state as it will be on disk.
+    const persisted = {
+      db: readDbRecords(),
+      workspaces: readWorkspaceRecords(),
+      skills: getRecord("skills"),
+      settings: getRecord("settings"),
+      // The default profile's DB and settings are the two fields above.
+      profiles: readProfileRecords().map(p => (p.id === DEFAULT_PROFILE_ID ? p : {
+        ...p,
+        db: readDbRecords(p.id),
+        settings: getRecord(settingsRecordKey(p.id)),
+      })),
+    };
+    const data = JSON.stringify(persisted);
+    lastSnapshotAt = Date.now();
+    if (kind === "auto" && data === lastSnapshotData) return null;
+    lastSnapshotData = data;
+
+    const record = { at: lastSnapshotAt, kind, label: String(label || ""), summary: summarizePersistedState(persisted), data };
+    try {
+      const tx = storageIdb.transaction(IDB_SNAPSHOTS_STORE, "readwrite");
+      const done = idbTransactionDone(tx);
+      const store = tx.objectStore(IDB_SNAPSHOTS_STORE);
+      const addRequest = store.add(record);
+      const keysRequest = store.getAllKeys();
+      keysRequest.onsuccess = () => {
+        const keys = keysRequest.result;
+        keys.slice(0, Math.max(0, keys.length - SNAPSHOT_MAX_COUNT)).forEach(key => store.delete(key));
+      };
+      await done;
+      const { data: _data, ...info } = { ...record, id: addRequest.result };
+      return info;
+    } catch (err) {
+      console.error("[AF] Restore point failed:", err);
+      AF.ui?.setStatus?.(`Could not create restore point: ${err?.message || err}`, "error");
+      return null;
+    }
+  }
+
+  /**
+   * Restore points, newest first (without their data). Empty when IndexedDB is unavailable.
+   * @returns {Promise<Array<RestorePointInfo>>}
+   */
+  async function listRestorePoints() {
+    if (storageBackend !== "indexeddb") return [];
+    const tx = storageIdb.transaction(IDB_SNAPSHOTS_STORE, "readonly");
+    const all = await idbRequest(tx.objectStore(IDB_SNAPSHOTS_STORE).getAll());
+    return all.map(({ data, ...info }) => info).sort((a, b) => b.at - a.at);
+  }
+
+  /**
+   * @param {number} pointId
+   * @returns {Promise<({ info: RestorePointInfo, data: PersistedState }|null)>}
+   */
+  async function getRestorePoint(pointId) {
+    if (storageBackend !== "indexeddb") return null;
+    const tx = storageIdb.transaction(IDB_SNAPSHOTS_STORE, "readonly");
+    const record = await idbRequest(tx.objectStore(IDB_SNAPSHOTS_STORE).get(pointId));
+    if (!record) return null;
+    const { data, ...info } = record;
+    return { info, data: JSON.parse(data) };
+  }
+
+  /**
+   * Restore the database (of the active profile), one workspace tab, or everything from a restore point.
+   * A "Before restore" point is taken first. Database and single-tab restores go through saveDb()/saveBuild(),
+   * so they also land in undo history; a full restore resets history like a fresh load.
+   * @param {number} pointId
+   * @param {RestoreScope} scope
+   * @returns {Promise<boolean>}
+   */
+  async function restoreFromPoint(pointId, scope) {
+    if (state.currentBlueprintEdit || state.blueprintEditStack.length > 0) {
+      AF.ui?.dialog?.alert?.("Exit blueprint editing before restoring.", { title: "Cannot restore" });
+      return false;
+    }
+    const point = await getRestorePoint(pointId);
+    if (!point) return false;
+    const { data, info } = point;
+    const snapshotTab = scope.kind === "workspace"
+      ? (data.workspaces?.tabs || []).find(t => t && t.id === scope.tabId) || null
+      : null;
+    const snapshotDb = scope.kind === "db" && loadedProfileId !== DEFAULT_PROFILE_ID
+      ? (Array.isArray(data.profiles) ? data.profiles : []).find(p => p?.id === loadedProfileId)?.db ?? null
+      : data.db;
+    if (scope.kind === "workspace" && !snapshotTab) return false;
+    if (scope.kind !== "workspace" && !snapshotDb) return false;
+
+    saveBuild();
+    flushHistory();
+    await createRestorePoint(`Before restoring "${info.label}" (${new Date(info.at).toLocaleString()})`, "before-restore");
+
+    if (scope.kind === "db") {
+      state.db = normalizeDb(snapshotDb);
+      saveDb();
+      if (state.ui.selected.materials && !AF.core.getMaterialById(state.ui.selected.materials)) state.ui.selected.materials = null;
+      if (state.ui.selected.machines && !AF.core.getMachineById(state.ui.selected.machines)) state.ui.selected.machines = null;
+      AF.calculator?.invalidateBlueprintCountCache?.();
+    }
+
+    if (scope.kind === "all") {
+      // Points taken before profiles existed only have the default profile; later profiles are dropped.
+      const profiles = (Array.isArray(data.profiles) ? data.profiles : []).filter(p => p && typeof p.id === "string");
+      state.profiles.forEach(p => {
+        if (p.id === DEFAULT_PROFILE_ID || profiles.some(x => x.id === p.id)) return;
+        replaceRecords(dbRecordPrefix(p.id), []);
+        deleteRecord(settingsRecordKey(p.id));
+      });
+      profiles.forEach(p => {
+        if (p.id === DEFAULT_PROFILE_ID) return;
+        writeDbRecords(p.db ? normalizeDb(p.db) : createEmptyDb(), p.id);
+        putRecord(settingsRecordKey(p.id), parseSettings(p.settings));
+      });
+      writeDbRecords(normalizeDb(data.db));
+      putRecord(settingsRecordKey(), parseSettings(data.settings));
+      writeProfileRecords(profiles);
+      state.profiles = readProfileRecords();
+
+      state.skills = parseSkills(data.skills);
+      saveSkills();
+      applyWorkspaceData(data.workspaces);
+      saveWorkspaces();
+      loadProfileData(getActiveProfileId());
+      showActiveTabBuild();
+      historyByTab.clear();
+      resetHistoryBaseline();
+    }
+
+    if (scope.kind === "workspace") {
+      const build = normalizeBuildData(snapshotTab.build);
+      const name = (typeof snapshotTab.name === "string" && snapshotTab.name.trim()) ? snapshotTab.name.trim() : getNextDefaultWorkspaceName();
+      const existing = (state.workspaces.tabs || []).find(t => t.id === snapshotTab.id) ?? null;
+      if (existing && existing.id === state.workspaces.activeId) {
+        existing.name = name;
+        state.build.placedMachines = build.placedMachines;
+        state.build.connections = build.connections;
+        state.build.camera = build.camera;
+        state.build.selectedMachines = [];
+        state.build.selectedConnection = null;
+        saveBuild();
+      } else if (existing) {
+        existing.name = name;
+        existing.build = build;
+        clearHistory(existing.id);
+        saveWorkspaces();
+      } else {
+        // The tab was closed since; bring it back (into the active profile if its own is gone).
+        const profileId = state.profiles.some(p => p.id === snapshotTab.profileId) ? snapshotTab.profileId : getActiveProfileId();
+        state.workspaces.tabs.push({ id: snapshotTab.id, name, build, profileId });
+        saveWorkspaces();
+      }
+    }
+
+    AF.ui?.renderAllUIElements?.();
+    AF.scheduler?.invalidate?.({ needsRecalc: true, needsRender: true, forceRecreate: true });
+    return true;
+  }
+
+  /** @returns {StorageInfo} */
+  function getStorageInfo() {
+    return {
+      backend: storageBackend,
+      restorePoints: storageBackend === "indexeddb",
+      liveSync: !!syncChannel || storageBackend === "localStorage",
+    };
+  }
+
   // ---------- DB ----------
 
+  /** Profile whose DB and settings are in `state.db` / `state.settings` (the active tab's profile). */
+  let loadedProfileId = DEFAULT_PROFILE_ID;
+
   function createEmptyDb() {
     const now = new Date().toISOString();
     return {
@@ -173,19 +1113,14 @@
 
   function saveDb() {
     touchUpdatedAt();
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(state.db, null, 2));
+    writeDbRecords(state.db, loadedProfileId);
+    scheduleHistoryCommit("db");
   }
 
   function loadDb() {
-    const raw = localStorage.getItem(STORAGE_KEY);
+    const raw = readDbRecords(loadedProfileId);
     if (!raw) return createEmptyDb();
-    try {
-      const parsed = JSON.parse(raw);
-      const normalized = normalizeDb(parsed);
-      return normalized;
-    } catch {
-      return createEmptyDb();
-    }
+    return normalizeDb(raw);
   }
 
   function clearDb() {
@@ -424,15 +1359,972 @@
         createdAt: bpData.createdAt || new Date().toISOString(),
       });
 
-      existingIds.add(blueprintId);
-      added++;
+      existingIds.add(blueprintId);
+      added++;
+    }
+
+    if (added > 0) saveDb();
+  }
+
+  // ---------- DB References ----------
+  // Builds, blueprints, recipes and settings point at DB entries through a fixed set of field names.
+  // Share links and database merges walk any of these structures generically through this table.
+
+  /** Fields that hold DB IDs anywhere in builds, blueprints, recipes and settings -> DB collection */
+  const DB_REFERENCE_FIELDS = {
+    machineId: "machines",
+    recipeId: "recipes",
+    materialId: "materials",
+    plantId: "materials",
+    fertilizerId: "materials",
+    previewFuelId: "materials",
+    fuelId: "materials",
+    outputMaterialId: "materials",
+    blueprintId: "blueprints",
+  };
+  const GROUPED_OUTPUT_PORT_PREFIX = "grouped-output-";
+
+  /**
+   * Copy of `value` with DB references rewritten through `idMaps` (collection -> old ID -> new ID).
+   * @param {any} value
+   * @param {Object<string, Map<string, string>>} idMaps
+   */
+  function remapDbReferences(value, idMaps) {
+    if (Array.isArray(value)) return value.map(v => remapDbReferences(v, idMaps));
+    if (!value || typeof value !== "object") return value;
+    const out = {};
+    Object.entries(value).forEach(([key, v]) => {
+      const map = idMaps[DB_REFERENCE_FIELDS[key]];
+      if (map && typeof v === "string") {
+        out[key] = map.get(v) ?? v;
+      } else if ((key === "fromPortIdx" || key === "toPortIdx") && typeof v === "string" && v.startsWith(GROUPED_OUTPUT_PORT_PREFIX)) {
+        const materialId = v.slice(GROUPED_OUTPUT_PORT_PREFIX.length);
+        out[key] = GROUPED_OUTPUT_PORT_PREFIX + (idMaps.materials?.get(materialId) ?? materialId);
+      } else {
+        out[key] = remapDbReferences(v, idMaps);
+      }
+    });
+    return out;
+  }
+
+  /**
+   * Number of references to DB entry `collection`/`id` anywhere inside `value`.
+   * @param {any} value
+   * @param {string} collection
+   * @param {string} id
+   * @returns {number}
+   */
+  function countDbReferences(value, collection, id) {
+    if (Array.isArray(value)) return value.reduce((sum, v) => sum + countDbReferences(v, collection, id), 0);
+    if (!value || typeof value !== "object") return 0;
+    return Object.entries(value).reduce((sum, [key, v]) => {
+      if (DB_REFERENCE_FIELDS[key]) return sum + (DB_REFERENCE_FIELDS[key] === collection && v === id ? 1 : 0);
+      if ((key === "fromPortIdx" || key === "toPortIdx") && typeof v === "string" && v.startsWith(GROUPED_OUTPUT_PORT_PREFIX)) {
+        return sum + (collection === "materials" && v === GROUPED_OUTPUT_PORT_PREFIX + id ? 1 : 0);
+      }
+      return sum + countDbReferences(v, collection, id);
+    }, 0);
+  }
+
+  /**
+   * Copy of `value` with references to `collection`/`id` re-pointed at `replacementId`, or removed when it is null:
+   * toppers of a deleted machine, storage rows and grouped-output connections of a deleted material are dropped,
+   * machine cards of a deleted machine become blank cards (without their connections), other fields become null.
+   * @param {any} value
+   * @param {string} collection
+   * @param {string} id
+   * @param {(string|null)} replacementId
+   */
+  function rewriteDbReferences(value, collection, id, replacementId) {
+    const groupedPort = GROUPED_OUTPUT_PORT_PREFIX + id;
+    const replacementMachineId = collection === "recipes" && replacementId !== null
+      ? state.db.recipes.find(r => r.id === replacementId)?.machineId || null
+      : null;
+    const isOwned = (item, arrayKey) => {
+      if (!item || typeof item !== "object") return false;
+      if (collection === "machines") return arrayKey === "toppers" && item.machineId === id;
+      if (collection !== "materials") return false;
+      if (arrayKey === "manualInventories") return item.materialId === id;
+      return item.fromPortIdx === groupedPort || item.toPortIdx === groupedPort;
+    };
+    const walk = (v, arrayKey) => {
+      if (Array.isArray(v)) {
+        return v.filter(item => replacementId !== null || !isOwned(item, arrayKey)).map(item => walk(item, arrayKey));
+      }
+      if (!v || typeof v !== "object") return v;
+      /** @type {Set<string>} IDs of cards in this object that lost their machine */
+      const blanked = new Set();
+      const out = {};
+      Object.entries(v).forEach(([key, child]) => {
+        if (DB_REFERENCE_FIELDS[key] === collection && child === id) out[key] = replacementId;
+        else if ((key === "fromPortIdx" || key === "toPortIdx") && child === groupedPort) out[key] = GROUPED_OUTPUT_PORT_PREFIX + replacementId;
+        else out[key] = walk(child, key);
+      });
+      if (replacementMachineId && v.recipeId === id && typeof v.machineId === "string") {
+        // A card or topper running the replacement recipe has to be the replacement's machine.
+        out.machineId = replacementMachineId;
+      }
+      if (replacementId === null && collection === "machines" && v.type === "machine" && v.machineId === id) out.recipeId = null;
+      ["placedMachines", "machines", "childMachines"].forEach(key => {
+        (Array.isArray(v[key]) ? v[key] : []).forEach(card => {
+          if (replacementId === null && collection === "machines" && card?.type === "machine" && card.machineId === id) {
+            if (card.id) blanked.add(card.id);
+            if (card.blueprintMachineId) blanked.add(card.blueprintMachineId);
+          }
+        });
+      });
+      if (blanked.size > 0) {
+        ["connections", "childConnections"].forEach(key => {
+          if (Array.isArray(out[key])) out[key] = out[key].filter(c => !blanked.has(c?.fromMachineId) && !blanked.has(c?.toMachineId));
+        });
+      }
+      return out;
+    };
+    return walk(value, null);
+  }
+
+  /**
+   * Everything that points at DB entry `collection`/`id`, grouped by where it lives: recipes, blueprints,
+   * the profile's workspace tabs (plus the canvases of an open blueprint edit) and cost settings.
+   * @param {string} collection
+   * @param {string} id
+   * @returns {Array<DbReferenceGroup>}
+   */
+  function findDbReferences(collection, id) {
+    /** @type {Array<DbReferenceGroup>} */
+    const groups = [];
+    const nouns = {
+      placedMachines: ["card", "cards"],
+      machines: ["machine", "machines"],
+      connections: ["connection", "connections"],
+      inputs: ["input port", "input ports"],
+      outputs: ["output port", "output ports"],
+    };
+    const describeContainer = (container) => Object.keys(nouns).map(key => {
+      const n = (Array.isArray(container?.[key]) ? container[key] : []).filter(x => countDbReferences(x, collection, id) > 0).length;
+      return n > 0 ? `${n} ${nouns[key][n === 1 ? 0 : 1]}` : null;
+    }).filter(Boolean);
+    const addContainer = (kind, label, container) => {
+      const count = countDbReferences(container, collection, id);
+      if (count > 0) groups.push({ kind, label, count, items: describeContainer(container) });
+    };
+
+    const recipeItems = [];
+    state.db.recipes.forEach(r => {
+      const roles = [];
+      if (collection === "machines" && r.machineId === id) roles.push("machine");
+      if (collection === "materials") {
+        if ((r.inputs || []).some(io => io.materialId === id)) roles.push("input");
+        if ((r.outputs || []).some(io => io.materialId === id)) roles.push("output");
+      }
+      if (roles.length > 0) recipeItems.push(`"${r.name}" (${roles.join(", ")})`);
+    });
+    if (recipeItems.length > 0) groups.push({ kind: "recipes", label: "Recipes", count: recipeItems.length, items: recipeItems });
+
+    state.db.blueprints.forEach(bp => addContainer("blueprint", `Blueprint "${bp.name}"`, bp));
+
+    const mainCanvas = getMainCanvasBuild();
+    getProfileTabs().forEach(tab => {
+      const build = tab.id === state.workspaces.activeId ? mainCanvas : tab.build;
+      addContainer("workspace", `Workspace "${tab.name}"`, { placedMachines: build?.placedMachines, connections: build?.connections });
+    });
+    if (state.blueprintEditStack.length > 0) {
+      [...state.blueprintEditStack.slice(1), state.build].forEach((canvas, idx) => {
+        addContainer("workspace", idx === 0 ? "Blueprint being edited" : `Blueprint being edited (level ${idx + 1})`, {
+          placedMachines: canvas.placedMachines,
+          connections: canvas.connections,
+        });
+      });
+    }
+
+    const settingItems = [];
+    ["fuel", "fertilizer"].forEach(kind => {
+      const cb = state.settings?.costBlueprints?.[kind];
+      if (countDbReferences(cb, collection, id) > 0) settingItems.push(`${kind === "fuel" ? "Fuel" : "Fertilizer"} cost blueprint`);
+    });
+    if (settingItems.length > 0) groups.push({ kind: "settings", label: "Settings", count: settingItems.length, items: settingItems });
+    return groups;
+  }
+
+  /**
+   * Delete a material, machine or recipe and fix everything that points at it (see `rewriteDbReferences`):
+   * references are re-pointed at `replacementId`, or removed when it is null. Recipes lose the rows of a deleted
+   * material and keep an empty machine when their machine is deleted. Edits of the active canvas and the DB are
+   * recorded as one undo step; other workspace tabs are rewritten directly.
+   * @param {("materials"|"machines"|"recipes")} collection
+   * @param {string} id
+   * @param {(string|null)} [replacementId]
+   */
+  function deleteDbEntry(collection, id, replacementId = null) {
+    if (replacementId === id) replacementId = null;
+    const rewrite = value => rewriteDbReferences(value, collection, id, replacementId);
+
+    if (replacementId !== null) {
+      state.db.recipes = rewrite(state.db.recipes);
+    } else if (collection === "materials") {
+      state.db.recipes = state.db.recipes.map(r => ({
+        ...r,
+        inputs: r.inputs.filter(io => io.materialId !== id),
+        outputs: r.outputs.filter(io => io.materialId !== id),
+      }));
+    } else if (collection === "machines") {
+      state.db.recipes = state.db.recipes.map(r => (r.machineId === id ? { ...r, machineId: "" } : r));
+    }
+    state.db[collection] = state.db[collection].filter(x => x.id !== id);
+    state.db.blueprints = rewrite(state.db.blueprints);
+
+    // Live canvases are rewritten in place: the main canvas (recorded in undo history) and any open blueprint edits.
+    const canvases = new Set([state.build, ...state.blueprintEditStack]);
+    canvases.forEach(canvas => {
+      const next = rewrite({ placedMachines: canvas.placedMachines, connections: canvas.connections });
+      canvas.placedMachines = next.placedMachines;
+      canvas.connections = next.connections;
+    });
+    getProfileTabs().forEach(tab => {
+      if (tab.id !== state.workspaces.activeId) tab.build = rewrite(tab.build);
+    });
+    state.settings = rewrite(state.settings);
+    if (state.ui.selected[collection] === id) state.ui.selected[collection] = replacementId;
+
+    saveDb();
+    saveBuild();
+    saveSettings();
+    AF.calculator?.invalidateBlueprintCountCache?.();
+    AF.scheduler?.invalidate?.({ needsRecalc: true, needsRender: true, forceRecreate: true });
+  }
+
+  // ---------- Share Links ----------
+  // A share link carries the active build plus the DB entries it references in the URL fragment
+  // (`#share=` + deflate-raw + base64url), so it needs no server and the data never leaves the browser.
+
+  const SHARE_HASH_PREFIX = "#share=";
+  const SHARE_KIND = "af_share_v1";
+
+  /**
+   * DB entries referenced by `build`, following blueprints and recipes to the machines/materials they use.
+   * @returns {{ materials: Array<Material>, machines: Array<Machine>, recipes: Array<Recipe>, blueprints: Array<Blueprint> }}
+   */
+  function collectSharedDbEntries(build) {
+    const out = { materials: [], machines: [], recipes: [], blueprints: [] };
+    const seen = new Set();
+    const queue = [build];
+    const reference = (collection, id) => {
+      if (typeof id !== "string" || !id || seen.has(`${collection}:${id}`)) return;
+      seen.add(`${collection}:${id}`);
+      const item = (state.db[collection] || []).find(x => x?.id === id);
+      if (!item) return;
+      out[collection].push(item);
+      queue.push(item);
+    };
+    while (queue.length) {
+      const value = queue.shift();
+      if (Array.isArray(value)) {
+        value.forEach(v => queue.push(v));
+        continue;
+      }
+      if (!value || typeof value !== "object") continue;
+      Object.entries(value).forEach(([key, v]) => {
+        if (DB_REFERENCE_FIELDS[key]) reference(DB_REFERENCE_FIELDS[key], v);
+        else if ((key === "fromPortIdx" || key === "toPortIdx") && typeof v === "string" && v.startsWith(GROUPED_OUTPUT_PORT_PREFIX)) {
+          reference("materials", v.slice(GROUPED_OUTPUT_PORT_PREFIX.length));
+        } else if (v && typeof v === "object") queue.push(v);
+      });
+    }
+    return out;
+  }
+
+  function bytesToBase64Url(bytes) {
+    let binary = "";
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+  }
+
+  function base64UrlToBytes(text) {
+    const base64 = text.replace(/-/g, "+").replace(/_/g, "/");
+    const binary = atob(base64 + "===".slice((base64.length + 3) % 4));
+    return Uint8Array.from(binary, ch => ch.charCodeAt(0));
+  }
+
+  /**
+   * @param {Uint8Array} bytes
+   * @param {(CompressionStream|DecompressionStream)} transform
+   */
+  async function pipeBytes(bytes, transform) {
+    return new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(transform)).arrayBuffer());
+  }
+
+  /**
+   * `z` + deflated JSON, or `j` + plain JSON where CompressionStream is unavailable.
+   * @param {Object} payload
+   */
+  async function encodeSharePayload(payload) {
+    const bytes = new TextEncoder().encode(JSON.stringify(payload));
+    if (typeof CompressionStream === "function") {
+      return "z" + bytesToBase64Url(await pipeBytes(bytes, new CompressionStream("deflate-raw")));
+    }
+    return "j" + bytesToBase64Url(bytes);
+  }
+
+  /** @param {string} encoded */
+  async function decodeSharePayload(encoded) {
+    let bytes = base64UrlToBytes(encoded.slice(1));
+    if (encoded[0] === "z") {
+      if (typeof DecompressionStream !== "function") throw new Error("This browser cannot decompress share links.");
+      bytes = await pipeBytes(bytes, new DecompressionStream("deflate-raw"));
+    } else if (encoded[0] !== "j") {
+      throw new Error("Unrecognized share link format");
+    }
+    return JSON.parse(new TextDecoder().decode(bytes));
+  }
+
+  /**
+   * Link that opens the active workspace build (main canvas, with the DB entries it references) in any copy
+   * of the planner.
+   * @returns {Promise<string>}
+   */
+  async function createShareLink() {
+    const canvas = getMainCanvasBuild();
+    const build = {
+      placedMachines: canvas.placedMachines,
+      connections: canvas.connections,
+      camera: canvas.camera,
+    };
+    const payload = {
+      kind: SHARE_KIND,
+      name: getActiveWorkspaceTab()?.name || null,
+      build,
+      db: collectSharedDbEntries(build),
+    };
+    return `${location.href.split("#")[0]}${SHARE_HASH_PREFIX}${await encodeSharePayload(payload)}`;
+  }
+
+  /**
+   * Add the shared DB entries this database lacks. A material, machine or recipe whose ID is unknown here but
+   * whose name matches a local entry (case-insensitive) is mapped onto that entry instead of duplicated.
+   * @returns {{ build: Object, added: number, matched: number }} The build with references rewritten.
+   */
+  function reconcileSharedDb(payload) {
+    const shared = normalizeDb(payload.db || {});
+    /** @type {Object<string, Map<string, string>>} */
+    const idMaps = { materials: new Map(), machines: new Map(), recipes: new Map(), blueprints: new Map() };
+    const nameKey = (item) => String(item?.name || "").trim().toLowerCase();
+    ["materials", "machines", "recipes"].forEach(collection => {
+      shared[collection].forEach(item => {
+        if (state.db[collection].some(x => x.id === item.id)) return;
+        const local = nameKey(item) ? state.db[collection].find(x => nameKey(x) === nameKey(item)) : null;
+        if (local) idMaps[collection].set(item.id, local.id);
+      });
+    });
+
+    const remapped = remapDbReferences(shared, idMaps);
+    let added = 0;
+    DB_COLLECTIONS.forEach(collection => {
+      remapped[collection].forEach(item => {
+        if (idMaps[collection].has(item.id) || state.db[collection].some(x => x.id === item.id)) return;
+        state.db[collection].push(item);
+        added++;
+      });
+    });
+    if (added > 0) saveDb();
+
+    const matched = Object.values(idMaps).reduce((sum, map) => sum + map.size, 0);
+    return { build: remapDbReferences(payload.build, idMaps), added, matched };
+  }
+
+  /**
+   * If the URL carries a share link, offer to open it as a new workspace tab (through importBuildState()).
+   * The fragment is removed first, so reloading the page does not ask again.
+   */
+  async function openShareLinkFromLocation() {
+    if (!location.hash.startsWith(SHARE_HASH_PREFIX)) return;
+    const encoded = location.hash.slice(SHARE_HASH_PREFIX.length);
+    history.replaceState(null, "", location.pathname + location.search);
+
+    let payload;
+    try {
+      payload = await decodeSharePayload(encoded);
+      if (payload?.kind !== SHARE_KIND || !payload.build) throw new Error("Not a build share link");
+    } catch (err) {
+      console.error("[AF] Share link could not be read:", err);
+      AF.ui.setStatus(`Could not read the share link: ${err?.message || err}`, "error");
+      return;
+    }
+
+    const name = typeof payload.name === "string" && payload.name.trim() ? payload.name.trim() : "Shared build";
+    const cards = Array.isArray(payload.build.placedMachines) ? payload.build.placedMachines.length : 0;
+    const ok = await AF.ui.dialog.confirm(
+      `Open "${name}" (${cards} card${cards === 1 ? "" : "s"}) as a new workspace tab? Materials, machines and recipes it uses that your database lacks are added.`,
+      { title: "Open Shared Build", okText: "Open" }
+    );
+    if (!ok) return;
+
+    const { build, added, matched } = reconcileSharedDb(payload);
+    await importBuildState({
+      text: async () => JSON.stringify({ kind: "af_build_v1", name, build }),
+    });
+    const notes = [];
+    if (added > 0) notes.push(`added ${added} database entr${added === 1 ? "y" : "ies"}`);
+    if (matched > 0) notes.push(`matched ${matched} by name`);
+    AF.ui.setStatus(`Opened shared build "${name}" in a new tab${notes.length ? ` (${notes.join(", ")})` : ""}.`, "success");
+    AF.ui.renderAllUIElements();
+  }
+
+  // ---------- Database Merge ----------
+  // Compares an incoming database (DB export or full-state export) with the current one and merges the entries
+  // the user picks. Entries are matched by ID, else by name. Name matches have a different ID on each side, so
+  // one side's references are rewritten: the incoming data's by default, or this database's builds, blueprints,
+  // recipes and settings when adopting the incoming IDs.
+
+  const MERGE_ID_PREFIXES = { materials: "mat", machines: "mac", recipes: "rec", blueprints: "bp" };
+  const MERGE_IGNORED_FIELDS = new Set(["id", "createdAt"]);
+
+  /**
+   * @param {DbDiffStatus} status
+   * @returns {DbMergeResolution}
+   */
+  function getDefaultMergeResolution(status) {
+    return status === "added" ? "add" : "keep";
+  }
+
+  /**
+   * @param {any} parsed Parsed JSON: a DB export (`{ materials, machines, ... }`) or a full-state export (`{ database, build }`)
+   * @returns {DbDiff}
+   */
+  function diffDatabase(parsed) {
+    const isFullState = !!(parsed && parsed.database && typeof parsed.database === "object");
+    const incoming = normalizeDb(isFullState ? parsed.database : parsed);
+    const nameKey = (item) => String(item?.name || "").trim().toLowerCase();
+
+    /** @type {Object<string, Map<string, string>>} incoming ID -> matched local ID */
+    const matchMaps = {};
+    const matches = [];
+    DB_COLLECTIONS.forEach(collection => {
+      const local = state.db[collection] || [];
+      const localById = new Map(local.map(x => [x.id, x]));
+      const incomingIds = new Set(incoming[collection].map(x => x.id));
+      const claimed = new Set();
+      matchMaps[collection] = new Map();
+
+      incoming[collection].forEach(item => {
+        let localItem = null;
+        let match = null;
+        let reason = null;
+        if (localById.has(item.id)) {
+          localItem = localById.get(item.id);
+          match = "id";
+          if (nameKey(localItem) !== nameKey(item)) reason = `Same ID as "${localItem.name}" here`;
+        } else if (nameKey(item)) {
+          // Local entries the file also has by ID are taken; so are ones an earlier incoming entry matched.
+          const candidates = local.filter(x => nameKey(x) === nameKey(item) && !incomingIds.has(x.id) && !claimed.has(x.id));
+          if (candidates.length > 0) {
+            localItem = candidates[0];
+            match = "name";
+            if (candidates.length > 1) reason = `${candidates.length} entries here are named "${localItem.name}"`;
+          }
+        }
+        if (localItem) {
+          claimed.add(localItem.id);
+          matchMaps[collection].set(item.id, localItem.id);
+        }
+        matches.push({ collection, item, localItem, match, reason });
+      });
+    });
+
+    // Compare with references already pointing at the matched local entries.
+    const entries = matches.map(({ collection, item, localItem, match, reason }) => {
+      const remapped = remapDbReferences(item, matchMaps);
+      /** @type {Array<DbDiffField>} */
+      const differences = [];
+      if (localItem) {
+        new Set([...Object.keys(localItem), ...Object.keys(remapped)]).forEach(field => {
+          if (MERGE_IGNORED_FIELDS.has(field)) return;
+          if (JSON.stringify(localItem[field]) === JSON.stringify(remapped[field])) return;
+          differences.push({ field, local: localItem[field], incoming: remapped[field] });
+        });
+      }
+      /** @type {DbDiffStatus} */
+      let status = "added";
+      if (localItem) status = reason ? "conflict" : differences.length > 0 ? "changed" : "same";
+      return {
+        key: `${collection}:${item.id}`,
+        collection,
+        status,
+        match,
+        reason,
+        incomingId: item.id,
+        localId: localItem?.id ?? null,
+        name: item.name,
+        localName: localItem?.name ?? null,
+        differences,
+      };
+    });
+
+    /** @type {Object<string, string>} */
+    const names = {};
+    DB_COLLECTIONS.forEach(collection => {
+      incoming[collection].forEach(x => (names[x.id] = x.name));
+      (state.db[collection] || []).forEach(x => (names[x.id] = x.name));
+    });
+
+    const build = isFullState && parsed.build && Array.isArray(parsed.build.placedMachines) ? parsed.build : null;
+    return {
+      entries,
+      incoming,
+      names,
+      build,
+      buildName: typeof parsed?.workspace?.name === "string" ? parsed.workspace.name : null,
+    };
+  }
+
+  /**
+   * Apply the chosen resolution per entry (entry key -> resolution; missing keys use the status default).
+   * Takes a "Before merge" restore point first and resets undo history afterwards, like a restore.
+   * @param {DbDiff} diff
+   * @param {Object<string, DbMergeResolution>} resolutions
+   * @param {DbMergeOptions=} options
+   * @returns {Promise<(DbMergeSummary|null)>}
+   */
+  async function mergeDatabase(diff, resolutions, options = {}) {
+    if (state.currentBlueprintEdit || state.blueprintEditStack.length > 0) {
+      AF.ui?.dialog?.alert?.("Exit blueprint editing before merging a database.", { title: "Cannot merge" });
+      return null;
+    }
+    saveBuild();
+    flushHistory();
+    await createRestorePoint(`Before merging ${options.label || "a database"}`, "before-merge");
+
+    /** @type {Object<string, Map<string, string>>} incoming ID -> ID after the merge */
+    const incomingMap = {};
+    /** @type {Object<string, Map<string, string>>} local ID -> incoming ID (when adopting incoming IDs) */
+    const localMap = {};
+    DB_COLLECTIONS.forEach(collection => {
+      incomingMap[collection] = new Map();
+      localMap[collection] = new Map();
+    });
+    const usedIds = new Set(DB_COLLECTIONS.flatMap(collection => state.db[collection].map(x => x.id)));
+
+    const plan = diff.entries.map(entry => {
+      const resolution = resolutions[entry.key] || getDefaultMergeResolution(entry.status);
+      let finalId = entry.incomingId;
+      if (entry.localId && resolution !== "copy") {
+        if (entry.match === "name" && options.adoptIncomingIds) localMap[entry.collection].set(entry.localId, entry.incomingId);
+        else finalId = entry.localId;
+      }
+      if (resolution === "copy" && usedIds.has(finalId)) finalId = makeId(MERGE_ID_PREFIXES[entry.collection]);
+      if (resolution !== "skip") incomingMap[entry.collection].set(entry.incomingId, finalId);
+      usedIds.add(finalId);
+      return { entry, resolution, finalId };
+    });
+
+    const renamedLocal = DB_COLLECTIONS.reduce((sum, collection) => sum + localMap[collection].size, 0);
+    if (renamedLocal > 0) {
+      DB_COLLECTIONS.forEach(collection => {
+        state.db[collection] = remapDbReferences(state.db[collection], localMap)
+          .map(item => ({ ...item, id: localMap[collection].get(item.id) ?? item.id }));
+      });
+      getProfileTabs().forEach(tab => (tab.build = remapDbReferences(tab.build, localMap)));
+      state.settings = remapDbReferences(state.settings, localMap);
+      if (state.ui.selected.materials) state.ui.selected.materials = localMap.materials.get(state.ui.selected.materials) ?? state.ui.selected.materials;
+      if (state.ui.selected.machines) state.ui.selected.machines = localMap.machines.get(state.ui.selected.machines) ?? state.ui.selected.machines;
+    }
+
+    const remapped = remapDbReferences(diff.incoming, incomingMap);
+    let added = 0;
+    let updated = 0;
+    plan.forEach(({ entry, resolution, finalId }) => {
+      if (resolution === "keep" || resolution === "skip") return;
+      const source = remapped[entry.collection].find(x => x.id === entry.incomingId);
+      if (!source) return;
+      const item = { ...source, id: finalId };
+      const list = state.db[entry.collection];
+      if (resolution === "incoming") {
+        const idx = list.findIndex(x => x.id === finalId);
+        if (idx >= 0) {
+          list[idx] = item;
+          updated++;
+        }
+        return;
+      }
+      if (resolution === "copy" && entry.localName) item.name = `${item.name} (imported)`;
+      list.push(item);
+      added++;
+    });
+
+    saveDb();
+    if (renamedLocal > 0) {
+      saveSettings();
+      saveWorkspaces();
+      showActiveTabBuild();
+    }
+    AF.calculator?.invalidateBlueprintCountCache?.();
+
+    let openedBuild = false;
+    if (options.openBuild && diff.build) {
+      await importBuildState({
+        text: async () => JSON.stringify({
+          kind: "af_build_v1",
+          name: diff.buildName,
+          build: remapDbReferences(diff.build, incomingMap),
+        }),
+      });
+      openedBuild = true;
+    }
+
+    historyByTab.clear();
+    resetHistoryBaseline();
+    AF.ui?.renderAllUIElements?.();
+    AF.scheduler?.invalidate?.({ needsRecalc: true, needsRender: true, forceRecreate: true });
+    return { added, updated, renamedLocal, openedBuild };
+  }
+
+  // ---------- Spreadsheet Import/Export ----------
+  // Materials, machines and recipes as CSV/TSV tables. Recipes are flattened to one row per input/output that
+  // names its material, so a spreadsheet can sort and filter them. An import is turned into a DB-shaped object
+  // (rows laid over the matched local entries) and reviewed through the Merge Database diff.
+
+  /** @type {Object<string, Array<{ name: string, type: ("id"|"text"|"number"|"bool"|"kind") }>>} */
+  const SHEET_COLUMNS = {
+    materials: [
+      { name: "id", type: "id" },
+      { name: "name", type: "text" },
+      { name: "buyPrice", type: "number" },
+      { name: "salePrice", type: "number" },
+      { name: "stackSize", type: "number" },
+      { name: "isFuel", type: "bool" },
+      { name: "fuelValue", type: "number" },
+      { name: "isFertilizer", type: "bool" },
+      { name: "fertilizerNutrientValue", type: "number" },
+      { name: "fertilizerMaxFertility", type: "number" },
+      { name: "isPlant", type: "bool" },
+      { name: "plantRequiredNutrient", type: "number" },
+    ],
+    machines: [
+      { name: "id", type: "id" },
+      { name: "name", type: "text" },
+      { name: "kind", type: "kind" },
+      { name: "inputs", type: "number" },
+      { name: "outputs", type: "number" },
+      { name: "requiresFurnace", type: "bool" },
+      { name: "heatConsumptionP", type: "number" },
+      { name: "baseHeatConsumptionP", type: "number" },
+      { name: "heatingAreaWidth", type: "number" },
+      { name: "heatingAreaLength", type: "number" },
+      { name: "footprintWidth", type: "number" },
+      { name: "footprintLength", type: "number" },
+      { name: "storageSlots", type: "number" },
+    ],
+    recipes: [
+      { name: "id", type: "id" },
+      { name: "name", type: "text" },
+      { name: "machine", type: "text" },
+      { name: "processingTimeSec", type: "number" },
+      { name: "heatConsumptionP", type: "number" },
+      { name: "io", type: "text" },
+      { name: "material", type: "text" },
+      { name: "items", type: "number" },
+    ],
+  };
+  const SHEET_RECIPE_FIELDS = ["machine", "processingTimeSec", "heatConsumptionP"];
+  const SHEET_TRUE = new Set(["true", "yes", "y", "1", "x"]);
+  const SHEET_FALSE = new Set(["false", "no", "n", "0", ""]);
+
+  /**
+   * One cell; quoted when it holds the delimiter, a quote, a line break or edge spaces.
+   * @param {any} value
+   * @param {string} delimiter
+   */
+  function formatSheetCell(value, delimiter) {
+    const text = value === null || value === undefined ? "" : String(value);
+    if (!text.includes(delimiter) && !/["\r\n]/.test(text) && text.trim() === text) return text;
+    return `"${text.replaceAll('"', '""')}"`;
+  }
+
+  /**
+   * Split delimited text into rows of cells (quoted cells may contain delimiters, quotes and line breaks).
+   * The delimiter is a tab when the first line has one, otherwise a comma (semicolon when only that appears).
+   * @param {string} text
+   * @returns {{ rows: Array<Array<string>>, delimiter: string }}
+   */
+  function parseSheet(text) {
+    const source = String(text || "").replace(/^\uFEFF/, "");
+    const firstLine = source.split(/\r?\n/, 1)[0];
+    let delimiter = ",";
+    if (firstLine.includes("\t")) delimiter = "\t";
+    else if (!firstLine.includes(",") && firstLine.includes(";")) delimiter = ";";
+
+    const rows = [];
+    let row = [];
+    let cell = "";
+    let quoted = false;
+    for (let i = 0; i < source.length; i++) {
+      const ch = source[i];
+      if (quoted) {
+        if (ch === '"' && source[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (ch === '"') {
+          quoted = false;
+        } else {
+          cell += ch;
+        }
+      } else if (ch === '"' && cell === "") {
+        quoted = true;
+      } else if (ch === delimiter) {
+        row.push(cell);
+        cell = "";
+      } else if (ch === "\n" || ch === "\r") {
+        if (ch === "\r" && source[i + 1] === "\n") i++;
+        row.push(cell);
+        rows.push(row);
+        row = [];
+        cell = "";
+      } else {
+        cell += ch;
+      }
+    }
+    if (cell !== "" || row.length > 0) {
+      row.push(cell);
+      rows.push(row);
+    }
+    return { rows: rows.filter(r => r.some(c => c.trim() !== "")), delimiter };
+  }
+
+  /**
+   * Rows (header first) for one table; recipes get one row per input/output, or one bare row without any.
+   * @param {("materials"|"machines"|"recipes")} collection
+   * @returns {Array<Array<any>>}
+   */
+  function getSheetRows(collection) {
+    const columns = SHEET_COLUMNS[collection].map(c => c.name);
+    const items = [...state.db[collection]].sort(compareByName);
+    if (collection !== "recipes") return [columns, ...items.map(item => columns.map(name => item[name]))];
+
+    const rows = [columns];
+    items.forEach(r => {
+      const machineName = state.db.machines.find(m => m.id === r.machineId)?.name ?? "";
+      const base = [r.id, r.name, machineName, r.processingTimeSec, r.heatConsumptionP];
+      const io = [
+        ...r.inputs.map(x => ["input", x]),
+        ...r.outputs.map(x => ["output", x]),
+      ];
+      if (io.length === 0) rows.push([...base, "", "", ""]);
+      io.forEach(([role, x]) => {
+        const materialName = state.db.materials.find(m => m.id === x.materialId)?.name ?? x.materialId;
+        rows.push([...base, role, materialName, x.items]);
+      });
+    });
+    return rows;
+  }
+
+  /**
+   * Download one table as CSV or TSV (`alchemy-factory-{table}-{date}.csv`).
+   * @param {("materials"|"machines"|"recipes")} collection
+   * @param {("csv"|"tsv")} format
+   */
+  function exportDbSheet(collection, format) {
+    const delimiter = format === "tsv" ? "\t" : ",";
+    const content = getSheetRows(collection)
+      .map(row => row.map(value => formatSheetCell(value, delimiter)).join(delimiter))
+      .join("\r\n");
+    // The BOM makes spreadsheet apps read the file as UTF-8.
+    const blob = new Blob(["\uFEFF" + content + "\r\n"], { type: format === "tsv" ? "text/tab-separated-values" : "text/csv" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `alchemy-factory-${collection}-${new Date().toISOString().slice(0, 10)}.${format}`;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    URL.revokeObjectURL(url);
+    AF.ui.setStatus(`Exported ${collection} as ${format.toUpperCase()}.`);
+  }
+
+  /**
+   * Convert one cell to its field value, or throw a message for the row error list.
+   * @param {string} raw
+   * @param {string} type
+   * @param {string} column
+   */
+  function readSheetCell(raw, type, column) {
+    const text = String(raw ?? "").trim();
+    if (type === "bool") {
+      if (SHEET_TRUE.has(text.toLowerCase())) return true;
+      if (SHEET_FALSE.has(text.toLowerCase())) return false;
+      throw new Error(`${column}: "${text}" is not yes/no`);
+    }
+    if (type === "number") {
+      if (text === "") return null;
+      const n = Number(text);
+      if (!Number.isFinite(n)) throw new Error(`${column}: "${text}" is not a number`);
+      return n;
+    }
+    if (type === "kind") {
+      if (!["standard", "heating_device", "storage", "nursery"].includes(text)) {
+        throw new Error(`${column}: "${text}" is not standard, heating_device, storage or nursery`);
+      }
+      return text;
+    }
+    return text;
+  }
+
+  /**
+   * Find the local entry a row refers to: by ID, else by unique (case-insensitive) name. `narrow` picks among
+   * several entries with the same name (recipes: the one on the row's machine).
+   * @returns {{ item: any, error: (string|null) }}
+   */
+  function matchSheetEntry(list, id, name, narrow = null) {
+    if (id) {
+      const byId = list.find(x => x.id === id);
+      if (byId) return { item: byId, error: null };
+    }
+    const key = name.toLowerCase();
+    let byName = key ? list.filter(x => String(x.name || "").trim().toLowerCase() === key) : [];
+    if (byName.length > 1 && narrow) byName = byName.filter(narrow);
+    if (byName.length > 1) return { item: null, error: `${byName.length} entries are named "${name}"` };
+    return { item: byName[0] || null, error: null };
+  }
+
+  /**
+   * Parse a CSV/TSV table (detected from its header) into a diff against the current database. Rows with
+   * problems are left out and reported with their line number.
+   * @param {string} text
+   * @returns {DbSheetImport}
+   */
+  function readDbSheet(text) {
+    const { rows } = parseSheet(text);
+    /** @type {Array<DbSheetRowError>} */
+    const errors = [];
+    if (rows.length === 0) return { collection: null, diff: null, rowCount: 0, errors: [{ row: 1, message: "The file is empty." }] };
+
+    const header = rows[0].map(h => h.trim());
+    const has = (name) => header.includes(name);
+    /** @type {("materials"|"machines"|"recipes"|null)} */
+    let collection = null;
+    if (has("io") || has("material")) collection = "recipes";
+    else if (has("kind") || has("inputs") || has("outputs")) collection = "machines";
+    else if (has("name")) collection = "materials";
+    if (!collection || !has("name")) {
+      return { collection: null, diff: null, rowCount: rows.length - 1, errors: [{ row: 1, message: "Unknown table: the header needs a \"name\" column plus material, machine or recipe columns." }] };
+    }
+
+    const columns = SHEET_COLUMNS[collection].filter(c => has(c.name));
+    const unknown = header.filter(h => h && !SHEET_COLUMNS[collection].some(c => c.name === h));
+    if (unknown.length > 0) errors.push({ row: 1, message: `Ignored column(s): ${unknown.join(", ")}` });
+    const records = rows.slice(1).map((cells, idx) => {
+      /** @type {Object<string, string>} */
+      const raw = {};
+      header.forEach((h, i) => (raw[h] = String(cells[i] ?? "").trim()));
+      return { line: idx + 2, raw };
+    });
+
+    /** @type {Db} */
+    const incoming = { ...createEmptyDb(), [collection]: [] };
+    const claimed = new Map();
+    const claim = (id, line) => {
+      if (claimed.has(id)) throw new Error(`Same entry as row ${claimed.get(id)}`);
+      claimed.set(id, line);
+    };
+
+    if (collection !== "recipes") {
+      records.forEach(({ line, raw }) => {
+        try {
+          const values = {};
+          columns.forEach(c => {
+            if (c.name !== "id") values[c.name] = readSheetCell(raw[c.name], c.type, c.name);
+          });
+          const { item, error } = matchSheetEntry(state.db[collection], raw.id, raw.name);
+          if (error) throw new Error(error);
+          if (!item && !raw.name) throw new Error("name is required for a new entry");
+          claim(item ? item.id : `new:${raw.name.toLowerCase()}`, line);
+          const id = item?.id || raw.id || makeId(MERGE_ID_PREFIXES[collection]);
+          const base = item || (collection === "materials"
+            ? { stackSize: 1, isFuel: false, isFertilizer: false, isPlant: false }
+            : { kind: "standard", inputs: 1, outputs: 1, requiresFurnace: false, baseHeatConsumptionP: 1 });
+          if (values.name === "") delete values.name;
+          incoming[collection].push({ ...base, ...values, id });
+        } catch (err) {
+          errors.push({ row: line, message: err.message });
+        }
+      });
+    } else {
+      /** @type {Map<string, Array<{ line: number, raw: Object<string, string> }>>} */
+      const groups = new Map();
+      records.forEach(record => {
+        // Rows belong to one recipe when they share its ID, else its name and machine.
+        const key = record.raw.id || `name:${record.raw.name.toLowerCase()}|${String(record.raw.machine ?? "").toLowerCase()}`;
+        if (!record.raw.id && !record.raw.name) {
+          errors.push({ row: record.line, message: "id or name is required" });
+          return;
+        }
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(record);
+      });
+
+      groups.forEach(group => {
+        const first = group[0];
+        let line = first.line;
+        try {
+          /** @type {Object<string, string>} recipe-level cells: first non-empty value in the group */
+          const cells = {};
+          ["id", "name", ...SHEET_RECIPE_FIELDS].forEach(name => (cells[name] = group.find(g => g.raw[name])?.raw[name] ?? ""));
+
+          let machineId;
+          if (has("machine")) {
+            machineId = "";
+            if (cells.machine) {
+              const { item: machine, error } = matchSheetEntry(state.db.machines, cells.machine, cells.machine);
+              if (error) throw new Error(`machine: ${error}`);
+              if (!machine) throw new Error(`machine: "${cells.machine}" does not exist`);
+              machineId = machine.id;
+            }
+          }
+          const { item, error } = matchSheetEntry(state.db.recipes, cells.id, cells.name, r => r.machineId === machineId);
+          if (error) throw new Error(error);
+          claim(item ? item.id : `new:${cells.name.toLowerCase()}|${machineId ?? ""}`, first.line);
+          const id = item?.id || cells.id || makeId(MERGE_ID_PREFIXES.recipes);
+
+          const recipe = item
+            ? { ...item }
+            : { name: cells.name || "New Recipe", machineId: "", processingTimeSec: 1, heatConsumptionP: null, inputs: [], outputs: [] };
+          recipe.id = id;
+          if (cells.name) recipe.name = cells.name;
+          if (machineId !== undefined) recipe.machineId = machineId;
+          ["processingTimeSec", "heatConsumptionP"].forEach(name => {
+            if (has(name)) recipe[name] = readSheetCell(cells[name], "number", name);
+          });
+          if (has("processingTimeSec") && !(recipe.processingTimeSec > 0)) throw new Error("processingTimeSec must be above 0");
+
+          const ioRows = group.filter(g => g.raw.io || g.raw.material);
+          if (ioRows.length > 0) {
+            recipe.inputs = [];
+            recipe.outputs = [];
+            ioRows.forEach(row => {
+              const raw = row.raw;
+              line = row.line;
+              const role = raw.io.toLowerCase();
+              if (!["input", "in", "output", "out"].includes(role)) throw new Error("io must be input or output");
+              const { item: material, error: materialError } = matchSheetEntry(state.db.materials, raw.material, raw.material);
+              if (materialError) throw new Error(`material: ${materialError}`);
+              if (!material) throw new Error(`material "${raw.material}" does not exist`);
+              const items = readSheetCell(raw.items, "number", "items");
+              if (!(items > 0)) throw new Error("items must be above 0");
+              (role.startsWith("in") ? recipe.inputs : recipe.outputs).push({ materialId: material.id, items });
+            });
+          }
+          incoming.recipes.push(recipe);
+        } catch (err) {
+          errors.push({ row: line, message: `Recipe "${first.raw.name || first.raw.id}" skipped: ${err.message}` });
+        }
+      });
     }
 
-    if (added > 0) saveDb();
+    return { collection, diff: diffDatabase(incoming), rowCount: records.length, errors };
   }
 
   /**
-   * Save the build to localStorage
+   * Save the build into the active workspace tab
    * IMPORTANT: Blueprint editing is an in-memory operation only.
    * When in blueprint edit mode, this saves the MAIN canvas (from the bottom of the edit stack),
    * NOT the current blueprint being edited. This ensures that refreshing the page always
@@ -459,15 +2351,12 @@
       };
     }
 
-    // Persist to the active workspace tab (primary storage).
     const tab = getActiveWorkspaceTab();
     if (tab) {
       tab.build = buildData;
       saveWorkspaces();
     }
-
-    // Backward compatibility: mirror active workspace to legacy build key.
-    localStorage.setItem(BUILD_STORAGE_KEY, JSON.stringify(buildData, null, 2));
+    scheduleHistoryCommit("build");
   }
 
   /**
@@ -506,14 +2395,14 @@
       // Validate source port exists
       const sourceMachine = placedMachines.find(pm => pm.id === conn.fromMachineId);
       if (sourceMachine) {
-        const sourceMachineDef = getMachineById(sourceMachine.machineId);
+        const sourceMachineDef = AF.core.getMachineById(sourceMachine.machineId);
         if (sourceMachineDef) {
           // Check if it's a heating device with grouped ports
           if (sourceMachineDef.kind === "heating_device" && typeof conn.fromPortIdx === 'string') {
             if (conn.fromPortIdx.startsWith('grouped-output-')) {
               // Validate the material exists
               const materialId = conn.fromPortIdx.replace(/^grouped-output-/, '');
-              if (!getMaterialById(materialId)) {
+              if (!AF.core.getMaterialById(materialId)) {
                 issues.push({
                   type: 'invalid-port',
                   connection: idx,
@@ -545,7 +2434,7 @@
       // Validate target port exists
       const targetMachine = placedMachines.find(pm => pm.id === conn.toMachineId);
       if (targetMachine) {
-        const targetMachineDef = getMachineById(targetMachine.machineId);
+        const targetMachineDef = AF.core.getMachineById(targetMachine.machineId);
         if (targetMachineDef) {
           // Check if it's a heating device with grouped ports
           if (targetMachineDef.kind === "heating_device" && typeof conn.toPortIdx === 'string') {
@@ -554,7 +2443,7 @@
             } else if (conn.toPortIdx.startsWith('grouped-input-')) {
               // Validate the material exists
               const materialId = conn.toPortIdx.replace(/^grouped-input-/, '');
-              if (!getMaterialById(materialId)) {
+              if (!AF.core.getMaterialById(materialId)) {
                 issues.push({
                   type: 'invalid-port',
                   connection: idx,
@@ -643,25 +2532,12 @@
     return { placedMachines, connections, camera };
   }
 
-  function loadBuildFromLegacyStorage() {
-    const raw = localStorage.getItem(BUILD_STORAGE_KEY);
-    if (!raw) return { placedMachines: [], connections: [], camera: { x: 0, y: 0, zoom: 1.0 } };
-    try {
-      return normalizeBuildData(JSON.parse(raw));
-    } catch {
-      return { placedMachines: [], connections: [], camera: { x: 0, y: 0, zoom: 1.0 } };
-    }
-  }
-
   /**
-   * Public load build helper:
-   * - Prefer the active workspace tab build (if present)
-   * - Fall back to legacy build key
+   * Public load build helper: the active workspace tab build (empty when there is none).
    */
   function loadBuild() {
     const tab = getActiveWorkspaceTab();
-    if (tab && tab.build) return normalizeBuildData(tab.build);
-    return loadBuildFromLegacyStorage();
+    return normalizeBuildData(tab?.build || null);
   }
 
   function getActiveWorkspaceTab() {
@@ -676,73 +2552,84 @@
   }
 
   function saveWorkspaces() {
-    const payload = {
-      version: 1,
-      activeId: state.workspaces.activeId,
-      tabs: (state.workspaces.tabs || []).map(t => ({
-        id: t.id,
-        name: typeof t.name === "string" ? t.name : "",
-        build: t.build || { placedMachines: [], connections: [], camera: { x: 0, y: 0, zoom: 1.0 } },
-      })),
-    };
-    localStorage.setItem(WORKSPACES_STORAGE_KEY, JSON.stringify(payload, null, 2));
+    const tabs = (state.workspaces.tabs || []).map(t => ({
+      id: t.id,
+      name: typeof t.name === "string" ? t.name : "",
+      profileId: t.profileId || DEFAULT_PROFILE_ID,
+      build: t.build || { placedMachines: [], connections: [], camera: { x: 0, y: 0, zoom: 1.0 } },
+    }));
+    writeWorkspaceRecords(state.workspaces.activeId, tabs);
   }
 
   function loadWorkspaces() {
-    const raw = localStorage.getItem(WORKSPACES_STORAGE_KEY);
-    if (!raw) {
-      // Migration: if legacy build exists, use it as first workspace.
-      const legacyBuild = loadBuildFromLegacyStorage();
-      const firstTab = {
-        id: makeId("ws"),
-        name: "New Production 1",
-        build: legacyBuild,
-      };
-      state.workspaces.tabs = [firstTab];
-      state.workspaces.activeId = firstTab.id;
-      saveWorkspaces();
-      return;
-    }
+    state.profiles = readProfileRecords();
+    const raw = readWorkspaceRecords();
+    applyWorkspaceData(raw);
+    if (!raw) saveWorkspaces();
+  }
 
-    try {
-      const parsed = JSON.parse(raw);
-      const tabs = Array.isArray(parsed.tabs) ? parsed.tabs : [];
-      const normalizedTabs = tabs
-        .filter(t => t && typeof t === "object")
-        .map((t, idx) => ({
-          id: typeof t.id === "string" ? t.id : makeId("ws"),
-          name: (typeof t.name === "string" && t.name.trim()) ? t.name.trim() : `New Production ${idx + 1}`,
-          build: normalizeBuildData(t.build || t),
-        }));
+  /**
+   * Replace `state.workspaces` with normalized tabs from stored data (always leaves at least one tab).
+   * Tabs of an unknown profile are bound to the default profile.
+   * @param {({ activeId: (string|null), tabs: Array<any> }|null)} raw
+   */
+  function applyWorkspaceData(raw) {
+    const tabs = Array.isArray(raw?.tabs) ? raw.tabs : [];
+    const normalizedTabs = tabs
+      .filter(t => t && typeof t === "object")
+      .map((t, idx) => ({
+        id: typeof t.id === "string" ? t.id : makeId("ws"),
+        name: (typeof t.name === "string" && t.name.trim()) ? t.name.trim() : `New Production ${idx + 1}`,
+        profileId: state.profiles.some(p => p.id === t.profileId) ? t.profileId : DEFAULT_PROFILE_ID,
+        build: normalizeBuildData(t.build || t),
+      }));
 
-      state.workspaces.tabs = normalizedTabs.length ? normalizedTabs : [{
-        id: makeId("ws"),
-        name: "New Production 1",
-        build: loadBuildFromLegacyStorage(),
-      }];
-
-      const requestedActive = typeof parsed.activeId === "string" ? parsed.activeId : null;
-      const resolvedActive = (requestedActive && state.workspaces.tabs.some(t => t.id === requestedActive))
-        ? requestedActive
-        : state.workspaces.tabs[0].id;
-      state.workspaces.activeId = resolvedActive;
-    } catch {
-      state.workspaces.tabs = [{
-        id: makeId("ws"),
-        name: "New Production 1",
-        build: loadBuildFromLegacyStorage(),
-      }];
-      state.workspaces.activeId = state.workspaces.tabs[0].id;
-    }
+    state.workspaces.tabs = normalizedTabs.length ? normalizedTabs : [{
+      id: makeId("ws"),
+      name: "New Production 1",
+      profileId: DEFAULT_PROFILE_ID,
+      build: normalizeBuildData(null),
+    }];
+
+    const requestedActive = typeof raw?.activeId === "string" ? raw.activeId : null;
+    state.workspaces.activeId = (requestedActive && state.workspaces.tabs.some(t => t.id === requestedActive))
+      ? requestedActive
+      : state.workspaces.tabs[0].id;
+  }
+
+  /**
+   * Load the active tab's build onto the canvas and drop per-canvas transient state.
+   */
+  function showActiveTabBuild() {
+    const build = normalizeBuildData(getActiveWorkspaceTab()?.build || null);
+    state.build.placedMachines = build.placedMachines;
+    state.build.connections = build.connections;
+    state.build.camera = build.camera;
+    state.build.selectedMachines = [];
+    state.build.selectedConnection = null;
+
+    // Clear transient UI state that should not leak between tabs.
+    state.ui.dragState = null;
+    state.ui.pendingStorageCoords = null;
+    state.ui.pendingManualStorageMachineId = null;
+    state.ui.pendingStorageReplacementId = null;
+    state.ui.pendingHeatingDeviceId = null;
+    state.ui.pendingBlueprintCoords = null;
+    state.ui.justCompletedSelection = false;
+
+    state.blueprintEditStack = [];
+    state.currentBlueprintEdit = null;
+    resetHistoryBaseline();
   }
 
   /**
-   * @param {{ name: string, build?: { placedMachines: Array<any>, connections: Array<any>, camera?: any }, switchTo?: boolean }} opts
+   * New tabs belong to the active profile unless `opts.profileId` says otherwise.
+   * @param {{ name: string, build?: { placedMachines: Array<any>, connections: Array<any>, camera?: any }, switchTo?: boolean, profileId?: string }} opts
    */
   function createWorkspaceTab(opts) {
     const name = (opts?.name && String(opts.name).trim()) ? String(opts.name).trim() : getNextDefaultWorkspaceName();
     const build = opts?.build ? normalizeBuildData(opts.build) : { placedMachines: [], connections: [], camera: { x: 0, y: 0, zoom: 1.0 } };
-    const tab = { id: makeId("ws"), name, build };
+    const tab = { id: makeId("ws"), name, profileId: opts?.profileId || getActiveProfileId(), build };
     state.workspaces.tabs.push(tab);
     if (opts?.switchTo) {
       switchWorkspaceTab(tab.id);
@@ -771,40 +2658,26 @@
 
     // Save current build into current tab before switching.
     saveBuild();
+    flushHistory();
 
     const tab = (state.workspaces.tabs || []).find(t => t.id === tabId) ?? null;
     if (!tab) return false;
 
     state.workspaces.activeId = tab.id;
     saveWorkspaces();
-
-    const build = normalizeBuildData(tab.build);
-    state.build.placedMachines = build.placedMachines;
-    state.build.connections = build.connections;
-    state.build.camera = build.camera;
-    state.build.selectedMachines = [];
-    state.build.selectedConnection = null;
-
-    // Clear transient UI state that should not leak between tabs.
-    state.ui.dragState = null;
-    state.ui.pendingStorageCoords = null;
-    state.ui.pendingManualStorageMachineId = null;
-    state.ui.pendingStorageReplacementId = null;
-    state.ui.pendingHeatingDeviceId = null;
-    state.ui.pendingBlueprintCoords = null;
-    state.ui.justCompletedSelection = false;
-
-    state.blueprintEditStack = [];
-    state.currentBlueprintEdit = null;
+    const profileChanged = tab.profileId !== loadedProfileId;
+    if (profileChanged) loadProfileData(tab.profileId);
+    showActiveTabBuild();
 
     // Full recalc + render (topology changed)
+    if (profileChanged) AF.ui?.renderAllUIElements?.();
     AF.scheduler?.invalidate?.({ needsRecalc: true, needsRender: true, forceRecreate: true });
     return true;
   }
 
   /**
-   * Close a workspace tab. If closing the active tab, switches to an adjacent tab.
-   * Returns false only when it cannot close (e.g. last remaining tab).
+   * Close a workspace tab. If closing the active tab, switches to an adjacent tab of the same profile.
+   * Returns false only when it cannot close (e.g. last remaining tab of its profile).
    * @param {string} tabId
    */
   function closeWorkspaceTab(tabId) {
@@ -815,172 +2688,711 @@
     }
 
     const tabs = state.workspaces.tabs || [];
-    if (tabs.length <= 1) return false;
+    const closing = tabs.find(t => t.id === tabId) ?? null;
+    if (!closing) return false;
+    const siblings = getProfileTabs(closing.profileId);
+    if (siblings.length <= 1) return false;
 
     // Persist current build before we mutate the tab list.
     saveBuild();
+    flushHistory();
+    clearHistory(tabId);
 
-    const idx = tabs.findIndex(t => t.id === tabId);
-    if (idx === -1) return false;
-
+    const idx = siblings.indexOf(closing);
     const wasActive = state.workspaces.activeId === tabId;
 
     // Choose a new active tab if needed (adjacent preference).
     let nextActiveId = null;
     if (wasActive) {
-      const right = tabs[idx + 1];
-      const left = tabs[idx - 1];
+      const right = siblings[idx + 1];
+      const left = siblings[idx - 1];
       nextActiveId = (right && right.id) ? right.id : (left && left.id) ? left.id : null;
     }
 
-    tabs.splice(idx, 1);
+    tabs.splice(tabs.indexOf(closing), 1);
+
+    if (!wasActive) {
+      saveWorkspaces();
+      return true;
+    }
+
+    // Switch to the selected remaining tab.
+    if (!nextActiveId) {
+      // Shouldn't happen because we disallow closing last tab.
+      state.workspaces.activeId = tabs[0]?.id ?? null;
+      saveWorkspaces();
+      return false;
+    }
+
+    state.workspaces.activeId = nextActiveId;
+    saveWorkspaces();
+    showActiveTabBuild();
+
+    AF.scheduler?.invalidate?.({ needsRecalc: true, needsRender: true, forceRecreate: true });
+    return true;
+  }
+
+  function saveSkills() {
+    putRecord("skills", state.skills);
+  }
+
+  function saveUIPrefs() {
+    const prefs = {
+      sidebars: state.ui.sidebars,
+    };
+    putRecord("uiPrefs", prefs);
+  }
+
+  function loadUIPrefs() {
+    const parsed = getRecord("uiPrefs");
+    if (!parsed) {
+      return {
+        sidebars: {
+          database: true,
+          blueprints: false,
+          production: false,
+        },
+      };
+    }
+    return {
+      sidebars: parsed.sidebars || {
+        database: true,
+        blueprints: false,
+        production: false,
+      },
+    };
+  }
+
+  function loadSkills() {
+    return parseSkills(getRecord("skills"));
+  }
+
+  /** @param {any} parsed Stored skills object (missing/invalid values become 0). */
+  function parseSkills(parsed) {
+    const defaults = {
+      conveyorSpeed: 0,
+      throwingSpeed: 0,
+      machineEfficiency: 0,
+      alchemyEfficiency: 0,
+      fuelEfficiency: 0,
+      fertilizerEfficiency: 0,
+      shopProfit: 0,
+    };
+    if (!parsed || typeof parsed !== "object") return defaults;
+    return {
+      conveyorSpeed: Number(parsed.conveyorSpeed) || 0,
+      throwingSpeed: Number(parsed.throwingSpeed) || 0,
+      machineEfficiency: Number(parsed.machineEfficiency) || 0,
+      alchemyEfficiency: Number(parsed.alchemyEfficiency) || 0,
+      fuelEfficiency: Number(parsed.fuelEfficiency) || 0,
+      fertilizerEfficiency: Number(parsed.fertilizerEfficiency) || 0,
+      shopProfit: Number(parsed.shopProfit) || 0,
+    };
+  }
+
+  // ---------- Database Profiles ----------
+  // Each profile has its own materials, machines, recipes, blueprints and cost settings; every workspace tab
+  // belongs to one profile. `state.db` always holds the DB of the active tab's profile, and only that
+  // profile's tabs are shown. Undo history stays per tab, so it never crosses profiles.
+
+  /** @type {Map<string, string>} profile ID -> tab that was active when the user last left that profile */
+  const lastTabByProfile = new Map();
+
+  /** @returns {string} */
+  function getActiveProfileId() {
+    return getActiveWorkspaceTab()?.profileId || DEFAULT_PROFILE_ID;
+  }
+
+  /**
+   * @param {string=} profileId
+   * @returns {Array<WorkspaceTab>}
+   */
+  function getProfileTabs(profileId = getActiveProfileId()) {
+    return (state.workspaces.tabs || []).filter(t => (t.profileId || DEFAULT_PROFILE_ID) === profileId);
+  }
+
+  /**
+   * Put `profileId`'s DB and cost settings into `state.db` / `state.settings`. Callers reset the history
+   * baseline afterwards (showActiveTabBuild() does).
+   * @param {string} profileId
+   */
+  function loadProfileData(profileId) {
+    loadedProfileId = profileId;
+    state.db = loadDb();
+    state.settings = loadSettings();
+    if (state.ui.selected.materials && !AF.core.getMaterialById(state.ui.selected.materials)) state.ui.selected.materials = null;
+    if (state.ui.selected.machines && !AF.core.getMachineById(state.ui.selected.machines)) state.ui.selected.machines = null;
+    AF.calculator?.invalidateBlueprintCountCache?.();
+  }
+
+  /**
+   * Switch to the tab last used in `profileId`, or to a new tab when the profile has none.
+   * @param {string} profileId
+   * @returns {boolean}
+   */
+  function switchProfile(profileId) {
+    if (!state.profiles.some(p => p.id === profileId)) return false;
+    if (profileId === getActiveProfileId()) return true;
+    if (state.currentBlueprintEdit || state.blueprintEditStack.length > 0) {
+      AF.ui?.dialog?.alert?.("Exit blueprint editing before switching profiles.", { title: "Cannot switch profile" });
+      return false;
+    }
+    lastTabByProfile.set(getActiveProfileId(), state.workspaces.activeId);
+    const tabs = getProfileTabs(profileId);
+    const tab = tabs.find(t => t.id === lastTabByProfile.get(profileId)) || tabs[0] || createWorkspaceTab({ name: "", profileId });
+    return switchWorkspaceTab(tab.id);
+  }
+
+  /**
+   * Add a profile whose DB and cost settings start as a copy of the active profile's, or empty.
+   * @param {{ name: string, copyActive?: boolean }} opts
+   * @returns {DbProfile}
+   */
+  function createProfile(opts) {
+    const name = String(opts?.name ?? "").trim() || `Profile ${state.profiles.length + 1}`;
+    const profile = { id: makeId("profile"), name };
+    writeDbRecords(opts?.copyActive ? normalizeDb(JSON.parse(JSON.stringify(state.db))) : createEmptyDb(), profile.id);
+    putRecord(settingsRecordKey(profile.id), opts?.copyActive ? state.settings : getDefaultSettings());
+    state.profiles.push(profile);
+    writeProfileRecords(state.profiles);
+    return profile;
+  }
+
+  /**
+   * @param {string} profileId
+   * @param {string} newName
+   * @returns {boolean}
+   */
+  function renameProfile(profileId, newName) {
+    const profile = state.profiles.find(p => p.id === profileId) ?? null;
+    const name = String(newName ?? "").trim();
+    if (!profile || !name) return false;
+    profile.name = name;
+    writeProfileRecords(state.profiles);
+    return true;
+  }
+
+  /**
+   * Delete a profile together with its DB, cost settings and workspace tabs, after taking a restore point.
+   * The default profile and the active profile cannot be deleted.
+   * @param {string} profileId
+   * @returns {Promise<boolean>}
+   */
+  async function deleteProfile(profileId) {
+    const profile = state.profiles.find(p => p.id === profileId) ?? null;
+    if (!profile || profileId === DEFAULT_PROFILE_ID || profileId === getActiveProfileId()) return false;
+
+    saveBuild();
+    flushHistory();
+    await createRestorePoint(`Before deleting profile "${profile.name}"`, "before-delete");
+
+    getProfileTabs(profileId).forEach(t => clearHistory(t.id));
+    state.workspaces.tabs = state.workspaces.tabs.filter(t => t.profileId !== profileId);
+    state.profiles = state.profiles.filter(p => p.id !== profileId);
+    lastTabByProfile.delete(profileId);
+    replaceRecords(dbRecordPrefix(profileId), []);
+    deleteRecord(settingsRecordKey(profileId));
+    writeProfileRecords(state.profiles);
+    saveWorkspaces();
+    return true;
+  }
+
+  /**
+   * Work out how the active tab's build maps onto the DB of `targetProfileId`: every entry the build uses is
+   * matched by name (case-insensitive; a recipe prefers the match on the mapped machine). Blueprints without
+   * a match keep their definition, which the placed instances carry along.
+   * @param {string} targetProfileId
+   * @returns {({ report: ProfileMigrationReport, build: { placedMachines: Array<PlacedMachine>, connections: Array<Connection> } }|null)}
+   */
+  function planWorkspaceMigration(targetProfileId) {
+    const tab = getActiveWorkspaceTab();
+    if (!tab || tab.profileId === targetProfileId || !state.profiles.some(p => p.id === targetProfileId)) return null;
+
+    const canvas = getMainCanvasBuild();
+    const source = { placedMachines: canvas.placedMachines, connections: canvas.connections };
+    const targetDb = normalizeDb(readDbRecords(targetProfileId) || createEmptyDb());
+    const nameKey = (name) => String(name ?? "").trim().toLowerCase();
+
+    /** @type {Object<string, Map<string, string>>} */
+    const idMaps = {};
+    /** @type {Array<ProfileMigrationEntry>} */
+    const mapped = [];
+    /** @type {Array<ProfileMigrationEntry>} */
+    const unmapped = [];
+    DB_COLLECTIONS.forEach(collection => {
+      idMaps[collection] = new Map();
+      state.db[collection].forEach(item => {
+        const references = countDbReferences(source, collection, item.id);
+        if (references === 0) return;
+        const candidates = targetDb[collection].filter(x => nameKey(x.name) === nameKey(item.name));
+        const match = collection === "recipes"
+          ? candidates.find(r => r.machineId === idMaps.machines.get(item.machineId)) || candidates[0]
+          : candidates[0];
+        const entry = { collection, id: item.id, name: String(item.name || item.id), references, targetId: match?.id ?? null };
+        if (match) {
+          idMaps[collection].set(item.id, match.id);
+          mapped.push(entry);
+        } else {
+          // A copied blueprint must not take over an unrelated target blueprint that happens to share its ID.
+          if (collection === "blueprints" && targetDb.blueprints.some(bp => bp.id === item.id)) idMaps.blueprints.set(item.id, makeId("bp"));
+          unmapped.push(entry);
+        }
+      });
+    });
+
+    let build = source;
+    unmapped.forEach(entry => {
+      if (entry.collection !== "blueprints") build = rewriteDbReferences(build, entry.collection, entry.id, null);
+    });
+    build = remapDbReferences(build, idMaps);
+    return { report: { tabId: tab.id, fromProfileId: tab.profileId, toProfileId: targetProfileId, mapped, unmapped }, build };
+  }
+
+  /**
+   * What migrating the active tab to `targetProfileId` would map and drop, without changing anything.
+   * @param {string} targetProfileId
+   * @returns {(ProfileMigrationReport|null)}
+   */
+  function previewWorkspaceMigration(targetProfileId) {
+    return planWorkspaceMigration(targetProfileId)?.report ?? null;
+  }
+
+  /**
+   * Move the active tab to `targetProfileId`: DB references are re-pointed at the entries matched by name,
+   * references to unmatched materials, machines and recipes are removed (as when deleting them), and
+   * unmatched blueprints are copied into the target profile. The tab's undo history is cleared, since it
+   * refers to the old profile's DB.
+   * @param {string} targetProfileId
+   * @returns {(ProfileMigrationReport|null)}
+   */
+  function migrateWorkspaceToProfile(targetProfileId) {
+    if (state.currentBlueprintEdit || state.blueprintEditStack.length > 0) {
+      AF.ui?.dialog?.alert?.("Exit blueprint editing before moving this workspace.", { title: "Cannot move workspace" });
+      return null;
+    }
+    const plan = planWorkspaceMigration(targetProfileId);
+    if (!plan) return null;
+
+    saveBuild();
+    flushHistory();
+    const tab = getActiveWorkspaceTab();
+    lastTabByProfile.set(tab.profileId, tab.id);
+    tab.profileId = targetProfileId;
+    tab.build = { ...plan.build, camera: state.build.camera };
+    clearHistory(tab.id);
+
+    loadProfileData(targetProfileId);
+    ensureBlueprintsInDbFromBuild(tab.build.placedMachines);
+    saveWorkspaces();
+    showActiveTabBuild();
+
+    AF.ui?.renderAllUIElements?.();
+    AF.scheduler?.invalidate?.({ needsRecalc: true, needsRender: true, forceRecreate: true });
+    return plan.report;
+  }
+
+  // ---------- Settings ----------
+
+  function getDefaultSettings() {
+    return {
+      version: 1,
+      costBlueprints: {
+        fuel: { blueprintId: null, outputMaterialId: null },
+        fertilizer: { blueprintId: null, outputMaterialId: null },
+      },
+    };
+  }
+
+  function saveSettings() {
+    putRecord(settingsRecordKey(loadedProfileId), state.settings || getDefaultSettings());
+  }
+
+  function loadSettings() {
+    return parseSettings(getRecord(settingsRecordKey(loadedProfileId)));
+  }
+
+  /** @param {any} parsed Stored settings object (unknown fields are dropped). */
+  function parseSettings(parsed) {
+    const out = getDefaultSettings();
+    if (parsed && typeof parsed === "object") {
+      const cb = parsed.costBlueprints || {};
+      const fuel = cb.fuel || {};
+      const fert = cb.fertilizer || {};
+      out.costBlueprints.fuel.blueprintId = typeof fuel.blueprintId === "string" ? fuel.blueprintId : null;
+      out.costBlueprints.fuel.outputMaterialId = typeof fuel.outputMaterialId === "string" ? fuel.outputMaterialId : null;
+      out.costBlueprints.fertilizer.blueprintId = typeof fert.blueprintId === "string" ? fert.blueprintId : null;
+      out.costBlueprints.fertilizer.outputMaterialId = typeof fert.outputMaterialId === "string" ? fert.outputMaterialId : null;
+    }
+    return out;
+  }
+
+  // ---------- Undo / Redo History ----------
+  // Every saveBuild()/saveDb() is diffed against the last known state, item by item (placed machines and
+  // connections of the main canvas, DB materials/machines/recipes/blueprints). Each diff becomes one
+  // reversible history entry on the active workspace tab. Camera-only saves produce no entry.
+  // Saves made in the same task (e.g. saveDb() + saveBuild() from one action) are merged into one entry.
+  // Only the saved side is diffed, and DB items are compared as the JSON saveDb() just stored for them.
+  // The DB is shared by every tab of a profile: once it changes, the other tabs' stacks are dropped, since
+  // their entries could otherwise undo DB edits made since.
+
+  const HISTORY_MAX_ENTRIES = 100;
+  const HISTORY_MAX_BYTES = 8 * 1024 * 1024; // per tab, measured as JSON string length
+  const HISTORY_BUILD_COLLECTIONS = ["placedMachines", "connections"];
+  const HISTORY_DB_COLLECTIONS = ["materials", "machines", "recipes", "blueprints"];
+  const HISTORY_NOUNS = {
+    placedMachines: ["machine", "machines"],
+    connections: ["connection", "connections"],
+    materials: ["material", "materials"],
+    machines: ["machine definition", "machine definitions"],
+    recipes: ["recipe", "recipes"],
+    blueprints: ["blueprint", "blueprints"],
+  };
+
+  /** @type {Map<string, { undo: Array<HistoryEntry>, redo: Array<HistoryEntry> }>} */
+  const historyByTab = new Map();
+  /** @type {{ tabId: (string|null), build: (Object<string, Map<string, string>>|null), db: (Object<string, Map<string, string>>|null) }} */
+  const historyBaseline = { tabId: null, build: null, db: null };
+  /** @type {Set<"build"|"db">} Sides saved since the last commit. */
+  const historyDirty = new Set();
+  let historyCommitQueued = false;
+  let historySuspended = 0;
+
+  /**
+   * The canvas that saveBuild() persists: the main canvas, even while a blueprint is being edited.
+   */
+  function getMainCanvasBuild() {
+    if (state.blueprintEditStack.length > 0) return state.blueprintEditStack[0];
+    return state.build;
+  }
+
+  /**
+   * @param {Object} source
+   * @param {Array<string>} names
+   * @param {(name: string, id: string) => (string|undefined)} [storedJson] Already serialized items, reused as is.
+   */
+  function snapshotCollections(source, names, storedJson) {
+    /** @type {Object<string, Map<string, string>>} */
+    const out = {};
+    names.forEach(name => {
+      const map = new Map();
+      (Array.isArray(source?.[name]) ? source[name] : []).forEach(item => {
+        if (item && typeof item.id === "string") map.set(item.id, storedJson?.(name, item.id) ?? JSON.stringify(item));
+      });
+      out[name] = map;
+    });
+    return out;
+  }
+
+  /** The loaded DB, read back from the per-item records writeDbRecords() keeps for it. */
+  function snapshotHistoryDb() {
+    const prefix = dbRecordPrefix(loadedProfileId);
+    return snapshotCollections(state.db, HISTORY_DB_COLLECTIONS, (name, id) => storageRecords.get(`${prefix}${name}:${id}`));
+  }
+
+  /** @returns {Array<HistoryChange>} */
+  function diffCollections(scope, before, after, names) {
+    const changes = [];
+    names.forEach(name => {
+      const prev = before[name];
+      const next = after[name];
+      const prevIds = Array.from(prev.keys());
+      const nextIds = Array.from(next.keys());
+      const ids = new Set([...prevIds, ...nextIds]);
+      ids.forEach(id => {
+        const a = prev.has(id) ? prev.get(id) : null;
+        const b = next.has(id) ? next.get(id) : null;
+        if (a === b) return;
+        changes.push({
+          scope,
+          collection: name,
+          id,
+          before: a,
+          after: b,
+          beforeIndex: a === null ? -1 : prevIds.indexOf(id),
+          afterIndex: b === null ? -1 : nextIds.indexOf(id),
+        });
+      });
+    });
+    return changes;
+  }
+
+  function getTabHistory(tabId) {
+    if (!historyByTab.has(tabId)) historyByTab.set(tabId, { undo: [], redo: [] });
+    return historyByTab.get(tabId);
+  }
+
+  function resetHistoryBaseline() {
+    historyBaseline.tabId = state.workspaces.activeId;
+    historyBaseline.build = snapshotCollections(getMainCanvasBuild(), HISTORY_BUILD_COLLECTIONS);
+    historyBaseline.db = snapshotHistoryDb();
+    historyDirty.clear();
+    AF.ui?.renderHistoryMenu?.();
+  }
+
+  /**
+   * @param {"build"|"db"} side What was just saved.
+   */
+  function scheduleHistoryCommit(side) {
+    if (historySuspended > 0) return;
+    historyDirty.add(side);
+    if (historyCommitQueued) return;
+    historyCommitQueued = true;
+    queueMicrotask(flushHistory);
+  }
+
+  /**
+   * Forget the undo/redo stacks of the loaded profile's tabs, except `keepTabId`'s.
+   * Called when the shared DB changes: DB changes recorded on those tabs no longer apply on top of it.
+   * @param {(string|null)} keepTabId
+   */
+  function dropDbDependentHistory(keepTabId) {
+    getProfileTabs(loadedProfileId).forEach(t => {
+      if (t.id !== keepTabId) historyByTab.delete(t.id);
+    });
+  }
 
-    if (!wasActive) {
-      saveWorkspaces();
-      return true;
+  /**
+   * Record pending changes now (normally deferred to the end of the current task).
+   * Called before anything swaps the canvas, so edits land on the tab they were made in.
+   */
+  function flushHistory() {
+    historyCommitQueued = false;
+    if (historySuspended > 0) return;
+    if (!historyBaseline.build || historyBaseline.tabId !== state.workspaces.activeId) {
+      resetHistoryBaseline();
+      return;
     }
 
-    // Switch to the selected remaining tab.
-    if (!nextActiveId) {
-      // Shouldn't happen because we disallow closing last tab.
-      state.workspaces.activeId = tabs[0]?.id ?? null;
-      saveWorkspaces();
-      return false;
+    /** @type {Array<HistoryChange>} */
+    const changes = [];
+    if (historyDirty.has("build")) {
+      const build = snapshotCollections(getMainCanvasBuild(), HISTORY_BUILD_COLLECTIONS);
+      changes.push(...diffCollections("build", historyBaseline.build, build, HISTORY_BUILD_COLLECTIONS));
+      historyBaseline.build = build;
     }
+    if (historyDirty.has("db")) {
+      const db = snapshotHistoryDb();
+      changes.push(...diffCollections("db", historyBaseline.db, db, HISTORY_DB_COLLECTIONS));
+      historyBaseline.db = db;
+    }
+    historyDirty.clear();
+    if (changes.length === 0) return;
+
+    if (changes.some(c => c.scope === "db")) dropDbDependentHistory(historyBaseline.tabId);
+    const history = getTabHistory(historyBaseline.tabId);
+    history.undo.push({
+      id: makeId("hist"),
+      label: describeHistoryChanges(changes),
+      at: Date.now(),
+      changes,
+      bytes: changes.reduce((sum, c) => sum + (c.before?.length || 0) + (c.after?.length || 0), 0),
+    });
+    history.redo = [];
+    trimHistory(history);
+    AF.ui?.renderHistoryMenu?.();
+  }
 
-    state.workspaces.activeId = nextActiveId;
-    saveWorkspaces();
-
-    const nextTab = tabs.find(t => t.id === nextActiveId) ?? null;
-    const build = normalizeBuildData(nextTab?.build || null);
-    state.build.placedMachines = build.placedMachines;
-    state.build.connections = build.connections;
-    state.build.camera = build.camera;
-    state.build.selectedMachines = [];
-    state.build.selectedConnection = null;
-
-    // Clear transient UI state that should not leak between tabs.
-    state.ui.dragState = null;
-    state.ui.pendingStorageCoords = null;
-    state.ui.pendingManualStorageMachineId = null;
-    state.ui.pendingStorageReplacementId = null;
-    state.ui.pendingHeatingDeviceId = null;
-    state.ui.pendingBlueprintCoords = null;
-    state.ui.justCompletedSelection = false;
+  function trimHistory(history) {
+    let bytes = history.undo.reduce((sum, e) => sum + e.bytes, 0);
+    while (history.undo.length > 1 && (history.undo.length > HISTORY_MAX_ENTRIES || bytes > HISTORY_MAX_BYTES)) {
+      bytes -= history.undo.shift().bytes;
+    }
+  }
 
-    state.blueprintEditStack = [];
-    state.currentBlueprintEdit = null;
+  /**
+   * Human-readable label for an entry, e.g. `Delete 3 machines + 4 connections` or `Edit recipe "Plank"`.
+   * @param {Array<HistoryChange>} changes
+   */
+  function describeHistoryChanges(changes) {
+    /** @type {Map<string, Map<string, Array<HistoryChange>>>} verb -> collection -> changes */
+    const groups = new Map();
+    changes.forEach(c => {
+      let verb = "Edit";
+      if (c.before === null) verb = "Add";
+      else if (c.after === null) verb = "Delete";
+      else if (c.collection === "placedMachines" && isMoveOnly(c)) verb = "Move";
+      if (!groups.has(verb)) groups.set(verb, new Map());
+      const byCollection = groups.get(verb);
+      if (!byCollection.has(c.collection)) byCollection.set(c.collection, []);
+      byCollection.get(c.collection).push(c);
+    });
 
-    AF.scheduler?.invalidate?.({ needsRecalc: true, needsRender: true, forceRecreate: true });
-    return true;
+    const parts = [];
+    ["Delete", "Add", "Move", "Edit"].forEach(verb => {
+      const byCollection = groups.get(verb);
+      if (!byCollection) return;
+      const items = Array.from(byCollection.entries()).map(([collection, list]) => {
+        const [singular, plural] = HISTORY_NOUNS[collection];
+        if (list.length > 1) return `${list.length} ${plural}`;
+        const item = JSON.parse(list[0].after ?? list[0].before);
+        return (collection !== "placedMachines" && collection !== "connections" && item.name)
+          ? `${singular} "${item.name}"`
+          : `1 ${singular}`;
+      });
+      parts.push(`${verb} ${items.join(" + ")}`);
+    });
+    return parts.join(", ");
   }
 
-  function saveSkills() {
-    localStorage.setItem(SKILLS_STORAGE_KEY, JSON.stringify(state.skills, null, 2));
+  function isMoveOnly(change) {
+    const a = JSON.parse(change.before);
+    const b = JSON.parse(change.after);
+    delete a.x; delete a.y; delete b.x; delete b.y;
+    return JSON.stringify(a) === JSON.stringify(b);
   }
 
-  function saveUIPrefs() {
-    const prefs = {
-      sidebars: state.ui.sidebars,
-    };
-    localStorage.setItem(UI_PREFS_STORAGE_KEY, JSON.stringify(prefs, null, 2));
+  /**
+   * Apply one side ("before" for undo, "after" for redo) of an entry's changes.
+   * Items are restored at their recorded positions so list order survives a round trip.
+   * @param {HistoryEntry} entry
+   * @param {"before"|"after"} side
+   */
+  function applyHistoryEntry(entry, side) {
+    const indexKey = side === "before" ? "beforeIndex" : "afterIndex";
+    const targets = { build: getMainCanvasBuild(), db: state.db };
+    const touched = { build: false, db: false };
+
+    const byCollection = new Map();
+    entry.changes.forEach(c => {
+      const key = `${c.scope}:${c.collection}`;
+      if (!byCollection.has(key)) byCollection.set(key, []);
+      byCollection.get(key).push(c);
+    });
+
+    byCollection.forEach(list => {
+      const { scope, collection } = list[0];
+      const ids = new Set(list.map(c => c.id));
+      const next = (targets[scope][collection] || []).filter(item => !item || !ids.has(item.id));
+      list
+        .filter(c => c[side] !== null)
+        .sort((a, b) => a[indexKey] - b[indexKey])
+        .forEach(c => next.splice(Math.min(c[indexKey], next.length), 0, JSON.parse(c[side])));
+      targets[scope][collection] = next;
+      touched[scope] = true;
+    });
+    return touched;
   }
 
-  function loadUIPrefs() {
-    const raw = localStorage.getItem(UI_PREFS_STORAGE_KEY);
-    if (!raw) {
-      return {
-        sidebars: {
-          database: true,
-          blueprints: false,
-          production: false,
-        },
-      };
-    }
+  function finishHistoryStep(touched) {
+    // Persist without recording: the entry already describes this change.
+    historySuspended++;
     try {
-      const parsed = JSON.parse(raw);
-      return {
-        sidebars: parsed.sidebars || {
-          database: true,
-          blueprints: false,
-          production: false,
-        },
-      };
-    } catch {
-      return {
-        sidebars: {
-          database: true,
-          blueprints: false,
-          production: false,
-        },
-      };
+      if (touched.db) saveDb();
+      if (touched.build) saveBuild();
+    } finally {
+      historySuspended--;
     }
-  }
+    resetHistoryBaseline();
+    if (touched.db) dropDbDependentHistory(state.workspaces.activeId);
 
-  function loadSkills() {
-    const raw = localStorage.getItem(SKILLS_STORAGE_KEY);
-    const defaults = {
-      conveyorSpeed: 0,
-      throwingSpeed: 0,
-      machineEfficiency: 0,
-      alchemyEfficiency: 0,
-      fuelEfficiency: 0,
-      fertilizerEfficiency: 0,
-      shopProfit: 0,
-    };
-    if (!raw) return defaults;
-    try {
-      const parsed = JSON.parse(raw);
-      return {
-        conveyorSpeed: Number(parsed.conveyorSpeed) || 0,
-        throwingSpeed: Number(parsed.throwingSpeed) || 0,
-        machineEfficiency: Number(parsed.machineEfficiency) || 0,
-        alchemyEfficiency: Number(parsed.alchemyEfficiency) || 0,
-        fuelEfficiency: Number(parsed.fuelEfficiency) || 0,
-        fertilizerEfficiency: Number(parsed.fertilizerEfficiency) || 0,
-        shopProfit: Number(parsed.shopProfit) || 0,
-      };
-    } catch {
-      return defaults;
+    const placedIds = new Set(state.build.placedMachines.map(pm => pm.id));
+    state.build.selectedMachines = state.build.selectedMachines.filter(id => placedIds.has(id));
+    if (state.build.selectedConnection && !state.build.connections.some(c => c.id === state.build.selectedConnection)) {
+      state.build.selectedConnection = null;
+    }
+
+    if (touched.db) {
+      if (state.ui.selected.materials && !AF.core.getMaterialById(state.ui.selected.materials)) state.ui.selected.materials = null;
+      if (state.ui.selected.machines && !AF.core.getMachineById(state.ui.selected.machines)) state.ui.selected.machines = null;
+      AF.calculator?.invalidateBlueprintCountCache?.();
+      AF.ui?.renderAllUIElements?.();
     }
+    AF.scheduler?.invalidate?.({ needsRecalc: true, needsRender: true, forceRecreate: true });
   }
 
-  // ---------- Settings ----------
+  function canStepHistory() {
+    if (state.currentBlueprintEdit || state.blueprintEditStack.length > 0) {
+      AF.ui?.setStatus?.("Undo/redo is unavailable while editing a blueprint.", "warn");
+      return false;
+    }
+    return true;
+  }
 
-  function getDefaultSettings() {
-    return {
-      version: 1,
-      costBlueprints: {
-        fuel: { blueprintId: null, outputMaterialId: null },
-        fertilizer: { blueprintId: null, outputMaterialId: null },
-      },
-    };
+  /**
+   * Undo the most recent change on the active tab.
+   * @returns {(HistoryEntry|null)} The undone entry, or null when there is nothing to undo.
+   */
+  function undo() {
+    if (!canStepHistory()) return null;
+    flushHistory();
+    const history = getTabHistory(state.workspaces.activeId);
+    const entry = history.undo.pop();
+    if (!entry) return null;
+    history.redo.push(entry);
+    finishHistoryStep(applyHistoryEntry(entry, "before"));
+    return entry;
   }
 
-  function saveSettings() {
-    localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(state.settings || getDefaultSettings(), null, 2));
+  /**
+   * Redo the most recently undone change on the active tab.
+   * @returns {(HistoryEntry|null)}
+   */
+  function redo() {
+    if (!canStepHistory()) return null;
+    flushHistory();
+    const history = getTabHistory(state.workspaces.activeId);
+    const entry = history.redo.pop();
+    if (!entry) return null;
+    history.undo.push(entry);
+    finishHistoryStep(applyHistoryEntry(entry, "after"));
+    return entry;
   }
 
-  function loadSettings() {
-    const defaults = getDefaultSettings();
-    const raw = localStorage.getItem(SETTINGS_STORAGE_KEY);
-    if (!raw) return defaults;
-    try {
-      const parsed = JSON.parse(raw);
-      const out = getDefaultSettings();
-      if (parsed && typeof parsed === "object") {
-        const cb = parsed.costBlueprints || {};
-        const fuel = cb.fuel || {};
-        const fert = cb.fertilizer || {};
-        out.costBlueprints.fuel.blueprintId = typeof fuel.blueprintId === "string" ? fuel.blueprintId : null;
-        out.costBlueprints.fuel.outputMaterialId = typeof fuel.outputMaterialId === "string" ? fuel.outputMaterialId : null;
-        out.costBlueprints.fertilizer.blueprintId = typeof fert.blueprintId === "string" ? fert.blueprintId : null;
-        out.costBlueprints.fertilizer.outputMaterialId = typeof fert.outputMaterialId === "string" ? fert.outputMaterialId : null;
+  /**
+   * Step through history until `entryId` has been undone (if it is on the undo stack)
+   * or redone (if it is on the redo stack).
+   * @param {string} entryId
+   * @returns {number} Number of steps taken.
+   */
+  function jumpToHistoryEntry(entryId) {
+    if (!canStepHistory()) return 0;
+    flushHistory();
+    const history = getTabHistory(state.workspaces.activeId);
+    const undoIdx = history.undo.findIndex(e => e.id === entryId);
+    const redoIdx = history.redo.findIndex(e => e.id === entryId);
+    if (undoIdx === -1 && redoIdx === -1) return 0;
+
+    const touched = { build: false, db: false };
+    let steps = 0;
+    const merge = (t) => {
+      touched.build = touched.build || t.build;
+      touched.db = touched.db || t.db;
+      steps++;
+    };
+    if (undoIdx !== -1) {
+      while (history.undo.length > undoIdx) {
+        const entry = history.undo.pop();
+        history.redo.push(entry);
+        merge(applyHistoryEntry(entry, "before"));
+      }
+    } else {
+      while (history.redo.length > redoIdx) {
+        const entry = history.redo.pop();
+        history.undo.push(entry);
+        merge(applyHistoryEntry(entry, "after"));
       }
-      return out;
-    } catch {
-      return defaults;
     }
+    finishHistoryStep(touched);
+    return steps;
+  }
+
+  /**
+   * Labels of the active tab's history, oldest first.
+   * @returns {{ undo: Array<{ id: string, label: string, at: number }>, redo: Array<{ id: string, label: string, at: number }> }}
+   */
+  function getHistory() {
+    const history = getTabHistory(state.workspaces.activeId);
+    const brief = (e) => ({ id: e.id, label: e.label, at: e.at });
+    return { undo: history.undo.map(brief), redo: history.redo.map(brief) };
+  }
+
+  /**
+   * Forget history for one tab (or the active one). Used when a tab is closed.
+   * @param {string=} tabId
+   */
+  function clearHistory(tabId) {
+    historyByTab.delete(tabId || state.workspaces.activeId);
+    AF.ui?.renderHistoryMenu?.();
   }
 
   // Persistence + loading helpers shared across layers
@@ -993,6 +3405,15 @@
     exportBuildState,
     importFullState,
     importBuildState,
+    createShareLink,
+    diffDatabase,
+    mergeDatabase,
+    getDefaultMergeResolution,
+    exportDbSheet,
+    readDbSheet,
+    findDbReferences,
+    deleteDbEntry,
+    ensureBlueprintsInDbFromBuild,
     saveBuild,
     loadBuild,
     // Workspaces (production tabs)
@@ -1003,13 +3424,35 @@
     renameWorkspaceTab,
     switchWorkspaceTab,
     closeWorkspaceTab,
+    // Database profiles
+    getActiveProfileId,
+    getProfileTabs,
+    switchProfile,
+    createProfile,
+    renameProfile,
+    deleteProfile,
+    previewWorkspaceMigration,
+    migrateWorkspaceToProfile,
     saveSkills,
     loadSkills,
     saveUIPrefs,
     loadUIPrefs,
     saveSettings,
     loadSettings,
-    validateBuild
+    validateBuild,
+    // Undo/redo (per workspace tab)
+    undo,
+    redo,
+    jumpToHistoryEntry,
+    getHistory,
+    clearHistory,
+    flushHistory,
+    // Restore points (IndexedDB snapshots)
+    flushStorage,
+    getStorageInfo,
+    listRestorePoints,
+    createRestorePoint,
+    restoreFromPoint
   });
 
 
@@ -1101,6 +3544,7 @@
         inputs: Array.isArray(r.inputs) ? r.inputs : [],
         outputs: Array.isArray(r.outputs) ? r.outputs : [],
         heatConsumptionP: Number.isFinite(r.heatConsumptionP) ? Number(r.heatConsumptionP) : null,
+        ...(r.preferredForCost === true ? { preferredForCost: true } : {}),
       }))
       .map((r) => ({
         ...r,
@@ -1132,299 +3576,6 @@
 
 
 
-  // ---------- Query helpers ----------
-
-  function getMaterialById(id) {
-    return state.db.materials.find((m) => m.id === id) ?? null;
-  }
-
-  function getMachineById(id) {
-    return state.db.machines.find((m) => m.id === id) ?? null;
-  }
-
-  function getRecipeById(id) {
-    return state.db.recipes.find((r) => r.id === id) ?? null;
-  }
-  
-  /**
-   * Find a machine by ID, searching through the entire tree (including blueprint children)
-   * @param {string} machineId - Machine ID to find
-   * @returns {object|null} Machine object or null if not found
-   */
-  function findMachineInTree(machineId) {
-    // Check top-level machines
-    for (const pm of AF.state.build.placedMachines) {
-      if (pm.id === machineId) return pm;
-      
-      // Check inside blueprint instances
-      if ((pm.type === "blueprint_instance" || pm.type === "blueprint") && pm.childMachines) {
-        for (const child of pm.childMachines) {
-          if (child.id === machineId) return child;
-          
-          // Recursively check nested blueprints
-          if ((child.type === "blueprint_instance" || child.type === "blueprint") && child.childMachines) {
-            const nested = findMachineInTreeRecursive(machineId, child.childMachines);
-            if (nested) return nested;
-          }
-        }
-      }
-    }
-    
-    return null;
-  }
-  
-  function findMachineInTreeRecursive(machineId, machines) {
-    for (const pm of machines) {
-      if (pm.id === machineId) return pm;
-      
-      if ((pm.type === "blueprint_instance" || pm.type === "blueprint") && pm.childMachines) {
-        const nested = findMachineInTreeRecursive(machineId, pm.childMachines);
-        if (nested) return nested;
-      }
-    }
-    return null;
-  }
-
-   /**
-   * Get all machines in tree (including blueprint children)
-   * @returns {Array} All machines (top-level and children)
-   */
-   function getAllMachinesInTree() {
-    const allMachines = [];
-    
-    function traverse(machines) {
-      machines.forEach(pm => {
-        // Blueprint instances are containers, not machines - skip them in calculations
-        // Only collect their child machines (the real machines)
-        if ((pm.type === "blueprint_instance" || pm.type === "blueprint") && pm.childMachines) {
-          traverse(pm.childMachines);
-        } else {
-          // Regular machine - add it to calculations
-          allMachines.push(pm);
-        }
-      });
-    }
-    
-    traverse(AF.state.build.placedMachines);
-    return allMachines;
-  }
-  
-  /**
-   * Get all connections in tree (including blueprint internal connections)
-   * Resolves external connections to internal machines where applicable
-   * @returns {Array} All connections (top-level and internal, resolved)
-   */
-  function getAllConnectionsInTree() {
-    const allConnections = [];
-    
-    // Top-level connections (resolve to internal machines if needed)
-    AF.state.build.connections.forEach(conn => {
-      const resolved = resolveConnection(conn);
-      allConnections.push(resolved);
-    });
-    
-    // Internal blueprint connections
-    function collectInternalConnections(machines) {
-      machines.forEach(pm => {
-        if ((pm.type === "blueprint_instance" || pm.type === "blueprint") && pm.childConnections) {
-          allConnections.push(...pm.childConnections);
-          
-          // Recurse for nested blueprints
-          if (pm.childMachines) {
-            collectInternalConnections(pm.childMachines);
-          }
-        }
-      });
-    }
-    
-    collectInternalConnections(AF.state.build.placedMachines);
-    return allConnections;
-  }
-
-  /**
-   * Resolve a connection to internal machines if it connects to/from a blueprint
-   * @param {object} connection - Connection to resolve
-   * @returns {object} Connection with _resolved* fields added if applicable
-   */
-  function resolveConnection(connection) {
-    // Mutate the original connection object to add resolved fields
-    // This ensures actualRate and other properties set on resolved connections
-    // are accessible from the original connection objects in AF.state.build.connections
-    
-    // Resolve TO machine (if blueprint, resolve to internal machine)
-    const toMachine = findMachineInTree(connection.toMachineId);
-    if (toMachine && (toMachine.type === "blueprint_instance" || toMachine.type === "blueprint")) {
-      if (toMachine.portMappings && toMachine.portMappings.inputs) {
-        const mapping = toMachine.portMappings.inputs[connection.toPortIdx];
-        if (mapping) {
-          connection._resolvedToMachineId = mapping.internalMachineId;
-          connection._resolvedToPortIdx = mapping.internalPortIdx;
-        }
-      }
-    }
-    
-    // Resolve FROM machine (if blueprint, resolve to internal machine)
-    const fromMachine = findMachineInTree(connection.fromMachineId);
-    if (fromMachine && (fromMachine.type === "blueprint_instance" || fromMachine.type === "blueprint")) {
-      if (fromMachine.portMappings && fromMachine.portMappings.outputs) {
-        const mapping = fromMachine.portMappings.outputs[connection.fromPortIdx];
-        if (mapping) {
-          connection._resolvedFromMachineId = mapping.internalMachineId;
-          connection._resolvedFromPortIdx = mapping.internalPortIdx;
-        }
-      }
-    }
-    
-    return connection;
-  }
-
-   /**
-   * Get material ID from a machine's port
-   * @param {PlacedMachine} placedMachine
-   * @param {number} portIdx
-   * @param {string} type
-   * @returns {string|null} Material ID or null
-   */
-   function getMaterialIdFromPort(placedMachine, portIdx, type) {
-    // Blueprint types (both old and new)
-    if (placedMachine.type === "blueprint" || placedMachine.type === "blueprint_instance") {
-      const portIdxNum = parseInt(portIdx);
-
-      // Try new physical model first (port mappings)
-      if (placedMachine.portMappings) {
-        if (type === "input") {
-          const mapping = placedMachine.portMappings.inputs?.[portIdxNum];
-          return mapping?.materialId || null;
-        } else {
-          const mapping = placedMachine.portMappings.outputs?.[portIdxNum];
-          return mapping?.materialId || null;
-        }
-      }
-
-      // Fall back to old model (blueprintData)
-      const bpData = placedMachine.blueprintData || {};
-      if (type === "input") {
-        const input = bpData.inputs?.[portIdxNum];
-        return input?.materialId || null;
-      } else {
-        const output = bpData.outputs?.[portIdxNum];
-        return output?.materialId || null;
-      }
-    }
-
-    // Purchasing portal
-    if (placedMachine.type === "purchasing_portal") {
-      return placedMachine.materialId;
-    }
-
-    if (placedMachine.type === "nursery") {
-      if (type === "output") {
-        return placedMachine.plantId;
-      } else {
-        // Input port - determine fertilizer from connection or selection
-        // First check if there's a connected source
-        const incomingConnections = state.build.connections.filter(conn => conn.toMachineId === placedMachine.id);
-        if (incomingConnections.length > 0) {
-          const sourceConn = incomingConnections[0];
-          const sourceMachine = state.build.placedMachines.find(pm => pm.id === sourceConn.fromMachineId);
-          if (sourceMachine) {
-            const fertId = getMaterialIdFromPort(sourceMachine, sourceConn.fromPortIdx, "output");
-            if (fertId) return fertId;
-          }
-        }
-        // Otherwise use selected fertilizer
-        return placedMachine.fertilizerId || null;
-      }
-    }
-
-    // Check if this is a heating device with grouped ports (portIdx is a string like "grouped-input-materialId" or "grouped-output-materialId")
-    const machine = getMachineById(placedMachine.machineId);
-    if (machine && machine.kind === "heating_device" && typeof portIdx === 'string') {
-      // Handle grouped ports
-      if (portIdx.startsWith('grouped-input-') || portIdx.startsWith('grouped-output-')) {
-        const materialId = portIdx.replace(/^grouped-(input|output)-/, '');
-        return materialId || null;
-      }
-
-      // Handle individual topper ports (legacy, for backward compatibility)
-      if (portIdx.startsWith('topper-')) {
-        const match = portIdx.match(/^topper-(\d+)-(\d+)$/);
-        if (match) {
-          const topperIdx = parseInt(match[1]);
-          const topperPortIdx = parseInt(match[2]);
-          const topper = placedMachine.toppers?.[topperIdx];
-          if (topper && topper.recipeId) {
-            const topperRecipe = getRecipeById(topper.recipeId);
-            if (topperRecipe) {
-              if (type === "output") {
-                return topperRecipe.outputs[topperPortIdx]?.materialId || null;
-              } else {
-                return topperRecipe.inputs[topperPortIdx]?.materialId || null;
-              }
-            }
-          }
-        }
-        return null;
-      }
-    }
-
-    // Storage machine - return material from inventories
-    if (machine && machine.kind === "storage" && type === "output") {
-      // Check manual inventories first
-      const manualInventories = placedMachine.manualInventories || [];
-      if (manualInventories.length > 0) {
-        // Return the first material (storage can output any stored material)
-        return manualInventories[0]?.materialId || null;
-      }
-
-      // Check incoming connections to determine what material is flowing through
-      const incomingConnections = state.build.connections.filter(
-        conn => conn.toMachineId === placedMachine.id
-      );
-
-      if (incomingConnections.length > 0) {
-        // Get material from first input connection
-        const sourceConn = incomingConnections[0];
-        const sourceMachine = state.build.placedMachines.find(pm => pm.id === sourceConn.fromMachineId);
-        if (sourceMachine) {
-          return getMaterialIdFromPort(sourceMachine, sourceConn.fromPortIdx, "output");
-        }
-      }
-
-      return null;
-    }
-
-    // Regular machine with recipe
-    const recipe = placedMachine.recipeId ? getRecipeById(placedMachine.recipeId) : null;
-    if (!recipe) return null;
-
-    if (type === "output") {
-      return recipe.outputs[portIdx]?.materialId || null;
-    } else {
-      return recipe.inputs[portIdx]?.materialId || null;
-    }
-  }
-
-  function materialLabel(matId) {
-    const m = getMaterialById(matId);
-    return m ? m.name : "(missing material)";
-  }
-
-
-
-  Object.assign(AF.core, {
-    getMaterialById,
-    getMachineById,
-    getRecipeById,
-    findMachineInTree,
-    getAllMachinesInTree,
-    getAllConnectionsInTree,
-    resolveConnection,
-    materialLabel,
-    getMaterialIdFromPort
-  });
-
-
   // ---------- Calc/Render Scheduler ----------
   // Ensures calculations happen before render, coalesced per tick/idle period.
   AF.scheduler = AF.scheduler || {};
@@ -1510,26 +3661,6 @@
     };
   })();
 
-  /**
-   * Returns true if any persistent "state" exists in localStorage.
-   * (UI prefs are intentionally ignored; we only care about actual app data.)
-   */
-  function hasAnyPersistedState() {
-    try {
-      return Boolean(
-        localStorage.getItem(STORAGE_KEY) ||
-          localStorage.getItem(WORKSPACES_STORAGE_KEY) ||
-          localStorage.getItem(BUILD_STORAGE_KEY) ||
-          localStorage.getItem(SKILLS_STORAGE_KEY) ||
-          localStorage.getItem(SETTINGS_STORAGE_KEY)
-      );
-    } catch {
-      // If localStorage is unavailable for any reason, treat as "has state"
-      // so we don't attempt network/file fetches unexpectedly.
-      return true;
-    }
-  }
-
   /**
    * Fetch `./alchemy-factory-state.json` and run it through the existing import routine.
    * This is used only on first run (when no persisted state exists).
@@ -1556,13 +3687,16 @@
 
 
   async function init() {
+    await openStorage();
+
     // First run bootstrap:
     // If there is no persisted state at all, pull down the bundled starter state file and
-    // feed it through the existing import routine. From that point on, localStorage wins.
+    // feed it through the existing import routine. From that point on, stored data wins.
     const shouldBootstrapFromBundledState = !hasAnyPersistedState();
 
-    state.db = loadDb();
     loadWorkspaces();
+    loadedProfileId = getActiveProfileId();
+    state.db = loadDb();
     const buildData = loadBuild();
     state.build.placedMachines = buildData.placedMachines;
     state.build.connections = buildData.connections;
@@ -1618,6 +3752,10 @@
       }
     }
 
+    // Loading and bootstrapping are not undoable.
+    historyByTab.clear();
+    resetHistoryBaseline();
+
     // Initial calculation + render (coalesced)
     AF.scheduler.flushNow();
 
@@ -1625,6 +3763,9 @@
     setTimeout(() => (AF.render?.updateCameraTransform ? AF.render.updateCameraTransform() : null), 0);
 
     AF.ui.setStatus("Ready.");
+
+    openShareLinkFromLocation();
+    window.addEventListener("hashchange", () => openShareLinkFromLocation());
   }
 
   if (document.readyState === "loading") {
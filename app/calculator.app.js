@@ -37,6 +37,24 @@
     return connection && typeof connection.actualRate === "number" ? connection.actualRate : 0;
   }
 
+  /**
+   * Transport type of a connection. Missing/unknown values are conveyors (older saves).
+   * @param {Connection} connection
+   * @returns {ConnectionTransport}
+   */
+  function getConnectionTransport(connection) {
+    return connection && connection.transport === "thrown" ? "thrown" : "conveyor";
+  }
+
+  /**
+   * Items/min one connection of this transport type can carry (conveyor vs throwing skill).
+   * @param {Connection} connection
+   * @returns {number}
+   */
+  function getTransportSpeed(connection) {
+    return getConnectionTransport(connection) === "thrown" ? getThrowingSpeed() : getConveyorSpeed();
+  }
+
   function getEstimatedCostSignature() {
     const dbMeta = AF.state.db?.meta || {};
     const skills = AF.state.skills || {};
@@ -119,6 +137,7 @@
       toMachineId: childIdMap.get(templateConn.toMachineId),
       fromPortIdx: templateConn.fromPortIdx,
       toPortIdx: templateConn.toPortIdx,
+      transport: templateConn.transport,
       _parentBlueprintId: instanceId,
     }));
 
@@ -804,7 +823,7 @@
         }
         return {
           conn,
-          maxDemand: Infinity,
+          maxDemand: getConnectionTransport(conn) === "thrown" ? getThrowingSpeed() : Infinity,
           currentRate: 0,
           satisfied: false,
           isSink: true
@@ -814,11 +833,15 @@
       const targetMachineData = target.machineId ? AF.core.getMachineById(target.machineId) : null;
       const isStorage = targetMachineData && targetMachineData.kind === "storage";
       const targetEfficiency = target.efficiency !== undefined ? target.efficiency : 1.0;
+      const isThrown = getConnectionTransport(conn) === "thrown";
       
       let maxDemand = getPortInputDemand(target, toPortIdx) * targetEfficiency;
       
-      // Belt speed cap ONLY for storage inputs
-      if (isStorage) {
+      // Conveyor links may stand for several parallel belts, so only storage inputs get the belt cap.
+      // A thrown link is a single thrower and is always capped at throwing speed.
+      if (isThrown) {
+        maxDemand = Math.min(maxDemand, getThrowingSpeed());
+      } else if (isStorage) {
         maxDemand = Math.min(maxDemand, beltSpeed);
       }
       
@@ -889,9 +912,8 @@
       });
 
       const sinkSet = preferred.length > 0 ? preferred : sinks;
-      const share = remaining / sinkSet.length;
-      sinkSet.forEach(info => { info.currentRate += share; });
-      remaining = 0;
+      // Equal split; thrown links into an Export are the only finite sinks.
+      remaining = allocateFairly(sinkSet, remaining);
     }
     
     // Build result map
@@ -1479,10 +1501,37 @@
     const portalCost = AF.state.calc.purchasingCosts.totalCopper || 0;
     AF.state.calc.totalCost = portalCost + totalImportCost;
 
+    // Sales: exports valued at sale price (Shop Profit applied); per-material cost is its realised cost
+    const exportValues = new Map();
+    let totalRevenue = 0;
+    (AF.state.calc.netProduction.exports || new Map()).forEach((rate, materialId) => {
+      if (!(rate > 0.01)) return;
+      const material = AF.core.getMaterialById(materialId);
+      if (!material || !Number.isFinite(material.salePrice)) return;
+      const unitPrice = getProfit(material.salePrice);
+      const realizedCost = calculateRealizedCost(materialId);
+      const revenuePerMinute = rate * unitPrice;
+      const costPerMinute = Number.isFinite(realizedCost) ? rate * realizedCost : null;
+      totalRevenue += revenuePerMinute;
+      exportValues.set(materialId, {
+        rate,
+        material,
+        unitPrice,
+        realizedCost: Number.isFinite(realizedCost) ? realizedCost : null,
+        revenuePerMinute,
+        costPerMinute,
+        profitPerMinute: costPerMinute != null ? revenuePerMinute - costPerMinute : null,
+      });
+    });
+    AF.state.calc.exportValues = exportValues;
+    AF.state.calc.totalRevenue = totalRevenue;
+    AF.state.calc.totalProfit = totalRevenue - AF.state.calc.totalCost;
+
     // Skill/material snapshots (render must not call skill math)
     const skill = {
       conveyorSpeed: getConveyorSpeedCalc(),
       effectiveConveyorSpeed: getEffectiveConveyorSpeedCalc(),
+      throwingSpeed: getThrowingSpeed(),
     };
     AF.state.calc.skill = skill;
 
@@ -1604,6 +1653,9 @@
     });
     AF.state.calc.insufficientMachineIds = insufficientMachineIds;
 
+    // Bottleneck root causes (Production Summary reads this)
+    AF.state.calc.bottlenecks = isEmpty ? [] : analyzeBottlenecks();
+
     // Storage output port rates snapshot (actual rates per output port)
     const storagePortRates = new Map(); // `${storageId}::${portIdx}` -> rate
     storages.forEach(pm => {
@@ -1888,6 +1940,86 @@
     AF.state.calc.port = port;
   }
 
+  /**
+   * Headless entry point: run the full calculation for `{ db, build, skills, settings }` and return the
+   * `CalcState` snapshot plus the annotated build (per-machine `efficiency`, connection `actualRate`).
+   * Inputs are deep-copied and never mutated. `AF.state` is swapped for the duration of the (synchronous)
+   * run, the same way blueprint cost evaluation swaps `AF.state.build`.
+   * Needs only shared.app.js + model.app.js + this file, so it also runs in Node (see app/headless.node.js).
+   *
+   * @param {CalculationInput} input
+   * @returns {{ calc: CalcState, build: { placedMachines: Array<PlacedMachine>, connections: Array<Connection> } }}
+   */
+  function calculateSnapshot(input) {
+    return runIsolatedCalculation(input, (isolated) => ({
+      calc: isolated.calc,
+      build: { placedMachines: isolated.build.placedMachines, connections: isolated.build.connections },
+    }));
+  }
+
+  /**
+   * Run `recalculateAll()` against a private copy of `input`, then let `read` pull results out while the
+   * isolated state is still active (so skill helpers like `getProfit` see the candidate skills).
+   * @template T
+   * @param {CalculationInput} input
+   * @param {(isolated: AppState) => T} read
+   * @returns {T}
+   */
+  function runIsolatedCalculation(input, read) {
+    const copy = (v) => JSON.parse(JSON.stringify(v));
+    const db = copy(input?.db || {});
+    /** @type {AppState} */
+    const isolated = {
+      db: {
+        ...db,
+        materials: db.materials || [],
+        machines: db.machines || [],
+        recipes: db.recipes || [],
+        blueprints: db.blueprints || [],
+      },
+      calc: { lastCalculatedAt: 0 },
+      ui: {},
+      build: {
+        placedMachines: copy(input?.build?.placedMachines || []),
+        connections: copy(input?.build?.connections || []),
+        selectedMachines: [],
+        selectedConnection: null,
+        camera: { x: 0, y: 0, zoom: 1.0 },
+      },
+      workspaces: { version: 1, activeId: null, tabs: [] },
+      blueprintEditStack: [],
+      currentBlueprintEdit: null,
+      blueprintMachineCountCache: {},
+      skills: {
+        conveyorSpeed: 0,
+        throwingSpeed: 0,
+        machineEfficiency: 0,
+        alchemyEfficiency: 0,
+        fuelEfficiency: 0,
+        fertilizerEfficiency: 0,
+        shopProfit: 0,
+        ...(input?.skills ? copy(input.skills) : {}),
+      },
+      settings: input?.settings ? copy(input.settings) : {
+        version: 1,
+        costBlueprints: {
+          fuel: { blueprintId: null, outputMaterialId: null },
+          fertilizer: { blueprintId: null, outputMaterialId: null },
+        },
+      },
+    };
+
+    const saved = AF.state;
+    try {
+      AF.state = isolated;
+      init();
+      recalculateAll();
+      return read(isolated);
+    } finally {
+      AF.state = saved;
+    }
+  }
+
   function calculateMachineEfficiencies() {
     // Get ALL machines in tree (including blueprint children)
     const allMachines = AF.core.getAllMachinesInTree();
@@ -2526,6 +2658,266 @@
     });
   }
 
+  /**
+   * Bottleneck analysis: trace every underclocked machine back to the cause that limits it.
+   * Runs after efficiencies and connection `actualRate`s are solved and only reads them.
+   *
+   * A chain walks from the affected machine towards the root; the last step's kind is the cause:
+   * - "supply": upstream producers already run at 100% and cannot deliver more
+   * - "belt": the required rate exceeds what the connected belt(s) carry (`getEffectiveConveyorSpeed`)
+   * - "fuel": a heating device receives less fuel than its furnace + toppers burn
+   * - "backpressure": downstream consumers (or an unconnected output) take less than the machine makes
+   * - "loop": the trace came back to a machine already on the chain (feedback loop)
+   *
+   * @returns {Array<BottleneckReport>}
+   */
+  function analyzeBottlenecks() {
+    const RATE_EPS = 0.01;
+    const EFFICIENCY_EPS = 1e-3;
+    const beltSpeed = getEffectiveConveyorSpeed();
+    const allMachines = AF.core.getAllMachinesInTree();
+
+    // machineId -> Map(portKey -> Array<Connection>), using resolved ids (blueprint children).
+    const incomingByMachine = new Map();
+    const outgoingByMachine = new Map();
+    const addToGroup = (map, machineId, portKey, conn) => {
+      if (!map.has(machineId)) map.set(machineId, new Map());
+      const ports = map.get(machineId);
+      if (!ports.has(portKey)) ports.set(portKey, []);
+      ports.get(portKey).push(conn);
+    };
+    AF.core.getAllConnectionsInTree().forEach(conn => {
+      const fromId = conn._resolvedFromMachineId || conn.fromMachineId;
+      const toId = conn._resolvedToMachineId || conn.toMachineId;
+      const fromPort = conn._resolvedFromPortIdx !== undefined ? conn._resolvedFromPortIdx : conn.fromPortIdx;
+      const toPort = conn._resolvedToPortIdx !== undefined ? conn._resolvedToPortIdx : conn.toPortIdx;
+      addToGroup(outgoingByMachine, fromId, String(fromPort), conn);
+      addToGroup(incomingByMachine, toId, String(toPort), conn);
+    });
+
+    const sumRates = (conns) => conns.reduce((sum, c) => sum + getConnectionRate(c), 0);
+    const sourceOf = (conn) => AF.core.findMachineInTree(conn._resolvedFromMachineId || conn.fromMachineId);
+    const targetOf = (conn) => AF.core.findMachineInTree(conn._resolvedToMachineId || conn.toMachineId);
+
+    // Only producing machines can be underclocked; storages, portals, exports and blueprint containers are skipped.
+    function isAnalyzable(pm) {
+      if (!pm) return false;
+      if (pm.type === "nursery") return !!pm.plantId;
+      if (pm.type !== "machine") return false;
+      const machine = pm.machineId ? AF.core.getMachineById(pm.machineId) : null;
+      if (!machine || machine.kind === "storage") return false;
+      if (machine.kind === "heating_device") return (pm.toppers || []).some(t => !!t.recipeId);
+      return !!pm.recipeId;
+    }
+
+    // Input ports that receive less than the machine needs at its current efficiency,
+    // or need more than their thrown links can carry. Worst (lowest supplied fraction) first.
+    function findShortages(pm) {
+      const ports = incomingByMachine.get(pm.id);
+      if (!ports) return [];
+      const efficiency = pm.efficiency !== undefined ? pm.efficiency : 1.0;
+      const shortages = [];
+      ports.forEach((conns, port) => {
+        const need = getPortInputDemand(pm, port) * efficiency;
+        if (!(need > RATE_EPS)) return;
+        // Only thrown links are capped on machine inputs; a conveyor link may be several parallel belts.
+        const beltLimit = conns.reduce((sum, c) => sum + (getConnectionTransport(c) === "thrown" ? getThrowingSpeed() : Infinity), 0);
+        const supplied = sumRates(conns);
+        const beltLimited = need > beltLimit + RATE_EPS;
+        if (supplied >= need - RATE_EPS && !beltLimited) return;
+        const source = sourceOf(conns[0]);
+        const fromPort = conns[0]._resolvedFromPortIdx !== undefined ? conns[0]._resolvedFromPortIdx : conns[0].fromPortIdx;
+        shortages.push({
+          port,
+          conns,
+          need,
+          have: Math.min(supplied, beltLimit),
+          beltLimit,
+          beltLimited,
+          materialId: source ? AF.core.getMaterialIdFromPort(source, fromPort, "output") : null,
+        });
+      });
+      return shortages.sort((a, b) => (a.have / a.need) - (b.have / b.need));
+    }
+
+    function listOutputPorts(pm) {
+      const machine = pm.machineId ? AF.core.getMachineById(pm.machineId) : null;
+      if (machine && machine.kind === "heating_device") {
+        const materialIds = new Set();
+        (pm.toppers || []).forEach(t => {
+          const r = t.recipeId ? AF.core.getRecipeById(t.recipeId) : null;
+          (r?.outputs || []).forEach(out => { if (out && out.materialId) materialIds.add(out.materialId); });
+        });
+        return Array.from(materialIds).map(id => `grouped-output-${id}`);
+      }
+      if (pm.type === "nursery") return ["0"];
+      const recipe = pm.recipeId ? AF.core.getRecipeById(pm.recipeId) : null;
+      return (recipe?.outputs || []).map((_, idx) => String(idx));
+    }
+
+    // Demand a consumer places on one connection (Infinity for export sinks).
+    function connectionDemand(conn) {
+      const target = targetOf(conn);
+      if (!target) return 0;
+      if (target.type === "export") {
+        if (target._isChildMachine) return 0;
+        return getConnectionTransport(conn) === "thrown" ? getThrowingSpeed() : Infinity;
+      }
+      const toPort = conn._resolvedToPortIdx !== undefined ? conn._resolvedToPortIdx : conn.toPortIdx;
+      const efficiency = target.efficiency !== undefined ? target.efficiency : 1.0;
+      const machine = target.machineId ? AF.core.getMachineById(target.machineId) : null;
+      const demand = getPortInputDemand(target, toPort) * efficiency;
+      if (getConnectionTransport(conn) === "thrown") return Math.min(demand, getThrowingSpeed());
+      if (machine && machine.kind === "storage") return Math.min(demand, beltSpeed);
+      return demand;
+    }
+
+    function traceMachine(pm, visited, chain) {
+      if (visited.has(pm.id)) {
+        chain.push({ kind: "loop", machineId: pm.id, relatedMachineIds: [], connectionIds: [], materialId: null, rate: 0, limit: 0 });
+        return "loop";
+      }
+      visited.add(pm.id);
+
+      const shortages = findShortages(pm);
+      if (shortages.length > 0) return traceShortage(pm, shortages[0], visited, chain);
+
+      const efficiency = pm.efficiency !== undefined ? pm.efficiency : 1.0;
+      if (efficiency < 1 - EFFICIENCY_EPS) return traceBackpressure(pm, visited, chain);
+      return null;
+    }
+
+    function traceShortage(pm, shortage, visited, chain) {
+      const step = {
+        kind: "starved",
+        machineId: pm.id,
+        relatedMachineIds: [],
+        connectionIds: shortage.conns.map(c => c.id),
+        materialId: shortage.materialId,
+        rate: shortage.have,
+        limit: shortage.need,
+      };
+
+      if (shortage.beltLimited) {
+        chain.push({ ...step, kind: "belt", rate: shortage.need, limit: shortage.beltLimit });
+        return "belt";
+      }
+
+      // Follow the first supplier that is itself limited.
+      const suppliers = [];
+      shortage.conns.forEach(conn => {
+        const source = sourceOf(conn);
+        if (source && !suppliers.includes(source)) suppliers.push(source);
+      });
+      for (const source of suppliers) {
+        if (!isAnalyzable(source)) continue;
+        const upstream = [];
+        const cause = traceMachine(source, visited, upstream);
+        if (cause) {
+          chain.push(step, ...upstream);
+          return cause;
+        }
+      }
+
+      // Every supplier already runs flat out: not enough upstream capacity (or fuel for a heating device).
+      const kind = String(shortage.port) === "fuel" ? "fuel" : "supply";
+      chain.push({ ...step, kind, relatedMachineIds: suppliers.map(s => s.id) });
+      return kind;
+    }
+
+    function traceBackpressure(pm, visited, chain) {
+      const ports = outgoingByMachine.get(pm.id) || new Map();
+
+      // The output with the lowest demand / capacity ratio is the one holding the machine back.
+      let worst = null;
+      listOutputPorts(pm).forEach(port => {
+        const capacity = getPortOutputRate(pm, port);
+        if (!(capacity > RATE_EPS)) return;
+        const conns = ports.get(port) || [];
+        const demand = conns.reduce((sum, c) => sum + connectionDemand(c), 0);
+        const ratio = demand / capacity;
+        if (!worst || ratio < worst.ratio) worst = { port, conns, demand, capacity, ratio };
+      });
+
+      if (!worst) {
+        chain.push({ kind: "backpressure", machineId: pm.id, relatedMachineIds: [], connectionIds: [], materialId: null, rate: 0, limit: 0 });
+        return "backpressure";
+      }
+
+      const step = {
+        kind: "throttled",
+        machineId: pm.id,
+        relatedMachineIds: [],
+        connectionIds: worst.conns.map(c => c.id),
+        materialId: AF.core.getMaterialIdFromPort(pm, worst.port, "output"),
+        rate: Math.min(worst.demand, worst.capacity),
+        limit: worst.capacity,
+      };
+
+      // A consumer that is itself limited passes the problem further along.
+      const consumers = [];
+      worst.conns.forEach(conn => {
+        const target = targetOf(conn);
+        if (target && !consumers.includes(target)) consumers.push(target);
+      });
+      for (const consumer of consumers) {
+        if (!isAnalyzable(consumer)) continue;
+        const downstream = [];
+        const cause = traceMachine(consumer, visited, downstream);
+        if (cause) {
+          chain.push(step, ...downstream);
+          return cause;
+        }
+      }
+
+      // Storage inputs and thrown links are capped at their transport speed.
+      const cappedConns = worst.conns.filter(conn => {
+        const target = targetOf(conn);
+        const machine = target?.machineId ? AF.core.getMachineById(target.machineId) : null;
+        if (machine && machine.kind === "storage") return true;
+        return getConnectionTransport(conn) === "thrown" && connectionDemand(conn) >= getThrowingSpeed() - RATE_EPS;
+      });
+      if (cappedConns.length > 0 && cappedConns.length === worst.conns.length) {
+        chain.push({ ...step, kind: "belt", connectionIds: cappedConns.map(c => c.id), rate: worst.capacity, limit: worst.demand });
+        return "belt";
+      }
+
+      chain.push({ ...step, kind: "backpressure", relatedMachineIds: consumers.map(c => c.id) });
+      return "backpressure";
+    }
+
+    const reports = [];
+    allMachines.forEach(pm => {
+      if (!isAnalyzable(pm)) return;
+      const efficiency = pm.efficiency !== undefined ? pm.efficiency : 1.0;
+      if (efficiency >= 1 - EFFICIENCY_EPS && findShortages(pm).length === 0) return;
+
+      const chain = [];
+      const cause = traceMachine(pm, new Set(), chain);
+      if (!cause || chain.length === 0) return;
+
+      const machineIds = new Set();
+      const connectionIds = new Set();
+      chain.forEach(step => {
+        machineIds.add(step.machineId);
+        step.relatedMachineIds.forEach(id => machineIds.add(id));
+        step.connectionIds.forEach(id => connectionIds.add(id));
+      });
+      const root = chain[chain.length - 1];
+      reports.push({
+        machineId: pm.id,
+        efficiency,
+        cause,
+        rootKey: `${root.kind}::${root.machineId}::${root.connectionIds.join(",")}`,
+        chain,
+        machineIds: Array.from(machineIds),
+        connectionIds: Array.from(connectionIds),
+      });
+    });
+
+    return reports.sort((a, b) => a.efficiency - b.efficiency);
+  }
+
   function getNetProduction(selectedMachineIds = null) {
     // Calculate imports and exports separately - they should NOT cancel each other out!
     // A production line can both export and import the same material type
@@ -2683,12 +3075,15 @@
   
   /**
    * Get detailed information about why a cost can't be calculated
+   * @param {string} materialId
+   * @returns {CostCalculationDetails}
    */
   function getCostCalculationDetails(materialId, depth = 0) {
     const material = AF.core.getMaterialById(materialId);
     if (!material) return { canCalculate: false, reason: "Material not found" };
     
     const details = {
+      materialId,
       materialName: material.name,
       hasBuyPrice: material.buyPrice != null,
       buyPrice: material.buyPrice,
@@ -2715,7 +3110,9 @@
     
     for (const recipe of recipes) {
       const recipeInfo = {
+        recipeId: recipe.id,
         recipeName: recipe.name,
+        machineId: recipe.machineId || null,
         inputs: [],
         canUse: true,
         reason: null,
@@ -2737,6 +3134,7 @@
         const inputMat = AF.core.getMaterialById(input.materialId);
         const inputCost = calculateRealizedCost(input.materialId);
         recipeInfo.inputs.push({
+          materialId: input.materialId,
           materialName: inputMat?.name || "unknown",
           items: input.items,
           cost: inputCost,
@@ -3369,14 +3767,1919 @@
 
 
 
+  // ---------- Skill Allocation Optimizer ----------
+
+  const SKILL_KEYS = [
+    "conveyorSpeed",
+    "throwingSpeed",
+    "machineEfficiency",
+    "alchemyEfficiency",
+    "fuelEfficiency",
+    "fertilizerEfficiency",
+    "shopProfit",
+  ];
+  const MAX_SKILL_LEVEL = 10;
+
+  /**
+   * Objective metrics for one finished (isolated) calculation. Runs while the candidate skills are active.
+   * @param {CalcState} calc
+   * @param {SkillOptimizerOptions} options
+   */
+  function measureSkillObjective(calc, options) {
+    const exportsMap = calc.netProduction?.exports || new Map();
+    let totalExports = 0;
+    exportsMap.forEach((rate) => {
+      if (rate > 0.01) totalExports += rate;
+    });
+
+    const revenuePerMin = Number(calc.totalRevenue) || 0;
+    const costPerMin = Number(calc.totalCost) || 0;
+    const exportRate = options.materialId ? (exportsMap.get(options.materialId) || 0) : totalExports;
+    const profitPerMin = revenuePerMin - costPerMin;
+
+    let score = exportRate;
+    if (options.objective === "profit") score = profitPerMin;
+    if (options.objective === "cost") score = -costPerMin;
+
+    // Enough Machine Efficiency points drive processing time to 0 (infinite rates); never recommend that.
+    const valid = [score, totalExports, costPerMin].every(Number.isFinite);
+    if (!valid) score = -Infinity;
+
+    return { score, valid, exportRate, totalExports, revenuePerMin, costPerMin, profitPerMin };
+  }
+
+  // Negative when `a` ranks above `b`. Ties fall back to total exports so spare points still go somewhere useful.
+  function compareSkillCandidates(a, b) {
+    const EPS = 1e-6;
+    if (a.valid !== b.valid) return a.valid ? -1 : 1;
+    if (Math.abs(b.score - a.score) > EPS) return b.score - a.score;
+    if (Math.abs(b.totalExports - a.totalExports) > EPS) return b.totalExports - a.totalExports;
+    return 0;
+  }
+
+  /**
+   * Find the skill allocation (all seven skills, 0-10 each) that maximizes an objective for a build.
+   *
+   * Each candidate is a full headless recalculation (`runIsolatedCalculation`), so the search is kept small:
+   * greedy +1 steps from zero up to `budget`, then pairwise "move one point" swaps until nothing improves.
+   * Yields to the event loop between batches so the dialog can show progress.
+   *
+   * @param {SkillOptimizerOptions} options
+   * @param {(evaluations: number) => void} [onProgress]
+   * @returns {Promise<SkillOptimizerResult>}
+   */
+  async function optimizeSkillAllocation(options, onProgress) {
+    const maxBudget = SKILL_KEYS.length * MAX_SKILL_LEVEL;
+    const budget = Math.max(0, Math.min(maxBudget, Math.floor(Number(options.budget) || 0)));
+    const build = options.build || AF.state.build;
+    const input = {
+      db: AF.state.db,
+      build: { placedMachines: build.placedMachines || [], connections: build.connections || [] },
+      settings: AF.state.settings,
+    };
+
+    const keyOf = (skills) => SKILL_KEYS.map(k => skills[k] || 0).join(",");
+    /** @type {Map<string, SkillAllocationCandidate>} */
+    const memo = new Map();
+    let evaluations = 0;
+    let lastYield = Date.now();
+
+    async function evaluate(skills) {
+      const key = keyOf(skills);
+      if (memo.has(key)) return memo.get(key);
+      const metrics = runIsolatedCalculation({ ...input, skills }, (isolated) => measureSkillObjective(isolated.calc, options));
+      const points = SKILL_KEYS.reduce((sum, k) => sum + (skills[k] || 0), 0);
+      const candidate = { skills: { ...skills }, points, ...metrics };
+      memo.set(key, candidate);
+      evaluations++;
+      if (Date.now() - lastYield > 50) {
+        onProgress?.(evaluations);
+        await new Promise(resolve => setTimeout(resolve, 0));
+        lastYield = Date.now();
+      }
+      return candidate;
+    }
+
+    const zero = {};
+    SKILL_KEYS.forEach(k => { zero[k] = 0; });
+    let best = await evaluate(zero);
+
+    // 1) Greedy: spend one point at a time on the skill with the best marginal gain.
+    for (let step = 0; step < budget; step++) {
+      let stepBest = null;
+      for (const k of SKILL_KEYS) {
+        if (best.skills[k] >= MAX_SKILL_LEVEL) continue;
+        const candidate = await evaluate({ ...best.skills, [k]: best.skills[k] + 1 });
+        if (!stepBest || compareSkillCandidates(candidate, stepBest) < 0) stepBest = candidate;
+      }
+      if (!stepBest) break;
+      best = stepBest;
+    }
+
+    // 2) Local search: greedy misses skills that only pay off after several points.
+    for (let round = 0; round < 6; round++) {
+      let improved = false;
+      for (const from of SKILL_KEYS) {
+        if (best.skills[from] <= 0) continue;
+        for (const to of SKILL_KEYS) {
+          if (to === from || best.skills[to] >= MAX_SKILL_LEVEL) continue;
+          const candidate = await evaluate({ ...best.skills, [from]: best.skills[from] - 1, [to]: best.skills[to] + 1 });
+          if (compareSkillCandidates(candidate, best) < 0) {
+            best = candidate;
+            improved = true;
+          }
+        }
+      }
+      if (!improved) break;
+    }
+
+    const current = await evaluate({ ...zero, ...(AF.state.skills || {}) });
+    const ranked = Array.from(memo.values())
+      .filter(c => c.valid && c.points === best.points)
+      .sort(compareSkillCandidates)
+      .slice(0, Math.max(1, Number(options.limit) || 10));
+
+    onProgress?.(evaluations);
+    return {
+      objective: options.objective,
+      materialId: options.materialId || null,
+      budget,
+      ranked,
+      current,
+      evaluations,
+    };
+  }
+
+  // ---------- Time-Domain Simulation ----------
+
+  const SIM_DEFAULT_DURATION_MIN = 30;
+  const SIM_MAX_STEPS = 40000;
+  const SIM_SAMPLES = 180;
+  const SIM_EPS = 1e-9;
+
+  /**
+   * Run a build forward in time from empty buffers (storages start at their manual amounts).
+   *
+   * The steady-state calculator answers "what rate does this settle at"; the simulator answers "how does it
+   * get there": machines run whole cycles, each port buffers one stack (at least two cycles' worth) per
+   * machine, storages hold `stackSize` × slots, heating devices burn fuel items for heat and links move at most
+   * their belt/thrower capacity. Unconnected inputs are imported and unconnected outputs discarded, like the
+   * calculator's virtual source/sink.
+   *
+   * @param {CalculationInput} input
+   * @param {SimulationOptions} [options]
+   * @returns {SimulationResult}
+   */
+  function simulateBuild(input, options = {}) {
+    return runIsolatedCalculation(input, () => runSimulation(createSimulationModel(), options));
+  }
+
+  function simPortKey(machineId, portIdx) {
+    return `${machineId}::${String(portIdx)}`;
+  }
+
+  function createSimBuffer(materialId, capacity) {
+    return { materialId, amount: 0, capacity, imported: false, discard: false };
+  }
+
+  /**
+   * Flatten the (already recalculated) build into simulation nodes and links.
+   * Must run while the isolated state is active.
+   */
+  function createSimulationModel() {
+    const calc = AF.state.calc;
+    const unitsOf = (pm) => (pm.count || 1) * (calc.countMultiplierByMachineId?.get?.(pm.id) ?? 1);
+    const stackOf = (materialId) => Math.max(1, Number(AF.core.getMaterialById(materialId)?.stackSize) || 1);
+    // Fuel/fertilizer slots hold at least two items so the next one is queued while the last burns.
+    const slotOf = (materialId, units) => Math.max(2, stackOf(materialId)) * units;
+
+    /** @type {Map<string, Object>} */
+    const nodes = new Map();
+
+    AF.core.getAllMachinesInTree().forEach(pm => {
+      if (!pm || !pm.id) return;
+      const machine = pm.machineId ? AF.core.getMachineById(pm.machineId) : null;
+      const node = {
+        id: pm.id,
+        pm,
+        kind: null,
+        units: unitsOf(pm),
+        inputs: new Map(),
+        outputs: new Map(),
+        groups: [],
+        firstOutputAt: null,
+        busyUnitSec: 0,
+        producedItems: 0,
+      };
+
+      if (pm.type === "purchasing_portal") {
+        node.kind = "portal";
+        node.materialId = pm.materialId || null;
+        node.ratePerMin = getConveyorSpeed() * node.units;
+      } else if (pm.type === "export") {
+        node.kind = "export";
+        // Blueprint-internal Export nodes are metadata-only (see calculator rules).
+        node.accepts = !pm._isChildMachine;
+      } else if (pm.type === "storage" || machine?.kind === "storage") {
+        node.kind = "storage";
+        node.slots = Number(pm.storageSlots || machine?.storageSlots) || Infinity;
+        node.stock = new Map();
+        (pm.manualInventories || []).forEach(inv => {
+          if (inv && inv.materialId) node.stock.set(inv.materialId, Math.max(0, Number(inv.currentAmount) || 0));
+        });
+      } else if (pm.type === "nursery") {
+        const plant = pm.plantId ? AF.core.getMaterialById(pm.plantId) : null;
+        if (!plant || !(plant.plantRequiredNutrient > 0)) return;
+        node.kind = "nursery";
+        node.requiredNutrient = plant.plantRequiredNutrient;
+        node.nutrient = 0;
+        node.growth = 0;
+        node.outputs.set("0", createSimBuffer(plant.id, slotOf(plant.id, node.units)));
+      } else if (machine?.kind === "heating_device") {
+        node.kind = "heating";
+        node.baseHeatP = getFuelConsumptionRate(machine.baseHeatConsumptionP || 1);
+        node.heat = 0;
+        node.fuelBurned = 0;
+        (pm.toppers || []).forEach(t => {
+          const topper = AF.core.getMachineById(t.machineId);
+          const recipe = t.recipeId ? AF.core.getRecipeById(t.recipeId) : null;
+          if (!topper || !recipe || !(recipe.processingTimeSec > 0)) return;
+          const group = createSimGroup(node, recipe, (dir, io) => `grouped-${dir}-${io.materialId}`, stackOf);
+          group.heatP = getFuelConsumptionRate(topper.heatConsumptionP || 0);
+          node.groups.push(group);
+        });
+      } else if (pm.recipeId) {
+        const recipe = AF.core.getRecipeById(pm.recipeId);
+        if (!recipe || !(recipe.processingTimeSec > 0)) return;
+        node.kind = "machine";
+        node.groups.push(createSimGroup(node, recipe, (dir, io, idx) => String(idx), stackOf));
+      } else {
+        return;
+      }
+      nodes.set(pm.id, node);
+    });
+
+    // Heating devices address topper ports by material; fold legacy `topper-i-j` ports onto them.
+    const normalizePort = (node, portIdx, dir) => {
+      if (node.kind !== "heating" || typeof portIdx !== "string" || !portIdx.startsWith("topper-")) return String(portIdx);
+      const materialId = AF.core.getMaterialIdFromPort(node.pm, portIdx, dir);
+      return `grouped-${dir}-${materialId}`;
+    };
+
+    const links = [];
+    const connectedInputs = new Set();
+    const connectedOutputs = new Set();
+    AF.core.getAllConnectionsInTree().forEach(conn => {
+      const fromId = conn._resolvedFromMachineId || conn.fromMachineId;
+      const toId = conn._resolvedToMachineId || conn.toMachineId;
+      const from = nodes.get(fromId);
+      const to = nodes.get(toId);
+      if (!from || !to) return;
+      const fromPort = normalizePort(from, conn._resolvedFromPortIdx !== undefined ? conn._resolvedFromPortIdx : conn.fromPortIdx, "output");
+      const toPort = normalizePort(to, conn._resolvedToPortIdx !== undefined ? conn._resolvedToPortIdx : conn.toPortIdx, "input");
+
+      let materialId = from.kind === "storage"
+        ? (AF.core.getMaterialIdFromPort(to.pm, toPort, "input") || calc.port?.outputMaterial?.get(simPortKey(fromId, fromPort)) || null)
+        : AF.core.getMaterialIdFromPort(from.pm, fromPort, "output");
+      if (from.kind === "portal") materialId = from.materialId;
+      if (!materialId) return;
+
+      // A conveyor link stands for as many belts as its steady-state rate needs (the "(Nx)" label);
+      // storage inputs are single belts and a thrown link is one thrower.
+      let capacityPerMin = getTransportSpeed(conn);
+      if (getConnectionTransport(conn) === "conveyor" && to.kind !== "storage") {
+        capacityPerMin *= Math.max(1, Math.ceil(getConnectionRate(conn) / capacityPerMin - 1e-6));
+      }
+
+      if (to.kind === "nursery" && toPort === "0" && !to.inputs.has("0")) {
+        to.inputs.set("0", createSimBuffer(materialId, slotOf(materialId, to.units)));
+      }
+      if (to.kind === "heating" && toPort === "fuel" && !to.inputs.has("fuel")) {
+        to.inputs.set("fuel", createSimBuffer(materialId, slotOf(materialId, to.units)));
+      }
+
+      connectedInputs.add(simPortKey(toId, toPort));
+      connectedOutputs.add(simPortKey(fromId, fromPort));
+      links.push({
+        id: conn.id || null,
+        from,
+        fromKey: fromPort,
+        to,
+        toKey: toPort,
+        materialId,
+        capacityPerMin,
+        moved: 0,
+      });
+    });
+
+    // Unconnected ports behave like the calculator's virtual source (import) and virtual sink (discard).
+    nodes.forEach(node => {
+      if (node.kind === "nursery" && !node.inputs.has("0") && node.pm.fertilizerId) {
+        const buf = createSimBuffer(node.pm.fertilizerId, slotOf(node.pm.fertilizerId, node.units));
+        buf.imported = true;
+        node.inputs.set("0", buf);
+      }
+      if (node.kind === "heating" && !node.inputs.has("fuel") && node.pm.previewFuelId) {
+        const buf = createSimBuffer(node.pm.previewFuelId, slotOf(node.pm.previewFuelId, node.units));
+        buf.imported = true;
+        node.inputs.set("fuel", buf);
+      }
+      node.inputs.forEach((buf, key) => {
+        if (!connectedInputs.has(simPortKey(node.id, key)) && key !== "fuel" && node.kind !== "nursery") buf.imported = true;
+      });
+      node.outputs.forEach((buf, key) => {
+        if (!connectedOutputs.has(simPortKey(node.id, key))) buf.discard = true;
+      });
+      if (node.kind === "heating") {
+        const fuel = node.inputs.get("fuel");
+        const material = fuel ? AF.core.getMaterialById(fuel.materialId) : null;
+        // No known fuel: the calculator treats heat as available, so the simulator does too.
+        node.fuelValue = material && material.isFuel && material.fuelValue > 0 ? getFuelHeatValue(material.fuelValue) : null;
+      }
+      if (node.kind === "nursery") {
+        const fert = node.inputs.get("0");
+        const material = fert ? AF.core.getMaterialById(fert.materialId) : null;
+        const usable = material && material.isFertilizer && material.fertilizerMaxFertility > 0 && material.fertilizerNutrientValue > 0;
+        node.fertility = usable ? material.fertilizerMaxFertility : 0;
+        node.nutrientValue = usable ? getFertilizerValue(material.fertilizerNutrientValue) : 0;
+      }
+    });
+
+    return { nodes, links };
+  }
+
+  /**
+   * One recipe running on `node.units` identical machines (or one topper slot on every heating device).
+   * Shares port buffers with other groups on the same node (heating devices group ports by material).
+   */
+  function createSimGroup(node, recipe, portOf, stackOf) {
+    const bind = (dir, list, map) => (list || []).map((io, idx) => {
+      if (!io || !io.materialId || !(io.items > 0)) return null;
+      const key = portOf(dir, io, idx);
+      const perUnit = Math.max(stackOf(io.materialId), 2 * io.items);
+      const buf = map.get(key);
+      if (buf) buf.capacity += perUnit * node.units;
+      else map.set(key, createSimBuffer(io.materialId, perUnit * node.units));
+      return { key, items: io.items };
+    }).filter(Boolean);
+
+    return {
+      recipeId: recipe.id,
+      timeSec: getFactoryEfficiency(recipe.processingTimeSec),
+      inputs: bind("input", recipe.inputs, node.inputs),
+      outputs: bind("output", recipe.outputs, node.outputs),
+      batches: [],
+      credit: [],
+      heatP: 0,
+    };
+  }
+
+  function simGroupActiveUnits(group) {
+    return group.batches.reduce((sum, b) => sum + b.units, 0);
+  }
+
+  // Start as many idle machines as inputs and output room allow. Output room is reserved up front so a
+  // finished cycle never overflows its buffer. Machines that finished part-way through the last step restart
+  // with that time credited, so cycle times don't round up to whole steps.
+  function startSimGroup(node, group) {
+    const credit = group.credit;
+    group.credit = [];
+    let k = node.units - simGroupActiveUnits(group);
+    group.inputs.forEach(io => {
+      k = Math.min(k, Math.floor((node.inputs.get(io.key).amount + SIM_EPS) / io.items));
+    });
+    group.outputs.forEach(io => {
+      const buf = node.outputs.get(io.key);
+      k = Math.min(k, Math.floor((buf.capacity - buf.amount - (buf.reserved || 0) + SIM_EPS) / io.items));
+    });
+    if (!(k > 0)) return;
+    group.inputs.forEach(io => { node.inputs.get(io.key).amount -= k * io.items; });
+    group.outputs.forEach(io => {
+      const buf = node.outputs.get(io.key);
+      buf.reserved = (buf.reserved || 0) + k * io.items;
+    });
+    for (const c of credit) {
+      if (k <= 0) break;
+      const units = Math.min(k, c.units);
+      group.batches.push({ units, remaining: group.timeSec - c.sec });
+      k -= units;
+    }
+    if (k > 0) group.batches.push({ units: k, remaining: group.timeSec });
+  }
+
+  function advanceSimGroup(node, group, dt, factor, time) {
+    if (group.batches.length === 0) return;
+    node.busyUnitSec += simGroupActiveUnits(group) * dt * factor;
+    const running = [];
+    group.batches.forEach(batch => {
+      batch.remaining -= dt * factor;
+      if (batch.remaining > SIM_EPS) {
+        running.push(batch);
+        return;
+      }
+      group.outputs.forEach(io => {
+        const buf = node.outputs.get(io.key);
+        buf.amount += batch.units * io.items;
+        buf.reserved -= batch.units * io.items;
+        node.producedItems += batch.units * io.items;
+      });
+      if (node.firstOutputAt === null) node.firstOutputAt = time;
+      group.credit.push({ units: batch.units, sec: Math.min(-batch.remaining / Math.max(factor, SIM_EPS), dt) });
+    });
+    group.batches = running;
+  }
+
+  function stepSimNode(node, dt, time) {
+    node.inputs.forEach(buf => {
+      if (buf.imported) {
+        node.imported = node.imported || new Map();
+        node.imported.set(buf.materialId, (node.imported.get(buf.materialId) || 0) + (buf.capacity - buf.amount));
+        buf.amount = buf.capacity;
+      }
+    });
+
+    if (node.kind === "machine") {
+      node.groups.forEach(group => {
+        startSimGroup(node, group);
+        advanceSimGroup(node, group, dt, 1, time);
+      });
+    } else if (node.kind === "heating") {
+      node.groups.forEach(group => startSimGroup(node, group));
+      let activeDevices = 0;
+      let heatNeeded = 0;
+      node.groups.forEach(group => {
+        const active = simGroupActiveUnits(group);
+        activeDevices = Math.max(activeDevices, active);
+        heatNeeded += group.heatP * active * dt;
+      });
+      heatNeeded += node.baseHeatP * activeDevices * dt;
+
+      let factor = 1;
+      if (node.fuelValue && heatNeeded > 0) {
+        const fuel = node.inputs.get("fuel");
+        while (node.heat < heatNeeded && fuel.amount >= 1 - SIM_EPS) {
+          fuel.amount -= 1;
+          node.fuelBurned += 1;
+          node.heat += node.fuelValue;
+        }
+        factor = Math.min(1, node.heat / heatNeeded);
+        node.heat -= heatNeeded * factor;
+      }
+      node.groups.forEach(group => advanceSimGroup(node, group, dt, factor, time));
+    } else if (node.kind === "nursery") {
+      const out = node.outputs.get("0");
+      const fert = node.inputs.get("0");
+      if (!fert || !(node.fertility > 0) || out.amount + node.units > out.capacity + SIM_EPS) return;
+      const need = node.fertility * node.units * dt;
+      while (node.nutrient < need && fert.amount >= 1 - SIM_EPS) {
+        fert.amount -= 1;
+        node.nutrient += node.nutrientValue;
+      }
+      const used = Math.min(need, node.nutrient);
+      node.nutrient -= used;
+      node.busyUnitSec += (used / need) * node.units * dt;
+      node.growth += used / node.units;
+      if (node.growth >= node.requiredNutrient - SIM_EPS) {
+        node.growth -= node.requiredNutrient;
+        out.amount += node.units;
+        node.producedItems += node.units;
+        if (node.firstOutputAt === null) node.firstOutputAt = time;
+      }
+    } else if (node.kind === "portal") {
+      node.supplyLeft = node.ratePerMin * dt / 60;
+    }
+  }
+
+  function simStorageRoom(node, materialId) {
+    const stackOf = (id) => Math.max(1, Number(AF.core.getMaterialById(id)?.stackSize) || 1);
+    let usedSlots = 0;
+    node.stock.forEach((amount, id) => { usedSlots += Math.ceil(amount / stackOf(id) - SIM_EPS); });
+    const stack = stackOf(materialId);
+    const amount = node.stock.get(materialId) || 0;
+    const partial = Math.ceil(amount / stack - SIM_EPS) * stack - amount;
+    return Math.max(0, (node.slots - usedSlots) * stack + partial);
+  }
+
+  function simLinkAvailable(link) {
+    const from = link.from;
+    if (from.kind === "portal") return from.supplyLeft || 0;
+    if (from.kind === "storage") return from.stock.get(link.materialId) || 0;
+    return from.outputs.get(link.fromKey)?.amount || 0;
+  }
+
+  function simLinkRoom(link) {
+    const to = link.to;
+    if (to.kind === "export") return to.accepts ? Infinity : 0;
+    if (to.kind === "storage") return simStorageRoom(to, link.materialId);
+    const buf = to.inputs.get(link.toKey);
+    if (!buf || buf.imported || buf.materialId !== link.materialId) return 0;
+    return Math.max(0, buf.capacity - buf.amount);
+  }
+
+  function simLinkMove(link, amount, totals) {
+    const { from, to } = link;
+    if (from.kind === "portal") from.supplyLeft -= amount;
+    else if (from.kind === "storage") from.stock.set(link.materialId, (from.stock.get(link.materialId) || 0) - amount);
+    else from.outputs.get(link.fromKey).amount -= amount;
+
+    if (to.kind === "export") totals.exported.set(link.materialId, (totals.exported.get(link.materialId) || 0) + amount);
+    else if (to.kind === "storage") to.stock.set(link.materialId, (to.stock.get(link.materialId) || 0) + amount);
+    else to.inputs.get(link.toKey).amount += amount;
+    link.moved += amount;
+  }
+
+  // Links leaving the same port share what is there: equal shares first, leftovers to whoever still has room.
+  function transferSimLinks(linksBySource, dt, totals) {
+    linksBySource.forEach(group => {
+      const budget = new Map(group.map(link => [link, link.capacityPerMin * dt / 60]));
+      for (let pass = 0; pass < 2; pass++) {
+        let open = group.filter(link => budget.get(link) > SIM_EPS);
+        let available = simLinkAvailable(group[0]);
+        open.forEach((link, idx) => {
+          if (link.from.kind === "storage") available = simLinkAvailable(link);
+          const share = link.from.kind === "storage" ? available : available / (open.length - idx);
+          const amount = Math.min(share, budget.get(link), simLinkRoom(link));
+          if (!(amount > SIM_EPS)) return;
+          simLinkMove(link, amount, totals);
+          budget.set(link, budget.get(link) - amount);
+          available -= amount;
+        });
+      }
+    });
+  }
+
+  /**
+   * Strongly connected groups of nodes (Tarjan); only real cycles are returned.
+   * @returns {Array<Array<string>>}
+   */
+  function findSimLoops(nodes, links) {
+    const next = new Map();
+    links.forEach(link => {
+      if (!next.has(link.from.id)) next.set(link.from.id, new Set());
+      next.get(link.from.id).add(link.to.id);
+    });
+    const index = new Map();
+    const low = new Map();
+    const stack = [];
+    const onStack = new Set();
+    const loops = [];
+    let counter = 0;
+
+    function visit(id) {
+      index.set(id, counter);
+      low.set(id, counter);
+      counter++;
+      stack.push(id);
+      onStack.add(id);
+      (next.get(id) || []).forEach(to => {
+        if (!index.has(to)) {
+          visit(to);
+          low.set(id, Math.min(low.get(id), low.get(to)));
+        } else if (onStack.has(to)) {
+          low.set(id, Math.min(low.get(id), index.get(to)));
+        }
+      });
+      if (low.get(id) !== index.get(id)) return;
+      const component = [];
+      let member;
+      do {
+        member = stack.pop();
+        onStack.delete(member);
+        component.push(member);
+      } while (member !== id);
+      if (component.length > 1 || next.get(id)?.has(id)) loops.push(component);
+    }
+
+    nodes.forEach((node, id) => { if (!index.has(id)) visit(id); });
+    return loops;
+  }
+
+  /**
+   * @param {{ nodes: Map<string, Object>, links: Array<Object> }} model
+   * @param {SimulationOptions} options
+   * @returns {SimulationResult}
+   */
+  function runSimulation(model, options) {
+    const { nodes, links } = model;
+    const durationMin = Math.max(1, Number(options.durationMin) || SIM_DEFAULT_DURATION_MIN);
+    const durationSec = durationMin * 60;
+
+    // Steps must be shorter than the fastest cycle so every machine can finish a cycle per step.
+    let fastest = Infinity;
+    nodes.forEach(node => node.groups.forEach(g => { if (g.timeSec > 0) fastest = Math.min(fastest, g.timeSec); }));
+    const stepSec = Number(options.stepSec) > 0
+      ? Number(options.stepSec)
+      : Math.max(durationSec / SIM_MAX_STEPS, Math.min(1, fastest / 4));
+    const steps = Math.min(SIM_MAX_STEPS, Math.ceil(durationSec / stepSec));
+    const dt = durationSec / steps;
+    const sampleEvery = Math.max(1, Math.round(steps / SIM_SAMPLES));
+
+    const linksBySource = new Map();
+    links.forEach(link => {
+      const key = link.from.kind === "storage" ? `${link.from.id}::${link.materialId}` : simPortKey(link.from.id, link.fromKey);
+      if (!linksBySource.has(key)) linksBySource.set(key, []);
+      linksBySource.get(key).push(link);
+    });
+
+    const totals = { exported: new Map() };
+    const times = [];
+    /** @type {Map<string, SimulationSeries>} */
+    const stockSeries = new Map();
+    const bufferSeries = new Map();
+    const exportSeries = new Map();
+    const utilization = { key: "utilization", machineId: null, materialId: null, values: [] };
+    const firstExportAt = new Map();
+    // Items arrive in whole cycles, so export rates are averaged over a trailing minute (at least one sample).
+    const exportedHistory = [];
+    let lastBusy = 0;
+    let sampleIdx = 0;
+
+    const producers = Array.from(nodes.values()).filter(n => n.kind === "machine" || n.kind === "heating" || n.kind === "nursery");
+    const totalUnits = producers.reduce((sum, n) => sum + n.units * Math.max(1, n.groups.length), 0);
+
+    const pushSample = (series, key, meta, value) => {
+      if (!series.has(key)) series.set(key, { key, ...meta, values: new Array(sampleIdx).fill(0) });
+      series.get(key).values.push(value);
+    };
+
+    function sample(time, intervalSec) {
+      times.push(time / 60);
+      nodes.forEach(node => {
+        if (node.kind !== "storage") return;
+        node.stock.forEach((amount, materialId) => {
+          pushSample(stockSeries, `${node.id}::${materialId}`, { machineId: node.id, materialId }, amount);
+        });
+      });
+
+      const buffered = new Map();
+      producers.forEach(node => {
+        [...node.inputs.values(), ...node.outputs.values()].forEach(buf => {
+          if (buf.imported || buf.discard) return;
+          buffered.set(buf.materialId, (buffered.get(buf.materialId) || 0) + buf.amount);
+        });
+      });
+      buffered.forEach((amount, materialId) => pushSample(bufferSeries, materialId, { machineId: null, materialId }, amount));
+
+      exportedHistory.push({ time, exported: new Map(totals.exported) });
+      const from = exportedHistory.find(h => h.time >= time - Math.max(60, intervalSec) - SIM_EPS);
+      totals.exported.forEach((amount, materialId) => {
+        const spanSec = time - from.time;
+        const rate = spanSec > 0 ? (amount - (from.exported.get(materialId) || 0)) / spanSec * 60 : 0;
+        pushSample(exportSeries, materialId, { machineId: null, materialId }, rate);
+      });
+
+      const busy = producers.reduce((sum, n) => sum + n.busyUnitSec, 0);
+      utilization.values.push(intervalSec > 0 && totalUnits > 0 ? (busy - lastBusy) / (intervalSec * totalUnits) : 0);
+      lastBusy = busy;
+
+      // Series that appeared earlier but have no value this sample read as 0.
+      sampleIdx++;
+      [stockSeries, bufferSeries, exportSeries].forEach(map => map.forEach(s => {
+        while (s.values.length < sampleIdx) s.values.push(0);
+      }));
+    }
+
+    const finalWindowStart = Math.floor(steps * 0.9);
+    let windowExported = null;
+    let windowProduced = null;
+
+    sample(0, 0);
+    for (let step = 1; step <= steps; step++) {
+      const time = step * dt;
+      nodes.forEach(node => stepSimNode(node, dt, time));
+      transferSimLinks(linksBySource, dt, totals);
+
+      // Unconnected outputs go to the calculator's virtual sink: count them as exports.
+      producers.forEach(node => node.outputs.forEach(buf => {
+        if (!buf.discard || !(buf.amount > 0)) return;
+        totals.exported.set(buf.materialId, (totals.exported.get(buf.materialId) || 0) + buf.amount);
+        buf.amount = 0;
+      }));
+      totals.exported.forEach((amount, materialId) => {
+        if (amount > SIM_EPS && !firstExportAt.has(materialId)) firstExportAt.set(materialId, time / 60);
+      });
+
+      if (step === finalWindowStart) {
+        windowExported = new Map(totals.exported);
+        windowProduced = new Map(producers.map(n => [n.id, { items: n.producedItems, busy: n.busyUnitSec }]));
+      }
+      if (step % sampleEvery === 0 || step === steps) sample(time, (step % sampleEvery === 0 ? sampleEvery : step % sampleEvery) * dt);
+    }
+
+    const windowMin = (steps - finalWindowStart) * dt / 60;
+    const steadyExports = AF.state.calc.netProduction?.exports || new Map();
+
+    const machines = producers.map(node => {
+      const start = windowProduced?.get(node.id) || { items: 0, busy: 0 };
+      const slots = node.units * Math.max(1, node.groups.length);
+      return {
+        machineId: node.id,
+        units: node.units,
+        firstOutputMin: node.firstOutputAt === null ? null : node.firstOutputAt / 60,
+        finalUtilization: slots > 0 && windowMin > 0 ? (node.busyUnitSec - start.busy) / (slots * windowMin * 60) : 0,
+        steadyEfficiency: Number.isFinite(node.pm.efficiency) ? node.pm.efficiency : 1,
+        fuelBurned: node.fuelBurned || 0,
+      };
+    });
+
+    const exportMaterialIds = new Set([...totals.exported.keys(), ...steadyExports.keys()]);
+    const exports = Array.from(exportMaterialIds).map(materialId => ({
+      materialId,
+      total: totals.exported.get(materialId) || 0,
+      firstAtMin: firstExportAt.has(materialId) ? firstExportAt.get(materialId) : null,
+      finalRate: windowMin > 0 ? ((totals.exported.get(materialId) || 0) - (windowExported?.get(materialId) || 0)) / windowMin : 0,
+      steadyRate: steadyExports.get(materialId) || 0,
+    }));
+
+    const loops = findSimLoops(nodes, links).map(ids => {
+      const members = ids.map(id => nodes.get(id)).filter(n => producers.includes(n));
+      const allStarted = members.length > 0 && members.every(n => n.firstOutputAt !== null);
+      const finalItems = members.reduce((sum, n) => sum + n.producedItems - (windowProduced?.get(n.id)?.items || 0), 0);
+      return {
+        machineIds: ids,
+        startsUp: allStarted && finalItems > SIM_EPS,
+        startedAtMin: allStarted ? Math.max(...members.map(n => n.firstOutputAt)) / 60 : null,
+        finalItemsPerMin: windowMin > 0 ? finalItems / windowMin : 0,
+      };
+    });
+
+    const imports = new Map();
+    nodes.forEach(node => (node.imported || new Map()).forEach((amount, materialId) => {
+      imports.set(materialId, (imports.get(materialId) || 0) + amount);
+    }));
+
+    return {
+      durationMin,
+      stepSec: dt,
+      times,
+      stock: Array.from(stockSeries.values()),
+      buffers: Array.from(bufferSeries.values()),
+      exportRate: Array.from(exportSeries.values()),
+      utilization,
+      machines,
+      exports,
+      loops,
+      imports: Array.from(imports.entries()).map(([materialId, total]) => ({ materialId, total })),
+    };
+  }
+
+  // ---------- Target-Rate Planner ----------
+
+  const PLAN_MAX_ITERATIONS = 200;
+  const PLAN_COLUMN_WIDTH = 420;
+  const PLAN_ROW_GAP = 40;
+
+  /**
+   * Pick the recipe the planner uses to produce a material.
+   * Mirrors the cost estimator: the `preferredForCost` recipe wins, otherwise the first producing recipe.
+   * @param {string} materialId
+   * @returns {(Recipe|null)}
+   */
+  function choosePlanningRecipe(materialId) {
+    const producing = getPlanningRecipes(materialId);
+    if (!producing.length) return null;
+    return producing.find(r => !!r.preferredForCost) || producing[0];
+  }
+
+  /**
+   * All recipes the planner can run to produce a material (machine set, positive time).
+   * @param {string} materialId
+   * @returns {Array<Recipe>}
+   */
+  function getPlanningRecipes(materialId) {
+    return (AF.state.db.recipes || []).filter(r =>
+      r && r.machineId && r.processingTimeSec > 0 &&
+      (r.outputs || []).some(o => o && o.materialId === materialId && o.items > 0)
+    );
+  }
+
+  function isUsablePlanningFertilizer(m) {
+    return !!m && m.isFertilizer && m.fertilizerMaxFertility > 0 && m.fertilizerNutrientValue > 0;
+  }
+
+  function resolvePlanningFuel(fuelMaterialId) {
+    const fromSettings = AF.state.settings?.costBlueprints?.fuel?.outputMaterialId || null;
+    const candidates = [fuelMaterialId, fromSettings].filter(Boolean).map(id => AF.core.getMaterialById(id));
+    return candidates.find(m => m && m.isFuel && m.fuelValue > 0) || null;
+  }
+
+  function resolvePlanningFertilizer(fertilizerId) {
+    const fromSettings = AF.state.settings?.costBlueprints?.fertilizer?.outputMaterialId || null;
+    const preferred = [fertilizerId, fromSettings].filter(Boolean).map(id => AF.core.getMaterialById(id)).find(isUsablePlanningFertilizer);
+    return preferred || (AF.state.db.materials || []).find(isUsablePlanningFertilizer) || null;
+  }
+
+  function resolvePlanningContext(options) {
+    const requestedDevice = options.heatingDeviceId ? AF.core.getMachineById(options.heatingDeviceId) : null;
+    return {
+      heatingDevice: (requestedDevice && requestedDevice.kind === "heating_device")
+        ? requestedDevice
+        : ((AF.state.db.machines || []).find(m => m && m.kind === "heating_device") || null),
+      fuel: resolvePlanningFuel(options.fuelMaterialId),
+      fertilizer: resolvePlanningFertilizer(options.fertilizerId),
+    };
+  }
+
+  /**
+   * How many toppers of a machine fit on one heating device.
+   * @param {Machine} device
+   * @param {(Machine|null)} topperMachine
+   */
+  function getToppersPerHeatingDevice(device, topperMachine) {
+    const area = (device.heatingAreaWidth || 1) * (device.heatingAreaLength || 1);
+    const footprint = (topperMachine?.footprintWidth || 1) * (topperMachine?.footprintLength || 1);
+    return Math.max(1, Math.floor(area / footprint));
+  }
+
+  /** @returns {ProductionPlanNode} */
+  function createPlanNode(id, materialId, kind) {
+    return {
+      id,
+      materialId,
+      kind,
+      recipeId: null,
+      machineId: null,
+      fertilizerId: null,
+      reason: null,
+      rate: 0,
+      machinesExact: 0,
+      count: 0,
+      toppersPerDevice: 0,
+      heatP: 0,
+      fuelRate: 0,
+      depth: 0,
+      inputs: [],
+      outputs: [],
+    };
+  }
+
+  /**
+   * Size one plan node for a demanded rate of its material (items/min).
+   * Fills `machinesExact`, `count`, `inputs`, `outputs` and the heat/fuel fields.
+   */
+  function sizePlanNode(node, rate, ctx) {
+    node.rate = rate;
+    node.inputs = [];
+    node.outputs = [{ materialId: node.materialId, rate }];
+    node.machinesExact = 0;
+    node.count = 0;
+    node.toppersPerDevice = 0;
+    node.heatP = 0;
+    node.fuelRate = 0;
+    if (!(rate > 0)) return;
+
+    if (node.kind === "purchase") {
+      node.machinesExact = rate / getConveyorSpeed();
+      node.count = Math.max(1, Math.ceil(node.machinesExact - 1e-9));
+      return;
+    }
+
+    if (node.kind === "nursery") {
+      const plant = AF.core.getMaterialById(node.materialId);
+      const fert = AF.core.getMaterialById(node.fertilizerId);
+      const perNursery = (60 * fert.fertilizerMaxFertility) / plant.plantRequiredNutrient;
+      node.machinesExact = rate / perNursery;
+      node.count = Math.max(1, Math.ceil(node.machinesExact - 1e-9));
+      const fertPerNursery = (60 * fert.fertilizerMaxFertility) / getFertilizerValue(fert.fertilizerNutrientValue);
+      node.inputs = [{ materialId: fert.id, rate: fertPerNursery * node.machinesExact }];
+      return;
+    }
+
+    if (node.kind !== "recipe" && node.kind !== "heated") return;
+
+    const recipe = AF.core.getRecipeById(node.recipeId);
+    const effectiveTime = getEffectiveProcessingTime(recipe.processingTimeSec);
+    const craftsPerMinPerMachine = 60 / effectiveTime;
+    const outSpec = recipe.outputs.find(o => o && o.materialId === node.materialId);
+    // Same per-machine rate as the calculator's port outputs (`getPortOutputRate`), so a plan delivers its targets.
+    const perMachine = outSpec.items * craftsPerMinPerMachine;
+
+    node.machinesExact = rate / perMachine;
+    node.count = Math.max(1, Math.ceil(node.machinesExact - 1e-9));
+    node.inputs = (recipe.inputs || [])
+      .filter(inp => inp && inp.materialId && inp.items > 0)
+      .map(inp => ({ materialId: inp.materialId, rate: inp.items * craftsPerMinPerMachine * node.machinesExact }));
+    node.outputs = (recipe.outputs || [])
+      .filter(out => out && out.materialId && out.items > 0)
+      .map(out => ({ materialId: out.materialId, rate: out.items * craftsPerMinPerMachine * node.machinesExact }));
+
+    const device = node.kind === "heated" ? ctx.heatingDevice : null;
+    if (!device) return;
+
+    // Toppers are spread evenly over as few heating devices as the heating area allows.
+    const topperMachine = AF.core.getMachineById(recipe.machineId);
+    const toppersNeeded = node.count;
+    const devices = Math.ceil(toppersNeeded / getToppersPerHeatingDevice(device, topperMachine));
+    node.toppersPerDevice = Math.ceil(toppersNeeded / devices);
+    node.count = devices;
+
+    // Same heat model as the heating-device UI snapshot: design heat scaled by utilization.
+    node.heatP = devices * (
+      getFuelConsumptionRate(device.baseHeatConsumptionP || 1) +
+      node.toppersPerDevice * getFuelConsumptionRate(topperMachine?.heatConsumptionP || 0)
+    );
+    const utilization = node.machinesExact / (devices * node.toppersPerDevice);
+    if (ctx.fuel) {
+      node.fuelRate = (60 * node.heatP * utilization) / getFuelHeatValue(ctx.fuel.fuelValue);
+    }
+  }
+
+  /**
+   * Wire plan nodes together: every consumer (inputs, fuel, targets) pulls from producers of that material,
+   * primary producers first and byproduct producers after. A node draws on its own output last, e.g. a
+   * charcoal furnace burning its own charcoal gets a link from its output to its fuel port.
+   * @param {Array<ProductionPlanNode>} nodes
+   * @param {Array<MaterialRate>} targets
+   * @param {(string|null)} fuelMaterialId
+   * @returns {Array<ProductionPlanLink>}
+   */
+  function linkPlanNodes(nodes, targets, fuelMaterialId) {
+    /** @type {Map<string, Array<{ node: ProductionPlanNode, remaining: number, primary: boolean }>>} */
+    const producers = new Map();
+    nodes.forEach(node => {
+      if (node.kind === "unresolved") return;
+      node.outputs.forEach(out => {
+        if (!(out.rate > 0)) return;
+        if (!producers.has(out.materialId)) producers.set(out.materialId, []);
+        producers.get(out.materialId).push({ node, remaining: out.rate, primary: out.materialId === node.materialId });
+      });
+    });
+    producers.forEach(list => list.sort((a, b) => Number(b.primary) - Number(a.primary)));
+
+    /** @type {Array<ProductionPlanLink>} */
+    const links = [];
+    const pull = (materialId, toNodeId, need, isFuel) => {
+      const list = producers.get(materialId) || [];
+      const ordered = list.filter(p => p.node.id !== toNodeId).concat(list.filter(p => p.node.id === toNodeId));
+      for (const p of ordered) {
+        if (need <= 1e-9) break;
+        if (p.remaining <= 1e-9) continue;
+        const rate = Math.min(need, p.remaining);
+        p.remaining -= rate;
+        need -= rate;
+        const existing = links.find(l => l.fromNodeId === p.node.id && l.toNodeId === toNodeId && l.materialId === materialId);
+        if (existing) existing.rate += rate;
+        else links.push({ fromNodeId: p.node.id, toNodeId, materialId, rate, isFuel });
+      }
+    };
+
+    nodes.forEach(node => {
+      if (node.kind === "unresolved") return;
+      node.inputs.forEach(inp => pull(inp.materialId, node.id, inp.rate, false));
+      if (node.fuelRate > 0 && fuelMaterialId) pull(fuelMaterialId, node.id, node.fuelRate, true);
+    });
+    targets.forEach(t => pull(t.materialId, null, t.rate, false));
+    return links;
+  }
+
+  /**
+   * Layer depth for layout: longest distance from the Export node, ignoring links that close a loop.
+   * @param {Array<ProductionPlanNode>} nodes
+   * @param {Array<ProductionPlanLink>} links
+   */
+  function assignPlanDepths(nodes, links) {
+    const upstream = new Map(nodes.map(n => [n.id, []]));
+    links.forEach(l => {
+      if (l.toNodeId && upstream.has(l.toNodeId)) upstream.get(l.toNodeId).push(l.fromNodeId);
+    });
+    const downstream = new Set(links.map(l => l.fromNodeId));
+
+    // DFS upstream from the sink side; finishing order reversed is a topological order without back-edges.
+    const finished = [];
+    const state = new Map(); // id -> "visiting" | "done"
+    const backEdges = new Set();
+    const visit = (id) => {
+      state.set(id, "visiting");
+      (upstream.get(id) || []).forEach(fromId => {
+        const s = state.get(fromId);
+        if (s === "visiting") backEdges.add(`${fromId}->${id}`);
+        else if (!s) visit(fromId);
+      });
+      state.set(id, "done");
+      finished.push(id);
+    };
+    const roots = links.filter(l => !l.toNodeId).map(l => l.fromNodeId)
+      .concat(nodes.filter(n => !downstream.has(n.id)).map(n => n.id));
+    roots.concat(nodes.map(n => n.id)).forEach(id => {
+      if (!state.has(id)) visit(id);
+    });
+
+    const byId = new Map(nodes.map(n => [n.id, n]));
+    nodes.forEach(n => { n.depth = 0; });
+    finished.reverse().forEach(id => {
+      const node = byId.get(id);
+      (upstream.get(id) || []).forEach(fromId => {
+        if (backEdges.has(`${fromId}->${id}`)) return;
+        const dep = byId.get(fromId);
+        if (dep) dep.depth = Math.max(dep.depth, node.depth + 1);
+      });
+    });
+  }
+
+  /**
+   * Shared tail of both planners: links, layout depth, purchases, surplus and shortfalls.
+   * @returns {ProductionPlan}
+   */
+  function finalizePlan(planNodes, targets, ctx, converged, issues) {
+    const fuelMaterialId = ctx.fuel?.id || null;
+    const links = linkPlanNodes(planNodes, targets, fuelMaterialId);
+    assignPlanDepths(planNodes, links);
+
+    const add = (map, id, rate) => map.set(id, (map.get(id) || 0) + rate);
+    const produced = new Map();
+    const consumed = new Map();
+    targets.forEach(t => add(consumed, t.materialId, t.rate));
+    planNodes.forEach(node => {
+      if (node.kind === "unresolved") return;
+      node.outputs.forEach(out => add(produced, out.materialId, out.rate));
+      node.inputs.forEach(inp => add(consumed, inp.materialId, inp.rate));
+      if (node.fuelRate > 0 && fuelMaterialId) add(consumed, fuelMaterialId, node.fuelRate);
+    });
+
+    planNodes.forEach(node => {
+      if (node.kind !== "unresolved") return;
+      const name = AF.core.getMaterialById(node.materialId)?.name || node.materialId;
+      issues.push(`${name}: ${node.reason}.`);
+    });
+
+    return {
+      targets,
+      nodes: planNodes,
+      links,
+      purchases: planNodes
+        .filter(n => n.kind === "purchase")
+        .map(n => ({ materialId: n.materialId, rate: n.rate })),
+      surplus: Array.from(produced.entries())
+        .map(([materialId, rate]) => ({ materialId, rate: rate - (consumed.get(materialId) || 0) }))
+        .filter(s => s.rate > 1e-6),
+      heatingDeviceId: ctx.heatingDevice?.id || null,
+      fuelMaterialId,
+      fertilizerId: ctx.fertilizer?.id || null,
+      converged,
+      issues,
+      objective: "preferred",
+      objectiveValue: null,
+      explanation: [],
+    };
+  }
+
+  function cleanPlanTargets(targets) {
+    return (targets || [])
+      .filter(t => t && t.materialId && Number(t.rate) > 0)
+      .map(t => ({ materialId: t.materialId, rate: Number(t.rate) }));
+  }
+
+  /**
+   * Plan the full production chain for one or more target rates.
+   * Walks `db.recipes` (respecting `preferredForCost`) from each target down to buy-priced roots,
+   * sizing machine counts with the current skills. Recipe loops are balanced with a fixed-point
+   * iteration, so self-feeding chains converge as long as they produce more than they consume.
+   *
+   * Buy-priced materials are always purchased unless they are a target themselves.
+   * Pass `options.objective` ("cost" | "machines" | "heat") to pick recipes with `optimizeRecipeMix` instead.
+   *
+   * @param {Array<MaterialRate>} targets
+   * @param {PlanOptions=} options
+   * @returns {ProductionPlan}
+   */
+  function planTargetProduction(targets, options = {}) {
+    if (options.objective && options.objective !== "preferred") {
+      return optimizeRecipeMix(targets, options);
+    }
+
+    const cleanTargets = cleanPlanTargets(targets);
+    const targetIds = new Set(cleanTargets.map(t => t.materialId));
+    const ctx = resolvePlanningContext(options);
+
+    /** @type {Array<string>} */
+    const issues = [];
+    /** @type {Map<string, ProductionPlanNode>} */
+    const nodes = new Map();
+    /** @type {Array<string>} */
+    const order = []; // post-order: inputs before their consumers
+    const visiting = new Set();
+
+    const resolve = (materialId) => {
+      if (nodes.has(materialId) || visiting.has(materialId)) return;
+      visiting.add(materialId);
+
+      const material = AF.core.getMaterialById(materialId);
+      const node = createPlanNode(materialId, materialId, "unresolved");
+
+      const isBuyable = !!material && material.buyPrice != null && material.buyPrice >= 0;
+      const recipe = (material && (!isBuyable || targetIds.has(materialId))) ? choosePlanningRecipe(materialId) : null;
+
+      if (!material) {
+        node.reason = "Material not found";
+      } else if (recipe) {
+        const machine = AF.core.getMachineById(recipe.machineId);
+        node.kind = machine?.requiresFurnace ? "heated" : "recipe";
+        node.recipeId = recipe.id;
+        node.machineId = recipe.machineId;
+        (recipe.inputs || []).forEach(inp => {
+          if (inp && inp.materialId && inp.items > 0) resolve(inp.materialId);
+        });
+      } else if (isBuyable) {
+        node.kind = "purchase";
+      } else if (material.isPlant && material.plantRequiredNutrient > 0) {
+        if (ctx.fertilizer) {
+          node.kind = "nursery";
+          node.fertilizerId = ctx.fertilizer.id;
+          resolve(ctx.fertilizer.id);
+        } else {
+          node.reason = "No usable fertilizer in the database for a nursery";
+        }
+      } else {
+        node.reason = "No buy price and no usable recipe";
+      }
+
+      visiting.delete(materialId);
+      nodes.set(materialId, node);
+      order.push(materialId);
+    };
+
+    cleanTargets.forEach(t => resolve(t.materialId));
+
+    const hasHeated = Array.from(nodes.values()).some(n => n.kind === "heated");
+    if (hasHeated) {
+      if (!ctx.heatingDevice) {
+        issues.push("No heating device in the database: heated machines are placed without a furnace.");
+      } else if (!ctx.fuel) {
+        issues.push("No fuel selected: heating devices are placed without a fuel supply.");
+      } else {
+        resolve(ctx.fuel.id);
+      }
+    }
+
+    const processOrder = order.slice().reverse(); // consumers before their inputs
+    const position = new Map(processOrder.map((id, idx) => [id, idx]));
+    const add = (map, id, rate) => map.set(id, (map.get(id) || 0) + rate);
+
+    // Demand flowing "backwards" in the order (recipe loops, fuel) is carried into the next pass.
+    /** @type {Map<string, number>} */
+    let carry = new Map();
+    let converged = false;
+    for (let iter = 0; iter < PLAN_MAX_ITERATIONS; iter++) {
+      const demand = new Map();
+      cleanTargets.forEach(t => add(demand, t.materialId, t.rate));
+      carry.forEach((rate, id) => add(demand, id, rate));
+
+      const nextCarry = new Map();
+      processOrder.forEach((id, idx) => {
+        const node = nodes.get(id);
+        sizePlanNode(node, demand.get(id) || 0, ctx);
+        node.inputs.forEach(inp => {
+          if ((position.get(inp.materialId) ?? -1) > idx) add(demand, inp.materialId, inp.rate);
+          else add(nextCarry, inp.materialId, inp.rate);
+        });
+      });
+
+      if (hasHeated && ctx.heatingDevice && ctx.fuel) {
+        nodes.forEach(node => {
+          if (node.fuelRate > 0) add(nextCarry, ctx.fuel.id, node.fuelRate);
+        });
+      }
+
+      let delta = 0;
+      let tooLarge = false;
+      new Set([...carry.keys(), ...nextCarry.keys()]).forEach(id => {
+        const next = nextCarry.get(id) || 0;
+        delta = Math.max(delta, Math.abs(next - (carry.get(id) || 0)));
+        if (next > 1e9) tooLarge = true;
+      });
+      carry = nextCarry;
+      if (delta < 1e-6) {
+        converged = true;
+        break;
+      }
+      if (tooLarge) break;
+    }
+    if (!converged) {
+      issues.push("A recipe loop consumes more than it produces, so the plan does not balance.");
+    }
+
+    const planNodes = processOrder.map(id => nodes.get(id)).filter(n => n.rate > 0);
+    return finalizePlan(planNodes, cleanTargets, ctx, converged, issues);
+  }
+
+  // ---------- Recipe Mix Optimizer (linear program) ----------
+
+  const LP_EPS = 1e-9;
+  const LP_MAX_PIVOTS = 5000;
+  const LP_TIE_BREAK = 1e-6;
+
+  /**
+   * Minimize `c·x` subject to `A x >= b`, `x >= 0` (with `b >= 0`), using a two-phase
+   * tableau simplex with Bland's rule (slow but never cycles; our models are small).
+   *
+   * @param {Array<number>} c
+   * @param {Array<Array<number>>} A
+   * @param {Array<number>} b
+   * @returns {{ status: "optimal"|"infeasible"|"unbounded", x: Array<number>, objective: number, duals: Array<number>, infeasibleRows: Array<number> }}
+   */
+  function solveLinearProgram(c, A, b) {
+    const m = A.length;
+    const n = c.length;
+    const cols = n + 2 * m; // structural | surplus | artificial
+    const rhs = cols;
+
+    const T = A.map((row, i) => {
+      const r = new Array(cols + 1).fill(0);
+      for (let j = 0; j < n; j++) r[j] = row[j] || 0;
+      r[n + i] = -1;
+      r[n + m + i] = 1;
+      r[rhs] = b[i];
+      return r;
+    });
+    const basis = Array.from({ length: m }, (_, i) => n + m + i);
+
+    const pivot = (row, col) => {
+      const pr = T[row];
+      const pv = pr[col];
+      for (let j = 0; j <= cols; j++) pr[j] /= pv;
+      for (let i = 0; i < m; i++) {
+        if (i === row) continue;
+        const f = T[i][col];
+        if (Math.abs(f) < LP_EPS) continue;
+        const r = T[i];
+        for (let j = 0; j <= cols; j++) r[j] -= f * pr[j];
+      }
+      basis[row] = col;
+    };
+
+    const reducedCost = (cost, j) => {
+      let r = cost[j];
+      for (let i = 0; i < m; i++) r -= cost[basis[i]] * T[i][j];
+      return r;
+    };
+
+    const runSimplex = (cost, allowCol) => {
+      for (let iter = 0; iter < LP_MAX_PIVOTS; iter++) {
+        let enter = -1;
+        for (let j = 0; j < cols; j++) {
+          if (!allowCol(j) || basis.includes(j)) continue;
+          if (reducedCost(cost, j) < -1e-9) {
+            enter = j;
+            break;
+          }
+        }
+        if (enter < 0) return "optimal";
+
+        let leave = -1;
+        let best = Infinity;
+        for (let i = 0; i < m; i++) {
+          const a = T[i][enter];
+          if (a <= LP_EPS) continue;
+          const ratio = T[i][rhs] / a;
+          if (ratio < best - 1e-12 || (Math.abs(ratio - best) <= 1e-12 && basis[i] < basis[leave])) {
+            best = ratio;
+            leave = i;
+          }
+        }
+        if (leave < 0) return "unbounded";
+        pivot(leave, enter);
+      }
+      return "optimal";
+    };
+
+    // Phase 1: minimize the sum of artificials.
+    const phase1 = new Array(cols).fill(0);
+    for (let i = 0; i < m; i++) phase1[n + m + i] = 1;
+    runSimplex(phase1, () => true);
+
+    const infeasibleRows = [];
+    for (let i = 0; i < m; i++) {
+      if (basis[i] >= n + m && T[i][rhs] > 1e-7) infeasibleRows.push(i);
+    }
+    if (infeasibleRows.length > 0) {
+      return { status: "infeasible", x: new Array(n).fill(0), objective: Infinity, duals: new Array(m).fill(0), infeasibleRows };
+    }
+
+    // Drive zero-valued artificials out of the basis where possible.
+    for (let i = 0; i < m; i++) {
+      if (basis[i] < n + m) continue;
+      for (let j = 0; j < n + m; j++) {
+        if (Math.abs(T[i][j]) > LP_EPS && !basis.includes(j)) {
+          pivot(i, j);
+          break;
+        }
+      }
+    }
+
+    // Phase 2: the real objective; artificials may not re-enter.
+    const phase2 = new Array(cols).fill(0);
+    for (let j = 0; j < n; j++) phase2[j] = c[j];
+    const status = runSimplex(phase2, (j) => j < n + m);
+
+    const x = new Array(n).fill(0);
+    basis.forEach((col, i) => {
+      if (col < n) x[col] = T[i][rhs];
+    });
+    const objective = x.reduce((s, v, j) => s + v * c[j], 0);
+    // Shadow price of row i = reduced cost of its surplus column.
+    const duals = Array.from({ length: m }, (_, i) => reducedCost(phase2, n + i));
+    return { status, x, objective, duals, infeasibleRows: [] };
+  }
+
+  /**
+   * Pick the mix of recipes (plus purchases and nurseries) that meets the targets at the lowest
+   * copper/min, machine count or heat load. Every output of a recipe counts toward the balance,
+   * so byproducts are credited. The result is a regular `ProductionPlan`; `explanation` lists each
+   * material's alternatives valued at the solution's shadow prices.
+   *
+   * @param {Array<MaterialRate>} targets
+   * @param {PlanOptions=} options
+   * @returns {ProductionPlan}
+   */
+  function optimizeRecipeMix(targets, options = {}) {
+    const objective = options.objective === "machines" || options.objective === "heat" ? options.objective : "cost";
+    const cleanTargets = cleanPlanTargets(targets);
+    const targetIds = new Set(cleanTargets.map(t => t.materialId));
+    const ctx = resolvePlanningContext(options);
+    const fertilizers = (AF.state.db.materials || []).filter(isUsablePlanningFertilizer);
+    /** @type {Array<string>} */
+    const issues = [];
+
+    // Collect every material and production option reachable upstream of the targets.
+    const materialIds = [];
+    const rowByMaterial = new Map();
+    /** @type {Array<{ id: string, kind: ProductionPlanNode["kind"], materialId: string, recipeId: (string|null), fertilizerId: (string|null) }>} */
+    const vars = [];
+    const varIds = new Set();
+    const addVar = (v) => {
+      if (varIds.has(v.id)) return;
+      varIds.add(v.id);
+      vars.push(v);
+    };
+    const queue = [];
+    const addMaterial = (id) => {
+      if (!id || rowByMaterial.has(id)) return;
+      rowByMaterial.set(id, materialIds.length);
+      materialIds.push(id);
+      queue.push(id);
+    };
+    cleanTargets.forEach(t => addMaterial(t.materialId));
+
+    while (queue.length > 0) {
+      const materialId = queue.shift();
+      const material = AF.core.getMaterialById(materialId);
+      if (!material) continue;
+
+      if (material.buyPrice != null && material.buyPrice >= 0 && !targetIds.has(materialId)) {
+        addVar({ id: `buy:${materialId}`, kind: "purchase", materialId, recipeId: null, fertilizerId: null });
+      }
+      getPlanningRecipes(materialId).forEach(recipe => {
+        const machine = AF.core.getMachineById(recipe.machineId);
+        const heated = !!machine?.requiresFurnace;
+        if (heated && ctx.heatingDevice && ctx.fuel) addMaterial(ctx.fuel.id);
+        addVar({
+          id: `recipe:${recipe.id}`,
+          kind: heated ? "heated" : "recipe",
+          materialId: recipe.outputs.find(o => o && o.materialId && o.items > 0).materialId,
+          recipeId: recipe.id,
+          fertilizerId: null,
+        });
+        (recipe.inputs || []).forEach(inp => { if (inp && inp.items > 0) addMaterial(inp.materialId); });
+        (recipe.outputs || []).forEach(out => { if (out && out.items > 0) addMaterial(out.materialId); });
+      });
+      if (material.isPlant && material.plantRequiredNutrient > 0) {
+        fertilizers.forEach(fert => {
+          addVar({ id: `nursery:${materialId}:${fert.id}`, kind: "nursery", materialId, recipeId: null, fertilizerId: fert.id });
+          addMaterial(fert.id);
+        });
+      }
+    }
+
+    // Heated recipes share a heating device's base heat across its toppers. That share depends on
+    // how many toppers end up per device, so re-solve until the sizing agrees with the model.
+    const toppersPerDeviceByRecipe = new Map();
+    let solution = null;
+    let planNodes = [];
+    let columns = [];
+    for (let round = 0; round < 4; round++) {
+      columns = vars.map(v => describeMixVariable(v, ctx, objective, toppersPerDeviceByRecipe.get(v.recipeId)));
+      const A = materialIds.map(() => new Array(columns.length).fill(0));
+      columns.forEach((col, j) => {
+        col.coefficients.forEach((coef, materialId) => {
+          const row = rowByMaterial.get(materialId);
+          if (row !== undefined) A[row][j] += coef;
+        });
+      });
+      const b = materialIds.map(id => cleanTargets.filter(t => t.materialId === id).reduce((s, t) => s + t.rate, 0));
+      solution = solveLinearProgram(columns.map(col => col.cost), A, b);
+      if (solution.status !== "optimal") break;
+
+      planNodes = [];
+      let stable = true;
+      vars.forEach((v, j) => {
+        const amount = solution.x[j];
+        if (!(amount > 1e-9)) return;
+        const node = createPlanNode(v.id, v.materialId, v.kind);
+        node.recipeId = v.recipeId;
+        node.machineId = v.recipeId ? AF.core.getRecipeById(v.recipeId).machineId : null;
+        node.fertilizerId = v.fertilizerId;
+        if (v.kind === "heated" && !ctx.heatingDevice) node.kind = "recipe";
+        sizePlanNode(node, amount * columns[j].ratePerUnit, ctx);
+        if (node.kind === "heated" && node.toppersPerDevice !== (toppersPerDeviceByRecipe.get(v.recipeId) || 0)) {
+          toppersPerDeviceByRecipe.set(v.recipeId, node.toppersPerDevice);
+          stable = false;
+        }
+        planNodes.push(node);
+      });
+      if (stable) break;
+    }
+
+    if (!solution || solution.status === "infeasible") {
+      const names = (solution?.infeasibleRows || []).map(i => AF.core.getMaterialById(materialIds[i])?.name || materialIds[i]);
+      issues.push(`No feasible mix: nothing can produce ${names.join(", ") || "the targets"} (no usable recipe or buy price).`);
+      return { ...finalizePlan([], cleanTargets, ctx, false, issues), objective };
+    }
+    if (solution.status === "unbounded") {
+      issues.push("The optimizer found an unbounded mix; check recipes with zero inputs.");
+    }
+    if (vars.some(v => v.kind === "heated")) {
+      if (!ctx.heatingDevice) issues.push("No heating device in the database: heated machines are placed without a furnace.");
+      else if (!ctx.fuel) issues.push("No fuel selected: heating devices are placed without a fuel supply.");
+    }
+
+    const plan = finalizePlan(planNodes, cleanTargets, ctx, solution.status === "optimal", issues);
+    plan.objective = objective;
+    plan.objectiveValue = columns.reduce((s, col, j) => s + col.objectiveCost * solution.x[j], 0);
+    plan.explanation = explainRecipeMix(vars, columns, solution, materialIds, rowByMaterial);
+    return plan;
+  }
+
+  /**
+   * One optimizer column: per-unit material coefficients (items/min) and its objective cost.
+   * Recipe/nursery units are machines; purchase units are items/min.
+   */
+  function describeMixVariable(v, ctx, objective, toppersPerDevice) {
+    /** @type {Map<string, number>} */
+    const coefficients = new Map();
+    const add = (id, rate) => coefficients.set(id, (coefficients.get(id) || 0) + rate);
+    let copper = 0;
+    let machines = 0;
+    let heat = 0;
+    let ratePerUnit = 1;
+
+    if (v.kind === "purchase") {
+      add(v.materialId, 1);
+      copper = AF.core.getMaterialById(v.materialId)?.buyPrice || 0;
+      machines = 1 / getConveyorSpeed();
+    } else if (v.kind === "nursery") {
+      const plant = AF.core.getMaterialById(v.materialId);
+      const fert = AF.core.getMaterialById(v.fertilizerId);
+      ratePerUnit = (60 * fert.fertilizerMaxFertility) / plant.plantRequiredNutrient;
+      add(v.materialId, ratePerUnit);
+      add(fert.id, -(60 * fert.fertilizerMaxFertility) / getFertilizerValue(fert.fertilizerNutrientValue));
+      machines = 1;
+    } else {
+      const recipe = AF.core.getRecipeById(v.recipeId);
+      const crafts = 60 / getEffectiveProcessingTime(recipe.processingTimeSec);
+      (recipe.inputs || []).forEach(inp => { if (inp && inp.items > 0) add(inp.materialId, -inp.items * crafts); });
+      (recipe.outputs || []).forEach(out => { if (out && out.items > 0) add(out.materialId, out.items * crafts); });
+      ratePerUnit = coefficients.get(v.materialId) || 1;
+      machines = 1;
+
+      const device = v.kind === "heated" ? ctx.heatingDevice : null;
+      if (device) {
+        const topperMachine = AF.core.getMachineById(recipe.machineId);
+        const perDevice = toppersPerDevice || getToppersPerHeatingDevice(device, topperMachine);
+        heat = getFuelConsumptionRate(topperMachine?.heatConsumptionP || 0) +
+          getFuelConsumptionRate(device.baseHeatConsumptionP || 1) / perDevice;
+        machines += 1 / perDevice;
+        if (ctx.fuel) add(ctx.fuel.id, -(60 * heat) / getFuelHeatValue(ctx.fuel.fuelValue));
+      }
+    }
+
+    const objectiveCost = objective === "machines" ? machines : objective === "heat" ? heat : copper;
+    // Small tie-breakers keep the choice stable when the main objective does not distinguish options.
+    const cost = objectiveCost + LP_TIE_BREAK * (objective === "cost" ? machines : copper + machines);
+    return { coefficients, objectiveCost, cost, ratePerUnit };
+  }
+
+  /**
+   * For every material with more than one way to make it, value each option at the optimum's
+   * shadow prices: own cost + inputs − byproduct credits, per item of that material.
+   * The chosen option(s) come out cheapest; the rest show how much worse they are.
+   * @returns {Array<RecipeMixExplanation>}
+   */
+  function explainRecipeMix(vars, columns, solution, materialIds, rowByMaterial) {
+    const price = (materialId) => solution.duals[rowByMaterial.get(materialId)] || 0;
+    /** @type {Array<RecipeMixExplanation>} */
+    const out = [];
+    materialIds.forEach(materialId => {
+      const options = [];
+      vars.forEach((v, j) => {
+        const own = columns[j].coefficients.get(materialId) || 0;
+        if (!(own > 0)) return;
+        let inputCost = 0;
+        let byproductCredit = 0;
+        columns[j].coefficients.forEach((coef, otherId) => {
+          if (otherId === materialId) return;
+          if (coef < 0) inputCost += -coef * price(otherId);
+          else byproductCredit += coef * price(otherId);
+        });
+        const ownCost = columns[j].objectiveCost;
+        options.push({
+          varId: v.id,
+          kind: v.kind,
+          recipeId: v.recipeId,
+          fertilizerId: v.fertilizerId,
+          chosen: solution.x[j] > 1e-9,
+          unitValue: (ownCost + inputCost - byproductCredit) / own,
+          ownCost: ownCost / own,
+          inputCost: inputCost / own,
+          byproductCredit: byproductCredit / own,
+        });
+      });
+      if (options.length < 2) return;
+      options.sort((a, b) => a.unitValue - b.unitValue);
+      out.push({ materialId, shadowPrice: price(materialId), options });
+    });
+    return out;
+  }
+
+  /**
+   * Turn a production plan into a build (placed machines + connections) laid out in columns,
+   * raw materials on the left and the target Export node on the right.
+   * @param {ProductionPlan} plan
+   * @returns {{ placedMachines: Array<PlacedMachine>, connections: Array<Connection>, camera: CameraState }}
+   */
+  function createBuildFromPlan(plan) {
+    const heatingDevice = plan.heatingDeviceId ? AF.core.getMachineById(plan.heatingDeviceId) : null;
+    const placed = plan.nodes.filter(n => n.kind !== "unresolved" && n.count > 0);
+
+    /** @type {Map<string, PlacedMachine>} */
+    const pmByNodeId = new Map();
+    const maxDepth = placed.reduce((m, n) => Math.max(m, n.depth), 0);
+
+    // Rough card heights so stacked columns do not overlap before the first render.
+    const cardHeight = (node) => {
+      if (node.kind === "heated" && heatingDevice) return 240 + node.toppersPerDevice * 40;
+      if (node.kind === "recipe") return 180 + Math.max(node.inputs.length, node.outputs.length) * 36;
+      return 200;
+    };
+
+    const columns = new Map();
+    placed.forEach(node => {
+      if (!columns.has(node.depth)) columns.set(node.depth, []);
+      columns.get(node.depth).push(node);
+    });
+
+    columns.forEach((colNodes, depth) => {
+      const total = colNodes.reduce((s, n) => s + cardHeight(n) + PLAN_ROW_GAP, -PLAN_ROW_GAP);
+      let y = -total / 2;
+      const x = (maxDepth - depth) * PLAN_COLUMN_WIDTH;
+      colNodes.forEach(node => {
+        const base = { id: makeId("pm"), machineId: null, recipeId: null, count: node.count, x, y: Math.round(y) };
+        /** @type {PlacedMachine} */
+        let pm;
+        if (node.kind === "purchase") {
+          pm = { ...base, type: "purchasing_portal", materialId: node.materialId };
+        } else if (node.kind === "nursery") {
+          pm = { ...base, type: "nursery", plantId: node.materialId, fertilizerId: node.fertilizerId };
+        } else if (node.kind === "heated" && heatingDevice) {
+          pm = {
+            ...base,
+            type: "machine",
+            machineId: heatingDevice.id,
+            toppers: Array.from({ length: node.toppersPerDevice }, () => ({ machineId: node.machineId, recipeId: node.recipeId })),
+            previewFuelId: plan.fuelMaterialId,
+          };
+        } else {
+          pm = { ...base, type: "machine", machineId: node.machineId, recipeId: node.recipeId };
+        }
+        pmByNodeId.set(node.id, pm);
+        y += cardHeight(node) + PLAN_ROW_GAP;
+      });
+    });
+
+    const nodeById = new Map(placed.map(n => [n.id, n]));
+    const usesToppers = (node) => node.kind === "heated" && !!heatingDevice;
+
+    const outputPort = (node, materialId) => {
+      if (usesToppers(node)) return `grouped-output-${materialId}`;
+      if (node.kind === "recipe" || node.kind === "heated") {
+        const recipe = AF.core.getRecipeById(node.recipeId);
+        return String(recipe.outputs.findIndex(o => o && o.materialId === materialId));
+      }
+      return "0";
+    };
+    const inputPort = (node, materialId) => {
+      if (usesToppers(node)) return `grouped-input-${materialId}`;
+      if (node.kind === "recipe" || node.kind === "heated") {
+        const recipe = AF.core.getRecipeById(node.recipeId);
+        return String(recipe.inputs.findIndex(i => i && i.materialId === materialId));
+      }
+      return "0";
+    };
+
+    const placedMachines = Array.from(pmByNodeId.values());
+    let exportNode = null;
+    if (plan.targets.length > 0) {
+      exportNode = {
+        id: makeId("pm"),
+        type: "export",
+        machineId: null,
+        recipeId: null,
+        count: 1,
+        x: (maxDepth + 1) * PLAN_COLUMN_WIDTH,
+        y: 0,
+      };
+      placedMachines.push(exportNode);
+    }
+
+    /** @type {Array<Connection>} */
+    const connections = [];
+    (plan.links || []).forEach(link => {
+      const fromNode = nodeById.get(link.fromNodeId);
+      const fromPm = pmByNodeId.get(link.fromNodeId);
+      const toNode = link.toNodeId ? nodeById.get(link.toNodeId) : null;
+      const toPm = link.toNodeId ? pmByNodeId.get(link.toNodeId) : exportNode;
+      if (!fromNode || !fromPm || !toPm) return;
+      let toPortIdx = "0";
+      if (toNode) toPortIdx = link.isFuel ? "fuel" : inputPort(toNode, link.materialId);
+      connections.push({
+        id: makeId("conn"),
+        fromMachineId: fromPm.id,
+        fromPortIdx: outputPort(fromNode, link.materialId),
+        toMachineId: toPm.id,
+        toPortIdx,
+      });
+    });
+
+    const width = (maxDepth + 2) * PLAN_COLUMN_WIDTH;
+    return {
+      placedMachines,
+      connections,
+      camera: { x: Math.round(width / 2 - PLAN_COLUMN_WIDTH / 2), y: 0, zoom: round3(clamp(1400 / width, 0.3, 1.0)) },
+    };
+  }
+
+  // ---------- Profit Report ----------
+
+  const PROFIT_REFERENCE_RATE = 1; // items/min; plan machine counts are linear in the rate (machinesExact)
+
+  /**
+   * Production machines (and heat) one item/min of a plan needs, before rounding up.
+   * Heated toppers also carry their share of a heating device and its base heat.
+   * @param {ProductionPlan} plan
+   * @returns {{ machines: number, heatP: number, machineIds: Array<string> }}
+   */
+  function measurePlanFootprint(plan) {
+    const device = plan.heatingDeviceId ? AF.core.getMachineById(plan.heatingDeviceId) : null;
+    const machineIds = new Set();
+    let machines = 0;
+    let heatP = 0;
+    plan.nodes.forEach(node => {
+      if (node.kind === "purchase" || node.kind === "unresolved") return;
+      machines += node.machinesExact;
+      if (node.machineId) machineIds.add(node.machineId);
+      if (node.kind !== "heated" || !device) return;
+
+      const topper = AF.core.getMachineById(node.machineId);
+      const perDevice = getToppersPerHeatingDevice(device, topper);
+      machines += node.machinesExact / perDevice;
+      machineIds.add(device.id);
+      heatP += node.machinesExact * (
+        getFuelConsumptionRate(topper?.heatConsumptionP || 0) +
+        getFuelConsumptionRate(device.baseHeatConsumptionP || 1) / perDevice
+      );
+    });
+    return { machines: machines / PROFIT_REFERENCE_RATE, heatP: heatP / PROFIT_REFERENCE_RATE, machineIds: Array.from(machineIds) };
+  }
+
+  /**
+   * Rank every sellable material (`salePrice` set, Shop Profit applied) by profit per production machine and
+   * per P/s of heat. Each candidate is planned with `planTargetProduction` (so the chain, recipes and skills match
+   * the Target-Rate Planner) and costed with `calculateRealizedCost`. Materials that are only bought are skipped.
+   *
+   * With a budget (copper/min) and/or machine cap, `limitRate`/`limitProfit` say how much of the product those
+   * allow. With `machineIds`, products whose chain needs any other machine are ranked last and list what is missing.
+   *
+   * @param {ProfitReportOptions=} options
+   * @returns {Array<ProfitReportRow>}
+   */
+  function rankProfitableProducts(options = {}) {
+    const planOptions = {
+      fuelMaterialId: options.fuelMaterialId || null,
+      fertilizerId: options.fertilizerId || null,
+      heatingDeviceId: options.heatingDeviceId || null,
+    };
+    const budget = options.budgetPerMin > 0 ? options.budgetPerMin : null;
+    const maxMachines = options.maxMachines > 0 ? options.maxMachines : null;
+    const allowed = Array.isArray(options.machineIds) ? new Set(options.machineIds) : null;
+
+    /** @type {Array<ProfitReportRow>} */
+    const rows = [];
+    (AF.state.db.materials || []).forEach(material => {
+      if (!material || !(Number.isFinite(material.salePrice) && material.salePrice > 0)) return;
+      const plan = planTargetProduction([{ materialId: material.id, rate: PROFIT_REFERENCE_RATE }], planOptions);
+      if (!plan.nodes.some(n => n.materialId === material.id && n.kind !== "purchase" && n.kind !== "unresolved")) return;
+
+      const unitCost = calculateRealizedCost(material.id);
+      const unitPrice = getProfit(material.salePrice);
+      const unitProfit = Number.isFinite(unitCost) ? unitPrice - unitCost : null;
+      const footprint = measurePlanFootprint(plan);
+
+      let limitRate = null;
+      let limitedBy = null;
+      if (budget != null && unitCost > 0) {
+        limitRate = budget / unitCost;
+        limitedBy = "budget";
+      }
+      if (maxMachines != null && footprint.machines > 0) {
+        const byMachines = maxMachines / footprint.machines;
+        if (limitRate == null || byMachines < limitRate) {
+          limitRate = byMachines;
+          limitedBy = "machines";
+        }
+      }
+
+      rows.push({
+        materialId: material.id,
+        unitPrice,
+        unitCost: Number.isFinite(unitCost) ? unitCost : null,
+        unitProfit,
+        machinesPerRate: footprint.machines,
+        heatPerRate: footprint.heatP,
+        profitPerMachine: unitProfit != null && footprint.machines > 0 ? unitProfit / footprint.machines : null,
+        profitPerHeat: unitProfit != null && footprint.heatP > 0 ? unitProfit / footprint.heatP : null,
+        limitRate,
+        limitedBy,
+        limitProfit: limitRate != null && unitProfit != null ? limitRate * unitProfit : null,
+        machineIds: footprint.machineIds,
+        missingMachineIds: allowed ? footprint.machineIds.filter(id => !allowed.has(id)) : [],
+        issues: plan.issues,
+      });
+    });
+
+    const key = options.sortBy === "heat" ? "profitPerHeat" : options.sortBy === "limit" ? "limitProfit" : "profitPerMachine";
+    const value = (row) => (row[key] != null ? row[key] : -Infinity);
+    return rows.sort((a, b) =>
+      (a.missingMachineIds.length > 0) - (b.missingMachineIds.length > 0) ||
+      value(b) - value(a) ||
+      (b.unitProfit ?? -Infinity) - (a.unitProfit ?? -Infinity)
+    );
+  }
+
+  // ---------- Material reports ----------
+
+  const MATERIAL_TREE_MAX_DEPTH = 12;
+  const MATERIAL_TREE_MAX_NODES = 400;
+
+  /**
+   * "How do I make this?": the ingredient tree of a material down to buy-priced roots, sized for `rate` items/min.
+   * Recipes are picked like the target planner (`preferredForCost` first) and each node is sized with the same
+   * per-machine math, so "Place on canvas" (which runs the planner) builds the chain shown here.
+   * Heated recipes count their topper machines; the fuel chain for heating devices is not part of the tree.
+   * A material that already appears further up its branch is marked `cycle` and not expanded again.
+   * @param {string} materialId
+   * @param {number=} rate Items/min of the root material.
+   * @returns {MaterialIngredientNode}
+   */
+  function getMaterialIngredientTree(materialId, rate = 1) {
+    const ctx = resolvePlanningContext({});
+    const path = new Set();
+    let budget = MATERIAL_TREE_MAX_NODES;
+
+    const build = (id, nodeRate) => {
+      budget--;
+      const details = getCostCalculationDetails(id);
+      const material = AF.core.getMaterialById(id);
+      const unitCost = material ? calculateRealizedCost(id) : Infinity;
+      /** @type {MaterialIngredientNode} */
+      const node = {
+        materialId: id,
+        materialName: details.materialName || "(missing material)",
+        rate: nodeRate,
+        kind: "unresolved",
+        recipeId: null,
+        machineId: null,
+        machinesExact: 0,
+        count: 0,
+        unitCost: Number.isFinite(unitCost) ? unitCost : null,
+        alternatives: 0,
+        reason: details.reason || null,
+        cycle: false,
+        truncated: false,
+        children: [],
+      };
+      if (!material) return node;
+      if (path.has(id)) {
+        node.cycle = true;
+        node.reason = "Recipe loop: this material is already made further up the chain";
+        return node;
+      }
+
+      // Buy-priced materials are roots, except the material the report is about.
+      const recipe = (!details.hasBuyPrice || path.size === 0) ? choosePlanningRecipe(id) : null;
+      const sized = createPlanNode(id, id, "unresolved");
+      if (recipe) {
+        sized.kind = "recipe";
+        sized.recipeId = recipe.id;
+        sized.machineId = recipe.machineId;
+        const info = details.producingRecipes.find(r => r.recipeId === recipe.id);
+        node.alternatives = details.producingRecipes.filter(r => r.recipeId !== recipe.id).length;
+        node.reason = info && !info.canUse ? info.reason : null;
+      } else if (details.hasBuyPrice) {
+        sized.kind = "purchase";
+      } else if (material.isPlant && material.plantRequiredNutrient > 0 && ctx.fertilizer) {
+        sized.kind = "nursery";
+        sized.fertilizerId = ctx.fertilizer.id;
+        node.reason = null;
+      } else {
+        node.reason = node.reason || "No buy price and no usable recipe";
+      }
+      sizePlanNode(sized, nodeRate, ctx);
+
+      node.kind = /** @type {MaterialIngredientNode["kind"]} */ (sized.kind);
+      node.recipeId = sized.recipeId;
+      node.machineId = sized.machineId;
+      node.machinesExact = sized.machinesExact;
+      node.count = sized.count;
+      if (sized.inputs.length === 0) return node;
+      if (path.size >= MATERIAL_TREE_MAX_DEPTH || budget <= 0) {
+        node.truncated = true;
+        return node;
+      }
+
+      path.add(id);
+      node.children = sized.inputs.map(inp => build(inp.materialId, inp.rate));
+      path.delete(id);
+      return node;
+    };
+
+    return build(materialId, Number(rate) > 0 ? Number(rate) : 1);
+  }
+
+  /**
+   * "Where is this used?": every recipe that consumes a material, then every recipe consuming those products, and so on.
+   * Each material is expanded once; later appearances are marked `seen` so shared products do not repeat their subtree.
+   * Blueprints and workspaces are not part of the tree: look them up per recipe with `AF.core.findDbReferences`.
+   * @param {string} materialId
+   * @returns {MaterialUsageNode}
+   */
+  function getMaterialUsageTree(materialId) {
+    const expanded = new Set();
+    let budget = MATERIAL_TREE_MAX_NODES;
+
+    const build = (id, depth) => {
+      budget--;
+      const details = getCostCalculationDetails(id);
+      const unitCost = AF.core.getMaterialById(id) ? calculateRealizedCost(id) : Infinity;
+      /** @type {MaterialUsageNode} */
+      const node = {
+        materialId: id,
+        materialName: details.materialName || "(missing material)",
+        unitCost: Number.isFinite(unitCost) ? unitCost : null,
+        reason: details.canCalculate ? null : details.reason,
+        seen: expanded.has(id),
+        truncated: false,
+        consumers: [],
+      };
+      if (node.seen) return node;
+      expanded.add(id);
+
+      const recipes = (AF.state.db.recipes || [])
+        .filter(r => (r.inputs || []).some(inp => inp && inp.materialId === id && inp.items > 0))
+        .sort(compareByName);
+      if (recipes.length === 0) return node;
+      if (depth >= MATERIAL_TREE_MAX_DEPTH || budget <= 0) {
+        node.truncated = true;
+        return node;
+      }
+
+      node.consumers = recipes.map(recipe => ({
+        recipeId: recipe.id,
+        recipeName: recipe.name,
+        machineId: recipe.machineId || null,
+        items: recipe.inputs.reduce((sum, inp) => sum + (inp && inp.materialId === id ? Number(inp.items) || 0 : 0), 0),
+        products: (recipe.outputs || [])
+          .filter(out => out && out.materialId && out.items > 0)
+          .map(out => build(out.materialId, depth + 1)),
+      }));
+      return node;
+    };
+
+    return build(materialId, 0);
+  }
+
   Object.assign(AF.calculator, {
     init,
     recalculateAll,
+    calculateSnapshot,
+    optimizeSkillAllocation,
+    simulateBuild,
     calculateBlueprintMachineCounts,
     invalidateBlueprintCountCache,
     analyzeBlueprintMachines,
     getConveyorSpeed,
     getEffectiveConveyorSpeed,
+    getThrowingSpeed,
+    getConnectionTransport,
+    getTransportSpeed,
     getFuelConsumptionRate,
     getFuelHeatValue,
     getFertilizerValue,
@@ -3384,9 +5687,16 @@
     getAlchemyEfficiency,
     getEffectiveProcessingTime,
     getCostCalculationDetails,
+    getMaterialIngredientTree,
+    getMaterialUsageTree,
     calculateEstimatedUnitCost,
     calculateEstimatedRecipeOutputUnitCostById,
-    calculateRealizedCost
+    calculateRealizedCost,
+    planTargetProduction,
+    optimizeRecipeMix,
+    solveLinearProgram,
+    createBuildFromPlan,
+    rankProfitableProducts
   });
 
 
@@ -0,0 +1,159 @@
+// Headless calculator runner for Node.
+//
+// Loads the DOM-free layers (shared.app.js, model.app.js, calculator.app.js) into an isolated VM context and
+// exposes `AF.calculator.calculateSnapshot`, the simulation and the target-rate planner. Useful for scripted
+// checks (see test/) and for diffing the calculator's output between revisions without opening the browser.
+// render.app.js is loaded as well for its string exports (the build sheet); nothing there touches the DOM at load.
+//
+// Usage:
+//   node app/headless.node.js alchemy-factory-state.json > calc.json
+//
+// The input file may be a full-state export (File → Export Full State: `{ database, build, skills }`) or a
+// plain `{ db, build, skills, settings }` object.
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const LAYER_FILES = ["shared.app.js", "model.app.js", "calculator.app.js", "render.app.js"];
+
+function createEngine() {
+  const context = { console, Math, JSON, Date, Map, Set, setTimeout };
+  context.window = context;
+  vm.createContext(context);
+  for (const file of LAYER_FILES) {
+    const code = fs.readFileSync(path.join(__dirname, file), "utf8");
+    vm.runInContext(code, context, { filename: file });
+  }
+
+  // Mirrors the constant app.js publishes at startup.
+  context.AF.consts = { CONVEYOR_SPEED: 60 };
+  return context.AF;
+}
+
+let engine = null;
+
+/**
+ * @param {{ db?: Object, database?: Object, build?: Object, skills?: Object, settings?: Object }} input
+ */
+function calculate(input) {
+  engine = engine || createEngine();
+  return engine.calculator.calculateSnapshot({
+    db: input.db || input.database,
+    build: input.build,
+    skills: input.skills,
+    settings: input.settings,
+  });
+}
+
+// CalcState uses Maps for per-port/per-machine data; serialize them as plain objects.
+function toJson(value) {
+  return JSON.stringify(
+    value,
+    (key, v) => (Object.prototype.toString.call(v) === "[object Map]" ? Object.fromEntries(v) : v),
+    2
+  );
+}
+
+/**
+ * Time-domain run of the same input (see `AF.calculator.simulateBuild`).
+ * @param {{ db?: Object, database?: Object, build?: Object, skills?: Object, settings?: Object }} input
+ * @param {{ durationMin?: number, stepSec?: number }} [options]
+ */
+function simulate(input, options) {
+  engine = engine || createEngine();
+  return engine.calculator.simulateBuild(
+    {
+      db: input.db || input.database,
+      build: input.build,
+      skills: input.skills,
+      settings: input.settings,
+    },
+    options
+  );
+}
+
+/**
+ * Run `fn` with `engine.state` set up from `input` (for engine entry points that read `AF.state`).
+ * @param {{ db?: Object, database?: Object, build?: Object, skills?: Object, settings?: Object }} input
+ * @param {{ build?: Object, calc?: Object }} overrides
+ * @param {() => T} fn
+ * @returns {T}
+ * @template T
+ */
+function withState(input, overrides, fn) {
+  engine = engine || createEngine();
+  const copy = (v) => JSON.parse(JSON.stringify(v));
+  const db = copy(input.db || input.database);
+  const saved = engine.state;
+  engine.state = {
+    db: { ...db, blueprints: db.blueprints || [] },
+    skills: {
+      conveyorSpeed: 0,
+      throwingSpeed: 0,
+      machineEfficiency: 0,
+      alchemyEfficiency: 0,
+      fuelEfficiency: 0,
+      fertilizerEfficiency: 0,
+      shopProfit: 0,
+      ...(input.skills || {}),
+    },
+    settings: input.settings || { version: 1, costBlueprints: { fuel: {}, fertilizer: {} } },
+    build: overrides.build || { placedMachines: [], connections: [] },
+    calc: overrides.calc || {},
+    ui: {},
+  };
+  try {
+    return fn();
+  } finally {
+    engine.state = saved;
+  }
+}
+
+/**
+ * Target-rate plan against the input's DB and skills (see `AF.calculator.planTargetProduction`), plus the
+ * canvas build the planner would open on a new tab.
+ * @param {{ db?: Object, database?: Object, skills?: Object, settings?: Object }} input
+ * @param {Array<{ materialId: string, rate: number }>} targets
+ * @param {Object} [options] PlanOptions (objective, fuelMaterialId, fertilizerId, heatingDeviceId)
+ */
+function plan(input, targets, options) {
+  return withState(input, {}, () => {
+    const result = engine.calculator.planTargetProduction(targets, options);
+    return { plan: result, build: engine.calculator.createBuildFromPlan(result) };
+  });
+}
+
+/**
+ * "Where is this used?" report for a material against the input's DB (see `AF.calculator.getMaterialUsageTree`).
+ * @param {{ db?: Object, database?: Object, skills?: Object, settings?: Object }} input
+ * @param {string} materialId
+ */
+function materialUsage(input, materialId) {
+  return withState(input, {}, () => engine.calculator.getMaterialUsageTree(materialId));
+}
+
+/**
+ * Printable build sheet of the input's build (see `AF.render.renderBuildSheetHtml`), at its calculated rates.
+ * @param {{ db?: Object, database?: Object, build?: Object, skills?: Object, settings?: Object }} input
+ * @param {{ title?: string }} [options]
+ * @returns {string}
+ */
+function buildSheet(input, options) {
+  const { calc, build } = calculate(input);
+  return withState(input, { build, calc }, () => engine.render.renderBuildSheetHtml(options));
+}
+
+module.exports = { calculate, simulate, plan, materialUsage, buildSheet, toJson };
+
+if (require.main === module) {
+  const file = process.argv[2];
+  if (!file) {
+    console.error("Usage: node app/headless.node.js <state.json>");
+    process.exit(1);
+  }
+  const input = JSON.parse(fs.readFileSync(file, "utf8"));
+  process.stdout.write(toJson(calculate(input)) + "\n");
+}
@@ -0,0 +1,867 @@
+/// <reference path="shared.app.js" />
+
+// Model Layer: read-only queries over `AF.state.db` / `AF.state.build` (lookups, blueprint tree walking,
+// port → material resolution). No DOM access, so the calculator can run headless on top of it.
+
+(function () {
+  "use strict";
+
+  /** @type {AF} */
+  const AF = (window.AF = window.AF || {});
+  AF.core = AF.core || {};
+
+  // ---------- Query helpers ----------
+
+  function getMaterialById(id) {
+    return AF.state.db.materials.find((m) => m.id === id) ?? null;
+  }
+
+  function getMachineById(id) {
+    return AF.state.db.machines.find((m) => m.id === id) ?? null;
+  }
+
+  function getRecipeById(id) {
+    return AF.state.db.recipes.find((r) => r.id === id) ?? null;
+  }
+  
+  /**
+   * Find a machine by ID, searching through the entire tree (including blueprint children)
+   * @param {string} machineId - Machine ID to find
+   * @returns {object|null} Machine object or null if not found
+   */
+  function findMachineInTree(machineId) {
+    // Check top-level machines
+    for (const pm of AF.state.build.placedMachines) {
+      if (pm.id === machineId) return pm;
+      
+      // Check inside blueprint instances
+      if ((pm.type === "blueprint_instance" || pm.type === "blueprint") && pm.childMachines) {
+        for (const child of pm.childMachines) {
+          if (child.id === machineId) return child;
+          
+          // Recursively check nested blueprints
+          if ((child.type === "blueprint_instance" || child.type === "blueprint") && child.childMachines) {
+            const nested = findMachineInTreeRecursive(machineId, child.childMachines);
+            if (nested) return nested;
+          }
+        }
+      }
+    }
+    
+    return null;
+  }
+  
+  function findMachineInTreeRecursive(machineId, machines) {
+    for (const pm of machines) {
+      if (pm.id === machineId) return pm;
+      
+      if ((pm.type === "blueprint_instance" || pm.type === "blueprint") && pm.childMachines) {
+        const nested = findMachineInTreeRecursive(machineId, pm.childMachines);
+        if (nested) return nested;
+      }
+    }
+    return null;
+  }
+
+   /**
+   * Get all machines in tree (including blueprint children)
+   * @returns {Array} All machines (top-level and children)
+   */
+   function getAllMachinesInTree() {
+    const allMachines = [];
+    
+    function traverse(machines) {
+      machines.forEach(pm => {
+        // Blueprint instances are containers, not machines - skip them in calculations
+        // Only collect their child machines (the real machines)
+        if ((pm.type === "blueprint_instance" || pm.type === "blueprint") && pm.childMachines) {
+          traverse(pm.childMachines);
+        } else {
+          // Regular machine - add it to calculations
+          allMachines.push(pm);
+        }
+      });
+    }
+    
+    traverse(AF.state.build.placedMachines);
+    return allMachines;
+  }
+  
+  /**
+   * Get all connections in tree (including blueprint internal connections)
+   * Resolves external connections to internal machines where applicable
+   * @returns {Array} All connections (top-level and internal, resolved)
+   */
+  function getAllConnectionsInTree() {
+    const allConnections = [];
+    
+    // Top-level connections (resolve to internal machines if needed)
+    AF.state.build.connections.forEach(conn => {
+      const resolved = resolveConnection(conn);
+      allConnections.push(resolved);
+    });
+    
+    // Internal blueprint connections
+    function collectInternalConnections(machines) {
+      machines.forEach(pm => {
+        if ((pm.type === "blueprint_instance" || pm.type === "blueprint") && pm.childConnections) {
+          allConnections.push(...pm.childConnections);
+          
+          // Recurse for nested blueprints
+          if (pm.childMachines) {
+            collectInternalConnections(pm.childMachines);
+          }
+        }
+      });
+    }
+    
+    collectInternalConnections(AF.state.build.placedMachines);
+    return allConnections;
+  }
+
+  /**
+   * Resolve a connection to internal machines if it connects to/from a blueprint
+   * @param {object} connection - Connection to resolve
+   * @returns {object} Connection with _resolved* fields added if applicable
+   */
+  function resolveConnection(connection) {
+    // Mutate the original connection object to add resolved fields
+    // This ensures actualRate and other properties set on resolved connections
+    // are accessible from the original connection objects in AF.state.build.connections
+    
+    // Resolve TO machine (if blueprint, resolve to internal machine)
+    const toMachine = findMachineInTree(connection.toMachineId);
+    if (toMachine && (toMachine.type === "blueprint_instance" || toMachine.type === "blueprint")) {
+      if (toMachine.portMappings && toMachine.portMappings.inputs) {
+        const mapping = toMachine.portMappings.inputs[connection.toPortIdx];
+        if (mapping) {
+          connection._resolvedToMachineId = mapping.internalMachineId;
+          connection._resolvedToPortIdx = mapping.internalPortIdx;
+        }
+      }
+    }
+    
+    // Resolve FROM machine (if blueprint, resolve to internal machine)
+    const fromMachine = findMachineInTree(connection.fromMachineId);
+    if (fromMachine && (fromMachine.type === "blueprint_instance" || fromMachine.type === "blueprint")) {
+      if (fromMachine.portMappings && fromMachine.portMappings.outputs) {
+        const mapping = fromMachine.portMappings.outputs[connection.fromPortIdx];
+        if (mapping) {
+          connection._resolvedFromMachineId = mapping.internalMachineId;
+          connection._resolvedFromPortIdx = mapping.internalPortIdx;
+        }
+      }
+    }
+    
+    return connection;
+  }
+
+   /**
+   * Get material ID from a machine's port
+   * @param {PlacedMachine} placedMachine
+   * @param {number} portIdx
+   * @param {string} type
+   * @returns {string|null} Material ID or null
+   */
+   function getMaterialIdFromPort(placedMachine, portIdx, type) {
+    // Blueprint types (both old and new)
+    if (placedMachine.type === "blueprint" || placedMachine.type === "blueprint_instance") {
+      const portIdxNum = parseInt(portIdx);
+
+      // Try new physical model first (port mappings)
+      if (placedMachine.portMappings) {
+        if (type === "input") {
+          const mapping = placedMachine.portMappings.inputs?.[portIdxNum];
+          return mapping?.materialId || null;
+        } else {
+          const mapping = placedMachine.portMappings.outputs?.[portIdxNum];
+          return mapping?.materialId || null;
+        }
+      }
+
+      // Fall back to old model (blueprintData)
+      const bpData = placedMachine.blueprintData || {};
+      if (type === "input") {
+        const input = bpData.inputs?.[portIdxNum];
+        return input?.materialId || null;
+      } else {
+        const output = bpData.outputs?.[portIdxNum];
+        return output?.materialId || null;
+      }
+    }
+
+    // Purchasing portal
+    if (placedMachine.type === "purchasing_portal") {
+      return placedMachine.materialId;
+    }
+
+    if (placedMachine.type === "nursery") {
+      if (type === "output") {
+        return placedMachine.plantId;
+      } else {
+        // Input port - determine fertilizer from connection or selection
+        // First check if there's a connected source
+        const incomingConnections = AF.state.build.connections.filter(conn => conn.toMachineId === placedMachine.id);
+        if (incomingConnections.length > 0) {
+          const sourceConn = incomingConnections[0];
+          const sourceMachine = AF.state.build.placedMachines.find(pm => pm.id === sourceConn.fromMachineId);
+          if (sourceMachine) {
+            const fertId = getMaterialIdFromPort(sourceMachine, sourceConn.fromPortIdx, "output");
+            if (fertId) return fertId;
+          }
+        }
+        // Otherwise use selected fertilizer
+        return placedMachine.fertilizerId || null;
+      }
+    }
+
+    // Check if this is a heating device with grouped ports (portIdx is a string like "grouped-input-materialId" or "grouped-output-materialId")
+    const machine = getMachineById(placedMachine.machineId);
+    if (machine && machine.kind === "heating_device" && typeof portIdx === 'string') {
+      // Handle grouped ports
+      if (portIdx.startsWith('grouped-input-') || portIdx.startsWith('grouped-output-')) {
+        const materialId = portIdx.replace(/^grouped-(input|output)-/, '');
+        return materialId || null;
+      }
+
+      // Handle individual topper ports (legacy, for backward compatibility)
+      if (portIdx.startsWith('topper-')) {
+        const match = portIdx.match(/^topper-(\d+)-(\d+)$/);
+        if (match) {
+          const topperIdx = parseInt(match[1]);
+          const topperPortIdx = parseInt(match[2]);
+          const topper = placedMachine.toppers?.[topperIdx];
+          if (topper && topper.recipeId) {
+            const topperRecipe = getRecipeById(topper.recipeId);
+            if (topperRecipe) {
+              if (type === "output") {
+                return topperRecipe.outputs[topperPortIdx]?.materialId || null;
+              } else {
+                return topperRecipe.inputs[topperPortIdx]?.materialId || null;
+              }
+            }
+          }
+        }
+        return null;
+      }
+    }
+
+    // Storage machine - return material from inventories
+    if (machine && machine.kind === "storage" && type === "output") {
+      // Check manual inventories first
+      const manualInventories = placedMachine.manualInventories || [];
+      if (manualInventories.length > 0) {
+        // Return the first material (storage can output any stored material)
+        return manualInventories[0]?.materialId || null;
+      }
+
+      // Check incoming connections to determine what material is flowing through
+      const incomingConnections = AF.state.build.connections.filter(
+        conn => conn.toMachineId === placedMachine.id
+      );
+
+      if (incomingConnections.length > 0) {
+        // Get material from first input connection
+        const sourceConn = incomingConnections[0];
+        const sourceMachine = AF.state.build.placedMachines.find(pm => pm.id === sourceConn.fromMachineId);
+        if (sourceMachine) {
+          return getMaterialIdFromPort(sourceMachine, sourceConn.fromPortIdx, "output");
+        }
+      }
+
+      return null;
+    }
+
+    // Regular machine with recipe
+    const recipe = placedMachine.recipeId ? getRecipeById(placedMachine.recipeId) : null;
+    if (!recipe) return null;
+
+    if (type === "output") {
+      return recipe.outputs[portIdx]?.materialId || null;
+    } else {
+      return recipe.inputs[portIdx]?.materialId || null;
+    }
+  }
+
+  function materialLabel(matId) {
+    const m = getMaterialById(matId);
+    return m ? m.name : "(missing material)";
+  }
+
+
+
+  // ---------- Database checks ----------
+  // normalizeDb() coerces malformed values to safe defaults when data is loaded, so mistakes in edited or imported
+  // data do not surface as errors. These rules look at the normalized DB and report entries that need a fix.
+
+  /** @type {Array<DbCheckRule>} */
+  const DB_CHECK_RULES = [
+    {
+      id: "recipe-machine",
+      check(db, issue) {
+        const machineIds = new Set(db.machines.map(m => m.id));
+        db.recipes.forEach(r => {
+          if (!r.machineId) issue("error", "recipes", r, "Recipe has no machine.");
+          else if (!machineIds.has(r.machineId)) issue("error", "recipes", r, "Recipe's machine does not exist.");
+        });
+      },
+    },
+    {
+      id: "recipe-ports",
+      check(db, issue) {
+        db.recipes.forEach(r => {
+          const machine = db.machines.find(m => m.id === r.machineId);
+          if (!machine) return;
+          if (r.outputs.length !== machine.outputs) {
+            issue("warning", "recipes", r, `Recipe has ${r.outputs.length} output(s), but "${machine.name}" has ${machine.outputs} output port(s).`);
+          }
+          if (r.inputs.length > machine.inputs) {
+            issue("error", "recipes", r, `Recipe has ${r.inputs.length} input(s), but "${machine.name}" has only ${machine.inputs} input port(s).`);
+          }
+        });
+      },
+    },
+    {
+      id: "recipe-materials",
+      check(db, issue) {
+        const materialIds = new Set(db.materials.map(m => m.id));
+        db.recipes.forEach(r => {
+          const missing = [...r.inputs, ...r.outputs].filter(io => !materialIds.has(io.materialId)).length;
+          if (missing > 0) issue("error", "recipes", r, `Recipe uses ${missing} material(s) that do not exist.`);
+          if (r.outputs.length === 0) issue("warning", "recipes", r, "Recipe has no outputs.");
+        });
+      },
+    },
+    {
+      id: "material-flags",
+      check(db, issue) {
+        db.materials.forEach(m => {
+          if (m.isFuel && !(m.fuelValue > 0)) issue("error", "materials", m, "Fuel has no fuel value.");
+          if (m.isFertilizer && !(m.fertilizerMaxFertility > 0)) issue("error", "materials", m, "Fertilizer has no max fertility.");
+          if (m.isFertilizer && !(m.fertilizerNutrientValue > 0)) issue("error", "materials", m, "Fertilizer has no nutrient value.");
+          if (m.isPlant && !(m.plantRequiredNutrient > 0)) issue("error", "materials", m, "Plant has no required nutrient.");
+        });
+      },
+    },
+    {
+      id: "topper-footprint",
+      check(db, issue) {
+        db.machines.forEach(m => {
+          if (m.requiresFurnace && !(m.footprintWidth > 0 && m.footprintLength > 0)) {
+            issue("warning", "machines", m, "Topper (requires a heating device) has no footprint; heating area checks treat it as 1×1.");
+          }
+        });
+      },
+    },
+    {
+      id: "unproducible-material",
+      check(db, issue) {
+        const produced = new Set(db.recipes.flatMap(r => r.outputs.map(o => o.materialId)));
+        db.materials.forEach(m => {
+          if (!produced.has(m.id) && m.buyPrice == null && !m.isPlant) {
+            issue("warning", "materials", m, "No recipe produces this material and it has no buy price for a purchasing portal.");
+          }
+        });
+      },
+    },
+    {
+      id: "duplicate-name",
+      check(db, issue) {
+        /** @type {Array<DbCheckCollection>} */
+        const collections = ["materials", "machines", "recipes"];
+        collections.forEach(collection => {
+          /** @type {Map<string, Array<{ id: string, name: string }>>} */
+          const byName = new Map();
+          db[collection].forEach(item => {
+            const key = String(item.name || "").trim().toLowerCase();
+            if (!byName.has(key)) byName.set(key, []);
+            byName.get(key).push(item);
+          });
+          byName.forEach(items => {
+            if (items.length < 2) return;
+            items.forEach(item => issue("warning", collection, item, `${items.length} ${collection} are named "${item.name}".`));
+          });
+        });
+      },
+    },
+  ];
+
+  /**
+   * Run every database check. Errors come first, then warnings, each in rule order.
+   * @param {Db} [db]
+   * @returns {Array<DbCheckIssue>}
+   */
+  function checkDatabase(db = AF.state.db) {
+    /** @type {Array<DbCheckIssue>} */
+    const issues = [];
+    DB_CHECK_RULES.forEach(rule => {
+      rule.check(db, (severity, collection, item, message) => {
+        issues.push({ rule: rule.id, severity, collection, id: item.id, name: item.name, message });
+      });
+    });
+    return [...issues.filter(i => i.severity === "error"), ...issues.filter(i => i.severity !== "error")];
+  }
+
+  // ---------- Recipe graph ----------
+  // Materials are nodes; every recipe adds an edge from each input to each output. Edges between the same two
+  // materials on the same machine are grouped into one. The layout is layered: raw materials on the left, each
+  // material one layer right of its furthest ingredient, with every cycle kept in one layer.
+
+  /**
+   * @param {Db} [db]
+   * @param {{ materialIds?: Set<string> }} [opts] restrict the graph to these materials
+   * @returns {RecipeGraph}
+   */
+  function buildRecipeGraph(db = AF.state.db, opts = {}) {
+    const include = opts.materialIds || null;
+    const materials = db.materials.filter(m => !include || include.has(m.id));
+    const materialIds = new Set(materials.map(m => m.id));
+
+    /** @type {Map<string, RecipeGraphEdge>} */
+    const edgeByKey = new Map();
+    db.recipes.forEach(r => {
+      r.inputs.forEach(input => {
+        r.outputs.forEach(output => {
+          if (!materialIds.has(input.materialId) || !materialIds.has(output.materialId)) return;
+          const key = `${input.materialId}|${output.materialId}|${r.machineId}`;
+          if (!edgeByKey.has(key)) {
+            edgeByKey.set(key, { from: input.materialId, to: output.materialId, machineId: r.machineId || null, recipeIds: [], cycle: false });
+          }
+          const edge = edgeByKey.get(key);
+          if (!edge.recipeIds.includes(r.id)) edge.recipeIds.push(r.id);
+        });
+      });
+    });
+    const edges = Array.from(edgeByKey.values());
+
+    /** @type {Map<string, Array<string>>} */
+    const next = new Map(materials.map(m => [m.id, []]));
+    /** @type {Map<string, Array<string>>} */
+    const prev = new Map(materials.map(m => [m.id, []]));
+    edges.forEach(e => {
+      if (!next.get(e.from).includes(e.to)) next.get(e.from).push(e.to);
+      if (!prev.get(e.to).includes(e.from)) prev.get(e.to).push(e.from);
+    });
+
+    // Strongly connected components (Tarjan, iterative so long chains cannot overflow the stack).
+    /** @type {Map<string, number>} */
+    const component = new Map();
+    /** @type {Array<Array<string>>} */
+    const components = [];
+    const index = new Map();
+    const low = new Map();
+    const stack = [];
+    const onStack = new Set();
+    let counter = 0;
+    materials.forEach(root => {
+      if (index.has(root.id)) return;
+      const work = [{ id: root.id, child: 0 }];
+      index.set(root.id, counter);
+      low.set(root.id, counter++);
+      stack.push(root.id);
+      onStack.add(root.id);
+      while (work.length > 0) {
+        const frame = work[work.length - 1];
+        const children = next.get(frame.id);
+        if (frame.child < children.length) {
+          const child = children[frame.child++];
+          if (!index.has(child)) {
+            index.set(child, counter);
+            low.set(child, counter++);
+            stack.push(child);
+            onStack.add(child);
+            work.push({ id: child, child: 0 });
+          } else if (onStack.has(child)) {
+            low.set(frame.id, Math.min(low.get(frame.id), index.get(child)));
+          }
+          continue;
+        }
+        work.pop();
+        if (work.length > 0) {
+          const parent = work[work.length - 1].id;
+          low.set(parent, Math.min(low.get(parent), low.get(frame.id)));
+        }
+        if (low.get(frame.id) === index.get(frame.id)) {
+          const members = [];
+          let id;
+          do {
+            id = stack.pop();
+            onStack.delete(id);
+            component.set(id, components.length);
+            members.push(id);
+          } while (id !== frame.id);
+          components.push(members);
+        }
+      }
+    });
+
+    /** @type {Array<Array<string>>} */
+    const cycles = [];
+    /** @type {Map<number, number>} component -> cycle index */
+    const cycleOf = new Map();
+    components.forEach((members, idx) => {
+      const selfLoop = members.length === 1 && next.get(members[0]).includes(members[0]);
+      if (members.length < 2 && !selfLoop) return;
+      cycleOf.set(idx, cycles.length);
+      cycles.push(members);
+    });
+    edges.forEach(e => {
+      e.cycle = component.get(e.from) === component.get(e.to) && cycleOf.has(component.get(e.from));
+    });
+
+    // Tarjan emits components in reverse topological order, so walking them backwards visits ingredients first.
+    /** @type {Map<number, number>} */
+    const componentLayer = new Map();
+    for (let c = components.length - 1; c >= 0; c--) {
+      let layer = 0;
+      components[c].forEach(id => {
+        prev.get(id).forEach(p => {
+          const pc = component.get(p);
+          if (pc !== c) layer = Math.max(layer, componentLayer.get(pc) + 1);
+        });
+      });
+      componentLayer.set(c, layer);
+    }
+
+    const nameOf = new Map(materials.map(m => [m.id, String(m.name || "")]));
+    /** @type {Array<Array<string>>} */
+    const layers = [];
+    materials.forEach(m => {
+      const layer = componentLayer.get(component.get(m.id));
+      (layers[layer] = layers[layer] || []).push(m.id);
+    });
+    const order = new Map();
+    layers.forEach(ids => {
+      // Members of one cycle stay together; otherwise alphabetical until the sweeps reorder the layer.
+      ids.sort((a, b) => (component.get(a) - component.get(b)) || nameOf.get(a).localeCompare(nameOf.get(b)));
+      ids.forEach((id, i) => order.set(id, i));
+    });
+    const layerOf = new Map(materials.map(m => [m.id, componentLayer.get(component.get(m.id))]));
+    orderLayers(layers, order, next, prev, layerOf);
+
+    /** @type {Array<RecipeGraphNode>} */
+    const nodes = materials.map(m => ({
+      id: m.id,
+      name: nameOf.get(m.id),
+      layer: componentLayer.get(component.get(m.id)),
+      order: order.get(m.id),
+      cycle: cycleOf.has(component.get(m.id)) ? cycleOf.get(component.get(m.id)) : -1,
+      produced: prev.get(m.id).length > 0,
+    }));
+    return { nodes, edges, cycles };
+  }
+
+  /**
+   * Reorder the nodes of each layer to reduce edge crossings (shared by the recipe graph and Tidy layout).
+   * Barycenter sweeps move each node toward the average position of its neighbours in other layers, down and
+   * then up; the ordering with the fewest crossings between layers wins. Mutates `layers` and `order`.
+   * @param {Array<Array<string>>} layers IDs per layer, in their starting order
+   * @param {Map<string, number>} order ID -> index within its layer, in sync with `layers`
+   * @param {Map<string, Array<string>>} next
+   * @param {Map<string, Array<string>>} prev
+   * @param {Map<string, number>} layerOf
+   */
+  function orderLayers(layers, order, next, prev, layerOf) {
+    /** @type {Array<[string, string]>} edges between layers, left end first */
+    const edges = [];
+    next.forEach((targets, from) => targets.forEach(to => {
+      const a = layerOf.get(from);
+      const b = layerOf.get(to);
+      if (a !== b) edges.push(a < b ? [from, to] : [to, from]);
+    }));
+    // Two edges between the same pair of layers cross when their ends are in opposite order.
+    const countCrossings = () => {
+      let crossings = 0;
+      for (let i = 0; i < edges.length; i++) {
+        const [a0, a1] = edges[i];
+        for (let j = i + 1; j < edges.length; j++) {
+          const [b0, b1] = edges[j];
+          if (layerOf.get(a0) !== layerOf.get(b0) || layerOf.get(a1) !== layerOf.get(b1)) continue;
+          if ((order.get(a0) - order.get(b0)) * (order.get(a1) - order.get(b1)) < 0) crossings++;
+        }
+      }
+      return crossings;
+    };
+
+    const sweep = (layerIds, neighbours) => {
+      const weight = new Map(layerIds.map(id => {
+        const adjacent = neighbours.get(id).filter(n => layerOf.get(n) !== layerOf.get(id));
+        return [id, adjacent.length > 0 ? adjacent.reduce((sum, n) => sum + order.get(n), 0) / adjacent.length : order.get(id)];
+      }));
+      layerIds.sort((a, b) => weight.get(a) - weight.get(b));
+      layerIds.forEach((id, i) => order.set(id, i));
+    };
+    let best = { crossings: countCrossings(), layers: layers.map(ids => ids && ids.slice()) };
+    for (let pass = 0; pass < 4 && best.crossings > 0; pass++) {
+      for (let l = 1; l < layers.length; l++) if (layers[l]) sweep(layers[l], prev);
+      for (let l = layers.length - 2; l >= 0; l--) if (layers[l]) sweep(layers[l], next);
+      const crossings = countCrossings();
+      if (crossings < best.crossings) best = { crossings, layers: layers.map(ids => ids && ids.slice()) };
+    }
+    best.layers.forEach((ids, l) => {
+      if (!ids) return;
+      layers[l] = ids;
+      ids.forEach((id, i) => order.set(id, i));
+    });
+  }
+
+  /**
+   * Materials reachable from `materialId` along the graph: its ingredients (and theirs) upstream, or everything
+   * made from it downstream. The start material itself is not included unless a cycle leads back to it.
+   * @param {RecipeGraph} graph
+   * @param {string} materialId
+   * @param {("upstream"|"downstream")} direction
+   * @returns {Set<string>}
+   */
+  function traceRecipeGraph(graph, materialId, direction) {
+    /** @type {Map<string, Array<string>>} */
+    const adjacent = new Map();
+    graph.edges.forEach(e => {
+      const [from, to] = direction === "upstream" ? [e.to, e.from] : [e.from, e.to];
+      if (!adjacent.has(from)) adjacent.set(from, []);
+      adjacent.get(from).push(to);
+    });
+    const seen = new Set();
+    const queue = [materialId];
+    while (queue.length > 0) {
+      (adjacent.get(queue.shift()) || []).forEach(id => {
+        if (seen.has(id)) return;
+        seen.add(id);
+        queue.push(id);
+      });
+    }
+    return seen;
+  }
+
+  // ---------- Build layout (Tidy layout) ----------
+  // Cards are laid out in flow layers, left to right: each card one column right of its furthest supplier, with
+  // feedback links (DFS back edges) ignored so loops still read left to right. Export cards that end a chain go
+  // in the last column. Unconnected groups are stacked top to bottom; lone cards are packed in rows underneath.
+
+  const LAYOUT_COLUMN_GAP = 120;
+  const LAYOUT_ROW_GAP = 40;
+  const LAYOUT_GROUP_GAP = 120;
+  const LAYOUT_MIN_ROW_WIDTH = 1200;
+
+  /**
+   * New positions for `placedMachines` (blueprint instances move as one card, their insides untouched).
+   * @param {Array<PlacedMachine>} placedMachines cards to arrange
+   * @param {Array<Connection>} connections links to or from cards outside the list are ignored
+   * @param {Map<string, { width: number, height: number }>} sizes rendered card sizes by placed machine ID
+   * @returns {Map<string, { x: number, y: number }>} top-left corners, with the arrangement's top-left at (0, 0)
+   */
+  function layoutBuild(placedMachines, connections, sizes) {
+    const cards = new Map(placedMachines.map(pm => [pm.id, pm]));
+    const sizeOf = (id) => sizes.get(id) || { width: 0, height: 0 };
+    const { next, prev } = getCardLinks(placedMachines, connections);
+
+    // Connected groups, in the order of their top-most card.
+    const byPosition = placedMachines.slice().sort((a, b) => (a.y - b.y) || (a.x - b.x));
+    /** @type {Array<Array<string>>} */
+    const groups = [];
+    const groupOf = new Map();
+    byPosition.forEach(pm => {
+      if (groupOf.has(pm.id)) return;
+      const members = [];
+      const queue = [pm.id];
+      groupOf.set(pm.id, groups.length);
+      while (queue.length > 0) {
+        const id = queue.shift();
+        members.push(id);
+        [...next.get(id), ...prev.get(id)].forEach(n => {
+          if (groupOf.has(n)) return;
+          groupOf.set(n, groups.length);
+          queue.push(n);
+        });
+      }
+      groups.push(members);
+    });
+    const rank = new Map(byPosition.map((pm, i) => [pm.id, i]));
+
+    /** @type {Map<string, { x: number, y: number }>} */
+    const positions = new Map();
+    let top = 0;
+    let widest = 0;
+    groups.filter(members => members.length > 1).forEach(members => {
+      members.sort((a, b) => rank.get(a) - rank.get(b));
+      const box = layoutBuildGroup(members, next, prev, cards, sizeOf);
+      box.positions.forEach((pos, id) => positions.set(id, { x: pos.x, y: pos.y + top }));
+      top += box.height + LAYOUT_GROUP_GAP;
+      widest = Math.max(widest, box.width);
+    });
+
+    const rowWidth = Math.max(widest, LAYOUT_MIN_ROW_WIDTH);
+    let x = 0;
+    let rowHeight = 0;
+    groups.filter(members => members.length === 1).forEach(([id]) => {
+      const size = sizeOf(id);
+      if (x > 0 && x + size.width > rowWidth) {
+        x = 0;
+        top += rowHeight + LAYOUT_ROW_GAP;
+        rowHeight = 0;
+      }
+      positions.set(id, { x, y: top });
+      x += size.width + LAYOUT_COLUMN_GAP;
+      rowHeight = Math.max(rowHeight, size.height);
+    });
+    return positions;
+  }
+
+  /**
+   * Card-to-card links of a build (self-links and duplicates dropped).
+   * @param {Array<PlacedMachine>} placedMachines
+   * @param {Array<Connection>} connections links to or from cards outside the list are ignored
+   * @returns {{ next: Map<string, Array<string>>, prev: Map<string, Array<string>> }}
+   */
+  function getCardLinks(placedMachines, connections) {
+    const cards = new Set(placedMachines.map(pm => pm.id));
+    // Ports inside a blueprint instance are addressed as `${instanceId}__...`.
+    const cardOf = (id) => (cards.has(id) ? id : (typeof id === "string" && cards.has(id.split("__")[0]) ? id.split("__")[0] : null));
+
+    /** @type {Map<string, Array<string>>} */
+    const next = new Map(placedMachines.map(pm => [pm.id, []]));
+    /** @type {Map<string, Array<string>>} */
+    const prev = new Map(placedMachines.map(pm => [pm.id, []]));
+    connections.forEach(c => {
+      const from = cardOf(c.fromMachineId);
+      const to = cardOf(c.toMachineId);
+      if (!from || !to || from === to || next.get(from).includes(to)) return;
+      next.get(from).push(to);
+      prev.get(to).push(from);
+    });
+    return { next, prev };
+  }
+
+  /**
+   * Flow layer of every card: one more than its furthest supplier, ignoring feedback links.
+   * @param {Array<string>} members card IDs, top-most first (DFS roots are taken in this order)
+   * @param {Map<string, PlacedMachine>} cards
+   * @returns {Map<string, number>}
+   */
+  function getFlowLayers(members, next, prev, cards) {
+    // DFS from the sources marks back edges; without them the links form a DAG.
+    const backEdges = new Set();
+    const visitState = new Map(); // id -> "visiting" | "done"
+    /** @type {Array<string>} */
+    const finished = [];
+    const roots = [...members.filter(id => prev.get(id).length === 0), ...members];
+    roots.forEach(root => {
+      if (visitState.has(root)) return;
+      const work = [{ id: root, child: 0 }];
+      visitState.set(root, "visiting");
+      while (work.length > 0) {
+        const frame = work[work.length - 1];
+        const children = next.get(frame.id);
+        if (frame.child < children.length) {
+          const child = children[frame.child++];
+          const seen = visitState.get(child);
+          if (seen === "visiting") backEdges.add(`${frame.id}>${child}`);
+          else if (!seen) {
+            visitState.set(child, "visiting");
+            work.push({ id: child, child: 0 });
+          }
+          continue;
+        }
+        work.pop();
+        visitState.set(frame.id, "done");
+        finished.push(frame.id);
+      }
+    });
+
+    /** @type {Map<string, number>} */
+    const layerOf = new Map(members.map(id => [id, 0]));
+    finished.slice().reverse().forEach(id => {
+      next.get(id).forEach(to => {
+        if (!backEdges.has(`${id}>${to}`)) layerOf.set(to, Math.max(layerOf.get(to), layerOf.get(id) + 1));
+      });
+    });
+    const lastLayer = Math.max(...layerOf.values());
+    members.forEach(id => {
+      if (cards.get(id).type === "export" && next.get(id).length === 0) layerOf.set(id, lastLayer);
+    });
+    return layerOf;
+  }
+
+  /**
+   * Lay out one connected group of cards.
+   * @param {Array<string>} members card IDs, top-most first
+   * @returns {{ positions: Map<string, { x: number, y: number }>, width: number, height: number }}
+   */
+  function layoutBuildGroup(members, next, prev, cards, sizeOf) {
+    const layerOf = getFlowLayers(members, next, prev, cards);
+    const lastLayer = Math.max(...layerOf.values());
+
+    /** @type {Array<Array<string>>} */
+    const layers = Array.from({ length: lastLayer + 1 }, () => []);
+    members.forEach(id => layers[layerOf.get(id)].push(id));
+    const order = new Map();
+    layers.forEach(ids => ids.forEach((id, i) => order.set(id, i)));
+    orderLayers(layers, order, next, prev, layerOf);
+
+    // Columns are as wide as their widest card. Each card is centred on its suppliers in earlier columns
+    // where there is room, otherwise pushed down below the card above it.
+    /** @type {Map<string, { x: number, y: number }>} */
+    const positions = new Map();
+    let x = 0;
+    let height = 0;
+    layers.forEach(ids => {
+      let cursor = 0;
+      ids.forEach(id => {
+        const size = sizeOf(id);
+        const placed = prev.get(id).filter(p => positions.has(p));
+        const wanted = placed.length > 0
+          ? placed.reduce((sum, p) => sum + positions.get(p).y + sizeOf(p).height / 2, 0) / placed.length - size.height / 2
+          : cursor;
+        const y = Math.max(cursor, wanted);
+        positions.set(id, { x, y });
+        cursor = y + size.height + LAYOUT_ROW_GAP;
+      });
+      x += Math.max(0, ...ids.map(id => sizeOf(id).width)) + LAYOUT_COLUMN_GAP;
+    });
+    const minY = Math.min(...Array.from(positions.values()).map(p => p.y));
+    positions.forEach((pos, id) => {
+      pos.y -= minY;
+      height = Math.max(height, pos.y + sizeOf(id).height);
+    });
+    return { positions, width: x - LAYOUT_COLUMN_GAP, height };
+  }
+
+  /**
+   * Cards grouped into production stages, in the same flow layers Tidy Layout uses: stage 0 holds the sources
+   * (and unconnected cards), every later stage the cards fed by earlier ones. Cards within a stage are in
+   * canvas reading order (top to bottom, then left to right).
+   * @param {Array<PlacedMachine>} placedMachines
+   * @param {Array<Connection>} connections
+   * @returns {Array<Array<PlacedMachine>>}
+   */
+  function getBuildStages(placedMachines, connections) {
+    if (placedMachines.length === 0) return [];
+    const cards = new Map(placedMachines.map(pm => [pm.id, pm]));
+    const { next, prev } = getCardLinks(placedMachines, connections);
+    const byPosition = placedMachines.slice().sort((a, b) => (a.y - b.y) || (a.x - b.x));
+    const layerOf = getFlowLayers(byPosition.map(pm => pm.id), next, prev, cards);
+
+    /** @type {Array<Array<PlacedMachine>>} */
+    const stages = Array.from({ length: Math.max(...layerOf.values()) + 1 }, () => []);
+    byPosition.forEach(pm => stages[layerOf.get(pm.id)].push(pm));
+    return stages.filter(stage => stage.length > 0);
+  }
+
+  Object.assign(AF.core, {
+    getMaterialById,
+    getMachineById,
+    getRecipeById,
+    findMachineInTree,
+    getAllMachinesInTree,
+    getAllConnectionsInTree,
+    resolveConnection,
+    materialLabel,
+    getMaterialIdFromPort,
+    checkDatabase,
+    buildRecipeGraph,
+    traceRecipeGraph,
+    layoutBuild,
+    getBuildStages
+  });
+
+})();
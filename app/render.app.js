@@ -93,34 +93,392 @@
     
     // Transform: translate to viewport center, scale by zoom, then translate by camera offset
     container.style.transform = `translate(${centerX}px, ${centerY}px) scale(${zoom}) translate(${-camX}px, ${-camY}px)`;
+
+    updateMinimapViewport();
+    scheduleCullingSync();
   }
   
   /**
-   * Sync render after camera movement ends - updates existing elements instead of recreating
+   * Sync render after the camera moved.
    */
   function syncRenderAfterCameraMove() {
+    syncCardPositions();
+  }
+
+  /**
+   * Bring cards in line with their `x`/`y` and the current view without a full render: add cards that came
+   * into the rendered area, cull the ones that left, move the rest, and redraw the connections. Card content
+   * is left as is. Used after camera moves and on every step of a card drag.
+   */
+  function syncCardPositions() {
     const canvas = $("#designCanvas");
     if (!canvas) return;
     
     const container = canvas.querySelector("#canvasTransformContainer");
     if (!container) return;
     
-    // Re-render connections (these need to be redrawn as paths may have changed)
+    reconcileCards(container, "none");
+    
     const svgEl = container.querySelector("#connectionsSvg");
     if (svgEl) {
       renderConnections(svgEl);
     }
-    
-    // Update machine elements that might need state refresh
-    AF.state.build.placedMachines.forEach(pm => {
-      const existingEl = container.querySelector(`[data-placed-machine="${pm.id}"]`);
-      if (!existingEl) {
-        // Machine doesn't exist yet, shouldn't happen but create it
+  }
+
+  // ---------- Minimap ----------
+  // The minimap's SVG viewBox is the world-space bounding box of all cards, so cards and the camera viewport are
+  // drawn in world coordinates and the browser does the scaling. Interaction lives in `AF.ui.canvasMinimap`.
+
+  // Empty world space kept around the cards, and the smallest area shown (so one card doesn't fill the map).
+  const MINIMAP_PADDING = 200;
+  const MINIMAP_MIN_WIDTH = 2400;
+  const MINIMAP_MIN_HEIGHT = 1600;
+
+  /**
+   * Status color class of a card on the minimap.
+   * @param {PlacedMachine} pm
+   * @returns {"insufficient"|"underclocked"|"idle"|"running"|"other"}
+   */
+  function getMinimapStatus(pm) {
+    if (pm.hasInsufficientInputs) return "insufficient";
+    if ((pm.type || "machine") !== "machine") return "other";
+    if (!pm.machineId) return "idle";
+    const machine = AF.core.getMachineById(pm.machineId);
+    if (machine && machine.kind && machine.kind !== "standard") return "other";
+    if (!pm.recipeId) return "idle";
+    const efficiency = pm.efficiency !== undefined ? pm.efficiency : 1.0;
+    if (efficiency < 0.001) return "idle";
+    if (efficiency < 0.999) return "underclocked";
+    return "running";
+  }
+
+  /**
+   * World-space rectangle currently visible in the design canvas.
+   * @returns {{ x: number, y: number, width: number, height: number }|null}
+   */
+  function getCameraViewRect() {
+    const canvas = $("#designCanvas");
+    if (!canvas) return null;
+    const rect = canvas.getBoundingClientRect();
+    const { x: camX, y: camY, zoom } = AF.state.build.camera;
+    const width = rect.width / zoom;
+    const height = rect.height / zoom;
+    return { x: camX - width / 2, y: camY - height / 2, width, height };
+  }
+
+  /**
+   * Redraw the minimap cards and viewport (hidden while the canvas is empty).
+   */
+  function renderMinimap() {
+    const minimap = $("#canvasMinimap");
+    const svgEl = minimap?.querySelector("svg");
+    if (!minimap || !svgEl) return;
+
+    const placedMachines = AF.state.build.placedMachines;
+    minimap.classList.toggle("hidden", placedMachines.length === 0);
+    if (placedMachines.length === 0) return;
+
+    let minX = Infinity;
+    let minY = Infinity;
+    let maxX = -Infinity;
+    let maxY = -Infinity;
+    const cards = placedMachines.map(pm => {
+      const { width, height } = getPlacedMachineSize(pm.id);
+      minX = Math.min(minX, pm.x);
+      minY = Math.min(minY, pm.y);
+      maxX = Math.max(maxX, pm.x + width);
+      maxY = Math.max(maxY, pm.y + height);
+      return { pm, width, height };
+    });
+
+    const width = Math.max(MINIMAP_MIN_WIDTH, maxX - minX + 2 * MINIMAP_PADDING);
+    const height = Math.max(MINIMAP_MIN_HEIGHT, maxY - minY + 2 * MINIMAP_PADDING);
+    const x = (minX + maxX - width) / 2;
+    const y = (minY + maxY - height) / 2;
+    svgEl.setAttribute("viewBox", `${x} ${y} ${width} ${height}`);
+
+    const selected = new Set(AF.state.build.selectedMachines);
+    svgEl.innerHTML = cards.map(({ pm, width: w, height: h }) => {
+      const classes = `minimap__card minimap__card--${getMinimapStatus(pm)}${selected.has(pm.id) ? " is-selected" : ""}`;
+      return `<rect class="${classes}" data-minimap-card="${escapeHtml(pm.id)}" x="${pm.x}" y="${pm.y}" width="${w}" height="${h}" rx="12"></rect>`;
+    }).join("") + `<rect class="minimap__viewport" data-minimap-viewport vector-effect="non-scaling-stroke"></rect>`;
+
+    updateMinimapViewport();
+  }
+
+  /**
+   * Move the minimap's viewport rectangle to the current camera (cheap; called on every camera change).
+   */
+  function updateMinimapViewport() {
+    const viewportEl = document.querySelector("#canvasMinimap [data-minimap-viewport]");
+    const view = getCameraViewRect();
+    if (!viewportEl || !view) return;
+    viewportEl.setAttribute("x", String(view.x));
+    viewportEl.setAttribute("y", String(view.y));
+    viewportEl.setAttribute("width", String(view.width));
+    viewportEl.setAttribute("height", String(view.height));
+  }
+
+  // ---------- Card views (viewport culling + in-place updates) ----------
+  // Only cards near the camera view get DOM elements; the rest are culled and re-created when the view reaches
+  // them. Each rendered card is tracked in `cardViews` with the markup it was last built from. A refresh builds the
+  // card again with `createPlacedMachineElement` and patches the live element node by node, so a count or rate
+  // change touches just the changed text and attributes (and keeps focus, scroll and open selects intact).
+  // Card sizes and port offsets are measured whenever a card is rendered and kept in `cardGeometry` after it is
+  // culled, so routing, the minimap and layout tools still see every card.
+
+  // Rendered area beyond each edge of the view, as a share of the view size (at least CULL_MARGIN_MIN world px).
+  const CULL_MARGIN_RATIO = 0.5;
+  const CULL_MARGIN_MIN = 400;
+  // Size assumed for cards that have never been rendered.
+  const DEFAULT_CARD_SIZE = { width: 280, height: 200 };
+
+  /** @type {Map<string, { el: HTMLElement, markup: string }>} */
+  const cardViews = new Map();
+  /** @type {Map<string, CardGeometry>} */
+  const cardGeometry = new Map();
+  /** World rectangle whose cards are in the DOM (null before the first render). */
+  let renderedRegion = null;
+  let cullingSyncPending = false;
+
+  /**
+   * World rectangle to render: the camera view plus a margin, so short pans don't need new cards.
+   * @returns {{ x: number, y: number, width: number, height: number }|null}
+   */
+  function getCullRegion() {
+    const view = getCameraViewRect();
+    if (!view || view.width <= 0 || view.height <= 0) return null;
+    const marginX = Math.max(CULL_MARGIN_MIN, view.width * CULL_MARGIN_RATIO);
+    const marginY = Math.max(CULL_MARGIN_MIN, view.height * CULL_MARGIN_RATIO);
+    return { x: view.x - marginX, y: view.y - marginY, width: view.width + 2 * marginX, height: view.height + 2 * marginY };
+  }
+
+  /**
+   * @param {{ x: number, y: number, width: number, height: number }} a
+   * @param {{ x: number, y: number, width: number, height: number }} b
+   */
+  function rectsIntersect(a, b) {
+    return a.x < b.x + b.width && b.x < a.x + a.width && a.y < b.y + b.height && b.y < a.y + a.height;
+  }
+
+  /**
+   * Last measured (or assumed) size of a card, rendered or not.
+   * @param {string} placedMachineId
+   * @returns {{ width: number, height: number }}
+   */
+  function getKnownCardSize(placedMachineId) {
+    const geometry = cardGeometry.get(placedMachineId);
+    return geometry ? { width: geometry.width, height: geometry.height } : DEFAULT_CARD_SIZE;
+  }
+
+  /**
+   * Record a rendered card's size and port anchors (relative to the card).
+   * @param {string} placedMachineId
+   * @param {HTMLElement} el
+   */
+  function measureCard(placedMachineId, el) {
+    // Not laid out (canvas hidden); measure on a later pass.
+    if (!el.offsetWidth) return;
+    /** @param {HTMLElement} portEl */
+    const offsetOf = (portEl) => {
+      let x = 0;
+      let y = 0;
+      /** @type {HTMLElement|null} */
+      let current = portEl;
+      while (current && current !== el) {
+        x += current.offsetLeft || 0;
+        y += current.offsetTop || 0;
+        current = /** @type {HTMLElement|null} */ (current.offsetParent);
+      }
+      return { x, y };
+    };
+    /** @type {CardGeometry} */
+    const geometry = { width: el.offsetWidth, height: el.offsetHeight, inputs: new Map(), outputs: new Map() };
+    el.querySelectorAll("[data-output-port]").forEach(portEl => {
+      const pos = offsetOf(/** @type {HTMLElement} */ (portEl));
+      // Output anchors sit on the port's right edge, input anchors on its left edge.
+      geometry.outputs.set(portEl.getAttribute("data-output-port"), { x: pos.x + portEl.offsetWidth, y: pos.y + portEl.offsetHeight / 2 });
+    });
+    el.querySelectorAll("[data-input-port]").forEach(portEl => {
+      const pos = offsetOf(/** @type {HTMLElement} */ (portEl));
+      geometry.inputs.set(portEl.getAttribute("data-input-port"), { x: pos.x, y: pos.y + portEl.offsetHeight / 2 });
+    });
+    cardGeometry.set(placedMachineId, geometry);
+  }
+
+  /**
+   * World position of a port anchor. Cards never rendered get an estimate on their edge; a rendered card without
+   * the port (e.g. a recipe change removed it) returns null.
+   * @param {PlacedMachine} pm
+   * @param {string|number} portIdx
+   * @param {"input"|"output"} direction
+   * @returns {{ x: number, y: number }|null}
+   */
+  function getPortAnchor(pm, portIdx, direction) {
+    const geometry = cardGeometry.get(pm.id);
+    if (!geometry) {
+      return { x: pm.x + (direction === "output" ? DEFAULT_CARD_SIZE.width : 0), y: pm.y + DEFAULT_CARD_SIZE.height / 2 };
+    }
+    const offset = (direction === "output" ? geometry.outputs : geometry.inputs).get(String(portIdx));
+    return offset ? { x: pm.x + offset.x, y: pm.y + offset.y } : null;
+  }
+
+  /**
+   * Copy `source`'s attributes and children onto `target` in place, touching only what differs.
+   * @param {Element} target live element
+   * @param {Element} source freshly built element (its children are moved into `target`)
+   */
+  function patchElement(target, source) {
+    Array.from(target.attributes).forEach(attr => {
+      if (!source.hasAttribute(attr.name)) target.removeAttribute(attr.name);
+    });
+    Array.from(source.attributes).forEach(attr => {
+      if (target.getAttribute(attr.name) !== attr.value) target.setAttribute(attr.name, attr.value);
+    });
+
+    const targetChildren = Array.from(target.childNodes);
+    const sourceChildren = Array.from(source.childNodes);
+    sourceChildren.forEach((child, i) => {
+      const existing = targetChildren[i];
+      if (!existing) {
+        target.appendChild(child);
+      } else if (existing.nodeType !== child.nodeType || existing.nodeName !== child.nodeName) {
+        target.replaceChild(child, existing);
+      } else if (existing.nodeType === Node.ELEMENT_NODE) {
+        patchElement(/** @type {Element} */ (existing), /** @type {Element} */ (child));
+      } else if (existing.nodeValue !== child.nodeValue) {
+        existing.nodeValue = child.nodeValue;
+      }
+    });
+    targetChildren.slice(sourceChildren.length).forEach(child => child.remove());
+
+    // Attributes only set the defaults of form controls; sync the live value unless the user is typing in it.
+    if (target !== document.activeElement) {
+      if (target instanceof HTMLInputElement && source instanceof HTMLInputElement) {
+        if (target.value !== source.value) target.value = source.value;
+        if (target.checked !== source.checked) target.checked = source.checked;
+      } else if (target instanceof HTMLSelectElement && source instanceof HTMLSelectElement) {
+        if (target.value !== source.value) target.value = source.value;
+      }
+    }
+  }
+
+  /**
+   * Rebuild a rendered card and patch it in place when its markup changed.
+   * @param {{ el: HTMLElement, markup: string }} view
+   * @param {PlacedMachine} pm
+   * @returns {boolean} whether the DOM changed
+   */
+  function refreshCardView(view, pm) {
+    const fresh = createPlacedMachineElement(pm);
+    const markup = fresh.outerHTML;
+    if (markup === view.markup) return false;
+    patchElement(view.el, fresh);
+    view.markup = markup;
+    return true;
+  }
+
+  /**
+   * Cheap check (no markup build) for state the card shows that changes without a forced refresh:
+   * efficiency, insufficient inputs and the connection counts of storages and blueprint instances.
+   * @param {HTMLElement} el
+   * @param {PlacedMachine} pm
+   */
+  function cardNeedsRefresh(el, pm) {
+    const hasInsufficientInputs = !!pm.hasInsufficientInputs;
+    if (hasInsufficientInputs !== el.classList.contains("has-insufficient-inputs")) return true;
+
+    const currentEfficiency = pm.efficiency !== undefined ? pm.efficiency : 1.0;
+    const storedEfficiency = parseFloat(el.dataset.efficiency || "1.0");
+    if (Math.abs(currentEfficiency - storedEfficiency) > 0.001) return true;
+
+    // Storage machines and blueprint instances show per-connection ports/rates.
+    const machine = pm.type === "machine" && pm.machineId ? AF.core.getMachineById(pm.machineId) : null;
+    if ((machine && machine.kind === "storage") || pm.type === "blueprint_instance" || pm.type === "blueprint") {
+      const currentConnectionCount =
+        AF.state.build.connections.filter(c => c.fromMachineId === pm.id || c.toMachineId === pm.id).length;
+      return currentConnectionCount !== parseInt(el.dataset.connectionCount || "0");
+    }
+    return false;
+  }
+
+  /**
+   * Bring the card DOM in line with the build for the current view: create cards that came into view, remove
+   * culled and deleted ones, and move the rest. `refresh` picks which of those get their content rebuilt:
+   * "all", "stale" (state the card shows changed, see `cardNeedsRefresh`) or "none".
+   * @param {HTMLElement} container
+   * @param {"all"|"stale"|"none"} refresh
+   */
+  function reconcileCards(container, refresh) {
+    const region = getCullRegion();
+    renderedRegion = region;
+    const placedMachines = AF.state.build.placedMachines;
+    const liveIds = new Set(placedMachines.map(pm => pm.id));
+    // Never cull the card the user is typing in.
+    const focusedId = document.activeElement?.closest?.("[data-placed-machine]")?.getAttribute("data-placed-machine") || null;
+
+    /** @type {Array<PlacedMachine>} */
+    const visible = [];
+    placedMachines.forEach(pm => {
+      const size = getKnownCardSize(pm.id);
+      if (!region || pm.id === focusedId || rectsIntersect({ x: pm.x, y: pm.y, ...size }, region)) visible.push(pm);
+    });
+    const visibleIds = new Set(visible.map(pm => pm.id));
+
+    // Drop views that were culled, deleted or detached (e.g. the container was rebuilt), plus stray elements.
+    cardViews.forEach((view, id) => {
+      if (!visibleIds.has(id) || view.el.parentNode !== container) {
+        view.el.remove();
+        cardViews.delete(id);
+      }
+    });
+    container.querySelectorAll("[data-placed-machine]").forEach(el => {
+      if (cardViews.get(el.getAttribute("data-placed-machine"))?.el !== el) el.remove();
+    });
+    Array.from(cardGeometry.keys()).forEach(id => {
+      if (!liveIds.has(id)) cardGeometry.delete(id);
+    });
+
+    /** @type {Array<string>} */
+    const changed = [];
+    visible.forEach(pm => {
+      const view = cardViews.get(pm.id);
+      if (!view) {
         const el = createPlacedMachineElement(pm);
         container.appendChild(el);
+        cardViews.set(pm.id, { el, markup: el.outerHTML });
+        changed.push(pm.id);
+        return;
       }
-      // Note: We don't update existing elements here as their positions are handled by CSS transform
-      // and their content shouldn't change during camera movement
+      if (refresh === "all" || (refresh === "stale" && cardNeedsRefresh(view.el, pm))) {
+        if (refreshCardView(view, pm) || !cardGeometry.has(pm.id)) changed.push(pm.id);
+        return;
+      }
+      view.el.style.left = `${pm.x}px`;
+      view.el.style.top = `${pm.y}px`;
+      if (!cardGeometry.has(pm.id)) changed.push(pm.id);
+    });
+
+    // Measure after all writes so the browser lays out once.
+    changed.forEach(id => measureCard(id, cardViews.get(id).el));
+  }
+
+  /**
+   * Re-cull after the camera left the rendered area (at most once per frame).
+   */
+  function scheduleCullingSync() {
+    if (cullingSyncPending || (cardViews.size === 0 && !renderedRegion)) return;
+    const view = getCameraViewRect();
+    if (!view || view.width <= 0 || view.height <= 0) return;
+    // No region means the canvas was hidden at the last render and every card was rendered.
+    const inside = !!renderedRegion && view.x >= renderedRegion.x && view.y >= renderedRegion.y &&
+      view.x + view.width <= renderedRegion.x + renderedRegion.width &&
+      view.y + view.height <= renderedRegion.y + renderedRegion.height;
+    if (inside) return;
+    cullingSyncPending = true;
+    requestAnimationFrame(() => {
+      cullingSyncPending = false;
+      syncRenderAfterCameraMove();
     });
   }
 
@@ -146,6 +504,10 @@
       // Remove transform container if it exists
       const existingContainer = canvas.querySelector("#canvasTransformContainer");
       if (existingContainer) existingContainer.remove();
+      cardViews.clear();
+      cardGeometry.clear();
+      renderedRegion = null;
+      renderMinimap();
       
       let placeholder = canvas.querySelector(".canvas__placeholder");
       if (!placeholder) {
@@ -202,86 +564,13 @@
       container.appendChild(svgEl);
     }
     
-    // Reconcile machine elements (reuse existing elements where possible)
-    const currentMachineIds = new Set(AF.state.build.placedMachines.map(pm => pm.id));
-    const existingElements = Array.from(container.querySelectorAll("[data-placed-machine]"));
-    
-    // Remove elements for machines that no longer exist
-    existingElements.forEach(el => {
-      const id = el.getAttribute("data-placed-machine");
-      if (!currentMachineIds.has(id)) {
-        el.remove();
-      }
-    });
-    
-    if (forceRecreate) {
-      // Force recreate: remove all existing elements and create fresh
-      existingElements.forEach(el => {
-        if (currentMachineIds.has(el.getAttribute("data-placed-machine"))) {
-          el.remove();
-        }
-      });
-      
-      AF.state.build.placedMachines.forEach(pm => {
-        const el = createPlacedMachineElement(pm);
-        container.appendChild(el);
-      });
-    } else {
-      // Smart update: reuse elements where possible
-      AF.state.build.placedMachines.forEach(pm => {
-        let el = container.querySelector(`[data-placed-machine="${pm.id}"]`);
-        
-        if (el) {
-          // Element exists - update position
-          el.style.left = `${pm.x}px`;
-          el.style.top = `${pm.y}px`;
-          
-          // Check if we need to update content (precomputed in calculator)
-          const hasInsufficientInputs = !!pm.hasInsufficientInputs;
-          const shouldHaveInsufficient = el.classList.contains("has-insufficient-inputs");
-          
-          // Check if efficiency changed (for underclocking display)
-          const currentEfficiency = pm.efficiency !== undefined ? pm.efficiency : 1.0;
-          const storedEfficiency = parseFloat(el.dataset.efficiency || "1.0");
-          const efficiencyChanged = Math.abs(currentEfficiency - storedEfficiency) > 0.001;
-          
-          // Check if storage connections changed (storage machines need full redraw when connections change)
-          let storageConnectionsChanged = false;
-          if (pm.type === "machine" && pm.machineId) {
-            const machine = AF.core.getMachineById(pm.machineId);
-            if (machine && machine.kind === "storage") {
-              const currentConnectionCount = 
-                AF.state.build.connections.filter(c => c.fromMachineId === pm.id || c.toMachineId === pm.id).length;
-              const storedConnectionCount = parseInt(el.dataset.connectionCount || "0");
-              storageConnectionsChanged = currentConnectionCount !== storedConnectionCount;
-            }
-          }
-
-          // Blueprint instances depend heavily on external connection state (inputs/outputs, fuel ports).
-          // Recreate when connection count changes so ports/rates refresh immediately.
-          let blueprintConnectionsChanged = false;
-          if (pm.type === "blueprint_instance" || pm.type === "blueprint") {
-            const currentConnectionCount =
-              AF.state.build.connections.filter(c => c.fromMachineId === pm.id || c.toMachineId === pm.id).length;
-            const storedConnectionCount = parseInt(el.dataset.connectionCount || "0");
-            blueprintConnectionsChanged = currentConnectionCount !== storedConnectionCount;
-          }
-          
-          // If state changed, recreate the element
-          if (hasInsufficientInputs !== shouldHaveInsufficient || efficiencyChanged || storageConnectionsChanged || blueprintConnectionsChanged) {
-            const newEl = createPlacedMachineElement(pm);
-            el.replaceWith(newEl);
-          }
-        } else {
-          // Element doesn't exist - create it
-          el = createPlacedMachineElement(pm);
-          container.appendChild(el);
-        }
-      });
-    }
+    // Create, cull and refresh card elements (only cards near the view are in the DOM)
+    reconcileCards(container, forceRecreate ? "all" : "stale");
     
     // Render connections
     renderConnections(svgEl);
+
+    renderMinimap();
     
     // Apply camera transform
     updateCameraTransform();
@@ -1365,297 +1654,316 @@
   }
   
   /**
-   * Get obstacle rectangles for pathfinding (machine cards with clearance)
+   * Size of a placed machine card in world units (offset size, so camera zoom does not matter).
+   * Culled cards report their last measured size; cards never rendered report the CSS card width and a typical height.
+   * @param {string} placedMachineId
+   * @returns {{ width: number, height: number }}
    */
-  function getObstacles(excludeMachineIds = [], notches = []) {
-    // Keep routed connections away from card edges.
-    // This is not CSS padding; it's a routing "no-go" buffer so lines don't graze cards.
-    const CLEARANCE = 28;
-    const obstacles = [];
-
-    // Index notches by machineId for quick lookup
-    const notchByMachineId = new Map();
-    (notches || []).forEach(n => {
-      if (!n || !n.machineId) return;
-      notchByMachineId.set(n.machineId, n);
-    });
-    
-    // Use machine data directly for world coordinates
-    AF.state.build.placedMachines.forEach(pm => {
-      // Skip excluded machines (source/target of current connection)
-      if (excludeMachineIds.includes(pm.id)) return;
-      
-      // Get machine element to determine size (use DOM dimensions, not transformed)
-      const machineEl = document.querySelector(`[data-placed-machine="${pm.id}"]`);
-      if (!machineEl) return;
-      
-      // Use offsetWidth/Height which gives element dimensions without transform effects
-      const worldWidth = machineEl.offsetWidth;
-      const worldHeight = machineEl.offsetHeight;
-
-      const ox1 = pm.x - CLEARANCE;
-      const oy1 = pm.y - CLEARANCE;
-      const ox2 = pm.x + worldWidth + CLEARANCE;
-      const oy2 = pm.y + worldHeight + CLEARANCE;
-
-      const notch = notchByMachineId.get(pm.id) || null;
-      if (!notch) {
-        obstacles.push({ x1: ox1, y1: oy1, x2: ox2, y2: oy2 });
-        return;
-      }
+  function getPlacedMachineSize(placedMachineId) {
+    const machineEl = cardViews.get(placedMachineId)?.el;
+    if (!machineEl || !machineEl.isConnected) return getKnownCardSize(placedMachineId);
+    return { width: machineEl.offsetWidth, height: machineEl.offsetHeight };
+  }
 
-      // Create a small "port notch" so wires can enter/exit the card at the port,
-      // but all other segments still respect the no-go clearance.
-      const side = notch.side; // "right" | "left"
-      const cy = Number(notch.y);
-      const halfH = Number.isFinite(notch.halfHeight) ? Number(notch.halfHeight) : 18;
-      const extraW = Number.isFinite(notch.extraWidth) ? Number(notch.extraWidth) : 32;
+  // ---------- Connection routing ----------
+  // Connections are routed on a sparse orthogonal grid: its lines run along every card's no-go rectangle and
+  // halfway between neighbouring rectangles. A* over that grid minimizes length plus a penalty per bend, so
+  // belts go around cards instead of through them, including backward (right-to-left) links. Routes are cached
+  // per connection and only recomputed when an endpoint or a card near the route moves. Overlapping segments of
+  // different belts are then spread into parallel lanes.
 
-      const ny1 = Math.max(oy1, cy - halfH);
-      const ny2 = Math.min(oy2, cy + halfH);
+  // Keep routed connections away from card edges.
+  // This is not CSS padding; it's a routing "no-go" buffer so lines don't graze cards.
+  const ROUTE_CLEARANCE = 28;
+  const ROUTE_STUB = ROUTE_CLEARANCE + 8; // straight run out of an output / into an input
+  const ROUTE_BEND_PENALTY = 40;
+  const ROUTE_MARGINS = [240, 960]; // search area around the endpoints, widened once if no route fits
+  const LANE_GAP = 6;
+  const LANE_MAX_OFFSET = ROUTE_CLEARANCE - 8;
 
-      if (!(ny2 > ny1)) {
-        obstacles.push({ x1: ox1, y1: oy1, x2: ox2, y2: oy2 });
-        return;
-      }
+  /** @type {Map<string, { key: string, points: Array<{ x: number, y: number }> }>} */
+  const routeCache = new Map();
 
-      if (side === "right") {
-        // Notch near the right edge where the wire exits
-        const nx1 = Math.max(ox1, (Number(notch.x) || ox2) - 2);
-        const nx2 = Math.min(ox2, (Number(notch.x) || ox2) + extraW);
-
-        // Left block (full height) to keep other routes away from the card
-        if (nx1 > ox1 + 0.5) obstacles.push({ x1: ox1, y1: oy1, x2: nx1, y2: oy2 });
-        // Right-top
-        if (ny1 > oy1 + 0.5) obstacles.push({ x1: nx1, y1: oy1, x2: ox2, y2: ny1 });
-        // Right-bottom
-        if (oy2 > ny2 + 0.5) obstacles.push({ x1: nx1, y1: ny2, x2: ox2, y2: oy2 });
-        return;
-      }
+  /**
+   * No-go rectangles of every card (card bounds plus clearance), in world coordinates.
+   * Uses measured sizes rather than the DOM, so routes don't change when cards are culled.
+   * @returns {Array<{ x1: number, y1: number, x2: number, y2: number }>}
+   */
+  function getObstacles() {
+    return AF.state.build.placedMachines.map(pm => {
+      const size = getKnownCardSize(pm.id);
+      return {
+        x1: pm.x - ROUTE_CLEARANCE,
+        y1: pm.y - ROUTE_CLEARANCE,
+        x2: pm.x + size.width + ROUTE_CLEARANCE,
+        y2: pm.y + size.height + ROUTE_CLEARANCE,
+      };
+    });
+  }
 
-      if (side === "left") {
-        // Notch near the left edge where the wire enters
-        const nx2 = Math.min(ox2, (Number(notch.x) || ox1) + 2);
-        const nx1 = Math.max(ox1, (Number(notch.x) || ox1) - extraW);
-
-        // Right block (full height)
-        if (ox2 > nx2 + 0.5) obstacles.push({ x1: nx2, y1: oy1, x2: ox2, y2: oy2 });
-        // Left-top
-        if (ny1 > oy1 + 0.5) obstacles.push({ x1: ox1, y1: oy1, x2: nx2, y2: ny1 });
-        // Left-bottom
-        if (oy2 > ny2 + 0.5) obstacles.push({ x1: ox1, y1: ny2, x2: nx2, y2: oy2 });
-        return;
-      }
+  /**
+   * Find an orthogonal path from an output port to an input port around `obstacles`.
+   * The path leaves the output to the right and enters the input from the left, each with a straight stub.
+   * @param {{ x: number, y: number }} from output port (right edge)
+   * @param {{ x: number, y: number }} to input port (left edge)
+   * @param {Array<{ x1: number, y1: number, x2: number, y2: number }>} obstacles
+   * @param {number} fromCardRight
+   * @param {number} toCardLeft
+   * @returns {Array<{ x: number, y: number }>}
+   */
+  function findPath(from, to, obstacles, fromCardRight, toCardLeft) {
+    const start = { x: Math.max(from.x, fromCardRight) + ROUTE_STUB, y: from.y };
+    const end = { x: Math.min(to.x, toCardLeft) - ROUTE_STUB, y: to.y };
 
-      // Fallback if unknown side
-      obstacles.push({ x1: ox1, y1: oy1, x2: ox2, y2: oy2 });
-    });
-    
-    return obstacles;
+    let middle = null;
+    for (const margin of ROUTE_MARGINS) {
+      const area = {
+        x1: Math.min(start.x, end.x) - margin,
+        y1: Math.min(start.y, end.y) - margin,
+        x2: Math.max(start.x, end.x) + margin,
+        y2: Math.max(start.y, end.y) + margin,
+      };
+      const nearby = obstacles.filter(o => o.x2 > area.x1 && o.x1 < area.x2 && o.y2 > area.y1 && o.y1 < area.y2);
+      middle = routeOnGrid(start, end, nearby, area);
+      if (middle) break;
+    }
+    if (!middle) {
+      // Boxed in: fall back to a plain Z through the gap.
+      const midX = start.x <= end.x ? (start.x + end.x) / 2 : start.x;
+      middle = [start, { x: midX, y: start.y }, { x: midX, y: end.y }, end];
+    }
+    return simplifyPath([from, ...middle, to]);
   }
-  
+
   /**
-   * Find an orthogonal path between two points avoiding obstacles
-   * Enforces: outputs exit right for 16px min, inputs enter left for 16px min
-   * Pattern: RIGHT → VERTICAL → RIGHT
+   * A* over the sparse grid inside `area`. Obstacles that contain an endpoint are ignored, so cards placed
+   * edge to edge still connect.
+   * @returns {(Array<{ x: number, y: number }>|null)}
    */
-  function findPath(x1, y1, x2, y2, obstacles, fromCardRight = null, toCardLeft = null) {
-    const MIN_BUFFER = 16;
-    const points = [];
-    
-    // Start point (output - exits to the right)
-    points.push({ x: x1, y: y1 });
-    
-    // Add buffer point to the right of output
-    const outputBufferX = x1 + MIN_BUFFER;
-    points.push({ x: outputBufferX, y: y1 });
-    
-    // End point needs to enter from the left
-    const inputBufferX = x2 - MIN_BUFFER;
-    
-    if (outputBufferX < inputBufferX) {
-      // Normal left-to-right flow
-      // Strategy: RIGHT → VERTICAL → RIGHT
-      
-      // Find the midpoint X for the vertical segment
-      // Use card positions if available, otherwise use buffer positions
-      let turnX;
-      if (fromCardRight !== null && toCardLeft !== null) {
-        // True midpoint between cards
-        turnX = (fromCardRight + toCardLeft) / 2;
-      } else {
-        turnX = (outputBufferX + inputBufferX) / 2;
-      }
-      
-      // Check if we need to route around obstacles
-      // Check entire Z-pattern path for obstacles
-      let needsRouting = false;
-      let obstacleMaxX = outputBufferX;
-      
-      for (const obs of obstacles) {
-        const minY = Math.min(y1, y2);
-        const maxY = Math.max(y1, y2);
-        
-        // Check if obstacle blocks our vertical path at turnX
-        if (turnX >= obs.x1 && turnX <= obs.x2 && 
-            ((minY >= obs.y1 && minY <= obs.y2) || 
-             (maxY >= obs.y1 && maxY <= obs.y2) ||
-             (minY <= obs.y1 && maxY >= obs.y2))) {
-          needsRouting = true;
-          obstacleMaxX = Math.max(obstacleMaxX, obs.x2);
-        }
-        
-        // Check if obstacle blocks first horizontal segment (outputBufferX to turnX at y1)
-        if (y1 >= obs.y1 && y1 <= obs.y2 && 
-            outputBufferX < obs.x2 && turnX > obs.x1) {
-          needsRouting = true;
-          obstacleMaxX = Math.max(obstacleMaxX, obs.x2);
-        }
-        
-        // Check if obstacle blocks last horizontal segment (turnX to inputBufferX at y2)
-        if (y2 >= obs.y1 && y2 <= obs.y2 && 
-            turnX < obs.x2 && inputBufferX > obs.x1) {
-          needsRouting = true;
-          obstacleMaxX = Math.max(obstacleMaxX, obs.x2);
+  function routeOnGrid(start, end, obstacles, area) {
+    const inside = (o, p) => p.x > o.x1 && p.x < o.x2 && p.y > o.y1 && p.y < o.y2;
+    const blocking = obstacles.filter(o => !inside(o, start) && !inside(o, end));
+
+    const axis = (values) => {
+      const sorted = Array.from(new Set(values)).sort((a, b) => a - b);
+      const out = [];
+      sorted.forEach((v, i) => {
+        if (i > 0) out.push((sorted[i - 1] + v) / 2);
+        out.push(v);
+      });
+      return out;
+    };
+    const xs = axis([start.x, end.x, area.x1, area.x2, ...blocking.flatMap(o => [o.x1, o.x2])]);
+    const ys = axis([start.y, end.y, area.y1, area.y2, ...blocking.flatMap(o => [o.y1, o.y2])]);
+    const xi = new Map(xs.map((x, i) => [x, i]));
+    const yi = new Map(ys.map((y, i) => [y, i]));
+    const si = [xi.get(start.x), yi.get(start.y)];
+    const ei = [xi.get(end.x), yi.get(end.y)];
+    const endPoint = end;
+
+    const blockedPoint = (x, y) => blocking.some(o => inside(o, { x, y }));
+    const blockedHorizontal = (xa, xb, y) => blocking.some(o => y > o.y1 && y < o.y2 && Math.max(xa, xb) > o.x1 && Math.min(xa, xb) < o.x2);
+    const blockedVertical = (x, ya, yb) => blocking.some(o => x > o.x1 && x < o.x2 && Math.max(ya, yb) > o.y1 && Math.min(ya, yb) < o.y2);
+
+    // Directions: 0 right, 1 down, 2 left, 3 up. The path starts heading right and should arrive heading right.
+    const DX = [1, 0, -1, 0];
+    const DY = [0, 1, 0, -1];
+    const W = xs.length;
+    const stateId = (i, j, d) => ((j * W) + i) * 4 + d;
+    const heuristic = (i, j) => Math.abs(xs[i] - endPoint.x) + Math.abs(ys[j] - endPoint.y);
+
+    /** @type {Map<number, number>} */
+    const best = new Map();
+    /** @type {Map<number, number>} */
+    const cameFrom = new Map();
+    const heap = createRouteHeap();
+    const first = stateId(si[0], si[1], 0);
+    best.set(first, 0);
+    heap.push(heuristic(si[0], si[1]), first);
+
+    while (heap.size() > 0) {
+      const { priority, value: id } = heap.pop();
+      const d = id % 4;
+      const cell = (id - d) / 4;
+      const i = cell % W;
+      const j = (cell - i) / W;
+      const cost = best.get(id);
+      if (priority > cost + heuristic(i, j) + 1e-6) continue; // stale heap entry
+
+      if (i === ei[0] && j === ei[1]) {
+        const points = [];
+        let cur = id;
+        while (cur !== undefined) {
+          const c = (cur - (cur % 4)) / 4;
+          points.push({ x: xs[c % W], y: ys[(c - (c % W)) / W] });
+          cur = cameFrom.get(cur);
         }
+        return points.reverse();
       }
-      
-      if (needsRouting) {
-        // Move turn point past the obstacle
-        turnX = obstacleMaxX + 30;
-        
-        // If we've pushed too far right, route around
-        if (turnX > inputBufferX) {
-          // Route above or below
-          let clearY = null;
-          for (let offset = 30; offset <= 200; offset += 30) {
-            let testY = Math.min(y1, y2) - offset;
-            if (isHorizontalClear(outputBufferX, inputBufferX, testY, obstacles)) {
-              clearY = testY;
-              break;
-            }
-            testY = Math.max(y1, y2) + offset;
-            if (isHorizontalClear(outputBufferX, inputBufferX, testY, obstacles)) {
-              clearY = testY;
-              break;
-            }
-          }
-          
-          if (clearY !== null) {
-            const extendX = 30;
-            points.push({ x: outputBufferX + extendX, y: y1 });
-            points.push({ x: outputBufferX + extendX, y: clearY });
-            points.push({ x: inputBufferX - extendX, y: clearY });
-            points.push({ x: inputBufferX - extendX, y: y2 });
-            points.push({ x: inputBufferX, y: y2 });
-            points.push({ x: x2, y: y2 });
-            return points;
-          }
-          
-          // Fallback: just use midpoint
-          turnX = (outputBufferX + inputBufferX) / 2;
-        }
+
+      for (let nd = 0; nd < 4; nd++) {
+        if (nd === (d + 2) % 4) continue; // no U-turns onto the same line
+        const ni = i + DX[nd];
+        const nj = j + DY[nd];
+        if (ni < 0 || nj < 0 || ni >= W || nj >= ys.length) continue;
+        if (blockedPoint(xs[ni], ys[nj])) continue;
+        if (nd % 2 === 0 ? blockedHorizontal(xs[i], xs[ni], ys[j]) : blockedVertical(xs[i], ys[j], ys[nj])) continue;
+
+        let next = cost + Math.abs(xs[ni] - xs[i]) + Math.abs(ys[nj] - ys[j]) + (nd !== d ? ROUTE_BEND_PENALTY : 0);
+        // The input stub continues to the right: arriving any other way costs a final bend (two when reversing).
+        if (ni === ei[0] && nj === ei[1] && nd !== 0) next += nd === 2 ? 2 * ROUTE_BEND_PENALTY : ROUTE_BEND_PENALTY;
+        const nid = stateId(ni, nj, nd);
+        if (best.has(nid) && best.get(nid) <= next) continue;
+        best.set(nid, next);
+        cameFrom.set(nid, id);
+        heap.push(next + heuristic(ni, nj), nid);
       }
-      
-      // Apply vertical line offset to avoid overlaps
-      turnX = getOffsetVerticalX(turnX, Math.min(y1, y2), Math.max(y1, y2));
-      
-      // Simple Z-pattern: RIGHT → VERTICAL → RIGHT
-      points.push({ x: turnX, y: y1 });      // Horizontal to turn point
-      points.push({ x: turnX, y: y2 });      // Vertical to target Y
-      points.push({ x: inputBufferX, y: y2 }); // Horizontal to input buffer
-      
-    } else {
-      // Output is to the right of input - need to loop back
-      const rightExtension = Math.max(outputBufferX, x1 + 40);
-      points.push({ x: rightExtension, y: y1 });
-      
-      // Find a clear Y position to route across
-      let clearY = null;
-      for (let offset = 30; offset <= 200; offset += 30) {
-        let testY = Math.min(y1, y2) - offset;
-        if (isHorizontalClear(rightExtension, inputBufferX - 30, testY, obstacles)) {
-          clearY = testY;
-          break;
+    }
+    return null;
+  }
+
+  /** Minimal binary min-heap of `{ priority, value }` for the router. */
+  function createRouteHeap() {
+    /** @type {Array<{ priority: number, value: number }>} */
+    const items = [];
+    const swap = (a, b) => { const t = items[a]; items[a] = items[b]; items[b] = t; };
+    return {
+      size: () => items.length,
+      push(priority, value) {
+        items.push({ priority, value });
+        let i = items.length - 1;
+        while (i > 0) {
+          const parent = (i - 1) >> 1;
+          if (items[parent].priority <= items[i].priority) break;
+          swap(i, parent);
+          i = parent;
         }
-        testY = Math.max(y1, y2) + offset;
-        if (isHorizontalClear(rightExtension, inputBufferX - 30, testY, obstacles)) {
-          clearY = testY;
-          break;
+      },
+      pop() {
+        const top = items[0];
+        const last = items.pop();
+        if (items.length > 0) {
+          items[0] = last;
+          let i = 0;
+          for (;;) {
+            const l = 2 * i + 1;
+            const r = l + 1;
+            let min = i;
+            if (l < items.length && items[l].priority < items[min].priority) min = l;
+            if (r < items.length && items[r].priority < items[min].priority) min = r;
+            if (min === i) break;
+            swap(i, min);
+            i = min;
+          }
         }
+        return top;
+      },
+    };
+  }
+
+  /** Drop repeated and collinear points. */
+  function simplifyPath(points) {
+    const out = [];
+    points.forEach(p => {
+      const last = out[out.length - 1];
+      if (last && Math.abs(last.x - p.x) < 0.5 && Math.abs(last.y - p.y) < 0.5) return;
+      const prev = out[out.length - 2];
+      if (prev && last && ((Math.abs(prev.x - last.x) < 0.5 && Math.abs(last.x - p.x) < 0.5) ||
+        (Math.abs(prev.y - last.y) < 0.5 && Math.abs(last.y - p.y) < 0.5))) {
+        out[out.length - 1] = { x: p.x, y: p.y };
+        return;
       }
-      
-      if (clearY !== null) {
-        // Route with proper spacing before final approach
-        const approachX = inputBufferX - 30;
-        points.push({ x: rightExtension, y: clearY });
-        points.push({ x: approachX, y: clearY });
-        points.push({ x: approachX, y: y2 });
-        points.push({ x: inputBufferX, y: y2 });
-      } else {
-        const loopY = Math.max(y1, y2) + 50;
-        const approachX = inputBufferX - 30;
-        points.push({ x: rightExtension, y: loopY });
-        points.push({ x: approachX, y: loopY });
-        points.push({ x: approachX, y: y2 });
-        points.push({ x: inputBufferX, y: y2 });
-      }
-    }
-    
-    // Final segment entering the input from the left
-    points.push({ x: x2, y: y2 });
-    
-    return points;
+      out.push({ x: p.x, y: p.y });
+    });
+    return out;
   }
-  
+
   /**
-   * Track vertical line positions to avoid overlaps
-   * Returns an offset X position if the requested X would overlap
+   * Cached route for one connection. The key covers both endpoints, both card edges and every card rectangle
+   * the route could use, so moving a card elsewhere on the canvas keeps the cached route.
    */
-  const verticalLineRegistry = [];
-  
-  function getOffsetVerticalX(requestedX, minY, maxY) {
-    const OFFSET = 8;
-    const TOLERANCE = 5; // Consider lines within 5px as overlapping
-    
-    // Clean up old entries (simple approach: clear all before each render cycle)
-    // This is called during rendering, so we'll track for this render pass
-    
-    // Check for overlapping lines
-    for (const existing of verticalLineRegistry) {
-      // Check if Y ranges overlap
-      const yOverlap = !(maxY < existing.minY || minY > existing.maxY);
-      
-      if (yOverlap && Math.abs(requestedX - existing.x) < TOLERANCE) {
-        // Offset to the right
-        return getOffsetVerticalX(requestedX + OFFSET, minY, maxY);
-      }
-    }
-    
-    // Register this line
-    verticalLineRegistry.push({ x: requestedX, minY, maxY });
-    
-    return requestedX;
+  function getConnectionRoute(connId, from, to, obstacles, fromCardRight, toCardLeft) {
+    const margin = ROUTE_MARGINS[ROUTE_MARGINS.length - 1];
+    const x1 = Math.min(from.x, to.x) - margin;
+    const x2 = Math.max(from.x, to.x) + margin;
+    const y1 = Math.min(from.y, to.y) - margin;
+    const y2 = Math.max(from.y, to.y) + margin;
+    const nearby = obstacles
+      .filter(o => o.x2 > x1 && o.x1 < x2 && o.y2 > y1 && o.y1 < y2)
+      .map(o => `${Math.round(o.x1)},${Math.round(o.y1)},${Math.round(o.x2)},${Math.round(o.y2)}`);
+    const key = [from.x, from.y, to.x, to.y, fromCardRight, toCardLeft].map(v => Math.round(v)).join(",") + "|" + nearby.join(";");
+
+    const cached = routeCache.get(connId);
+    if (cached && cached.key === key) return cached.points.map(p => ({ ...p }));
+    const points = findPath(from, to, obstacles, fromCardRight, toCardLeft);
+    routeCache.set(connId, { key, points });
+    return points.map(p => ({ ...p }));
   }
-  
+
   /**
-   * Check if a horizontal line segment is clear of obstacles
+   * Spread overlapping segments of different routes into parallel lanes `LANE_GAP` apart (mutates the points).
+   * Port stubs stay put: vertical segments may shift sideways unless they touch a port, horizontal segments
+   * only when they touch neither a port nor a stub end.
+   * @param {Array<Array<{ x: number, y: number }>>} routes
    */
-  function isHorizontalClear(x1, x2, y, obstacles) {
-    const minX = Math.min(x1, x2);
-    const maxX = Math.max(x1, x2);
-    
-    for (const obs of obstacles) {
-      if (y >= obs.y1 && y <= obs.y2) {
-        if (!(maxX < obs.x1 || minX > obs.x2)) {
-          return false;
-        }
+  function assignLanes(routes) {
+    /** @type {Map<string, Array<{ route: number, index: number, lo: number, hi: number }>>} */
+    const lines = new Map();
+    routes.forEach((points, route) => {
+      const last = points.length - 1;
+      for (let index = 0; index < last; index++) {
+        const a = points[index];
+        const b = points[index + 1];
+        const vertical = Math.abs(a.x - b.x) < 0.5;
+        const movable = vertical ? index >= 1 && index + 1 <= last - 1 : index >= 2 && index + 1 <= last - 2;
+        if (!movable) continue;
+        const key = vertical ? `v${Math.round(a.x)}` : `h${Math.round(a.y)}`;
+        const lo = vertical ? Math.min(a.y, b.y) : Math.min(a.x, b.x);
+        const hi = vertical ? Math.max(a.y, b.y) : Math.max(a.x, b.x);
+        if (!lines.has(key)) lines.set(key, []);
+        lines.get(key).push({ route, index, lo, hi });
       }
-    }
-    return true;
+    });
+
+    lines.forEach((segments, key) => {
+      if (segments.length < 2) return;
+      segments.sort((a, b) => a.lo - b.lo);
+      // Clusters of overlapping segments; each cluster is centred on the original line.
+      let cluster = [];
+      let clusterEnd = -Infinity;
+      const flush = () => {
+        if (cluster.length > 1) {
+          /** @type {Array<number>} */
+          const laneEnds = [];
+          const lanes = cluster.map(seg => {
+            let lane = laneEnds.findIndex(endAt => endAt <= seg.lo);
+            if (lane === -1) lane = laneEnds.length;
+            laneEnds[lane] = seg.hi;
+            return lane;
+          });
+          if (laneEnds.length > 1) {
+            cluster.forEach((seg, idx) => {
+              const raw = (lanes[idx] - (laneEnds.length - 1) / 2) * LANE_GAP;
+              const offset = Math.max(-LANE_MAX_OFFSET, Math.min(LANE_MAX_OFFSET, raw));
+              const points = routes[seg.route];
+              const field = key[0] === "v" ? "x" : "y";
+              points[seg.index][field] += offset;
+              points[seg.index + 1][field] += offset;
+            });
+          }
+        }
+        cluster = [];
+        clusterEnd = -Infinity;
+      };
+      segments.forEach(seg => {
+        if (seg.lo >= clusterEnd) flush();
+        cluster.push(seg);
+        clusterEnd = Math.max(clusterEnd, seg.hi);
+      });
+      flush();
+    });
   }
   
-  
   function getConnectionRate(connection) {
     return connection && typeof connection.actualRate === "number" ? connection.actualRate : 0;
   }
@@ -1666,8 +1974,7 @@
     // Clear existing connections from SVG
     svgEl.innerHTML = "";
     
-    // Clear vertical line registry for this render cycle
-    verticalLineRegistry.length = 0;
+    const obstacles = getObstacles();
     
     // Track label positions to prevent overlaps
     const labelPositions = [];
@@ -1720,91 +2027,49 @@
       return { x: baseX, y: baseY };
     }
     
-    // Render existing connections
+    // Route every connection first, so overlapping belts can be spread into lanes before drawing.
+    /** @type {Array<{ conn: Connection, path: Array<{ x: number, y: number }> }>} */
+    const routed = [];
+    const placedById = new Map(AF.state.build.placedMachines.map(pm => [pm.id, pm]));
     AF.state.build.connections.forEach(conn => {
-      const fromMachine = document.querySelector(`[data-placed-machine="${conn.fromMachineId}"]`);
-      const toMachine = document.querySelector(`[data-placed-machine="${conn.toMachineId}"]`);
-      
-      if (!fromMachine || !toMachine) return;
-      
-      const fromPort = fromMachine.querySelector(`[data-output-port="${conn.fromPortIdx}"]`);
-      const toPort = toMachine.querySelector(`[data-input-port="${conn.toPortIdx}"]`);
-      
-      if (!fromPort || !toPort) return;
-      
-      // Get machine data for world coordinates
-      const fromMachineData = AF.state.build.placedMachines.find(pm => pm.id === conn.fromMachineId);
-      const toMachineData = AF.state.build.placedMachines.find(pm => pm.id === conn.toMachineId);
+      // Endpoints come from measured port geometry, so connections to culled cards still route correctly.
+      const fromMachineData = placedById.get(conn.fromMachineId);
+      const toMachineData = placedById.get(conn.toMachineId);
       
       if (!fromMachineData || !toMachineData) return;
       
-      // Calculate port positions in world space using DOM element positions (not getBoundingClientRect)
-      // This avoids issues with the container transform
+      const from = getPortAnchor(fromMachineData, conn.fromPortIdx, "output");
+      const to = getPortAnchor(toMachineData, conn.toPortIdx, "input");
       
-      // Helper to get element position relative to its positioned parent
-      function getRelativePosition(element, parent) {
-        let x = 0;
-        let y = 0;
-        let current = element;
-        
-        while (current && current !== parent) {
-          x += current.offsetLeft || 0;
-          y += current.offsetTop || 0;
-          current = current.offsetParent;
-          if (current === parent) break;
-        }
-        
-        return { x, y };
-      }
-      
-      // Get port positions relative to machine card
-      const fromPortPos = getRelativePosition(fromPort, fromMachine);
-      const toPortPos = getRelativePosition(toPort, toMachine);
+      if (!from || !to) return;
       
-      // Output port: right edge, vertical center
-      const fromPortOffsetX = fromPortPos.x + fromPort.offsetWidth;
-      const fromPortOffsetY = fromPortPos.y + (fromPort.offsetHeight / 2);
-      
-      // Input port: left edge, vertical center
-      const toPortOffsetX = toPortPos.x;
-      const toPortOffsetY = toPortPos.y + (toPort.offsetHeight / 2);
-      
-      // World coordinates for connection endpoints
-      const x1 = fromMachineData.x + fromPortOffsetX;
-      const y1 = fromMachineData.y + fromPortOffsetY;
-      const x2 = toMachineData.x + toPortOffsetX;
-      const y2 = toMachineData.y + toPortOffsetY;
-      
-      // Card edges for midpoint calculation (using DOM element width, not transformed)
-      const fromCardRight = fromMachineData.x + fromMachine.offsetWidth;
+      // Card edges: routes leave the source card to the right and enter the target card from the left
+      const fromCardRight = fromMachineData.x + getKnownCardSize(fromMachineData.id).width;
       const toCardLeft = toMachineData.x;
       
-      // Determine if this is a loopback connection (output right of input)
-      const isLoopback = x1 > x2;
-      
-      // Cards should always be treated as obstacles (with clearance),
-      // except for a small "notch" at the specific ports for entry/exit.
-      const obstacles = getObstacles([], [
-        {
-          machineId: conn.fromMachineId,
-          side: "right",
-          x: x1,
-          y: y1,
-          halfHeight: (fromPort.offsetHeight / 2) + 10,
-          extraWidth: 28 + 16 + 28, // clearance + buffer + extra
-        },
-        {
-          machineId: conn.toMachineId,
-          side: "left",
-          x: x2,
-          y: y2,
-          halfHeight: (toPort.offsetHeight / 2) + 10,
-          extraWidth: 28 + 16 + 28,
-        },
-      ]);
-      
-      const path = findPath(x1, y1, x2, y2, obstacles, fromCardRight, toCardLeft);
-      
+      routed.push({ conn, path: getConnectionRoute(conn.id, from, to, obstacles, fromCardRight, toCardLeft) });
+    });
+
+    // Forget routes of deleted connections.
+    const liveIds = new Set(routed.map(r => r.conn.id));
+    Array.from(routeCache.keys()).forEach(id => {
+      if (!liveIds.has(id)) routeCache.delete(id);
+    });
+
+    assignLanes(routed.map(r => r.path));
+
+    // Lanes are assigned over every route, but only belts crossing the rendered area get SVG nodes.
+    const visibleRouted = renderedRegion
+      ? routed.filter(({ path }) => {
+        const xs = path.map(p => p.x);
+        const ys = path.map(p => p.y);
+        const minX = Math.min(...xs);
+        const minY = Math.min(...ys);
+        return rectsIntersect({ x: minX, y: minY, width: Math.max(...xs) - minX + 1, height: Math.max(...ys) - minY + 1 }, renderedRegion);
+      })
+      : routed;
+
+    visibleRouted.forEach(({ conn, path }) => {
       // Create polyline from path points
       const points = path.map(p => `${p.x},${p.y}`).join(" ");
       const polyline = document.createElementNS(svgNS, "polyline");
@@ -1824,14 +2089,16 @@
       const visiblePolyline = document.createElementNS(svgNS, "polyline");
       visiblePolyline.setAttribute("points", points);
       visiblePolyline.setAttribute("fill", "none");
-      visiblePolyline.setAttribute("stroke-dasharray", "5,5");
+      // Thrown links are dotted; conveyors keep the dashed belt look.
+      const isThrown = conn.transport === "thrown";
+      visiblePolyline.setAttribute("stroke-dasharray", isThrown ? "1,6" : "5,5");
       visiblePolyline.style.pointerEvents = "none";
       visiblePolyline.style.strokeLinejoin = "round";
       visiblePolyline.style.strokeLinecap = "round";
       
       // Check if connection is insufficient
-      const sourcePlacedMachine = AF.state.build.placedMachines.find(pm => pm.id === conn.fromMachineId);
-      const targetPlacedMachine = AF.state.build.placedMachines.find(pm => pm.id === conn.toMachineId);
+      const sourcePlacedMachine = placedById.get(conn.fromMachineId);
+      const targetPlacedMachine = placedById.get(conn.toMachineId);
       const connectionRate = getConnectionRate(conn);
       // Determine target max demand. For blueprints, the rendered port is an external index,
       // but the demand snapshot is stored on the resolved internal child port.
@@ -1894,7 +2161,7 @@
       const isSelected = AF.state.build.selectedConnection === conn.id;
       polyline.setAttribute("stroke", "transparent");
       
-      let lineColor = "#5aa2ff"; // Default blue
+      let lineColor = isThrown ? "#f0a35a" : "#5aa2ff"; // Default orange (thrown) / blue (conveyor)
       if (isSelected) {
         lineColor = "#45d483"; // Green when selected
       } else if (isMaterialMismatch) {
@@ -1962,12 +2229,14 @@
             }
           }
           
-          // Calculate conveyors needed
+          // Calculate conveyors needed (a thrown link is always a single thrower)
           const beltSpeed = AF.state.calc?.skill?.conveyorSpeed ?? 0;
           const conveyorsNeeded = beltSpeed > 0.0001 ? Math.ceil(rate / beltSpeed) : 1;
           
           // Build label text
-          let labelText = `${material.name} ${arrow} ${rate.toFixed(2)}/min (${conveyorsNeeded}x)`;
+          let labelText = isThrown
+            ? `🤚 ${material.name} ${arrow} ${rate.toFixed(2)}/min (thrown)`
+            : `${material.name} ${arrow} ${rate.toFixed(2)}/min (${conveyorsNeeded}x)`;
           if (isMaterialMismatch) {
             const inputKey = targetPlacedMachine ? `${targetPlacedMachine.id}::${String(conn.toPortIdx)}` : null;
             const inputMaterialId = inputKey ? (AF.state.calc?.port?.inputMaterial?.get(inputKey) ?? null) : null;
@@ -2050,6 +2319,404 @@
     }
   }
 
+  // ---------- Image export ----------
+  // `renderBuildSvg` draws the whole build as a standalone SVG, independent of the camera and of which cards are
+  // in the DOM. Cards are redrawn from state as compact boxes (title, recipe, ports with rates) at their canvas
+  // positions, and connections are routed around them with the same router as the live canvas.
+
+  const EXPORT_CARD_WIDTH = 280;
+  const EXPORT_HEADER_HEIGHT = 52;
+  const EXPORT_ROW_HEIGHT = 20;
+  const EXPORT_MARGIN = 60;
+  const EXPORT_FONT = "system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif";
+
+  const EXPORT_THEMES = {
+    dark: {
+      background: "#0f1115", card: "#151923", header: "#1b2130", border: "#263044", text: "#e9eef7", muted: "#aab4c4",
+      conveyor: "#5aa2ff", thrown: "#f0a35a", insufficient: "#ff5a6a", label: "#151923",
+    },
+    light: {
+      background: "#ffffff", card: "#f7f9fc", header: "#e8eef7", border: "#c3cddc", text: "#1b2130", muted: "#5b6678",
+      conveyor: "#2f74d0", thrown: "#c86e1a", insufficient: "#d8364a", label: "#ffffff",
+    },
+  };
+
+  // Same meaning as the minimap colors.
+  const EXPORT_STATUS_COLORS = {
+    running: "#45d483",
+    underclocked: "#ffa500",
+    insufficient: "#ff5a6a",
+    idle: "#aab4c4",
+    other: "#5aa2ff",
+  };
+
+  /**
+   * Printable summary of one card: title, recipe line and ports with their current rates.
+   * Machines with a recipe list every recipe port; other cards list their connected ports.
+   * @param {PlacedMachine} pm
+   * @returns {ExportCard}
+   */
+  function getExportCard(pm) {
+    const type = pm.type || "machine";
+    const count = pm.count || 1;
+    const efficiency = pm.efficiency !== undefined ? pm.efficiency : 1.0;
+    const materialName = (id) => AF.core.getMaterialById(id)?.name || "?";
+    const machine = type === "machine" && pm.machineId ? AF.core.getMachineById(pm.machineId) : null;
+    const recipe = machine && pm.recipeId ? AF.core.getRecipeById(pm.recipeId) : null;
+
+    let title = "New Machine";
+    let subtitle = "";
+    if (type === "purchasing_portal") {
+      title = "Purchasing Portal";
+      subtitle = pm.materialId ? materialName(pm.materialId) : "(no material)";
+    } else if (type === "nursery") {
+      title = "Nursery";
+      subtitle = pm.plantId ? materialName(pm.plantId) : "(no plant)";
+    } else if (type === "export") {
+      title = "Export";
+    } else if (type === "blueprint" || type === "blueprint_instance") {
+      title = pm.name || pm.blueprintData?.name || "Blueprint";
+      subtitle = "Blueprint";
+    } else if (machine) {
+      title = machine.name;
+      /** @type {Map<string, number>} */
+      const toppers = new Map();
+      (pm.toppers || []).forEach(t => {
+        const name = AF.core.getRecipeById(t?.recipeId)?.name || AF.core.getMachineById(t?.machineId)?.name || "?";
+        toppers.set(name, (toppers.get(name) || 0) + 1);
+      });
+      const topperList = Array.from(toppers, ([name, n]) => (n > 1 ? `${name} ×${n}` : name)).join(", ");
+      subtitle = machine.kind === "storage" ? "Storage"
+        : machine.kind === "heating_device" ? (topperList ? `Toppers: ${topperList}` : "Heating device (no toppers)")
+        : recipe ? recipe.name : "(no recipe)";
+    }
+    if (efficiency < 0.999 && type !== "export") subtitle += `${subtitle ? " · " : ""}${(efficiency * 100).toFixed(1)}%`;
+
+    /** @type {Array<ExportCardPort>} */
+    const inputs = [];
+    /** @type {Array<ExportCardPort>} */
+    const outputs = [];
+    if (recipe) {
+      const effectiveTime = AF.state.calc?.effectiveProcessingTimeByRecipeId?.get?.(recipe.id) ?? 0;
+      const rateOf = (items) => (effectiveTime > 0 ? (items / effectiveTime) * 60 * count * efficiency : 0);
+      recipe.inputs.forEach((inp, idx) => inputs.push({ port: String(idx), label: materialName(inp.materialId), rate: rateOf(inp.items) }));
+      recipe.outputs.forEach((out, idx) => outputs.push({ port: String(idx), label: materialName(out.materialId), rate: rateOf(out.items) }));
+    } else {
+      const byPort = (list, port) => list.find(p => p.port === port);
+      AF.state.build.connections.forEach(conn => {
+        if (conn.toMachineId === pm.id) {
+          const source = AF.core.findMachineInTree(conn.fromMachineId);
+          const materialId = source ? AF.core.getMaterialIdFromPort(source, conn.fromPortIdx, "output") : null;
+          const port = String(conn.toPortIdx);
+          const existing = byPort(inputs, port);
+          if (existing) existing.rate += getConnectionRate(conn);
+          else inputs.push({ port, label: materialId ? materialName(materialId) : "?", rate: getConnectionRate(conn) });
+        }
+        if (conn.fromMachineId === pm.id) {
+          const materialId = AF.core.getMaterialIdFromPort(pm, conn.fromPortIdx, "output");
+          const port = String(conn.fromPortIdx);
+          const existing = byPort(outputs, port);
+          if (existing) existing.rate += getConnectionRate(conn);
+          else outputs.push({ port, label: materialId ? materialName(materialId) : "?", rate: getConnectionRate(conn) });
+        }
+      });
+      // A portal sells at its own rate even when nothing is connected yet.
+      if (type === "purchasing_portal" && pm.materialId && outputs.length === 0) {
+        outputs.push({ port: "0", label: materialName(pm.materialId), rate: (AF.state.calc?.skill?.conveyorSpeed ?? 0) * efficiency });
+      }
+    }
+
+    return { id: pm.id, title, count, subtitle, status: getMinimapStatus(pm), inputs, outputs };
+  }
+
+  /**
+   * Shorten `text` to about `maxChars` characters.
+   * @param {string} text
+   * @param {number} maxChars
+   */
+  function clipText(text, maxChars) {
+    return text.length > maxChars ? `${text.slice(0, maxChars - 1)}…` : text;
+  }
+
+  /**
+   * Point halfway along a polyline.
+   * @param {Array<{ x: number, y: number }>} path
+   * @returns {{ x: number, y: number }}
+   */
+  function getPathMidpoint(path) {
+    const lengths = path.slice(1).map((p, i) => Math.abs(p.x - path[i].x) + Math.abs(p.y - path[i].y));
+    let remaining = lengths.reduce((sum, d) => sum + d, 0) / 2;
+    for (let i = 0; i < lengths.length; i++) {
+      if (remaining <= lengths[i] && lengths[i] > 0) {
+        const t = remaining / lengths[i];
+        return { x: path[i].x + t * (path[i + 1].x - path[i].x), y: path[i].y + t * (path[i + 1].y - path[i].y) };
+      }
+      remaining -= lengths[i];
+    }
+    return path[0];
+  }
+
+  /**
+   * The whole build as a standalone SVG document (world units = SVG pixels).
+   * @param {{ theme?: "dark"|"light", title?: string }} [opts]
+   * @returns {{ svg: string, width: number, height: number }}
+   */
+  function renderBuildSvg(opts = {}) {
+    const colors = EXPORT_THEMES[opts.theme] || EXPORT_THEMES.dark;
+    const placedMachines = AF.state.build.placedMachines;
+
+    // Card boxes and port anchors in world coordinates.
+    /** @type {Map<string, { card: ExportCard, x: number, y: number, height: number, inputs: Map<string, number>, outputs: Map<string, number> }>} */
+    const boxes = new Map();
+    placedMachines.forEach(pm => {
+      const card = getExportCard(pm);
+      const inputs = new Map();
+      const outputs = new Map();
+      let rowY = pm.y + EXPORT_HEADER_HEIGHT + EXPORT_ROW_HEIGHT / 2;
+      card.inputs.forEach(p => { inputs.set(p.port, rowY); rowY += EXPORT_ROW_HEIGHT; });
+      card.outputs.forEach(p => { outputs.set(p.port, rowY); rowY += EXPORT_ROW_HEIGHT; });
+      const height = Math.max(EXPORT_HEADER_HEIGHT + 8, rowY - EXPORT_ROW_HEIGHT / 2 + 8 - pm.y);
+      boxes.set(pm.id, { card, x: pm.x, y: pm.y, height, inputs, outputs });
+    });
+
+    const obstacles = Array.from(boxes.values()).map(b => ({
+      x1: b.x - ROUTE_CLEARANCE,
+      y1: b.y - ROUTE_CLEARANCE,
+      x2: b.x + EXPORT_CARD_WIDTH + ROUTE_CLEARANCE,
+      y2: b.y + b.height + ROUTE_CLEARANCE,
+    }));
+
+    /** @type {Array<{ conn: Connection, path: Array<{ x: number, y: number }> }>} */
+    const routed = [];
+    AF.state.build.connections.forEach(conn => {
+      const from = boxes.get(conn.fromMachineId);
+      const to = boxes.get(conn.toMachineId);
+      if (!from || !to) return;
+      const start = { x: from.x + EXPORT_CARD_WIDTH, y: from.outputs.get(String(conn.fromPortIdx)) ?? from.y + EXPORT_HEADER_HEIGHT / 2 };
+      const end = { x: to.x, y: to.inputs.get(String(conn.toPortIdx)) ?? to.y + EXPORT_HEADER_HEIGHT / 2 };
+      routed.push({ conn, path: findPath(start, end, obstacles, start.x, end.x) });
+    });
+    assignLanes(routed.map(r => r.path));
+
+    let minX = Infinity;
+    let minY = Infinity;
+    let maxX = -Infinity;
+    let maxY = -Infinity;
+    const include = (x, y) => {
+      minX = Math.min(minX, x);
+      minY = Math.min(minY, y);
+      maxX = Math.max(maxX, x);
+      maxY = Math.max(maxY, y);
+    };
+    boxes.forEach(b => {
+      include(b.x, b.y);
+      include(b.x + EXPORT_CARD_WIDTH, b.y + b.height);
+    });
+    routed.forEach(r => r.path.forEach(p => include(p.x, p.y)));
+    if (!Number.isFinite(minX)) include(0, 0);
+
+    const titleHeight = opts.title ? 36 : 0;
+    const originX = minX - EXPORT_MARGIN;
+    const originY = minY - EXPORT_MARGIN - titleHeight;
+    const width = Math.ceil(maxX - minX + 2 * EXPORT_MARGIN);
+    const height = Math.ceil(maxY - minY + 2 * EXPORT_MARGIN + titleHeight);
+    const num = (v) => String(Math.round(v * 10) / 10);
+    const text = (x, y, content, attrs = "") =>
+      `<text x="${num(x)}" y="${num(y)}" ${attrs}>${escapeHtml(content)}</text>`;
+
+    const parts = [];
+    parts.push(`<rect x="${num(originX)}" y="${num(originY)}" width="${width}" height="${height}" fill="${colors.background}"/>`);
+    if (opts.title) {
+      parts.push(text(originX + EXPORT_MARGIN / 2, originY + EXPORT_MARGIN / 2 + 12, opts.title, `font-size="20" font-weight="700" fill="${colors.text}"`));
+    }
+
+    // Connections below cards, labels above everything.
+    const labels = [];
+    routed.forEach(({ conn, path }) => {
+      const isThrown = conn.transport === "thrown";
+      const target = placedMachines.find(pm => pm.id === conn.toMachineId);
+      const stroke = target?.hasInsufficientInputs ? colors.insufficient : isThrown ? colors.thrown : colors.conveyor;
+      const points = path.map(p => `${num(p.x)},${num(p.y)}`).join(" ");
+      parts.push(`<polyline points="${points}" fill="none" stroke="${stroke}" stroke-width="2"${isThrown ? ` stroke-dasharray="2,4" stroke-linecap="round"` : ""}/>`);
+
+      const rate = getConnectionRate(conn);
+      const source = placedMachines.find(pm => pm.id === conn.fromMachineId);
+      const materialId = source ? AF.core.getMaterialIdFromPort(source, conn.fromPortIdx, "output") : null;
+      const material = materialId ? AF.core.getMaterialById(materialId) : null;
+      const beltSpeed = AF.state.calc?.skill?.conveyorSpeed ?? 0;
+      const belts = beltSpeed > 0.0001 ? Math.ceil(rate / beltSpeed) : 1;
+      const label = `${material ? `${clipText(material.name, 24)} ` : ""}${rate.toFixed(2)}/min${isThrown ? " (thrown)" : belts > 1 ? ` (${belts}x)` : ""}`;
+      const mid = getPathMidpoint(path);
+      const labelWidth = label.length * 6 + 12;
+      labels.push(`<g transform="translate(${num(mid.x)}, ${num(mid.y)})">` +
+        `<rect x="${num(-labelWidth / 2)}" y="-10" width="${num(labelWidth)}" height="20" rx="4" fill="${colors.label}" stroke="${stroke}"/>` +
+        text(0, 4, label, `font-size="11" text-anchor="middle" fill="${colors.text}"`) +
+        `</g>`);
+    });
+
+    boxes.forEach(b => {
+      const { card } = b;
+      const right = b.x + EXPORT_CARD_WIDTH;
+      parts.push(`<g>`);
+      parts.push(`<rect x="${num(b.x)}" y="${num(b.y)}" width="${EXPORT_CARD_WIDTH}" height="${num(b.height)}" rx="10" fill="${colors.card}" stroke="${colors.border}"/>`);
+      parts.push(`<path d="M${num(b.x + 10)},${num(b.y)} H${num(right - 10)} A10,10 0 0 1 ${num(right)},${num(b.y + 10)} V${num(b.y + 30)} H${num(b.x)} V${num(b.y + 10)} A10,10 0 0 1 ${num(b.x + 10)},${num(b.y)} Z" fill="${colors.header}"/>`);
+      parts.push(`<rect x="${num(b.x)}" y="${num(b.y + 10)}" width="4" height="${num(Math.max(0, b.height - 20))}" fill="${EXPORT_STATUS_COLORS[card.status]}"/>`);
+      parts.push(text(b.x + 12, b.y + 20, clipText(card.title, 30), `font-size="13" font-weight="700" fill="${colors.text}"`));
+      if (card.count > 1) parts.push(text(right - 12, b.y + 20, `×${card.count}`, `font-size="13" font-weight="700" text-anchor="end" fill="${colors.text}"`));
+      if (card.subtitle) parts.push(text(b.x + 12, b.y + 44, clipText(card.subtitle, 40), `font-size="11" fill="${colors.muted}"`));
+
+      card.inputs.forEach(p => {
+        const y = b.inputs.get(p.port);
+        parts.push(`<circle cx="${num(b.x)}" cy="${num(y)}" r="4" fill="${colors.conveyor}"/>`);
+        parts.push(text(b.x + 12, y + 4, `▸ ${clipText(p.label, 26)}`, `font-size="11" fill="${colors.text}"`));
+        parts.push(text(right - 12, y + 4, `${p.rate.toFixed(2)}/min`, `font-size="11" text-anchor="end" fill="${colors.muted}"`));
+      });
+      if (card.inputs.length > 0 && card.outputs.length > 0) {
+        const y = b.inputs.get(card.inputs[card.inputs.length - 1].port) + EXPORT_ROW_HEIGHT / 2;
+        parts.push(`<line x1="${num(b.x + 12)}" y1="${num(y)}" x2="${num(right - 12)}" y2="${num(y)}" stroke="${colors.border}"/>`);
+      }
+      card.outputs.forEach(p => {
+        const y = b.outputs.get(p.port);
+        parts.push(`<circle cx="${num(right)}" cy="${num(y)}" r="4" fill="${colors.conveyor}"/>`);
+        parts.push(text(b.x + 12, y + 4, `${clipText(p.label, 26)} ▸`, `font-size="11" font-weight="600" fill="${colors.text}"`));
+        parts.push(text(right - 12, y + 4, `${p.rate.toFixed(2)}/min`, `font-size="11" text-anchor="end" fill="${colors.muted}"`));
+      });
+      parts.push(`</g>`);
+    });
+
+    const svg = `<?xml version="1.0" encoding="UTF-8"?>\n` +
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="${num(originX)} ${num(originY)} ${width} ${height}" font-family="${EXPORT_FONT}">\n` +
+      parts.join("\n") + "\n" + labels.join("\n") + "\n</svg>\n";
+    return { svg, width, height };
+  }
+
+  /**
+   * Build sheet as a standalone, print-friendly HTML document, ordered by `AF.core.getBuildStages`.
+   * @param {{ title?: string }} [opts]
+   * @returns {string}
+   */
+  function renderBuildSheetHtml(opts = {}) {
+    const { placedMachines, connections } = AF.state.build;
+    const stages = AF.core.getBuildStages(placedMachines, connections);
+    const workspaceName = opts.title || "Production";
+    const materialName = (id) => AF.core.getMaterialById(id)?.name || "(unknown)";
+    const rate = (v) => `${v.toFixed(2)}/min`;
+    const ports = (list) => list.length === 0 ? "—" : list.map(p => `${escapeHtml(p.label)} ${rate(p.rate)}`).join("<br>");
+
+    // Materials to buy: purchasing portals, plus inputs that nothing on the canvas supplies.
+    /** @type {Map<string, { portal: number, imported: number }>} */
+    const buys = new Map();
+    const buyRow = (id) => {
+      if (!buys.has(id)) buys.set(id, { portal: 0, imported: 0 });
+      return buys.get(id);
+    };
+    placedMachines.forEach(pm => {
+      if (pm.type !== "purchasing_portal" || !pm.materialId) return;
+      const out = AF.render.getExportCard(pm).outputs.reduce((sum, p) => sum + p.rate, 0);
+      buyRow(pm.materialId).portal += out;
+    });
+    const netProduction = AF.state.calc?.netProduction || { exports: new Map(), imports: new Map() };
+    (netProduction.imports || new Map()).forEach((amount, id) => {
+      if (amount > 0.01) buyRow(id).imported += amount;
+    });
+    let totalCost = 0;
+    const buyRows = Array.from(buys.entries())
+      .sort((a, b) => compareByName(AF.core.getMaterialById(a[0]) || { name: a[0] }, AF.core.getMaterialById(b[0]) || { name: b[0] }))
+      .map(([id, row]) => {
+        const price = AF.core.getMaterialById(id)?.buyPrice || 0;
+        const total = row.portal + row.imported;
+        totalCost += price * total;
+        const source = [row.portal > 0 ? "Purchasing Portal" : "", row.imported > 0 ? "Unconnected input" : ""].filter(Boolean).join(", ");
+        return `<tr><td>${escapeHtml(materialName(id))}</td><td class="num">${rate(total)}</td><td class="num">${price > 0 ? `${escapeHtml(formatCoins(price * total))}/min` : "—"}</td><td>${source}</td></tr>`;
+      });
+
+    const products = Array.from((netProduction.exports || new Map()).entries())
+      .filter(([, amount]) => amount > 0.01)
+      .sort((a, b) => b[1] - a[1])
+      .map(([id, amount]) => `<tr><td>${escapeHtml(materialName(id))}</td><td class="num">${rate(amount)}</td></tr>`);
+
+    // Shopping list of machines, heating-device toppers included (Export nodes are not built).
+    /** @type {Map<string, number>} */
+    const machineTotals = new Map();
+    const addMachines = (name, count) => machineTotals.set(name, (machineTotals.get(name) || 0) + count);
+    placedMachines.forEach(pm => {
+      if (pm.type === "export") return;
+      const card = AF.render.getExportCard(pm);
+      addMachines(card.title, card.count);
+      (pm.toppers || []).forEach(t => {
+        const topper = t?.machineId ? AF.core.getMachineById(t.machineId) : null;
+        if (topper) addMachines(topper.name, card.count);
+      });
+    });
+    const machineRows = Array.from(machineTotals.entries())
+      .sort((a, b) => a[0].localeCompare(b[0]))
+      .map(([name, count]) => `<tr><td>${escapeHtml(name)}</td><td class="num">${count}</td></tr>`);
+
+    const stageSections = stages.map((stage, i) => {
+      const rows = stage.map(pm => {
+        const card = AF.render.getExportCard(pm);
+        return `<tr><td>${escapeHtml(card.title)}</td><td class="num">${card.count}</td><td>${escapeHtml(card.subtitle || "—")}</td><td>${ports(card.inputs)}</td><td>${ports(card.outputs)}</td></tr>`;
+      }).join("");
+      return `
+        <h3>Stage ${i + 1}${i === 0 ? " · sources" : ""}</h3>
+        <table>
+          <thead><tr><th>Machine</th><th class="num">Count</th><th>Recipe / setting</th><th>Inputs</th><th>Outputs</th></tr></thead>
+          <tbody>${rows}</tbody>
+        </table>`;
+    }).join("");
+
+    const cardCount = placedMachines.length;
+    return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(workspaceName)} – Build Sheet</title>
+<style>
+body { font: 13px/1.45 system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif; color: #1b2130; margin: 24px; }
+h1 { font-size: 22px; margin: 0 0 4px; }
+h2 { font-size: 16px; margin: 24px 0 8px; border-bottom: 2px solid #1b2130; padding-bottom: 2px; }
+h3 { font-size: 14px; margin: 16px 0 6px; }
+.meta { color: #5b6678; }
+table { border-collapse: collapse; width: 100%; margin-bottom: 8px; }
+th, td { border: 1px solid #c3cddc; padding: 4px 8px; text-align: left; vertical-align: top; }
+th { background: #e8eef7; }
+.num { text-align: right; white-space: nowrap; }
+.toolbar { margin-bottom: 16px; }
+tr { break-inside: avoid; }
+@media print { .toolbar { display: none; } body { margin: 0; } }
+</style>
+</head>
+<body>
+<div class="toolbar"><button type="button" onclick="window.print()">Print</button></div>
+<h1>${escapeHtml(workspaceName)}</h1>
+<div class="meta">Build sheet · ${new Date().toLocaleString()} · ${cardCount} card${cardCount === 1 ? "" : "s"} · ${stages.length} stage${stages.length === 1 ? "" : "s"}</div>
+
+<h2>Materials to buy</h2>
+${buyRows.length > 0 ? `<table>
+<thead><tr><th>Material</th><th class="num">Rate</th><th class="num">Cost</th><th>Source</th></tr></thead>
+<tbody>${buyRows.join("")}</tbody>
+${totalCost > 0 ? `<tfoot><tr><th>Total</th><th></th><th class="num">${escapeHtml(formatCoins(totalCost))}/min</th><th></th></tr></tfoot>` : ""}
+</table>` : `<p>Nothing to buy: every input is supplied on the canvas.</p>`}
+
+${products.length > 0 ? `<h2>Products</h2>
+<table>
+<thead><tr><th>Material</th><th class="num">Rate</th></tr></thead>
+<tbody>${products.join("")}</tbody>
+</table>` : ""}
+
+<h2>Machines to build</h2>
+<table>
+<thead><tr><th>Machine</th><th class="num">Count</th></tr></thead>
+<tbody>${machineRows.join("")}</tbody>
+</table>
+
+<h2>Production chain</h2>
+${stageSections}
+</body>
+</html>
+`;
+  }
+
   // Export render entrypoints used by scheduler/UI
   Object.assign(AF.render, {
     init,
@@ -2057,7 +2724,14 @@
     renderCanvasImpl,
     updateCameraTransform,
     syncRenderAfterCameraMove,
-    renderConnections
+    syncCardPositions,
+    renderConnections,
+    getPlacedMachineSize,
+    renderMinimap,
+    getCameraViewRect,
+    getExportCard,
+    renderBuildSvg,
+    renderBuildSheetHtml
   });
 })();
 
@@ -82,7 +82,13 @@
 /**
  * Note: port indices are usually numeric, but some special ports use string keys
  * (e.g. grouped outputs like `grouped-output-<materialId>`).
- * @typedef {{ fromMachineId: string, fromPortIdx: (number|string), toMachineId: string, toPortIdx: (number|string) }} BlueprintConnection
+ * @typedef {{ fromMachineId: string, fromPortIdx: (number|string), toMachineId: string, toPortIdx: (number|string), transport: (ConnectionTransport|undefined) }} BlueprintConnection
+ */
+
+/**
+ * How a connection moves items. Conveyor links may stand for several parallel belts; a thrown link is one
+ * thrower capped at `getThrowingSpeed()`. Missing means "conveyor".
+ * @typedef {"conveyor"|"thrown"} ConnectionTransport
  */
 
 /**
@@ -203,6 +209,7 @@
  *   fromPortIdx: (number|string),
  *   toMachineId: string,
  *   toPortIdx: (number|string),
+ *   transport: (ConnectionTransport|undefined),
  *   actualRate: (number|undefined),
  *   _parentBlueprintId: (string|undefined),
  *   materialId: (string|undefined),
@@ -251,7 +258,21 @@
  */
 
 /**
- * @typedef {{ conveyorSpeed: number, effectiveConveyorSpeed: number }} CalcSkillSnapshot
+ * One exported material valued at its sale price. `unitPrice` includes Shop Profit; cost/profit are null
+ * when the material has no calculable realised cost.
+ * @typedef {{
+ *   rate: number,
+ *   material: Material,
+ *   unitPrice: number,
+ *   realizedCost: (number|null),
+ *   revenuePerMinute: number,
+ *   costPerMinute: (number|null),
+ *   profitPerMinute: (number|null),
+ * }} ExportValueItem
+ */
+
+/**
+ * @typedef {{ conveyorSpeed: number, effectiveConveyorSpeed: number, throwingSpeed: number }} CalcSkillSnapshot
  */
 
 /**
@@ -273,6 +294,9 @@
  *   importCosts: (Map<string, ImportCostItem>|null),
  *   totalImportCost: number,
  *   totalCost: number,
+ *   exportValues: (Map<string, ExportValueItem>|undefined),
+ *   totalRevenue: number,
+ *   totalProfit: number,
  *   skill: (CalcSkillSnapshot|undefined),
  *
  *   fuelHeatValueByMaterialId: (Map<string, number>|undefined),
@@ -288,9 +312,36 @@
  *   uiByMachineId: (Map<string, Object>|undefined),
  *
  *   port: (CalcPortSnapshot|undefined),
+ *   bottlenecks: (Array<BottleneckReport>|undefined),
  * }} CalcState
  */
 
+/**
+ * One link in a bottleneck chain. `rate` / `limit` are items/min; their meaning depends on `kind`
+ * (e.g. supplied vs needed for "starved", needed vs belt capacity for "belt").
+ * @typedef {{
+ *   kind: "starved"|"throttled"|"supply"|"belt"|"fuel"|"backpressure"|"loop",
+ *   machineId: string,
+ *   relatedMachineIds: Array<string>,
+ *   connectionIds: Array<string>,
+ *   materialId: (string|null),
+ *   rate: number,
+ *   limit: number,
+ * }} BottleneckStep
+ */
+
+/**
+ * @typedef {{
+ *   machineId: string,
+ *   efficiency: number,
+ *   cause: "supply"|"belt"|"fuel"|"backpressure"|"loop",
+ *   rootKey: string,
+ *   chain: Array<BottleneckStep>,
+ *   machineIds: Array<string>,
+ *   connectionIds: Array<string>,
+ * }} BottleneckReport
+ */
+
 // ---------- App state ----------
 
 /**
@@ -363,6 +414,7 @@
  *   ui: UIState,
  *   build: BuildState,
  *   workspaces: WorkspacesState,
+ *   profiles: Array<DbProfile>,
  *   blueprintEditStack: Array<BlueprintEditStackFrame>,
  *   currentBlueprintEdit: (BlueprintEditContext|null),
  *   blueprintMachineCountCache: Object,
@@ -371,10 +423,21 @@
  * }} AppState
  */
 
+/**
+ * Input for the headless calculator (`AF.calculator.calculateSnapshot`). Missing skills/settings fall back to defaults.
+ * @typedef {{
+ *   db: Db,
+ *   build: { placedMachines: Array<PlacedMachine>, connections: Array<Connection> },
+ *   skills?: Partial<SkillsState>,
+ *   settings?: Settings,
+ * }} CalculationInput
+ */
+
 /**
  * @typedef {{
  *   id: string,
  *   name: string,
+ *   profileId: string,
  *   build: { placedMachines: Array<PlacedMachine>, connections: Array<Connection>, camera: CameraState }
  * }} WorkspaceTab
  */
@@ -411,6 +474,587 @@
  * }} BlueprintAnalysisResult
  */
 
+// ---------- Target-rate planner ----------
+
+/**
+ * One producer in a production plan. The preferred-recipe planner keeps one node per material;
+ * the optimizer may produce a material from several nodes (e.g. a recipe plus a byproduct).
+ * `count` is the number of placed cards' units: machines, heating devices (with `toppersPerDevice` toppers each),
+ * nurseries or purchasing portals.
+ * @typedef {{
+ *   id: string,
+ *   materialId: string,
+ *   kind: "recipe"|"heated"|"nursery"|"purchase"|"unresolved",
+ *   recipeId: (string|null),
+ *   machineId: (string|null),
+ *   fertilizerId: (string|null),
+ *   reason: (string|null),
+ *   rate: number,
+ *   machinesExact: number,
+ *   count: number,
+ *   toppersPerDevice: number,
+ *   heatP: number,
+ *   fuelRate: number,
+ *   depth: number,
+ *   inputs: Array<MaterialRate>,
+ *   outputs: Array<MaterialRate>,
+ * }} ProductionPlanNode
+ */
+
+/**
+ * A flow between two plan nodes. `toNodeId: null` feeds the target Export node.
+ * @typedef {{
+ *   fromNodeId: string,
+ *   toNodeId: (string|null),
+ *   materialId: string,
+ *   rate: number,
+ *   isFuel: boolean,
+ * }} ProductionPlanLink
+ */
+
+/**
+ * @typedef {{
+ *   fuelMaterialId?: (string|null),
+ *   fertilizerId?: (string|null),
+ *   heatingDeviceId?: (string|null),
+ *   objective?: ("preferred"|"cost"|"machines"|"heat"),
+ * }} PlanOptions
+ */
+
+/**
+ * Options for `AF.calculator.optimizeSkillAllocation`. `materialId` only applies to the "export" objective
+ * (omitted: total of all exports). `build` defaults to the active build.
+ * @typedef {{
+ *   budget: number,
+ *   objective: ("export"|"profit"|"cost"),
+ *   materialId?: (string|null),
+ *   build?: { placedMachines: Array<PlacedMachine>, connections: Array<Connection> },
+ *   limit?: number,
+ * }} SkillOptimizerOptions
+ */
+
+/**
+ * One evaluated skill allocation. `valid` is false when the calculation produced non-finite rates.
+ * @typedef {{
+ *   skills: SkillsState,
+ *   points: number,
+ *   score: number,
+ *   valid: boolean,
+ *   exportRate: number,
+ *   totalExports: number,
+ *   revenuePerMin: number,
+ *   costPerMin: number,
+ *   profitPerMin: number,
+ * }} SkillAllocationCandidate
+ */
+
+/**
+ * @typedef {{
+ *   objective: ("export"|"profit"|"cost"),
+ *   materialId: (string|null),
+ *   budget: number,
+ *   ranked: Array<SkillAllocationCandidate>,
+ *   current: SkillAllocationCandidate,
+ *   evaluations: number,
+ * }} SkillOptimizerResult
+ */
+
+/**
+ * Options for `AF.calculator.simulateBuild`. `stepSec` defaults to a quarter of the fastest recipe cycle (≤ 1s).
+ * @typedef {{ durationMin?: number, stepSec?: number }} SimulationOptions
+ */
+
+/**
+ * One sampled timeline; `values[i]` belongs to `SimulationResult.times[i]`.
+ * Storage stock series carry the storage `machineId`; per-material series have `machineId: null`.
+ * @typedef {{ key: string, machineId: (string|null), materialId: (string|null), values: Array<number> }} SimulationSeries
+ */
+
+/**
+ * `finalUtilization` is the busy share over the last 10% of the run, comparable to the steady-state `efficiency`.
+ * @typedef {{
+ *   machineId: string,
+ *   units: number,
+ *   firstOutputMin: (number|null),
+ *   finalUtilization: number,
+ *   steadyEfficiency: number,
+ *   fuelBurned: number,
+ * }} SimulationMachineStat
+ */
+
+/**
+ * @typedef {{ materialId: string, total: number, firstAtMin: (number|null), finalRate: number, steadyRate: number }} SimulationExportStat
+ */
+
+/**
+ * A feedback loop (strongly connected machines). `startsUp` is false when some member never produced or the loop
+ * is idle by the end of the run.
+ * @typedef {{ machineIds: Array<string>, startsUp: boolean, startedAtMin: (number|null), finalItemsPerMin: number }} SimulationLoop
+ */
+
+/**
+ * @typedef {{
+ *   durationMin: number,
+ *   stepSec: number,
+ *   times: Array<number>,
+ *   stock: Array<SimulationSeries>,
+ *   buffers: Array<SimulationSeries>,
+ *   exportRate: Array<SimulationSeries>,
+ *   utilization: SimulationSeries,
+ *   machines: Array<SimulationMachineStat>,
+ *   exports: Array<SimulationExportStat>,
+ *   loops: Array<SimulationLoop>,
+ *   imports: Array<{ materialId: string, total: number }>,
+ * }} SimulationResult
+ */
+
+/**
+ * @typedef {{
+ *   budgetPerMin?: number,
+ *   maxMachines?: number,
+ *   sortBy?: "machine"|"heat"|"limit",
+ *   machineIds?: (Array<string>|null),
+ *   fuelMaterialId?: (string|null),
+ *   fertilizerId?: (string|null),
+ *   heatingDeviceId?: (string|null),
+ * }} ProfitReportOptions
+ */
+
+/**
+ * One sellable material in the profit report. Per-item values are copper; `machinesPerRate` / `heatPerRate`
+ * are what 1 item/min needs (machines, P/s); `profitPerMachine` / `profitPerHeat` are copper/min per machine / per P/s.
+ * @typedef {{
+ *   materialId: string,
+ *   unitPrice: number,
+ *   unitCost: (number|null),
+ *   unitProfit: (number|null),
+ *   machinesPerRate: number,
+ *   heatPerRate: number,
+ *   profitPerMachine: (number|null),
+ *   profitPerHeat: (number|null),
+ *   limitRate: (number|null),
+ *   limitedBy: ("budget"|"machines"|null),
+ *   limitProfit: (number|null),
+ *   machineIds: Array<string>,
+ *   missingMachineIds: Array<string>,
+ *   issues: Array<string>,
+ * }} ProfitReportRow
+ */
+
+/**
+ * One way to make a material, valued at the optimizer's shadow prices (per item/min of that material).
+ * @typedef {{
+ *   varId: string,
+ *   kind: "recipe"|"heated"|"nursery"|"purchase",
+ *   recipeId: (string|null),
+ *   fertilizerId: (string|null),
+ *   chosen: boolean,
+ *   unitValue: number,
+ *   ownCost: number,
+ *   inputCost: number,
+ *   byproductCredit: number,
+ * }} RecipeMixOption
+ */
+
+/**
+ * @typedef {{
+ *   materialId: string,
+ *   shadowPrice: number,
+ *   options: Array<RecipeMixOption>,
+ * }} RecipeMixExplanation
+ */
+
+/**
+ * @typedef {{
+ *   targets: Array<MaterialRate>,
+ *   nodes: Array<ProductionPlanNode>,
+ *   links: Array<ProductionPlanLink>,
+ *   purchases: Array<MaterialRate>,
+ *   surplus: Array<MaterialRate>,
+ *   heatingDeviceId: (string|null),
+ *   fuelMaterialId: (string|null),
+ *   fertilizerId: (string|null),
+ *   converged: boolean,
+ *   issues: Array<string>,
+ *   objective: ("preferred"|"cost"|"machines"|"heat"),
+ *   objectiveValue: (number|null),
+ *   explanation: Array<RecipeMixExplanation>,
+ * }} ProductionPlan
+ */
+
+// ---------- Material reports ----------
+
+/**
+ * Why a material's cost can or cannot be calculated (`getCostCalculationDetails`).
+ * `producingRecipes` is empty for buy-priced materials.
+ * @typedef {{
+ *   materialId?: string,
+ *   materialName?: string,
+ *   hasBuyPrice?: boolean,
+ *   buyPrice?: (number|null),
+ *   producingRecipes?: Array<{
+ *     recipeId: string,
+ *     recipeName: string,
+ *     machineId: (string|null),
+ *     inputs: Array<{ materialId: string, materialName: string, items: number, cost: number, canCalculate: boolean }>,
+ *     canUse: boolean,
+ *     reason: (string|null),
+ *   }>,
+ *   canCalculate: boolean,
+ *   reason: (string|null),
+ * }} CostCalculationDetails
+ */
+
+/**
+ * One material in a "How do I make this?" tree, sized for `rate` items/min.
+ * `count` is whole machines (recipes, nurseries) or purchasing portals; `alternatives` counts the other producing recipes.
+ * `cycle` marks a material already made further up its branch; `truncated` a node past the depth/size limit.
+ * @typedef {{
+ *   materialId: string,
+ *   materialName: string,
+ *   rate: number,
+ *   kind: "recipe"|"nursery"|"purchase"|"unresolved",
+ *   recipeId: (string|null),
+ *   machineId: (string|null),
+ *   machinesExact: number,
+ *   count: number,
+ *   unitCost: (number|null),
+ *   alternatives: number,
+ *   reason: (string|null),
+ *   cycle: boolean,
+ *   truncated: boolean,
+ *   children: Array<MaterialIngredientNode>,
+ * }} MaterialIngredientNode
+ */
+
+/**
+ * A recipe consuming a material in a "Where is this used?" tree; `items` is the amount consumed per craft.
+ * @typedef {{
+ *   recipeId: string,
+ *   recipeName: string,
+ *   machineId: (string|null),
+ *   items: number,
+ *   products: Array<MaterialUsageNode>,
+ * }} MaterialUsageConsumer
+ */
+
+/**
+ * One material in a "Where is this used?" tree. `seen` marks a material expanded elsewhere in the tree.
+ * @typedef {{
+ *   materialId: string,
+ *   materialName: string,
+ *   unitCost: (number|null),
+ *   reason: (string|null),
+ *   seen: boolean,
+ *   truncated: boolean,
+ *   consumers: Array<MaterialUsageConsumer>,
+ * }} MaterialUsageNode
+ */
+
+/**
+ * One flattened line of a material report, shared by the editor view and the text/Markdown export.
+ * @typedef {{
+ *   depth: number,
+ *   title: string,
+ *   detail: string,
+ *   warn: (string|null),
+ * }} MaterialReportRow
+ */
+
+// ---------- Build export ----------
+
+/**
+ * One port line of an exported card; `port` is the port index used by connections.
+ * @typedef {{ port: string, label: string, rate: number }} ExportCardPort
+ */
+
+/**
+ * Card as drawn in the exported image and listed on the build sheet.
+ * `status` uses the minimap colors.
+ * @typedef {{
+ *   id: string,
+ *   title: string,
+ *   count: number,
+ *   subtitle: string,
+ *   status: ("running"|"underclocked"|"insufficient"|"idle"|"other"),
+ *   inputs: Array<ExportCardPort>,
+ *   outputs: Array<ExportCardPort>,
+ * }} ExportCard
+ */
+
+/**
+ * Measured size of a rendered card and its port anchors relative to the card's top-left, keyed by port index.
+ * Kept after the card is culled so routing and layout still know where it is.
+ * @typedef {{
+ *   width: number,
+ *   height: number,
+ *   inputs: Map<string, { x: number, y: number }>,
+ *   outputs: Map<string, { x: number, y: number }>,
+ * }} CardGeometry
+ */
+
+// ---------- Canvas clipboard ----------
+
+/**
+ * Copied canvas selection (also the JSON written to the system clipboard).
+ * `origin` is the top-left of the copied cards; pasting moves it to the paste anchor.
+ * @typedef {{
+ *   kind: "af_clipboard_v1",
+ *   copiedAt: string,
+ *   origin: { x: number, y: number },
+ *   placedMachines: Array<PlacedMachine>,
+ *   connections: Array<Connection>,
+ * }} CanvasClipboardPayload
+ */
+
+// ---------- Undo / redo history ----------
+
+/**
+ * One item-level change. `before`/`after` are JSON strings of the item (null = absent).
+ * @typedef {{
+ *   scope: "build"|"db",
+ *   collection: string,
+ *   id: string,
+ *   before: (string|null),
+ *   after: (string|null),
+ *   beforeIndex: number,
+ *   afterIndex: number,
+ * }} HistoryChange
+ */
+
+/**
+ * @typedef {{
+ *   id: string,
+ *   label: string,
+ *   at: number,
+ *   changes: Array<HistoryChange>,
+ *   bytes: number,
+ * }} HistoryEntry
+ */
+
+// ---------- Persistence ----------
+
+/**
+ * @typedef {"auto"|"session"|"manual"|"migration"|"before-restore"|"before-merge"|"before-delete"} RestorePointKind
+ */
+
+/**
+ * Everything a restore point stores (records as persisted, not normalized). `db` and `settings` are the
+ * default profile's; `profiles` carries the other profiles' DB and settings (missing in older points).
+ * @typedef {{
+ *   db: (Db|null),
+ *   workspaces: ({ activeId: (string|null), tabs: Array<WorkspaceTab> }|null),
+ *   skills: (SkillsState|null),
+ *   settings: (Settings|null),
+ *   profiles?: Array<(DbProfile & { db?: (Db|null), settings?: (Settings|null) })>,
+ * }} PersistedState
+ */
+
+/**
+ * A restore point without its data, as listed in the "Restore point…" dialog.
+ * @typedef {{
+ *   id: number,
+ *   at: number,
+ *   kind: RestorePointKind,
+ *   label: string,
+ *   summary: { materials: number, machines: number, recipes: number, blueprints: number, tabs: Array<{ id: string, name: string }> },
+ * }} RestorePointInfo
+ */
+
+/**
+ * @typedef {{ kind: "all"|"db"|"workspace", tabId?: string }} RestoreScope
+ */
+
+/**
+ * @typedef {{ backend: "indexeddb"|"localStorage"|"memory", restorePoints: boolean, liveSync: boolean }} StorageInfo
+ */
+
+/**
+ * A DB item or workspace tab that this window and another window changed differently.
+ * @typedef {{
+ *   key: string,
+ *   kind: ("material"|"machine"|"recipe"|"blueprint"|"workspace"),
+ *   id: string,
+ *   name: string,
+ *   mineDeleted: boolean,
+ *   theirsDeleted: boolean,
+ * }} StorageConflict
+ */
+
+// ---------- DB references ----------
+
+/**
+ * Where a DB entry is used, for the delete impact preview. `items` are short descriptions such as
+ * `"Plank" (input)` or `3 cards`.
+ * @typedef {{
+ *   kind: ("recipes"|"blueprint"|"workspace"|"settings"),
+ *   label: string,
+ *   count: number,
+ *   items: Array<string>,
+ * }} DbReferenceGroup
+ */
+
+// ---------- Database profiles ----------
+
+/**
+ * A named database: its own materials, machines, recipes, blueprints and cost settings. The default
+ * profile has the ID "default".
+ * @typedef {{ id: string, name: string }} DbProfile
+ */
+
+/**
+ * A DB entry the migrated workspace uses, with the target profile's entry of the same name (null when none).
+ * @typedef {{
+ *   collection: ("materials"|"machines"|"recipes"|"blueprints"),
+ *   id: string,
+ *   name: string,
+ *   references: number,
+ *   targetId: (string|null),
+ * }} ProfileMigrationEntry
+ */
+
+/**
+ * @typedef {{
+ *   tabId: string,
+ *   fromProfileId: string,
+ *   toProfileId: string,
+ *   mapped: Array<ProfileMigrationEntry>,
+ *   unmapped: Array<ProfileMigrationEntry>,
+ * }} ProfileMigrationReport
+ */
+
+// ---------- Recipe graph ----------
+
+/**
+ * A material in the recipe graph. `layer` is its column (raw materials are 0), `order` its row in that column,
+ * `cycle` the index into `RecipeGraph.cycles` (-1 when not in a cycle); `produced` is false for raw materials.
+ * @typedef {{
+ *   id: string,
+ *   name: string,
+ *   layer: number,
+ *   order: number,
+ *   cycle: number,
+ *   produced: boolean,
+ * }} RecipeGraphNode
+ */
+
+/**
+ * Input `from` is turned into output `to` on `machineId` by the recipes in `recipeIds`.
+ * @typedef {{
+ *   from: string,
+ *   to: string,
+ *   machineId: (string|null),
+ *   recipeIds: Array<string>,
+ *   cycle: boolean,
+ * }} RecipeGraphEdge
+ */
+
+/**
+ * @typedef {{
+ *   nodes: Array<RecipeGraphNode>,
+ *   edges: Array<RecipeGraphEdge>,
+ *   cycles: Array<Array<string>>,
+ * }} RecipeGraph
+ */
+
+// ---------- Database checks ----------
+
+/**
+ * @typedef {"error"|"warning"} DbCheckSeverity
+ */
+
+/**
+ * @typedef {"materials"|"machines"|"recipes"} DbCheckCollection
+ */
+
+/**
+ * One finding of `checkDatabase()`; `rule` is the ID of the rule that reported it (e.g. "recipe-ports").
+ * @typedef {{
+ *   rule: string,
+ *   severity: DbCheckSeverity,
+ *   collection: DbCheckCollection,
+ *   id: string,
+ *   name: string,
+ *   message: string,
+ * }} DbCheckIssue
+ */
+
+/**
+ * @typedef {{
+ *   id: string,
+ *   check: (db: Db, issue: (severity: DbCheckSeverity, collection: DbCheckCollection, item: { id: string, name: string }, message: string) => void) => void,
+ * }} DbCheckRule
+ */
+
+// ---------- Database merge ----------
+
+/**
+ * - added: not in this database (no ID or name match)
+ * - same: matched and identical
+ * - changed: matched and different
+ * - conflict: identity is ambiguous (same ID but another name, or several local entries with the name)
+ * @typedef {"added"|"same"|"changed"|"conflict"} DbDiffStatus
+ */
+
+/**
+ * @typedef {"add"|"skip"|"keep"|"incoming"|"copy"} DbMergeResolution
+ */
+
+/**
+ * One differing field; `incoming` already has its references pointing at matched local entries.
+ * @typedef {{ field: string, local: any, incoming: any }} DbDiffField
+ */
+
+/**
+ * @typedef {{
+ *   key: string,
+ *   collection: ("materials"|"machines"|"recipes"|"blueprints"),
+ *   status: DbDiffStatus,
+ *   match: ("id"|"name"|null),
+ *   reason: (string|null),
+ *   incomingId: string,
+ *   localId: (string|null),
+ *   name: string,
+ *   localName: (string|null),
+ *   differences: Array<DbDiffField>,
+ * }} DbDiffEntry
+ */
+
+/**
+ * @typedef {{
+ *   entries: Array<DbDiffEntry>,
+ *   incoming: Db,
+ *   names: Object<string, string>,
+ *   build: (Object|null),
+ *   buildName: (string|null),
+ * }} DbDiff
+ */
+
+/**
+ * @typedef {{ adoptIncomingIds?: boolean, openBuild?: boolean, label?: string }} DbMergeOptions
+ */
+
+/**
+ * @typedef {{ added: number, updated: number, renamedLocal: number, openedBuild: boolean }} DbMergeSummary
+ */
+
+// ---------- Spreadsheet import ----------
+
+/**
+ * `row` is the 1-based line in the file (1 = header).
+ * @typedef {{ row: number, message: string }} DbSheetRowError
+ */
+
+/**
+ * `diff` is null when the table could not be recognized.
+ * @typedef {{
+ *   collection: ("materials"|"machines"|"recipes"|null),
+ *   diff: (DbDiff|null),
+ *   rowCount: number,
+ *   errors: Array<DbSheetRowError>,
+ * }} DbSheetImport
+ */
+
 // ---------- AF public API surface ----------
 
 /**
@@ -435,25 +1079,58 @@
  *   exportDb: () => void,
  *   exportFullState: () => void,
  *   exportBuildState: () => void,
+ *   createShareLink: () => Promise<string>,
+ *   diffDatabase: (parsed: any) => DbDiff,
+ *   mergeDatabase: (diff: DbDiff, resolutions: Object<string, DbMergeResolution>, options?: DbMergeOptions) => Promise<(DbMergeSummary|null)>,
+ *   getDefaultMergeResolution: (status: DbDiffStatus) => DbMergeResolution,
+ *   exportDbSheet: (collection: ("materials"|"machines"|"recipes"), format: ("csv"|"tsv")) => void,
+ *   readDbSheet: (text: string) => DbSheetImport,
+ *   findDbReferences: (collection: ("materials"|"machines"|"recipes"), id: string) => Array<DbReferenceGroup>,
+ *   deleteDbEntry: (collection: ("materials"|"machines"|"recipes"), id: string, replacementId?: (string|null)) => void,
  *   importFullState: (file: File) => Promise<Array<ValidationIssue>>,
+ *   ensureBlueprintsInDbFromBuild: (placedMachines: Array<PlacedMachine>) => void,
  *   saveBuild: () => void,
  *   loadBuild: () => { placedMachines: Array<PlacedMachine>, connections: Array<Connection>, camera: CameraState },
  *   saveWorkspaces: () => void,
  *   loadWorkspaces: () => void,
  *   getActiveWorkspaceTab: () => (WorkspaceTab|null),
- *   createWorkspaceTab: (opts: { name: string, build?: any, switchTo?: boolean }) => WorkspaceTab,
+ *   createWorkspaceTab: (opts: { name: string, build?: any, switchTo?: boolean, profileId?: string }) => WorkspaceTab,
  *   renameWorkspaceTab: (tabId: string, name: string) => boolean,
  *   switchWorkspaceTab: (tabId: string) => boolean,
  *   closeWorkspaceTab: (tabId: string) => boolean,
+ *   getActiveProfileId: () => string,
+ *   getProfileTabs: (profileId?: string) => Array<WorkspaceTab>,
+ *   switchProfile: (profileId: string) => boolean,
+ *   createProfile: (opts: { name: string, copyActive?: boolean }) => DbProfile,
+ *   renameProfile: (profileId: string, name: string) => boolean,
+ *   deleteProfile: (profileId: string) => Promise<boolean>,
+ *   previewWorkspaceMigration: (targetProfileId: string) => (ProfileMigrationReport|null),
+ *   migrateWorkspaceToProfile: (targetProfileId: string) => (ProfileMigrationReport|null),
  *   saveSkills: () => void,
  *   loadSkills: () => SkillsState,
  *   saveUIPrefs: () => void,
  *   loadUIPrefs: () => { sidebars: UIState["sidebars"] },
  *   validateBuild: (placedMachines: Array<PlacedMachine>, connections: Array<Connection>) => Array<ValidationIssue>,
+ *   undo: () => (HistoryEntry|null),
+ *   redo: () => (HistoryEntry|null),
+ *   jumpToHistoryEntry: (entryId: string) => number,
+ *   getHistory: () => { undo: Array<{ id: string, label: string, at: number }>, redo: Array<{ id: string, label: string, at: number }> },
+ *   clearHistory: (tabId?: string) => void,
+ *   flushHistory: () => void,
+ *   flushStorage: () => Promise<void>,
+ *   getStorageInfo: () => StorageInfo,
+ *   listRestorePoints: () => Promise<Array<RestorePointInfo>>,
+ *   createRestorePoint: (label: string, kind?: RestorePointKind) => Promise<(RestorePointInfo|null)>,
+ *   restoreFromPoint: (pointId: number, scope: RestoreScope) => Promise<boolean>,
  *   getMaterialById: (id: string) => (Material|null),
  *   getMachineById: (id: string) => (Machine|null),
  *   getRecipeById: (id: string) => (Recipe|null),
  *   getMaterialIdFromPort: (placedMachine: PlacedMachine, portIdx: number, type: "input"|"output") => (string|null),
+ *   checkDatabase: (db?: Db) => Array<DbCheckIssue>,
+ *   buildRecipeGraph: (db?: Db, opts?: { materialIds?: Set<string> }) => RecipeGraph,
+ *   traceRecipeGraph: (graph: RecipeGraph, materialId: string, direction: ("upstream"|"downstream")) => Set<string>,
+ *   layoutBuild: (placedMachines: Array<PlacedMachine>, connections: Array<Connection>, sizes: Map<string, { width: number, height: number }>) => Map<string, { x: number, y: number }>,
+ *   getBuildStages: (placedMachines: Array<PlacedMachine>, connections: Array<Connection>) => Array<Array<PlacedMachine>>,
  *   compareByName: (a: { name?: string }, b: { name?: string }) => number,
  *   filterByName: (needle: string, item: { name?: string }) => boolean,
  *   materialLabel: (m: Material) => string,
@@ -468,17 +1145,31 @@
  * @typedef {{
  *   init: () => void,
  *   recalculateAll: () => void,
+ *   calculateSnapshot: (input: CalculationInput) => { calc: CalcState, build: { placedMachines: Array<PlacedMachine>, connections: Array<Connection> } },
  *   calculateBlueprintMachineCounts: (blueprintId: string) => Object,
  *   invalidateBlueprintCountCache: (blueprintId: string) => void,
  *   analyzeBlueprintMachines: (selectedMachineIds: Array<string>) => BlueprintAnalysisResult,
  *   getConveyorSpeed: () => number,
  *   getEffectiveConveyorSpeed: () => number,
+ *   getThrowingSpeed: () => number,
+ *   getConnectionTransport: (connection: Connection) => ConnectionTransport,
+ *   getTransportSpeed: (connection: Connection) => number,
  *   getFuelConsumptionRate: (baseConsumptionP: number) => number,
  *   getFuelHeatValue: (totalBaseP: number) => number,
  *   getFertilizerValue: (totalBaseV: number) => number,
  *   getProfit: (basePriceC: number) => number,
  *   getAlchemyEfficiency: (baseOutput: number) => number,
- *   getEffectiveProcessingTime: (baseTime: number) => number
+ *   getEffectiveProcessingTime: (baseTime: number) => number,
+ *   getCostCalculationDetails: (materialId: string) => CostCalculationDetails,
+ *   getMaterialIngredientTree: (materialId: string, rate?: number) => MaterialIngredientNode,
+ *   getMaterialUsageTree: (materialId: string) => MaterialUsageNode,
+ *   planTargetProduction: (targets: Array<MaterialRate>, options?: PlanOptions) => ProductionPlan,
+ *   optimizeRecipeMix: (targets: Array<MaterialRate>, options?: PlanOptions) => ProductionPlan,
+ *   solveLinearProgram: (c: Array<number>, A: Array<Array<number>>, b: Array<number>) => { status: "optimal"|"infeasible"|"unbounded", x: Array<number>, objective: number, duals: Array<number>, infeasibleRows: Array<number> },
+ *   createBuildFromPlan: (plan: ProductionPlan) => { placedMachines: Array<PlacedMachine>, connections: Array<Connection>, camera: CameraState },
+ *   optimizeSkillAllocation: (options: SkillOptimizerOptions, onProgress?: (evaluations: number) => void) => Promise<SkillOptimizerResult>,
+ *   simulateBuild: (input: CalculationInput, options?: SimulationOptions) => SimulationResult,
+ *   rankProfitableProducts: (options?: ProfitReportOptions) => Array<ProfitReportRow>,
  * }} AFCalculator
  */
 
@@ -489,7 +1180,14 @@
  *   renderCanvasImpl: (forceRecreate?: boolean) => void,
  *   updateCameraTransform: () => void,
  *   syncRenderAfterCameraMove: () => void,
+ *   syncCardPositions: () => void,
  *   renderConnections: (svgEl: SVGElement) => void,
+ *   getPlacedMachineSize: (placedMachineId: string) => { width: number, height: number },
+ *   renderMinimap: () => void,
+ *   getCameraViewRect: () => ({ x: number, y: number, width: number, height: number }|null),
+ *   getExportCard: (pm: PlacedMachine) => ExportCard,
+ *   renderBuildSvg: (opts?: { theme?: ("dark"|"light"), title?: string }) => { svg: string, width: number, height: number },
+ *   renderBuildSheetHtml: (opts?: { title?: string }) => string,
  * }} AFRender
  */
 
@@ -513,6 +1211,7 @@
  *   confirm: (message: string, opts?: { title?: string, okText?: string, cancelText?: string, danger?: boolean }) => Promise<boolean>,
  *   prompt: (message: string, defaultValue?: string, opts?: { title?: string, okText?: string, cancelText?: string, placeholder?: string }) => Promise<(string|null)>,
  *   close: () => void,
+ *   isOpen: () => boolean,
  * }} AFUIDialog
  */
 
@@ -523,11 +1222,150 @@
  * }} AFUIQuickCalc
  */
 
+/**
+ * @typedef {{
+ *   open: (materialId?: string) => Promise<void>,
+ * }} AFUITargetPlanner
+ */
+
+/**
+ * @typedef {{
+ *   render: () => void,
+ * }} AFUISkillOptimizer
+ */
+
+/**
+ * @typedef {{
+ *   open: () => Promise<void>,
+ * }} AFUISimulation
+ */
+
+/**
+ * @typedef {{
+ *   open: () => Promise<void>,
+ * }} AFUIProfitReport
+ */
+
+/**
+ * @typedef {{
+ *   open: () => Promise<void>,
+ * }} AFUIRestorePoints
+ */
+
+/**
+ * @typedef {{
+ *   resolve: (conflicts: Array<StorageConflict>) => Promise<Object<string, ("mine"|"theirs")>>,
+ * }} AFUISyncConflicts
+ */
+
+/**
+ * @typedef {{
+ *   openFile: (file: File) => Promise<void>,
+ *   review: (diff: DbDiff, options: { label: string, title?: string, verb?: string, errors?: Array<DbSheetRowError>, preferIncoming?: boolean }) => Promise<void>,
+ *   wireInput: () => void,
+ * }} AFUIDbMerge
+ */
+
+/**
+ * @typedef {{
+ *   run: (collection: ("materials"|"machines"|"recipes"), id: string) => Promise<boolean>,
+ * }} AFUIDbDelete
+ */
+
+/**
+ * @typedef {{
+ *   open: () => Promise<void>,
+ * }} AFUIDbCheck
+ */
+
+/**
+ * @typedef {{
+ *   open: () => Promise<void>,
+ * }} AFUIRecipeGraph
+ */
+
+/**
+ * @typedef {{
+ *   render: (materialId: string) => string,
+ *   exportReport: (kind: ("ingredients"|"usage"), materialId: string, format: ("txt"|"md")) => void,
+ *   place: (materialId: string) => void,
+ *   wire: () => void,
+ * }} AFUIMaterialReports
+ */
+
+/**
+ * @typedef {{
+ *   render: () => void,
+ *   manage: () => Promise<void>,
+ *   migrate: () => Promise<void>,
+ *   wire: () => void,
+ * }} AFUIProfiles
+ */
+
+/**
+ * @typedef {{
+ *   openExport: () => Promise<void>,
+ *   importFile: (file: File) => Promise<void>,
+ *   wireInput: () => void,
+ * }} AFUIDbSheet
+ */
+
+/**
+ * @typedef {{
+ *   undo: () => void,
+ *   redo: () => void,
+ *   jumpTo: (entryId: string) => void,
+ *   renderMenu: () => void,
+ *   wireGlobalHotkey: () => void,
+ * }} AFUIHistoryMenu
+ */
+
+/**
+ * @typedef {{
+ *   copy: () => Promise<void>,
+ *   paste: () => Promise<void>,
+ *   pasteBuild: (build: { placedMachines: Array<PlacedMachine>, connections: Array<Connection> }) => void,
+ *   wire: () => void,
+ * }} AFUICanvasClipboard
+ */
+
+/**
+ * @typedef {{
+ *   wire: () => void,
+ * }} AFUICanvasMinimap
+ */
+
+/**
+ * @typedef {{
+ *   openImageExport: () => Promise<void>,
+ *   exportImage: (opts: { format: ("svg"|"png"), scale: number, theme: ("dark"|"light") }) => Promise<void>,
+ *   openBuildSheet: () => void,
+ * }} AFUIBuildExport
+ */
+
 /**
  * @typedef {{
  *   init: () => void,
  *   dialog: AFUIDialog,
  *   quickCalc: AFUIQuickCalc,
+ *   targetPlanner: AFUITargetPlanner,
+ *   skillOptimizer: AFUISkillOptimizer,
+ *   simulation: AFUISimulation,
+ *   profitReport: AFUIProfitReport,
+ *   recipeGraph: AFUIRecipeGraph,
+ *   materialReports: AFUIMaterialReports,
+ *   restorePoints: AFUIRestorePoints,
+ *   syncConflicts: AFUISyncConflicts,
+ *   dbMerge: AFUIDbMerge,
+ *   dbDelete: AFUIDbDelete,
+ *   dbCheck: AFUIDbCheck,
+ *   dbSheet: AFUIDbSheet,
+ *   profiles: AFUIProfiles,
+ *   historyMenu: AFUIHistoryMenu,
+ *   canvasClipboard: AFUICanvasClipboard,
+ *   canvasMinimap: AFUICanvasMinimap,
+ *   buildExport: AFUIBuildExport,
+ *   renderHistoryMenu: () => void,
  *   setStatus: (text: string, kind?: "info"|"error"|"warn"|"success") => void,
  *   updateSelectionClasses: () => void,
  *   renderAllUIElements: () => void,
@@ -312,7 +312,11 @@
       closeWithButtonId(active?.cancelButtonId ?? "cancel");
     }
 
-    return { open, alert, confirm, prompt, close };
+    function isOpen() {
+      return !!active;
+    }
+
+    return { open, alert, confirm, prompt, close, isOpen };
   })();
 
   AF.ui.dialog = dialog;
@@ -512,88 +516,3157 @@
       const wrap = document.createElement("div");
       wrap.className = "quickCalc";
 
-      const hint = document.createElement("div");
-      hint.className = "quickCalc__hint";
-      hint.textContent = "Enter to calculate • Esc to close";
+      const hint = document.createElement("div");
+      hint.className = "quickCalc__hint";
+      hint.textContent = "Enter to calculate • Esc to close";
+
+      const field = document.createElement("div");
+      field.className = "field";
+
+      const input = document.createElement("input");
+      input.className = "input quickCalc__input";
+      input.type = "text";
+      input.placeholder = "e.g. (2+3)*4";
+      input.value = String(initial ?? "");
+
+      const result = document.createElement("div");
+      result.className = "quickCalc__result";
+
+      field.appendChild(input);
+      wrap.appendChild(hint);
+      wrap.appendChild(field);
+      wrap.appendChild(result);
+
+      input.addEventListener("keydown", (e) => {
+        if (e.key !== "Enter") return;
+        e.preventDefault();
+        const expr = input.value;
+        try {
+          const val = evalExpression(expr);
+          const text = formatResult(val);
+          input.value = text;
+          input.select();
+          result.textContent = text;
+          result.classList.remove("is-error");
+        } catch (err) {
+          const msg = (err && err.message) ? String(err.message) : "Invalid expression.";
+          result.textContent = msg;
+          result.classList.add("is-error");
+        }
+      });
+
+      // Open dialog (Enter is reserved for our input handler)
+      void AF.ui.dialog
+        .open({
+          title: "Quick Calculator",
+          contentEl: wrap,
+          buttons: [{ id: "close", label: "Close", kind: "default" }],
+          defaultButtonId: "close",
+          cancelButtonId: "close",
+          closeOnOverlay: true,
+          closeOnEsc: true,
+          enterAction: "none",
+          dialogClass: "dialog--quickCalc",
+        })
+        .finally(() => {
+          isOpen = false;
+        });
+
+      // Focus the input (dialog's built-in focus targets its own managed input, not ours)
+      setTimeout(() => {
+        input.focus();
+        input.select();
+      }, 0);
+    }
+
+    function handleGlobalKeydown(e) {
+      if (e.defaultPrevented) return;
+      if (e.ctrlKey || e.metaKey || e.altKey) return;
+      if (isTypingTarget(e.target)) return;
+
+      if (e.key === "o" || e.key === "O") {
+        e.preventDefault();
+        open("");
+      }
+    }
+
+    function wireGlobalHotkey() {
+      document.addEventListener("keydown", handleGlobalKeydown, true);
+    }
+
+    return { open, wireGlobalHotkey };
+  })();
+
+  AF.ui.quickCalc = quickCalc;
+
+  // ---------- Undo / Redo ----------
+  // Recording lives in `AF.core` (every saveBuild/saveDb is diffed per workspace tab);
+  // this module owns the Edit menu entries and the Ctrl+Z / Ctrl+Shift+Z bindings.
+  const historyMenu = (() => {
+    const MAX_MENU_ENTRIES = 15;
+
+    function isTypingTarget(el) {
+      if (!el) return false;
+      const tag = String(el.tagName || "").toUpperCase();
+      if (tag === "INPUT" || tag === "TEXTAREA" || tag === "SELECT") return true;
+      return !!el.isContentEditable;
+    }
+
+    function undo() {
+      const entry = AF.core?.undo?.();
+      if (entry) setStatus(`Undid: ${entry.label}.`, "info");
+      else if (!AF.state.currentBlueprintEdit) setStatus("Nothing to undo.");
+    }
+
+    function redo() {
+      const entry = AF.core?.redo?.();
+      if (entry) setStatus(`Redid: ${entry.label}.`, "info");
+      else if (!AF.state.currentBlueprintEdit) setStatus("Nothing to redo.");
+    }
+
+    function jumpTo(entryId) {
+      const steps = AF.core?.jumpToHistoryEntry?.(entryId) || 0;
+      if (steps > 0) setStatus(`Stepped ${steps} change${steps > 1 ? "s" : ""} through history.`, "info");
+    }
+
+    /**
+     * Refresh the Edit menu: Undo/Redo labels plus a newest-first list of recent changes.
+     * Undone (redoable) changes are listed above the current position, dimmed.
+     */
+    function renderMenu() {
+      const history = AF.core?.getHistory?.() || { undo: [], redo: [] };
+      const nextUndo = history.undo[history.undo.length - 1] || null;
+      const nextRedo = history.redo[history.redo.length - 1] || null;
+
+      const undoBtn = $("#menuUndo");
+      const redoBtn = $("#menuRedo");
+      if (undoBtn) {
+        undoBtn.disabled = !nextUndo;
+        undoBtn.textContent = nextUndo ? `Undo ${nextUndo.label}` : "Undo";
+      }
+      if (redoBtn) {
+        redoBtn.disabled = !nextRedo;
+        redoBtn.textContent = nextRedo ? `Redo ${nextRedo.label}` : "Redo";
+      }
+
+      const list = $("#menuHistoryList");
+      if (!list) return;
+      const timeOf = (e) => new Date(e.at).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+      const row = (e, isRedo) => `
+        <button type="button" role="menuitem" class="menuHistory__item${isRedo ? " is-redo" : ""}"
+          data-action="edit:history-jump" data-history-id="${escapeHtml(e.id)}"
+          title="${isRedo ? "Redo up to and including this change" : "Undo this and every later change"}">
+          <span>${escapeHtml(e.label)}</span><span class="menuHistory__time">${timeOf(e)}</span>
+        </button>
+      `;
+      const redoRows = history.redo.map(e => row(e, true));
+      const undoRows = history.undo.slice().reverse().map(e => row(e, false));
+      const rows = [...redoRows, ...undoRows].slice(0, MAX_MENU_ENTRIES);
+      list.innerHTML = rows.length > 0
+        ? `<div class="menuHistory__title">History</div>${rows.join("")}`
+        : "";
+    }
+
+    function handleGlobalKeydown(e) {
+      if (e.defaultPrevented) return;
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      if (isTypingTarget(e.target)) return; // keep native text undo in fields
+      if (AF.ui.dialog.isOpen()) return;
+
+      const key = String(e.key || "").toLowerCase();
+      if (key !== "z") return;
+      e.preventDefault();
+      if (e.shiftKey) redo();
+      else undo();
+    }
+
+    function wireGlobalHotkey() {
+      document.addEventListener("keydown", handleGlobalKeydown);
+    }
+
+    return { undo, redo, jumpTo, renderMenu, wireGlobalHotkey };
+  })();
+
+  AF.ui.historyMenu = historyMenu;
+
+  // ---------- Canvas Clipboard (copy/paste selections) ----------
+  // Copies the selected cards plus the connections between them. The payload is plain JSON, so it
+  // also travels through the system clipboard between browser windows; an in-memory copy covers
+  // pastes when the system clipboard is unavailable. Pasting remaps every ID with `makeId`.
+  const canvasClipboard = (() => {
+    const CLIPBOARD_KIND = "af_clipboard_v1";
+    const REPEAT_PASTE_OFFSET = 40;
+    // Calculator/render annotations that must not travel with a copy.
+    const RUNTIME_KEYS = new Set(["actualInputRates", "actualOutputRates", "hasInsufficientInputs", "inventories", "actualRate"]);
+
+    /** @type {(CanvasClipboardPayload|null)} */
+    let memoryClipboard = null;
+    /** @type {({ clientX: number, clientY: number }|null)} */
+    let lastPointer = null;
+    /** @type {({ tabId: (string|null), x: number, y: number, repeat: number }|null)} */
+    let lastPaste = null;
+
+    function isTypingTarget(el) {
+      if (!el) return false;
+      const tag = String(el.tagName || "").toUpperCase();
+      if (tag === "INPUT" || tag === "TEXTAREA" || tag === "SELECT") return true;
+      return !!el.isContentEditable;
+    }
+
+    function stripRuntime(value) {
+      if (Array.isArray(value)) return value.map(stripRuntime);
+      if (!value || typeof value !== "object") return value;
+      const out = {};
+      Object.keys(value).forEach(key => {
+        if (!RUNTIME_KEYS.has(key)) out[key] = stripRuntime(value[key]);
+      });
+      return out;
+    }
+
+    /**
+     * Blueprint instances namespace their children as `${instanceId}__...` (ports, child connections,
+     * nested instances), so a pasted instance rewrites that prefix everywhere inside it.
+     */
+    function rewriteIdPrefix(value, oldId, newId) {
+      if (typeof value === "string") {
+        if (value === oldId) return newId;
+        if (value.startsWith(`${oldId}__`)) return newId + value.slice(oldId.length);
+        return value;
+      }
+      if (Array.isArray(value)) return value.map(v => rewriteIdPrefix(v, oldId, newId));
+      if (!value || typeof value !== "object") return value;
+      const out = {};
+      Object.keys(value).forEach(key => { out[key] = rewriteIdPrefix(value[key], oldId, newId); });
+      return out;
+    }
+
+    /** @returns {(CanvasClipboardPayload|null)} */
+    function buildPayload() {
+      const selected = new Set(AF.state.build.selectedMachines);
+      if (selected.size === 0) return null;
+      const placedMachines = AF.state.build.placedMachines.filter(pm => selected.has(pm.id));
+      if (placedMachines.length === 0) return null;
+      const connections = AF.state.build.connections.filter(c => selected.has(c.fromMachineId) && selected.has(c.toMachineId));
+      return {
+        kind: CLIPBOARD_KIND,
+        copiedAt: new Date().toISOString(),
+        origin: {
+          x: Math.min(...placedMachines.map(pm => pm.x)),
+          y: Math.min(...placedMachines.map(pm => pm.y)),
+        },
+        placedMachines: stripRuntime(placedMachines),
+        connections: stripRuntime(connections),
+      };
+    }
+
+    /** @returns {(CanvasClipboardPayload|null)} */
+    function parsePayload(text) {
+      if (!text) return null;
+      try {
+        const parsed = JSON.parse(text);
+        if (!parsed || parsed.kind !== CLIPBOARD_KIND) return null;
+        if (!Array.isArray(parsed.placedMachines) || !Array.isArray(parsed.connections)) return null;
+        return parsed;
+      } catch {
+        return null;
+      }
+    }
+
+    function describeCopy(payload) {
+      const n = payload.placedMachines.length;
+      const c = payload.connections.length;
+      return `${n} card${n === 1 ? "" : "s"}${c > 0 ? ` and ${c} connection${c === 1 ? "" : "s"}` : ""}`;
+    }
+
+    /**
+     * Top-left of the pasted group: the pointer if it is over the canvas, otherwise the view center.
+     * Pasting repeatedly at the same spot cascades the copies.
+     */
+    function getPasteAnchor() {
+      const canvas = $("#designCanvas");
+      const rect = canvas ? canvas.getBoundingClientRect() : null;
+      let anchor = { x: AF.state.build.camera.x, y: AF.state.build.camera.y };
+      if (rect && lastPointer &&
+        lastPointer.clientX >= rect.left && lastPointer.clientX <= rect.right &&
+        lastPointer.clientY >= rect.top && lastPointer.clientY <= rect.bottom) {
+        anchor = screenToWorld(lastPointer.clientX - rect.left, lastPointer.clientY - rect.top);
+      }
+      anchor = { x: Math.round(anchor.x), y: Math.round(anchor.y) };
+
+      const tabId = AF.state.workspaces?.activeId ?? null;
+      if (lastPaste && lastPaste.tabId === tabId && lastPaste.x === anchor.x && lastPaste.y === anchor.y) {
+        lastPaste.repeat++;
+      } else {
+        lastPaste = { tabId, x: anchor.x, y: anchor.y, repeat: 0 };
+      }
+      const offset = lastPaste.repeat * REPEAT_PASTE_OFFSET;
+      return { x: anchor.x + offset, y: anchor.y + offset };
+    }
+
+    function countMissingReferences(placedMachines) {
+      let missing = 0;
+      const check = (getter, id) => { if (id && !getter(id)) missing++; };
+      placedMachines.forEach(pm => {
+        check(AF.core.getMachineById, pm.machineId);
+        check(AF.core.getRecipeById, pm.recipeId);
+        check(AF.core.getMaterialById, pm.materialId);
+        check(AF.core.getMaterialById, pm.plantId);
+        check(AF.core.getMaterialById, pm.fertilizerId);
+        (pm.toppers || []).forEach(t => {
+          check(AF.core.getMachineById, t.machineId);
+          check(AF.core.getRecipeById, t.recipeId);
+        });
+      });
+      return missing;
+    }
+
+    /**
+     * @param {CanvasClipboardPayload} payload
+     * @param {string=} verb Status message verb ("Pasted", "Placed").
+     */
+    function pastePayload(payload, verb = "Pasted") {
+      const anchor = getPasteAnchor();
+      const dx = anchor.x - (Number(payload.origin?.x) || 0);
+      const dy = anchor.y - (Number(payload.origin?.y) || 0);
+
+      /** @type {Map<string, string>} */
+      const idMap = new Map();
+      const placedMachines = payload.placedMachines
+        .filter(pm => pm && typeof pm.id === "string")
+        .map(pm => {
+          const isInstance = pm.type === "blueprint_instance";
+          const newId = makeId(isInstance ? "bpi" : "pm");
+          idMap.set(pm.id, newId);
+          const copy = isInstance ? rewriteIdPrefix(pm, pm.id, newId) : JSON.parse(JSON.stringify(pm));
+          copy.id = newId;
+          copy.x = Math.round((Number(pm.x) || 0) + dx);
+          copy.y = Math.round((Number(pm.y) || 0) + dy);
+          return copy;
+        });
+
+      const connections = payload.connections
+        .filter(c => c && idMap.has(c.fromMachineId) && idMap.has(c.toMachineId))
+        .map(c => ({
+          ...c,
+          id: makeId("conn"),
+          fromMachineId: idMap.get(c.fromMachineId),
+          toMachineId: idMap.get(c.toMachineId),
+        }));
+
+      if (placedMachines.length === 0) return;
+
+      // Blueprint instances carry their template; register it if this database lacks it (other window).
+      AF.core?.ensureBlueprintsInDbFromBuild?.(placedMachines);
+
+      AF.state.build.placedMachines.push(...placedMachines);
+      AF.state.build.connections.push(...connections);
+      AF.state.build.selectedMachines = placedMachines.map(pm => pm.id);
+      AF.state.build.selectedConnection = null;
+
+      AF.core?.saveBuild?.();
+      AF.scheduler?.invalidate?.({ needsRecalc: true, needsRender: true, forceRecreate: true });
+      updateSelectionClasses();
+
+      const missing = countMissingReferences(placedMachines);
+      if (missing > 0) {
+        setStatus(`${verb} ${describeCopy({ placedMachines, connections })}; ${missing} reference${missing === 1 ? "" : "s"} not found in this database.`, "warn");
+      } else {
+        setStatus(`${verb} ${describeCopy({ placedMachines, connections })}.`, "success");
+      }
+    }
+
+    /**
+     * Place a generated build (e.g. `AF.calculator.createBuildFromPlan`) on the current canvas the way a paste does.
+     * @param {{ placedMachines: Array<PlacedMachine>, connections: Array<Connection> }} build
+     */
+    function pasteBuild(build) {
+      if (!build || !build.placedMachines?.length) return;
+      pastePayload({
+        kind: CLIPBOARD_KIND,
+        copiedAt: new Date().toISOString(),
+        origin: {
+          x: Math.min(...build.placedMachines.map(pm => pm.x)),
+          y: Math.min(...build.placedMachines.map(pm => pm.y)),
+        },
+        placedMachines: build.placedMachines,
+        connections: build.connections || [],
+      }, "Placed");
+    }
+
+    /**
+     * Copy the current selection (Edit → Copy). Writes to the system clipboard when permitted.
+     */
+    async function copy() {
+      const payload = buildPayload();
+      if (!payload) {
+        setStatus("Select machines on the canvas to copy.");
+        return;
+      }
+      memoryClipboard = payload;
+      try {
+        await navigator.clipboard?.writeText?.(JSON.stringify(payload));
+      } catch {
+        // Permission denied or insecure context (file://): the in-memory copy still works in this window.
+      }
+      setStatus(`Copied ${describeCopy(payload)}.`);
+    }
+
+    /**
+     * Paste (Edit → Paste). Reads the system clipboard when permitted, else the in-memory copy.
+     */
+    async function paste() {
+      let payload = null;
+      try {
+        payload = parsePayload(await navigator.clipboard?.readText?.());
+      } catch {
+        payload = null;
+      }
+      payload = payload || memoryClipboard;
+      if (!payload) {
+        setStatus("Nothing to paste: copy machines on a canvas first.");
+        return;
+      }
+      pastePayload(payload);
+    }
+
+    function shouldHandleClipboardEvent(e) {
+      if (isTypingTarget(e.target) || isTypingTarget(document.activeElement)) return false;
+      if (AF.ui.dialog.isOpen()) return false;
+      // Leave ordinary text selections to the browser.
+      if (e.type === "copy" && String(window.getSelection?.() || "").length > 0) return false;
+      return true;
+    }
+
+    function handleCopyEvent(e) {
+      if (!shouldHandleClipboardEvent(e)) return;
+      const payload = buildPayload();
+      if (!payload) return;
+      memoryClipboard = payload;
+      e.clipboardData?.setData("text/plain", JSON.stringify(payload));
+      e.preventDefault();
+      setStatus(`Copied ${describeCopy(payload)}.`);
+    }
+
+    function handlePasteEvent(e) {
+      if (!shouldHandleClipboardEvent(e)) return;
+      const text = e.clipboardData?.getData("text/plain") || "";
+      // Other text on the system clipboard wins over an older in-memory copy.
+      const payload = parsePayload(text) || (text ? null : memoryClipboard);
+      if (!payload) return;
+      e.preventDefault();
+      pastePayload(payload);
+    }
+
+    function wire() {
+      const canvas = $("#designCanvas");
+      if (canvas) {
+        canvas.addEventListener("mousemove", (e) => {
+          lastPointer = { clientX: e.clientX, clientY: e.clientY };
+        });
+        canvas.addEventListener("mouseleave", () => {
+          lastPointer = null;
+        });
+      }
+      document.addEventListener("copy", handleCopyEvent);
+      document.addEventListener("paste", handlePasteEvent);
+    }
+
+    return { copy, paste, pasteBuild, wire };
+  })();
+
+  AF.ui.canvasClipboard = canvasClipboard;
+
+  // ---------- Canvas Minimap ----------
+  // `AF.render.renderMinimap` draws the cards and the camera viewport; this module moves the camera. Pressing
+  // inside the viewport rectangle drags it, pressing elsewhere centres the view on that point first.
+  const canvasMinimap = (() => {
+    /** @type {{ pointerId: number, offsetX: number, offsetY: number }|null} */
+    let drag = null;
+
+    /**
+     * World coordinates under a pointer on the minimap (the SVG viewBox is in world space).
+     * @param {SVGSVGElement} svgEl
+     * @param {PointerEvent} e
+     * @returns {{ x: number, y: number }|null}
+     */
+    function toWorld(svgEl, e) {
+      const ctm = svgEl.getScreenCTM();
+      if (!ctm) return null;
+      const point = new DOMPoint(e.clientX, e.clientY).matrixTransform(ctm.inverse());
+      return { x: point.x, y: point.y };
+    }
+
+    function moveCamera(x, y) {
+      AF.state.build.camera.x = x;
+      AF.state.build.camera.y = y;
+      AF.render.updateCameraTransform();
+    }
+
+    function wire() {
+      const minimap = $("#canvasMinimap");
+      const svgEl = minimap?.querySelector("svg");
+      if (!minimap || !svgEl) return;
+
+      // Keep the canvas from starting a pan, selection box or context menu underneath.
+      minimap.addEventListener("mousedown", (e) => e.stopPropagation());
+      minimap.addEventListener("contextmenu", (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+      });
+
+      minimap.addEventListener("pointerdown", (e) => {
+        if (e.button !== 0) return;
+        const world = toWorld(svgEl, e);
+        if (!world) return;
+        e.preventDefault();
+        const view = AF.render.getCameraViewRect();
+        const insideView = !!view && world.x >= view.x && world.x <= view.x + view.width && world.y >= view.y && world.y <= view.y + view.height;
+        const { x: camX, y: camY } = AF.state.build.camera;
+        drag = {
+          pointerId: e.pointerId,
+          offsetX: insideView ? camX - world.x : 0,
+          offsetY: insideView ? camY - world.y : 0,
+        };
+        minimap.setPointerCapture?.(e.pointerId);
+        if (!insideView) moveCamera(world.x, world.y);
+      });
+      minimap.addEventListener("pointermove", (e) => {
+        if (!drag || e.pointerId !== drag.pointerId) return;
+        const world = toWorld(svgEl, e);
+        if (world) moveCamera(world.x + drag.offsetX, world.y + drag.offsetY);
+      });
+      const endDrag = (e) => {
+        if (!drag || e.pointerId !== drag.pointerId) return;
+        drag = null;
+        // Same as the end of a right-button pan: sync the render and persist the camera.
+        AF.scheduler?.invalidate?.({ needsRecalc: false, needsRender: true, forceRecreate: false });
+        AF.core?.saveBuild?.();
+      };
+      minimap.addEventListener("pointerup", endDrag);
+      minimap.addEventListener("pointercancel", endDrag);
+    }
+
+    return { wire };
+  })();
+
+  AF.ui.canvasMinimap = canvasMinimap;
+
+  // ---------- Build Export (image + printable build sheet) ----------
+  // The image comes from `AF.render.renderBuildSvg` (whole build, camera-independent); PNG is the same SVG
+  // rasterized on a canvas. The build sheet is the standalone HTML page from `AF.render.renderBuildSheetHtml`.
+  const buildExport = (() => {
+    // Browsers refuse (or crash on) larger canvases; the scale is reduced to fit.
+    const MAX_PNG_SIDE = 16384;
+    const MAX_PNG_PIXELS = 64 * 1024 * 1024;
+
+    /** File-name-safe workspace name (empty when there is none). */
+    function safeWorkspaceName() {
+      const name = AF.core.getActiveWorkspaceTab()?.name || "";
+      return String(name).trim().replace(/[<>:"/\\|?*\u0000-\u001F]/g, "").replace(/\s+/g, "-").slice(0, 60);
+    }
+
+    /**
+     * @param {Blob} blob
+     * @param {string} extension
+     */
+    function download(blob, extension) {
+      const safeName = safeWorkspaceName();
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement("a");
+      a.href = url;
+      a.download = `alchemy-factory-${safeName || "build"}-${new Date().toISOString().slice(0, 10)}.${extension}`;
+      document.body.appendChild(a);
+      a.click();
+      a.remove();
+      URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Rasterize an SVG document at `scale` × its own size.
+     * @param {string} svg
+     * @param {number} width
+     * @param {number} height
+     * @param {number} scale
+     * @returns {Promise<Blob>}
+     */
+    async function svgToPng(svg, width, height, scale) {
+      const img = new Image();
+      await new Promise((resolve, reject) => {
+        img.onload = resolve;
+        img.onerror = () => reject(new Error("The browser could not draw the SVG."));
+        // A data URL (not a blob URL) keeps the canvas untainted in every browser, including under file://.
+        img.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+      });
+      const canvas = document.createElement("canvas");
+      canvas.width = Math.max(1, Math.floor(width * scale));
+      canvas.height = Math.max(1, Math.floor(height * scale));
+      const ctx = canvas.getContext("2d");
+      ctx.scale(scale, scale);
+      ctx.drawImage(img, 0, 0, width, height);
+      const blob = await new Promise(resolve => canvas.toBlob(resolve, "image/png"));
+      if (!blob) throw new Error("The browser could not encode the PNG.");
+      return blob;
+    }
+
+    /**
+     * Largest scale ≤ `scale` the browser can rasterize.
+     * @param {number} width
+     * @param {number} height
+     * @param {number} scale
+     */
+    function clampScale(width, height, scale) {
+      return Math.min(
+        scale,
+        MAX_PNG_SIDE / Math.max(width, 1),
+        MAX_PNG_SIDE / Math.max(height, 1),
+        Math.sqrt(MAX_PNG_PIXELS / Math.max(width * height, 1))
+      );
+    }
+
+    /**
+     * Render the whole build and download it.
+     * @param {{ format: "svg"|"png", scale: number, theme: "dark"|"light" }} opts
+     */
+    async function exportImage({ format, scale, theme }) {
+      const { svg, width, height } = AF.render.renderBuildSvg({ theme, title: AF.core.getActiveWorkspaceTab()?.name || "" });
+      if (format === "svg") {
+        download(new Blob([svg], { type: "image/svg+xml" }), "svg");
+        setStatus(`Exported build image (SVG, ${width} × ${height}).`);
+        return;
+      }
+      const usedScale = clampScale(width, height, scale);
+      try {
+        download(await svgToPng(svg, width, height, usedScale), "png");
+      } catch (err) {
+        setStatus(`PNG export failed: ${err.message} Try SVG instead.`, "error");
+        return;
+      }
+      const size = `${Math.floor(width * usedScale)} × ${Math.floor(height * usedScale)}`;
+      if (usedScale < scale) setStatus(`Exported build image (PNG, ${size}); scale reduced to ${usedScale.toFixed(2)}× to stay within browser limits.`, "warn");
+      else setStatus(`Exported build image (PNG, ${size}).`);
+    }
+
+    /** `File → Export Image…`: choose format, PNG scale and colors. */
+    async function openImageExport() {
+      if (AF.state.build.placedMachines.length === 0) {
+        setStatus("Nothing to export: the canvas is empty.", "error");
+        return;
+      }
+      const { width, height } = AF.render.renderBuildSvg();
+      const wrap = document.createElement("div");
+      wrap.innerHTML = `
+        <div class="row">
+          <div class="field">
+            <label>Format</label>
+            <select class="input" data-image-format>
+              <option value="png">PNG (for chat)</option>
+              <option value="svg">SVG (scalable)</option>
+            </select>
+          </div>
+          <div class="field">
+            <label>PNG scale</label>
+            <select class="input" data-image-scale>
+              <option value="0.5">0.5×</option>
+              <option value="1">1×</option>
+              <option value="2" selected>2×</option>
+              <option value="3">3×</option>
+              <option value="4">4×</option>
+            </select>
+          </div>
+          <div class="field">
+            <label>Colors</label>
+            <select class="input" data-image-theme>
+              <option value="dark">Dark (like the canvas)</option>
+              <option value="light">Light (for printing)</option>
+            </select>
+          </div>
+        </div>
+        <div class="hint" data-image-size></div>
+      `;
+      const formatEl = /** @type {HTMLSelectElement} */ (wrap.querySelector("[data-image-format]"));
+      const scaleEl = /** @type {HTMLSelectElement} */ (wrap.querySelector("[data-image-scale]"));
+      const themeEl = /** @type {HTMLSelectElement} */ (wrap.querySelector("[data-image-theme]"));
+      const sizeEl = wrap.querySelector("[data-image-size]");
+      const updateSize = () => {
+        const isPng = formatEl.value === "png";
+        scaleEl.disabled = !isPng;
+        const scale = isPng ? clampScale(width, height, Number(scaleEl.value)) : 1;
+        sizeEl.textContent = `Whole build, independent of the current view: ${Math.floor(width * scale)} × ${Math.floor(height * scale)} px` +
+          (isPng && scale < Number(scaleEl.value) ? ` (scale reduced to ${scale.toFixed(2)}× to stay within browser limits).` : ".");
+      };
+      formatEl.addEventListener("change", updateSize);
+      scaleEl.addEventListener("change", updateSize);
+      updateSize();
+
+      const res = await dialog.open({
+        title: "Export Image",
+        contentEl: wrap,
+        buttons: [
+          { id: "cancel", label: "Cancel", kind: "default" },
+          { id: "export", label: "Export", kind: "primary" },
+        ],
+        defaultButtonId: "export",
+        cancelButtonId: "cancel",
+      });
+      if (res?.id !== "export") return;
+      await exportImage({
+        format: formatEl.value === "svg" ? "svg" : "png",
+        scale: Number(scaleEl.value) || 1,
+        theme: themeEl.value === "light" ? "light" : "dark",
+      });
+    }
+
+    /** `File → Build Sheet…`: open the printable sheet in a new window (downloaded when popups are blocked). */
+    function openBuildSheet() {
+      if (AF.state.build.placedMachines.length === 0) {
+        setStatus("Nothing to list: the canvas is empty.", "error");
+        return;
+      }
+      const html = AF.render.renderBuildSheetHtml({ title: AF.core.getActiveWorkspaceTab()?.name || "" });
+      const win = window.open("", "_blank");
+      if (!win) {
+        download(new Blob([html], { type: "text/html" }), "html");
+        setStatus("Popup blocked: downloaded the build sheet as HTML instead.", "warn");
+        return;
+      }
+      win.document.open();
+      win.document.write(html);
+      win.document.close();
+      setStatus("Opened the build sheet in a new window.");
+    }
+
+    return { openImageExport, exportImage, openBuildSheet };
+  })();
+
+  AF.ui.buildExport = buildExport;
+
+  // ---------- Target-Rate Planner ("I want N items/min of X") ----------
+  // Math lives in `AF.calculator.planTargetProduction`; this dialog only collects targets,
+  // previews the plan, and places the generated build on a new workspace tab.
+  const targetPlanner = (() => {
+    /** @type {Array<MaterialRate>} */
+    let targets = [];
+    let options = { fuelMaterialId: null, fertilizerId: null, heatingDeviceId: null, objective: "preferred" };
+
+    const OBJECTIVES = [
+      { id: "preferred", name: "Preferred recipes" },
+      { id: "cost", name: "Lowest copper/min" },
+      { id: "machines", name: "Fewest machines" },
+      { id: "heat", name: "Lowest heat" },
+    ];
+
+    function materialName(id) {
+      return AF.core.getMaterialById(id)?.name || "(missing material)";
+    }
+
+    function buildSelect(items, selectedId, emptyLabel) {
+      const select = document.createElement("select");
+      if (emptyLabel) {
+        const none = document.createElement("option");
+        none.value = "";
+        none.textContent = emptyLabel;
+        select.appendChild(none);
+      }
+      [...items].sort(compareByName).forEach(item => {
+        const option = document.createElement("option");
+        option.value = item.id;
+        option.textContent = item.name;
+        if (item.id === selectedId) option.selected = true;
+        select.appendChild(option);
+      });
+      return select;
+    }
+
+    function buildObjectiveSelect(selectedId) {
+      const select = document.createElement("select");
+      OBJECTIVES.forEach(o => {
+        const option = document.createElement("option");
+        option.value = o.id;
+        option.textContent = o.name;
+        if (o.id === selectedId) option.selected = true;
+        select.appendChild(option);
+      });
+      return select;
+    }
+
+    function renderTargets(listEl, onChange) {
+      listEl.innerHTML = "";
+      targets.forEach((t, idx) => {
+        const row = document.createElement("div");
+        row.className = "targetPlanner__row";
+
+        const select = buildSelect(AF.state.db.materials, t.materialId, "(select material)");
+        select.className = "input targetPlanner__material";
+        select.addEventListener("change", () => {
+          t.materialId = select.value || null;
+          onChange();
+        });
+
+        const rate = document.createElement("input");
+        rate.className = "input targetPlanner__rate";
+        rate.type = "number";
+        rate.min = "0";
+        rate.step = "any";
+        rate.value = String(t.rate);
+        rate.addEventListener("input", () => {
+          t.rate = Number(rate.value) || 0;
+          onChange();
+        });
+
+        const unit = document.createElement("span");
+        unit.className = "hint";
+        unit.textContent = "/min";
+
+        const remove = document.createElement("button");
+        remove.type = "button";
+        remove.className = "btn btn--sm btn--danger";
+        remove.textContent = "✕";
+        remove.title = "Remove target";
+        remove.disabled = targets.length <= 1;
+        remove.addEventListener("click", () => {
+          targets.splice(idx, 1);
+          renderTargets(listEl, onChange);
+          onChange();
+        });
+
+        row.append(select, rate, unit, remove);
+        listEl.appendChild(row);
+      });
+    }
+
+    function describeNode(node, plan) {
+      const recipe = node.recipeId ? AF.core.getRecipeById(node.recipeId) : null;
+      const machine = node.machineId ? AF.core.getMachineById(node.machineId) : null;
+      const exact = node.machinesExact.toFixed(2);
+      if (node.kind === "purchase") return `Purchasing Portal ×${node.count}`;
+      if (node.kind === "nursery") return `Nursery ×${node.count} (${exact} needed)`;
+      if (node.kind === "heated" && node.toppersPerDevice > 0) {
+        const device = plan.heatingDeviceId ? AF.core.getMachineById(plan.heatingDeviceId) : null;
+        return `${device?.name || "Heating Device"} ×${node.count}, ${node.toppersPerDevice}× ${machine?.name || "topper"} each (${exact} needed) • ${recipe?.name || ""}`;
+      }
+      return `${machine?.name || "Machine"} ×${node.count} (${exact} needed) • ${recipe?.name || ""}`;
+    }
+
+    function describeMixOption(option) {
+      if (option.kind === "purchase") return "Buy";
+      if (option.kind === "nursery") return `Nursery (${materialName(option.fertilizerId)})`;
+      const recipe = AF.core.getRecipeById(option.recipeId);
+      const machine = recipe ? AF.core.getMachineById(recipe.machineId) : null;
+      return `${recipe?.name || "Recipe"} (${machine?.name || "machine"})`;
+    }
+
+    function formatObjectiveValue(objective, value) {
+      if (objective === "cost") return `${formatCoins(value)}/min`;
+      if (objective === "heat") return `${value.toFixed(1)}P/s`;
+      return `${value.toFixed(2)} machines`;
+    }
+
+    function renderExplanation(plan) {
+      if (!plan.explanation || plan.explanation.length === 0) return "";
+      const unit = plan.objective === "cost" ? "copper" : plan.objective === "heat" ? "P/s" : "machines";
+      const perUnit = plan.objective === "cost" ? "copper per item" : `${unit} per item/min`;
+      const fmt = (v) => plan.objective === "cost" ? formatCoins(v) : v.toFixed(3);
+      const rows = plan.explanation.map(entry => {
+        const options = entry.options.map(o => {
+          const parts = [`own ${fmt(o.ownCost)}`, `inputs ${fmt(o.inputCost)}`];
+          if (o.byproductCredit > 1e-9) parts.push(`byproducts −${fmt(o.byproductCredit)}`);
+          return `
+            <div class="hint">
+              ${o.chosen ? "✓" : "✗"} ${escapeHtml(describeMixOption(o))}: ${fmt(o.unitValue)} ${perUnit}
+              (${parts.join(", ")})
+            </div>
+          `;
+        }).join("");
+        return `<div class="productionItem"><strong>${escapeHtml(materialName(entry.materialId))}</strong>${options}</div>`;
+      });
+      return `
+        <details class="productionSection">
+          <summary class="productionSection__title">🧮 Why this mix</summary>
+          <div class="hint">
+            Each way to make a material, valued at the optimum's marginal prices:
+            its own ${unit}, plus its inputs, minus credit for byproducts the plan can use.
+          </div>
+          ${rows.join("")}
+        </details>
+      `;
+    }
+
+    function renderPreview(previewEl, plan) {
+      if (!plan || plan.targets.length === 0) {
+        previewEl.innerHTML = `<div class="hint">Add a target material and rate to see the plan.</div>`;
+        return;
+      }
+
+      const section = (title, rows) => rows.length === 0 ? "" : `
+        <div class="productionSection">
+          <div class="productionSection__title">${title}</div>
+          ${rows.join("")}
+        </div>
+      `;
+
+      const machineRows = plan.nodes
+        .filter(n => n.kind !== "purchase" && n.kind !== "unresolved")
+        .map(n => `
+          <div class="productionItem">
+            ${escapeHtml(materialName(n.materialId))} — ${n.rate.toFixed(2)}/min
+            <div class="hint">${escapeHtml(describeNode(n, plan))}</div>
+          </div>
+        `);
+
+      let totalCost = 0;
+      const purchaseRows = plan.purchases.map(p => {
+        const m = AF.core.getMaterialById(p.materialId);
+        const costPerMinute = (m?.buyPrice || 0) * p.rate;
+        totalCost += costPerMinute;
+        return `<div class="productionItem">${escapeHtml(materialName(p.materialId))}: ${p.rate.toFixed(2)}/min (${formatCoins(costPerMinute)}/min)</div>`;
+      });
+      if (purchaseRows.length > 0) {
+        purchaseRows.push(`<div class="productionItem"><strong>Total: ${formatCoins(totalCost)}/min</strong></div>`);
+      }
+
+      const surplusRows = plan.surplus.map(s =>
+        `<div class="productionItem">${escapeHtml(materialName(s.materialId))}: +${s.rate.toFixed(2)}/min</div>`
+      );
+      const heatP = plan.nodes.reduce((sum, n) => sum + (n.heatP || 0), 0);
+      const fuelRate = plan.nodes.reduce((sum, n) => sum + (n.fuelRate || 0), 0);
+      const heatRows = heatP > 0
+        ? [`<div class="productionItem">${heatP.toFixed(1)}P/s design load${plan.fuelMaterialId ? ` • ${fuelRate.toFixed(2)}/min ${escapeHtml(materialName(plan.fuelMaterialId))}` : ""}</div>`]
+        : [];
+      const issueRows = plan.issues.map(msg =>
+        `<div class="productionItem" style="color: var(--danger);">⚠️ ${escapeHtml(msg)}</div>`
+      );
+
+      const objectiveRows = plan.objectiveValue != null
+        ? [`<div class="productionItem">${escapeHtml(OBJECTIVES.find(o => o.id === plan.objective)?.name || "")}: ${formatObjectiveValue(plan.objective, plan.objectiveValue)}</div>`]
+        : [];
+
+      previewEl.innerHTML =
+        section("⚠️ Issues", issueRows) +
+        section("🎯 Optimized", objectiveRows) +
+        section("🔧 Machines", machineRows) +
+        section("🔥 Heat", heatRows) +
+        section("💰 Purchases", purchaseRows) +
+        section("📦 Byproduct Surplus", surplusRows) +
+        renderExplanation(plan);
+    }
+
+    function currentPlan() {
+      const valid = targets.filter(t => t.materialId && t.rate > 0);
+      return AF.calculator.planTargetProduction(valid, options);
+    }
+
+    function defaultPlanName(plan) {
+      const label = plan.targets
+        .map(t => `${materialName(t.materialId)} ${Number(t.rate.toFixed(2))}/min`)
+        .join(", ");
+      return `Plan: ${label}`;
+    }
+
+    /**
+     * Open the planner dialog.
+     * @param {string=} materialId Optional material to prefill as the first target.
+     */
+    async function open(materialId) {
+      const selected = AF.state.ui.selected?.materials || null;
+      targets = [{ materialId: materialId || selected || null, rate: 10 }];
+
+      const fuels = AF.state.db.materials.filter(m => m.isFuel && m.fuelValue > 0);
+      const fertilizers = AF.state.db.materials.filter(m => m.isFertilizer && m.fertilizerMaxFertility > 0 && m.fertilizerNutrientValue > 0);
+      const devices = AF.state.db.machines.filter(m => m.kind === "heating_device");
+      const settingsFuel = AF.state.settings?.costBlueprints?.fuel?.outputMaterialId || null;
+      const settingsFert = AF.state.settings?.costBlueprints?.fertilizer?.outputMaterialId || null;
+      options = {
+        fuelMaterialId: fuels.find(m => m.id === settingsFuel)?.id || fuels[0]?.id || null,
+        fertilizerId: fertilizers.find(m => m.id === settingsFert)?.id || fertilizers[0]?.id || null,
+        heatingDeviceId: devices[0]?.id || null,
+        objective: "preferred",
+      };
+
+      const wrap = document.createElement("div");
+      wrap.className = "targetPlanner";
+      wrap.innerHTML = `
+        <div class="hint" style="margin-top: 0;">
+          Walks your recipes (preferred recipes first) down to buy-priced materials and sizes every machine
+          for the requested rates using your current skills. Pick an objective other than "Preferred recipes"
+          to let the optimizer choose between alternate recipes, crediting byproducts.
+          The result is placed on a new workspace tab.
+        </div>
+        <div class="subsection">
+          <div class="subsection__title">Targets</div>
+          <div data-planner-targets></div>
+          <button class="btn btn--sm" type="button" data-planner-add-target>+ Add target</button>
+        </div>
+        <div class="row" data-planner-options></div>
+        <div data-planner-preview></div>
+      `;
+
+      const listEl = wrap.querySelector("[data-planner-targets]");
+      const optionsEl = wrap.querySelector("[data-planner-options]");
+      const previewEl = wrap.querySelector("[data-planner-preview]");
+
+      let plan = null;
+      const refresh = () => {
+        plan = currentPlan();
+        renderPreview(previewEl, plan);
+      };
+
+      const addOption = (label, items, key, emptyLabel) => {
+        const field = document.createElement("div");
+        field.className = "field";
+        const lbl = document.createElement("label");
+        lbl.textContent = label;
+        const select = key === "objective"
+          ? buildObjectiveSelect(options.objective)
+          : buildSelect(items, options[key], emptyLabel);
+        select.addEventListener("change", () => {
+          options[key] = select.value || null;
+          refresh();
+        });
+        field.append(lbl, select);
+        optionsEl.appendChild(field);
+      };
+      addOption("Objective", OBJECTIVES, "objective", null);
+      addOption("Fuel", fuels, "fuelMaterialId", "(no fuel supply)");
+      addOption("Fertilizer", fertilizers, "fertilizerId", "(none)");
+      addOption("Heating device", devices, "heatingDeviceId", null);
+
+      wrap.querySelector("[data-planner-add-target]").addEventListener("click", () => {
+        targets.push({ materialId: null, rate: 10 });
+        renderTargets(listEl, refresh);
+        refresh();
+      });
+
+      renderTargets(listEl, refresh);
+      refresh();
+
+      const res = await AF.ui.dialog.open({
+        title: "Target-Rate Planner",
+        contentEl: wrap,
+        buttons: [
+          { id: "cancel", label: "Cancel", kind: "default" },
+          { id: "create", label: "Create on new tab", kind: "primary" },
+        ],
+        defaultButtonId: "create",
+        cancelButtonId: "cancel",
+        enterAction: "none",
+        dialogClass: "dialog--targetPlanner",
+      });
+      if (res?.id !== "create") return;
+
+      plan = currentPlan();
+      if (plan.targets.length === 0 || plan.nodes.length === 0) {
+        setStatus("Nothing to plan: choose at least one target material with a rate.", "error");
+        return;
+      }
+
+      const build = AF.calculator.createBuildFromPlan(plan);
+      const tab = AF.core?.createWorkspaceTab?.({ name: defaultPlanName(plan), build, switchTo: true });
+      renderWorkspaceTabsUI();
+      if (!tab) return;
+      if (plan.issues.length > 0) {
+        setStatus(`Created "${tab.name}" with ${plan.issues.length} issue${plan.issues.length > 1 ? "s" : ""}. Check unconnected inputs.`, "warn");
+      } else {
+        setStatus(`Created "${tab.name}" (${build.placedMachines.length} cards).`, "success");
+      }
+    }
+
+    return { open };
+  })();
+
+  AF.ui.targetPlanner = targetPlanner;
+
+  const skillOptimizer = (() => {
+    const OBJECTIVES = [
+      { id: "export", name: "Export rate" },
+      { id: "profit", name: "Profit/min" },
+      { id: "cost", name: "Lowest cost/min" },
+    ];
+    const SKILL_COLUMNS = [
+      { id: "conveyorSpeed", short: "Conv", name: "Conveyor Speed" },
+      { id: "throwingSpeed", short: "Throw", name: "Throwing Speed" },
+      { id: "machineEfficiency", short: "Mach", name: "Machine Efficiency" },
+      { id: "alchemyEfficiency", short: "Alch", name: "Alchemy Efficiency" },
+      { id: "fuelEfficiency", short: "Fuel", name: "Fuel Efficiency" },
+      { id: "fertilizerEfficiency", short: "Fert", name: "Fertilizer Efficiency" },
+      { id: "shopProfit", short: "Shop", name: "Shop Profit" },
+    ];
+
+    // Kept across dialog opens so re-opening Skills shows the last comparison.
+    let options = { budget: null, objective: "export", materialId: null, tabId: null };
+    /** @type {(SkillOptimizerResult|null)} */
+    let result = null;
+    let running = false;
+
+    function currentPoints() {
+      return SKILL_COLUMNS.reduce((sum, c) => sum + (Number(AF.state.skills?.[c.id]) || 0), 0);
+    }
+
+    function buildSelect(items, selectedId, emptyLabel) {
+      const select = document.createElement("select");
+      select.className = "input";
+      if (emptyLabel) {
+        const none = document.createElement("option");
+        none.value = "";
+        none.textContent = emptyLabel;
+        select.appendChild(none);
+      }
+      items.forEach(item => {
+        const option = document.createElement("option");
+        option.value = item.id;
+        option.textContent = item.name;
+        if (item.id === selectedId) option.selected = true;
+        select.appendChild(option);
+      });
+      return select;
+    }
+
+    function field(label, control) {
+      const wrap = document.createElement("div");
+      wrap.className = "field";
+      const lbl = document.createElement("label");
+      lbl.textContent = label;
+      wrap.append(lbl, control);
+      return wrap;
+    }
+
+    // The active tab's build lives in AF.state.build; other tabs keep their last-saved copy.
+    function resolveBuild(tabId) {
+      const ws = AF.state.workspaces;
+      if (!tabId || !ws || tabId === ws.activeId) return AF.state.build;
+      return ws.tabs.find(t => t.id === tabId)?.build || AF.state.build;
+    }
+
+    function renderResult(resultEl) {
+      if (!result) {
+        resultEl.innerHTML = "";
+        return;
+      }
+      if (result.ranked.length === 0) {
+        resultEl.innerHTML = `<div class="hint">No allocation produced a usable result for this build.</div>`;
+        return;
+      }
+
+      const headers = SKILL_COLUMNS.map(c => `<th title="${escapeHtml(c.name)}">${c.short}</th>`).join("");
+      const row = (candidate, label, idx) => `
+        <tr class="${idx == null ? "skillOptimizer__current" : ""}">
+          <td>${label}</td>
+          ${SKILL_COLUMNS.map(c => `<td>${candidate.skills[c.id] || 0}</td>`).join("")}
+          <td>${candidate.valid ? candidate.exportRate.toFixed(2) : "—"}</td>
+          <td>${candidate.valid ? formatCoins(candidate.profitPerMin) : "—"}</td>
+          <td>${candidate.valid ? formatCoins(candidate.costPerMin) : "—"}</td>
+          <td>${idx == null ? "" : `<button type="button" class="btn btn--sm" data-optimizer-apply="${idx}">Apply</button>`}</td>
+        </tr>
+      `;
+      const exportLabel = result.materialId
+        ? `${escapeHtml(AF.core.getMaterialById(result.materialId)?.name || "Export")}/min`
+        : "Exports/min";
+
+      resultEl.innerHTML = `
+        <table class="skillOptimizer__table">
+          <thead>
+            <tr><th>#</th>${headers}<th>${exportLabel}</th><th>Profit/min</th><th>Cost/min</th><th></th></tr>
+          </thead>
+          <tbody>
+            ${result.ranked.map((c, idx) => row(c, String(idx + 1), idx)).join("")}
+            ${row(result.current, "Now", null)}
+          </tbody>
+        </table>
+        <div class="hint">${result.evaluations} allocations calculated for ${result.budget} points.</div>
+      `;
+    }
+
+    /**
+     * @param {SkillAllocationCandidate} candidate
+     */
+    function apply(candidate) {
+      SKILL_COLUMNS.forEach(c => {
+        AF.state.skills[c.id] = candidate.skills[c.id] || 0;
+      });
+      AF.core.saveSkills();
+      renderSkillsList();
+      renderSkillsBar();
+      AF.scheduler.invalidate({ needsRecalc: true, needsRender: true, forceRecreate: true });
+      setStatus(`Skills set to the optimized allocation (${candidate.points} points).`);
+    }
+
+    async function run(runBtn, statusEl, resultEl) {
+      if (running) return;
+      running = true;
+      runBtn.disabled = true;
+      statusEl.textContent = "Optimizing…";
+      try {
+        result = await AF.calculator.optimizeSkillAllocation(
+          {
+            budget: options.budget,
+            objective: options.objective,
+            materialId: options.objective === "export" ? options.materialId : null,
+            build: resolveBuild(options.tabId),
+          },
+          (evaluations) => { statusEl.textContent = `Optimizing… ${evaluations} allocations`; }
+        );
+        statusEl.textContent = "";
+      } catch (err) {
+        console.error(err);
+        result = null;
+        statusEl.textContent = `Optimization failed: ${err?.message || err}`;
+      } finally {
+        running = false;
+        runBtn.disabled = false;
+      }
+      renderResult(resultEl);
+    }
+
+    /** Render the optimizer panel into the Skills dialog. */
+    function render() {
+      const root = $("#skillOptimizer");
+      if (!root) return;
+
+      const ws = AF.state.workspaces;
+      if (options.budget == null) options.budget = currentPoints() || 10;
+      if (!ws?.tabs?.some(t => t.id === options.tabId)) options.tabId = ws?.activeId || null;
+
+      root.innerHTML = `
+        <div class="subsection__title">Optimize allocation</div>
+        <div class="hint" style="margin-top: 0;">
+          Recalculates the chosen build for candidate allocations and ranks those that spend the whole budget.
+        </div>
+        <div class="row" data-optimizer-options></div>
+        <div class="skillOptimizer__actions">
+          <button type="button" class="btn btn--sm btn--primary" data-optimizer-run>Optimize</button>
+          <span class="hint" data-optimizer-status></span>
+        </div>
+        <div data-optimizer-result></div>
+      `;
+      const optionsEl = root.querySelector("[data-optimizer-options]");
+      const runBtn = root.querySelector("[data-optimizer-run]");
+      const statusEl = root.querySelector("[data-optimizer-status]");
+      const resultEl = root.querySelector("[data-optimizer-result]");
+
+      const budget = document.createElement("input");
+      budget.className = "input";
+      budget.type = "number";
+      budget.min = "0";
+      budget.max = String(SKILL_COLUMNS.length * 10);
+      budget.value = String(options.budget);
+      budget.addEventListener("input", () => { options.budget = Math.max(0, parseInt(budget.value) || 0); });
+
+      const objective = buildSelect(OBJECTIVES, options.objective, null);
+      const materials = [...AF.state.db.materials].sort(compareByName);
+      const material = buildSelect(materials, options.materialId, "(all exports)");
+      const materialField = field("Material", material);
+      materialField.hidden = options.objective !== "export";
+      objective.addEventListener("change", () => {
+        options.objective = objective.value;
+        materialField.hidden = options.objective !== "export";
+      });
+      material.addEventListener("change", () => { options.materialId = material.value || null; });
+
+      const tabs = (ws?.tabs || []).map(t => ({ id: t.id, name: t.name }));
+      const tab = buildSelect(tabs, options.tabId, tabs.length ? null : "(current build)");
+      tab.addEventListener("change", () => { options.tabId = tab.value || null; });
+
+      optionsEl.append(field("Points", budget), field("Objective", objective), materialField, field("Workspace", tab));
+
+      runBtn.addEventListener("click", () => run(runBtn, statusEl, resultEl));
+      resultEl.addEventListener("click", (e) => {
+        const btn = e.target.closest("[data-optimizer-apply]");
+        const candidate = btn && result?.ranked[Number(btn.dataset.optimizerApply)];
+        if (candidate) apply(candidate);
+      });
+
+      renderResult(resultEl);
+    }
+
+    return { render };
+  })();
+
+  AF.ui.skillOptimizer = skillOptimizer;
+
+  const simulationPanel = (() => {
+    const CHART_COLORS = ["#6aa9ff", "#f0a35a", "#7bd88f", "#e06c75", "#c678dd", "#e5c07b", "#56b6c2", "#d19a66"];
+    const CHART_MAX_SERIES = CHART_COLORS.length;
+    const CHART_W = 640;
+    const CHART_H = 180;
+    const CHART_PAD = { left: 44, right: 12, top: 10, bottom: 24 };
+
+    let durationMin = 30;
+
+    function materialName(id) {
+      return AF.core.getMaterialById(id)?.name || "(unknown)";
+    }
+
+    function formatMinutes(min) {
+      if (min === null || min === undefined) return "never";
+      return min < 1 ? `${Math.round(min * 60)}s` : formatTimeMinutes(min);
+    }
+
+    function niceMax(value) {
+      if (!(value > 0)) return 1;
+      const magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+      const steps = [1, 2, 2.5, 5, 10];
+      return steps.map(s => s * magnitude).find(v => v >= value) || value;
+    }
+
+    /**
+     * SVG line chart over `times` (minutes). Only the largest series are drawn; a series `ref` adds a dashed
+     * steady-state line in the same color.
+     * @param {Array<number>} times
+     * @param {Array<{ label: string, values: Array<number>, ref?: number }>} series
+     * @param {(v: number) => string} formatY
+     */
+    function renderChart(title, times, series, formatY) {
+      const peak = (s) => Math.max(0, ...s.values, s.ref || 0);
+      const drawn = [...series].sort((a, b) => peak(b) - peak(a)).slice(0, CHART_MAX_SERIES);
+      if (drawn.length === 0 || times.length < 2) return "";
+
+      const yMax = niceMax(Math.max(...drawn.map(peak)));
+      const xMax = times[times.length - 1] || 1;
+      const plotW = CHART_W - CHART_PAD.left - CHART_PAD.right;
+      const plotH = CHART_H - CHART_PAD.top - CHART_PAD.bottom;
+      const x = (t) => CHART_PAD.left + (t / xMax) * plotW;
+      const y = (v) => CHART_PAD.top + plotH - (Math.max(0, v) / yMax) * plotH;
+
+      const grid = [0, 0.25, 0.5, 0.75, 1].map(f => `
+        <line class="simChart__grid" x1="${CHART_PAD.left}" x2="${CHART_W - CHART_PAD.right}" y1="${y(yMax * f)}" y2="${y(yMax * f)}" />
+        <text class="simChart__label" x="${CHART_PAD.left - 4}" y="${y(yMax * f) + 4}" text-anchor="end">${escapeHtml(formatY(yMax * f))}</text>
+      `).join("");
+      const xTicks = [0, 0.25, 0.5, 0.75, 1].map(f => `
+        <text class="simChart__label" x="${x(xMax * f)}" y="${CHART_H - 6}" text-anchor="middle">${escapeHtml(formatMinutes(xMax * f))}</text>
+      `).join("");
+
+      const lines = drawn.map((s, idx) => {
+        const color = CHART_COLORS[idx];
+        const points = s.values.map((v, i) => `${x(times[i]).toFixed(1)},${y(v).toFixed(1)}`).join(" ");
+        const ref = Number.isFinite(s.ref)
+          ? `<line x1="${CHART_PAD.left}" x2="${CHART_W - CHART_PAD.right}" y1="${y(s.ref)}" y2="${y(s.ref)}" stroke="${color}" stroke-dasharray="4,4" opacity="0.6" />`
+          : "";
+        return `${ref}<polyline fill="none" stroke="${color}" stroke-width="1.5" points="${points}" />`;
+      }).join("");
+
+      const legend = drawn.map((s, idx) => `
+        <span class="simChart__legendItem"><span class="simChart__swatch" style="background:${CHART_COLORS[idx]}"></span>${escapeHtml(s.label)}</span>
+      `).join("");
+      const hidden = series.length - drawn.length;
+
+      return `
+        <div class="simChart">
+          <div class="productionSection__title">${escapeHtml(title)}</div>
+          <svg class="simChart__svg" viewBox="0 0 ${CHART_W} ${CHART_H}">${grid}${xTicks}${lines}</svg>
+          <div class="simChart__legend">${legend}${hidden > 0 ? `<span class="hint">+${hidden} smaller not shown</span>` : ""}</div>
+        </div>
+      `;
+    }
+
+    /** @param {SimulationResult} result */
+    function renderResult(resultEl, result) {
+      const loopRows = result.loops.map((loop, idx) => {
+        const names = loop.machineIds.map(id => bottleneckMachineName(id)).join(" → ");
+        const status = loop.startsUp
+          ? `✅ Starts from empty (running after ${formatMinutes(loop.startedAtMin)}, ${loop.finalItemsPerMin.toFixed(2)} items/min at the end)`
+          : "⛔ Does not start from empty: seed it from a Storage or feed it from outside";
+        return `
+          <div class="productionItem">
+            ${status}
+            <div class="hint">${escapeHtml(names)}</div>
+            <button type="button" class="btn btn--sm" data-sim-select-loop="${idx}">Select on canvas</button>
+          </div>
+        `;
+      });
+
+      const exportRows = result.exports.map(e => {
+        const gap = e.steadyRate > 0.01 && e.finalRate < e.steadyRate * 0.95;
+        return `
+          <div class="productionItem">
+            ${gap ? "⚠️ " : ""}${escapeHtml(materialName(e.materialId))}: ${e.finalRate.toFixed(2)}/min at the end (steady state ${e.steadyRate.toFixed(2)}/min)
+            <div class="hint">First item after ${formatMinutes(e.firstAtMin)} • ${e.total.toFixed(0)} exported in ${formatMinutes(result.durationMin)}</div>
+          </div>
+        `;
+      });
+
+      const machineRows = [...result.machines]
+        .sort((a, b) => (a.firstOutputMin ?? Infinity) - (b.firstOutputMin ?? Infinity))
+        .map(m => `
+          <div class="productionItem">
+            ${escapeHtml(bottleneckMachineName(m.machineId))}: first output after ${formatMinutes(m.firstOutputMin)}
+            <div class="hint">
+              ${Math.round(m.finalUtilization * 100)}% busy at the end (steady state ${Math.round(m.steadyEfficiency * 100)}%)${m.fuelBurned > 0 ? ` • ${m.fuelBurned} fuel burned` : ""}
+            </div>
+          </div>
+        `);
+
+      const section = (title, rows) => rows.length === 0 ? "" : `
+        <div class="productionSection">
+          <div class="productionSection__title">${title}</div>
+          ${rows.join("")}
+        </div>
+      `;
+
+      const steadyByMaterial = new Map(result.exports.map(e => [e.materialId, e.steadyRate]));
+      const items = (v) => v >= 1000 ? `${(v / 1000).toFixed(1)}k` : String(Math.round(v));
+      const charts =
+        renderChart("📈 Export rate (items/min, dashed = steady state)", result.times,
+          result.exportRate.map(s => ({ label: materialName(s.materialId), values: s.values, ref: steadyByMaterial.get(s.materialId) })),
+          (v) => v.toFixed(v < 10 ? 1 : 0)) +
+        renderChart("📦 Storage stock (items)", result.times,
+          result.stock.map(s => ({ label: `${bottleneckMachineName(s.machineId)}: ${materialName(s.materialId)}`, values: s.values })),
+          items) +
+        renderChart("⚙️ Machine buffers (items)", result.times,
+          result.buffers.map(s => ({ label: materialName(s.materialId), values: s.values })),
+          items) +
+        renderChart("🔧 Production machines busy", result.times,
+          [{ label: "Busy", values: result.utilization.values.map(v => v * 100) }],
+          (v) => `${Math.round(v)}%`);
+
+      resultEl.innerHTML =
+        section("🔁 Feedback loops", loopRows) +
+        section("🚚 Exports", exportRows) +
+        charts +
+        section("⏱ Time to first output", machineRows);
+
+      resultEl.querySelectorAll("[data-sim-select-loop]").forEach(btn => {
+        btn.addEventListener("click", () => {
+          const loop = result.loops[Number(btn.dataset.simSelectLoop)];
+          if (!loop) return;
+          dialog.close();
+          selectBottleneckTargets(loop.machineIds, []);
+        });
+      });
+    }
+
+    function run(resultEl, runBtn) {
+      runBtn.disabled = true;
+      resultEl.innerHTML = `<div class="hint">Simulating ${formatMinutes(durationMin)}…</div>`;
+      // Let the "Simulating…" text paint before the (synchronous) run.
+      setTimeout(() => {
+        try {
+          const result = AF.calculator.simulateBuild(
+            { db: AF.state.db, build: AF.state.build, skills: AF.state.skills, settings: AF.state.settings },
+            { durationMin }
+          );
+          renderResult(resultEl, result);
+        } catch (err) {
+          console.error(err);
+          resultEl.innerHTML = `<div class="hint" style="color: var(--danger);">Simulation failed: ${escapeHtml(err?.message || String(err))}</div>`;
+        } finally {
+          runBtn.disabled = false;
+        }
+      }, 0);
+    }
+
+    /** Open the simulation dialog for the current build and run it once. */
+    async function open() {
+      if (AF.core.getAllMachinesInTree().length === 0) {
+        setStatus("Nothing to simulate: the canvas is empty.", "warning");
+        return;
+      }
+
+      const wrap = document.createElement("div");
+      wrap.className = "simulation";
+      wrap.innerHTML = `
+        <div class="hint" style="margin-top: 0;">
+          Runs the build forward from empty machines (storages start at their stored amounts): whole recipe cycles,
+          a stack or two cycles' worth per port, fuel burned item by item, belts and throwers at their speed. Unconnected inputs are
+          imported and unconnected outputs exported, as in the Production Summary.
+        </div>
+        <div class="row">
+          <div class="field">
+            <label>Duration (minutes)</label>
+            <input class="input" type="number" min="1" max="600" step="1" data-sim-duration />
+          </div>
+          <button type="button" class="btn btn--primary" data-sim-run>Run</button>
+        </div>
+        <div data-sim-result></div>
+      `;
+      const durationEl = wrap.querySelector("[data-sim-duration]");
+      const runBtn = wrap.querySelector("[data-sim-run]");
+      const resultEl = wrap.querySelector("[data-sim-result]");
+      durationEl.value = String(durationMin);
+      durationEl.addEventListener("input", () => {
+        durationMin = Math.max(1, Math.min(600, Number(durationEl.value) || 30));
+      });
+      runBtn.addEventListener("click", () => run(resultEl, runBtn));
+
+      run(resultEl, runBtn);
+      await dialog.open({
+        title: "Simulation",
+        contentEl: wrap,
+        buttons: [{ id: "close", label: "Close", kind: "default" }],
+        defaultButtonId: "close",
+        cancelButtonId: "close",
+        enterAction: "none",
+        dialogClass: "dialog--simulation",
+      });
+    }
+
+    return { open };
+  })();
+
+  AF.ui.simulation = simulationPanel;
+
+  const profitReport = (() => {
+    const SORTS = [
+      { id: "machine", name: "Profit per machine" },
+      { id: "heat", name: "Profit per heat" },
+      { id: "limit", name: "Profit within limits" },
+    ];
+    let budgetPerMin = 0;
+    let maxMachines = 0;
+    let sortBy = "machine";
+    let onlyBuildMachines = false;
+
+    function materialName(id) {
+      return AF.core.getMaterialById(id)?.name || "(missing material)";
+    }
+
+    /** Machine types placed on the current canvas, including heating-device toppers. */
+    function buildMachineIds() {
+      const ids = new Set();
+      AF.core.getAllMachinesInTree().forEach(pm => {
+        if (pm.machineId) ids.add(pm.machineId);
+        (pm.toppers || []).forEach(t => {
+          if (t?.machineId) ids.add(t.machineId);
+        });
+      });
+      return Array.from(ids);
+    }
+
+    function currentRows() {
+      // Same fuel default as the Target-Rate Planner: Cost Settings fuel, else the first fuel.
+      const fuels = AF.state.db.materials.filter(m => m.isFuel && m.fuelValue > 0);
+      const planSettings = AF.state.settings?.costBlueprints || {};
+      return AF.calculator.rankProfitableProducts({
+        budgetPerMin,
+        maxMachines,
+        sortBy,
+        machineIds: onlyBuildMachines ? buildMachineIds() : null,
+        fuelMaterialId: fuels.find(m => m.id === planSettings.fuel?.outputMaterialId)?.id || fuels[0]?.id || null,
+        fertilizerId: planSettings.fertilizer?.outputMaterialId || null,
+      });
+    }
+
+    function renderRows(resultEl, rows) {
+      if (rows.length === 0) {
+        resultEl.innerHTML = `<div class="hint">No producible material has a sale price. Set "Sell" prices in the material editor.</div>`;
+        return;
+      }
+      const coins = (v) => v == null ? "—" : formatCoins(v);
+      const body = rows.map(r => {
+        const missing = r.missingMachineIds.map(id => AF.core.getMachineById(id)?.name || id);
+        const limit = r.limitRate == null ? "—" : `${r.limitRate.toFixed(2)}/min (${r.limitedBy})`;
+        const note = missing.length > 0
+          ? `<div class="hint">Needs ${escapeHtml(missing.join(", "))}</div>`
+          : r.issues.length > 0 ? `<div class="hint">⚠️ ${escapeHtml(r.issues[0])}</div>` : "";
+        return `
+          <tr class="${missing.length > 0 ? "profitReport__unavailable" : ""}">
+            <td>${escapeHtml(materialName(r.materialId))}${note}</td>
+            <td>${r.unitPrice.toFixed(2)}c</td>
+            <td>${r.unitCost == null ? "—" : `${r.unitCost.toFixed(2)}c`}</td>
+            <td>${r.unitProfit == null ? "—" : `${r.unitProfit.toFixed(2)}c`}</td>
+            <td>${r.machinesPerRate.toFixed(3)}</td>
+            <td>${coins(r.profitPerMachine)}</td>
+            <td>${coins(r.profitPerHeat)}</td>
+            <td>${escapeHtml(limit)}</td>
+            <td>${r.limitProfit == null ? "—" : `${coins(r.limitProfit)}/min`}</td>
+            <td><button type="button" class="btn btn--sm" data-profit-plan="${escapeHtml(r.materialId)}">Plan…</button></td>
+          </tr>
+        `;
+      }).join("");
+      resultEl.innerHTML = `
+        <table class="profitReport__table">
+          <thead>
+            <tr>
+              <th>Material</th><th>Sells for</th><th>Cost</th><th>Profit/item</th>
+              <th title="Production machines per 1/min (heated toppers include their heating device share)">Machines per 1/min</th>
+              <th title="Profit/min one machine of the chain earns">Per machine</th>
+              <th title="Profit/min per P/s of heat">Per heat</th>
+              <th>Limit</th><th>Profit at limit</th><th></th>
+            </tr>
+          </thead>
+          <tbody>${body}</tbody>
+        </table>
+      `;
+      resultEl.querySelectorAll("[data-profit-plan]").forEach(btn => {
+        btn.addEventListener("click", () => {
+          dialog.close();
+          targetPlanner.open(btn.dataset.profitPlan);
+        });
+      });
+    }
+
+    /** Open the profit report: sellable materials ranked by profit per machine / heat / within a budget. */
+    async function open() {
+      const wrap = document.createElement("div");
+      wrap.className = "profitReport";
+      wrap.innerHTML = `
+        <div class="hint" style="margin-top: 0;">
+          Plans each material with a sale price the way the Target-Rate Planner would (preferred recipes, current skills,
+          fuel and fertilizer from Cost Settings) and ranks them. Sale prices include Shop Profit; cost is the realised cost.
+          Set a budget (copper/min) or a machine cap to see how much of each product they allow.
+        </div>
+        <div class="row">
+          <div class="field">
+            <label>Budget (copper/min)</label>
+            <input class="input" type="number" min="0" step="any" placeholder="No limit" data-profit-budget />
+          </div>
+          <div class="field">
+            <label>Max machines</label>
+            <input class="input" type="number" min="0" step="1" placeholder="No limit" data-profit-machines />
+          </div>
+          <div class="field">
+            <label>Rank by</label>
+            <select class="input" data-profit-sort></select>
+          </div>
+          <label class="checkboxRow">
+            <input type="checkbox" data-profit-only-build />
+            <div>Only machines on this canvas</div>
+          </label>
+        </div>
+        <div data-profit-result></div>
+      `;
+      const budgetEl = wrap.querySelector("[data-profit-budget]");
+      const machinesEl = wrap.querySelector("[data-profit-machines]");
+      const sortEl = wrap.querySelector("[data-profit-sort]");
+      const onlyBuildEl = wrap.querySelector("[data-profit-only-build]");
+      const resultEl = wrap.querySelector("[data-profit-result]");
+
+      SORTS.forEach(o => {
+        const option = document.createElement("option");
+        option.value = o.id;
+        option.textContent = o.name;
+        option.selected = o.id === sortBy;
+        sortEl.appendChild(option);
+      });
+      if (budgetPerMin > 0) budgetEl.value = String(budgetPerMin);
+      if (maxMachines > 0) machinesEl.value = String(maxMachines);
+      onlyBuildEl.checked = onlyBuildMachines;
+
+      const refresh = () => renderRows(resultEl, currentRows());
+      budgetEl.addEventListener("input", () => {
+        budgetPerMin = Math.max(0, Number(budgetEl.value) || 0);
+        refresh();
+      });
+      machinesEl.addEventListener("input", () => {
+        maxMachines = Math.max(0, Number(machinesEl.value) || 0);
+        refresh();
+      });
+      sortEl.addEventListener("change", () => {
+        sortBy = sortEl.value;
+        refresh();
+      });
+      onlyBuildEl.addEventListener("change", () => {
+        onlyBuildMachines = onlyBuildEl.checked;
+        refresh();
+      });
+
+      refresh();
+      await dialog.open({
+        title: "Profit Report",
+        contentEl: wrap,
+        buttons: [{ id: "close", label: "Close", kind: "default" }],
+        defaultButtonId: "close",
+        cancelButtonId: "close",
+        enterAction: "none",
+        dialogClass: "dialog--profitReport",
+      });
+    }
+
+    return { open };
+  })();
+
+  AF.ui.profitReport = profitReport;
+
+  const recipeGraph = (() => {
+    const MACHINE_COLORS = ["#6aa9ff", "#f0a35a", "#7bd88f", "#e06c75", "#c678dd", "#e5c07b", "#56b6c2", "#d19a66"];
+    const NODE_W = 150;
+    const NODE_H = 28;
+    const COLUMN_GAP = 90;
+    const ROW_GAP = 14;
+    const MIN_SCALE = 0.2;
+    const MAX_SCALE = 3;
+
+    const nodeX = (node) => node.layer * (NODE_W + COLUMN_GAP);
+    const nodeY = (node) => node.order * (NODE_H + ROW_GAP);
+
+    /**
+     * SVG path of one edge: a curve to the next layers, or an arc on the right for edges inside a cycle
+     * (both ends share a layer). `offset` separates edges between the same two materials.
+     * @param {RecipeGraphNode} from
+     * @param {RecipeGraphNode} to
+     * @param {number} offset
+     */
+    function edgePath(from, to, offset) {
+      const y1 = nodeY(from) + NODE_H / 2 + offset;
+      const y2 = nodeY(to) + NODE_H / 2 + offset;
+      if (from.id === to.id) {
+        const x = nodeX(from) + NODE_W;
+        return `M ${x} ${y1 - 6} C ${x + 36} ${y1 - 26}, ${x + 36} ${y1 + 26}, ${x} ${y1 + 6}`;
+      }
+      if (from.layer >= to.layer) {
+        const x = nodeX(from) + NODE_W;
+        // Upward arcs swing wider, so the two directions of a two-material cycle do not overlap.
+        const bulge = 30 + Math.abs(y2 - y1) * 0.25 + (y2 < y1 ? 20 : 0);
+        return `M ${x} ${y1} C ${x + bulge} ${y1}, ${nodeX(to) + NODE_W + bulge} ${y2}, ${nodeX(to) + NODE_W} ${y2}`;
+      }
+      const x1 = nodeX(from) + NODE_W;
+      const x2 = nodeX(to);
+      const mid = (x1 + x2) / 2;
+      return `M ${x1} ${y1} C ${mid} ${y1}, ${mid} ${y2}, ${x2} ${y2}`;
+    }
+
+    /**
+     * @param {RecipeGraph} graph
+     * @param {Map<string, string>} machineColors
+     */
+    function renderSvg(graph, machineColors) {
+      const byId = new Map(graph.nodes.map(n => [n.id, n]));
+      /** @type {Map<string, number>} */
+      const pairCount = new Map();
+      const edges = graph.edges.map((e, idx) => {
+        const pair = `${e.from}|${e.to}`;
+        const k = pairCount.get(pair) || 0;
+        pairCount.set(pair, k + 1);
+        const offset = k === 0 ? 0 : (k % 2 === 1 ? 1 : -1) * Math.ceil(k / 2) * 4;
+        const machine = e.machineId ? AF.core.getMachineById(e.machineId) : null;
+        const recipes = e.recipeIds.map(id => AF.core.getRecipeById(id)?.name || id).join(", ");
+        const title = `${machine?.name || "No machine"}: ${recipes}\n${byId.get(e.from).name} → ${byId.get(e.to).name}`;
+        return `
+          <path class="recipeGraph__edge${e.cycle ? " is-cycle" : ""}" data-edge-idx="${idx}"
+            d="${edgePath(byId.get(e.from), byId.get(e.to), offset)}" stroke="${machineColors.get(e.machineId || "") || "#888"}"
+            marker-end="url(#recipeGraphArrow)"><title>${escapeHtml(title)}</title></path>
+        `;
+      }).join("");
+      const nodes = graph.nodes.map(n => {
+        const material = AF.core.getMaterialById(n.id);
+        const label = n.name.length > 22 ? `${n.name.slice(0, 21)}…` : n.name;
+        const tags = [n.produced ? null : "raw", n.cycle >= 0 ? "in a cycle" : null, material?.buyPrice != null ? `buy ${material.buyPrice}` : null].filter(Boolean);
+        return `
+          <g class="recipeGraph__node${n.cycle >= 0 ? " is-cycle" : ""}${n.produced ? "" : " is-raw"}" data-node-id="${escapeHtml(n.id)}"
+            transform="translate(${nodeX(n)}, ${nodeY(n)})">
+            <title>${escapeHtml(n.name)}${tags.length ? ` (${escapeHtml(tags.join(", "))})` : ""}</title>
+            <rect width="${NODE_W}" height="${NODE_H}" rx="6" />
+            <text x="${NODE_W / 2}" y="${NODE_H / 2 + 4}" text-anchor="middle">${escapeHtml(label)}</text>
+          </g>
+        `;
+      }).join("");
+      return `
+        <defs>
+          <marker id="recipeGraphArrow" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="6" markerHeight="6" orient="auto-start-reverse">
+            <path d="M 0 0 L 10 5 L 0 10 z" class="recipeGraph__arrow" />
+          </marker>
+        </defs>
+        <g data-graph-edges>${edges}</g>
+        <g data-graph-nodes>${nodes}</g>
+      `;
+    }
+
+    /**
+     * Tools → Recipe Graph: the whole recipe database as a material graph, with filtering by material,
+     * upstream/downstream highlighting and cycle marking. Clicking a material opens it in the editor.
+     */
+    async function open() {
+      const db = AF.state.db;
+      if (db.materials.length === 0) {
+        setStatus("The database has no materials yet.", "warning");
+        return;
+      }
+      const fullGraph = AF.core.buildRecipeGraph(db);
+      /** @type {Map<string, string>} */
+      const machineColors = new Map();
+      const usedMachines = Array.from(new Set(fullGraph.edges.map(e => e.machineId || "")));
+      usedMachines
+        .map(id => ({ id, name: id ? (AF.core.getMachineById(id)?.name || id) : "No machine" }))
+        .sort(compareByName)
+        .forEach((m, idx) => machineColors.set(m.id, MACHINE_COLORS[idx % MACHINE_COLORS.length]));
+
+      const materials = [...db.materials].sort(compareByName);
+      const wrap = document.createElement("div");
+      wrap.className = "recipeGraph";
+      wrap.innerHTML = `
+        <div class="row recipeGraph__toolbar">
+          <div class="field">
+            <label>Material</label>
+            <select class="input" data-graph-material>
+              <option value="">All materials</option>
+              ${materials.map(m => `<option value="${escapeHtml(m.id)}">${escapeHtml(m.name)}</option>`).join("")}
+            </select>
+          </div>
+          <div class="field">
+            <label>Show</label>
+            <select class="input" data-graph-direction>
+              <option value="both">Ingredients and uses</option>
+              <option value="upstream">Ingredients (upstream)</option>
+              <option value="downstream">Uses (downstream)</option>
+            </select>
+          </div>
+          <button type="button" class="btn btn--sm" data-graph-fit>Fit</button>
+        </div>
+        <div class="hint" style="margin-top: 0;" data-graph-summary></div>
+        <div class="recipeGraph__legend">
+          ${Array.from(machineColors.entries()).map(([id, color]) => `
+            <button type="button" class="recipeGraph__legendItem" data-graph-machine="${escapeHtml(id)}">
+              <span class="recipeGraph__swatch" style="background:${color}"></span>${escapeHtml(id ? (AF.core.getMachineById(id)?.name || id) : "No machine")}
+            </button>
+          `).join("")}
+        </div>
+        <div class="recipeGraph__viewport" data-graph-viewport>
+          <svg class="recipeGraph__svg" xmlns="http://www.w3.org/2000/svg"><g data-graph-layer></g></svg>
+        </div>
+      `;
+      const materialEl = /** @type {HTMLSelectElement} */ (wrap.querySelector("[data-graph-material]"));
+      const directionEl = /** @type {HTMLSelectElement} */ (wrap.querySelector("[data-graph-direction]"));
+      const summaryEl = wrap.querySelector("[data-graph-summary]");
+      const viewport = /** @type {HTMLElement} */ (wrap.querySelector("[data-graph-viewport]"));
+      const layer = wrap.querySelector("[data-graph-layer]");
+
+      let graph = fullGraph;
+      /** @type {string|null} machine whose edges are emphasised from the legend */
+      let machineFocus = null;
+      const view = { x: 20, y: 20, scale: 1 };
+      const applyView = () => layer.setAttribute("transform", `translate(${view.x}, ${view.y}) scale(${view.scale})`);
+
+      const fit = () => {
+        const width = viewport.clientWidth || 800;
+        const height = viewport.clientHeight || 500;
+        const maxX = Math.max(0, ...graph.nodes.map(n => nodeX(n) + NODE_W)) + 60;
+        const maxY = Math.max(0, ...graph.nodes.map(n => nodeY(n) + NODE_H));
+        view.scale = Math.max(MIN_SCALE, Math.min(1, (width - 40) / maxX, (height - 40) / maxY));
+        view.x = 20;
+        view.y = Math.max(20, (height - maxY * view.scale) / 2);
+        applyView();
+      };
+
+      /**
+       * Highlight `focusId`'s ingredients and uses (as far as the Show filter allows); without a focus, the
+       * legend's machine (if any) is highlighted instead.
+       * @param {string|null} focusId
+       */
+      const highlight = (focusId) => {
+        const direction = directionEl.value;
+        const upstream = focusId && direction !== "downstream" ? AF.core.traceRecipeGraph(graph, focusId, "upstream") : new Set();
+        const downstream = focusId && direction !== "upstream" ? AF.core.traceRecipeGraph(graph, focusId, "downstream") : new Set();
+        const machineNodes = new Set();
+        if (!focusId && machineFocus !== null) {
+          graph.edges.forEach(e => {
+            if ((e.machineId || "") !== machineFocus) return;
+            machineNodes.add(e.from);
+            machineNodes.add(e.to);
+          });
+        }
+        const active = focusId !== null || machineFocus !== null;
+        layer.querySelectorAll("[data-node-id]").forEach(el => {
+          const id = el.getAttribute("data-node-id");
+          el.classList.toggle("is-focus", id === focusId);
+          el.classList.toggle("is-upstream", upstream.has(id));
+          el.classList.toggle("is-downstream", downstream.has(id));
+          el.classList.toggle("is-dim", active && id !== focusId && !upstream.has(id) && !downstream.has(id) && !machineNodes.has(id));
+        });
+        layer.querySelectorAll("[data-edge-idx]").forEach(el => {
+          const e = graph.edges[Number(el.getAttribute("data-edge-idx"))];
+          const up = upstream.has(e.from) && (e.to === focusId || upstream.has(e.to));
+          const down = downstream.has(e.to) && (e.from === focusId || downstream.has(e.from));
+          const machine = !focusId && machineFocus !== null && (e.machineId || "") === machineFocus;
+          el.classList.toggle("is-highlighted", up || down || machine);
+          el.classList.toggle("is-dim", active && !up && !down && !machine);
+        });
+        wrap.querySelectorAll("[data-graph-machine]").forEach(el => {
+          el.classList.toggle("is-active", el.getAttribute("data-graph-machine") === machineFocus);
+        });
+      };
+
+      const rebuild = () => {
+        const focusId = materialEl.value || null;
+        if (focusId) {
+          const direction = directionEl.value;
+          const ids = new Set([focusId]);
+          if (direction !== "downstream") AF.core.traceRecipeGraph(fullGraph, focusId, "upstream").forEach(id => ids.add(id));
+          if (direction !== "upstream") AF.core.traceRecipeGraph(fullGraph, focusId, "downstream").forEach(id => ids.add(id));
+          graph = AF.core.buildRecipeGraph(db, { materialIds: ids });
+        } else {
+          graph = fullGraph;
+        }
+        layer.innerHTML = renderSvg(graph, machineColors);
+        const cycleNames = graph.cycles.map(c => c.map(id => AF.core.getMaterialById(id)?.name || id).join(" ⇄ "));
+        summaryEl.textContent = `${graph.nodes.length} materials • ${graph.edges.length} links`
+          + (cycleNames.length ? ` • Cycles (dashed): ${cycleNames.join("; ")}` : " • No cycles")
+          + ". Hover a material to trace it (orange: ingredients, green: uses); click to open it in the editor.";
+        highlight(focusId);
+        fit();
+      };
+
+      materialEl.addEventListener("change", rebuild);
+      directionEl.addEventListener("change", rebuild);
+      wrap.querySelector("[data-graph-fit]").addEventListener("click", fit);
+      wrap.querySelector(".recipeGraph__legend").addEventListener("click", (e) => {
+        const btn = e.target.closest?.("[data-graph-machine]");
+        if (!btn) return;
+        const id = btn.getAttribute("data-graph-machine");
+        machineFocus = machineFocus === id ? null : id;
+        highlight(materialEl.value || null);
+      });
+      layer.addEventListener("mouseover", (e) => {
+        const node = e.target.closest?.("[data-node-id]");
+        if (node) highlight(node.getAttribute("data-node-id"));
+      });
+      layer.addEventListener("mouseout", (e) => {
+        const node = e.target.closest?.("[data-node-id]");
+        if (node && !node.contains(e.relatedTarget)) highlight(materialEl.value || null);
+      });
+
+      // Drag pans, the wheel zooms around the pointer, a click without dragging opens the material.
+      /** @type {{ x: number, y: number, viewX: number, viewY: number, moved: boolean }|null} */
+      let drag = null;
+      /** @type {string|null} */
+      let picked = null;
+      viewport.addEventListener("pointerdown", (e) => {
+        drag = { x: e.clientX, y: e.clientY, viewX: view.x, viewY: view.y, moved: false };
+      });
+      viewport.addEventListener("pointermove", (e) => {
+        if (!drag) return;
+        const dx = e.clientX - drag.x;
+        const dy = e.clientY - drag.y;
+        if (!drag.moved && Math.hypot(dx, dy) < 4) return;
+        if (!drag.moved) viewport.setPointerCapture?.(e.pointerId);
+        drag.moved = true;
+        view.x = drag.viewX + dx;
+        view.y = drag.viewY + dy;
+        applyView();
+      });
+      viewport.addEventListener("pointerup", (e) => {
+        const wasDrag = drag?.moved;
+        drag = null;
+        if (wasDrag) return;
+        const node = e.target.closest?.("[data-node-id]");
+        if (!node) return;
+        picked = node.getAttribute("data-node-id");
+        dialog.close();
+      });
+      viewport.addEventListener("wheel", (e) => {
+        e.preventDefault();
+        const rect = viewport.getBoundingClientRect();
+        const px = e.clientX - rect.left;
+        const py = e.clientY - rect.top;
+        const scale = Math.min(MAX_SCALE, Math.max(MIN_SCALE, view.scale * (e.deltaY < 0 ? 1.1 : 1 / 1.1)));
+        view.x = px - ((px - view.x) * scale) / view.scale;
+        view.y = py - ((py - view.y) * scale) / view.scale;
+        view.scale = scale;
+        applyView();
+      }, { passive: false });
+
+      const closed = dialog.open({
+        title: "Recipe Graph",
+        contentEl: wrap,
+        buttons: [{ id: "close", label: "Close", kind: "primary" }],
+        defaultButtonId: "close",
+        cancelButtonId: "close",
+        enterAction: "none",
+        dialogClass: "dialog--recipeGraph",
+      });
+      // The viewport only has a size once the dialog is shown.
+      requestAnimationFrame(rebuild);
+      await closed;
+      if (picked) revealDbEntry("materials", picked);
+    }
+
+    return { open };
+  })();
+
+  AF.ui.recipeGraph = recipeGraph;
+
+  // ---------- Material reports ("How do I make this?" / "Where is this used?") ----------
+  // Trees come from `AF.calculator.getMaterialIngredientTree` / `getMaterialUsageTree`; this module renders them as
+  // collapsible sections of the material editor, exports them as text or Markdown and places the chain on the canvas.
+  const materialReports = (() => {
+    const REPORTS = {
+      ingredients: { title: "How do I make this?", file: "ingredients" },
+      usage: { title: "Where is this used?", file: "usage" },
+    };
+
+    // The material editor is rebuilt on every DB change, so open sections and the rate live here.
+    const openReports = new Set();
+    let rate = 10;
+
+    const num = (n) => String(Number(n.toFixed(2)));
+    const cost = (c) => (c == null ? "no cost" : `${num(c)}c/item`);
+    const machineName = (id) => AF.core.getMachineById(id)?.name || "(no machine)";
+
+    /**
+     * Flatten the ingredient tree into report rows (depth-first, as displayed).
+     * @param {MaterialIngredientNode} root
+     * @returns {Array<MaterialReportRow>}
+     */
+    function ingredientRows(root) {
+      /** @type {Array<MaterialReportRow>} */
+      const rows = [];
+      const walk = (node, depth) => {
+        const parts = [`${num(node.rate)}/min`];
+        if (node.kind === "recipe") {
+          parts.push(`${num(node.machinesExact)} → ${node.count} × ${machineName(node.machineId)}`);
+          if (node.alternatives > 0) parts.push(`${node.alternatives} other recipe${node.alternatives === 1 ? "" : "s"}`);
+        } else if (node.kind === "nursery") {
+          parts.push(`${num(node.machinesExact)} → ${node.count} × nursery`);
+        } else if (node.kind === "purchase") {
+          parts.push(`buy (${node.count} portal${node.count === 1 ? "" : "s"})`);
+        }
+        parts.push(cost(node.unitCost));
+        if (node.cycle) parts.push("↻ loop");
+        if (node.truncated) parts.push("… not expanded further");
+        rows.push({ depth, title: node.materialName, detail: parts.join(" • "), warn: node.reason });
+        node.children.forEach(child => walk(child, depth + 1));
+      };
+      walk(root, 0);
+      return rows;
+    }
+
+    /**
+     * Machine and purchase totals of the ingredient tree (loop back-references are not counted twice).
+     * @param {MaterialIngredientNode} root
+     * @returns {Array<string>}
+     */
+    function ingredientTotals(root) {
+      const machines = new Map();
+      const purchases = new Map();
+      const add = (map, key, value) => map.set(key, (map.get(key) || 0) + value);
+      const walk = (node) => {
+        if (node.cycle) return;
+        if (node.kind === "recipe") add(machines, machineName(node.machineId), node.machinesExact);
+        if (node.kind === "nursery") add(machines, "Nursery", node.machinesExact);
+        if (node.kind === "purchase") add(purchases, node.materialName, node.rate);
+        node.children.forEach(walk);
+      };
+      walk(root);
+      return [
+        ...Array.from(machines.entries()).map(([name, n]) => `${Math.ceil(n - 1e-9)} × ${name} (${num(n)})`),
+        ...Array.from(purchases.entries()).map(([name, r]) => `buy ${num(r)}/min ${name}`),
+      ];
+    }
+
+    /**
+     * Flatten the usage tree into report rows. Recipes list the blueprints and workspaces that run them.
+     * @param {MaterialUsageNode} root
+     * @returns {Array<MaterialReportRow>}
+     */
+    function usageRows(root) {
+      /** @type {Array<MaterialReportRow>} */
+      const rows = [];
+      const usedIn = new Map();
+      const describeUses = (recipeId) => {
+        if (!usedIn.has(recipeId)) {
+          const groups = (AF.core.findDbReferences?.("recipes", recipeId) || [])
+            .filter(g => g.kind === "blueprint" || g.kind === "workspace");
+          usedIn.set(recipeId, groups.map(g => `${g.label} ×${g.count}`).join(", "));
+        }
+        return usedIn.get(recipeId);
+      };
+      const walk = (node, depth) => {
+        const parts = [cost(node.unitCost)];
+        if (node.seen) parts.push("see above");
+        if (node.truncated) parts.push("… not expanded further");
+        rows.push({ depth, title: node.materialName, detail: parts.join(" • "), warn: node.seen ? null : node.reason });
+        node.consumers.forEach(c => {
+          const uses = describeUses(c.recipeId);
+          rows.push({
+            depth: depth + 1,
+            title: `⚙ ${c.recipeName}`,
+            detail: [`${machineName(c.machineId)}`, `${num(c.items)} per craft`, uses ? `used in ${uses}` : "not placed anywhere"].join(" • "),
+            warn: null,
+          });
+          c.products.forEach(p => walk(p, depth + 2));
+        });
+      };
+      walk(root, 0);
+      return rows;
+    }
+
+    /**
+     * @param {("ingredients"|"usage")} kind
+     * @param {string} materialId
+     * @returns {{ heading: string, summary: Array<string>, rows: Array<MaterialReportRow> }}
+     */
+    function buildReport(kind, materialId) {
+      const name = AF.core.getMaterialById(materialId)?.name || "(missing material)";
+      if (kind === "ingredients") {
+        const tree = AF.calculator.getMaterialIngredientTree(materialId, rate);
+        return { heading: `How to make ${name} (${num(rate)}/min)`, summary: ingredientTotals(tree), rows: ingredientRows(tree) };
+      }
+      const tree = AF.calculator.getMaterialUsageTree(materialId);
+      const summary = tree.consumers.length === 0 ? ["No recipe consumes this material."] : [];
+      return { heading: `Where ${name} is used`, summary, rows: usageRows(tree) };
+    }
+
+    function renderBody(kind, materialId) {
+      const report = buildReport(kind, materialId);
+      const controls = kind === "ingredients"
+        ? `<label class="materialReport__rate">Rate <input class="input" type="number" min="0.01" step="any" value="${num(rate)}" data-material-report-rate /> /min</label>
+           <button class="btn btn--sm" type="button" data-action="material-report:place" data-material-id="${escapeHtml(materialId)}" title="Plan this chain and place it on the current canvas">Place on canvas</button>`
+        : "";
+      const exportBtn = (format, label) =>
+        `<button class="btn btn--sm" type="button" data-action="material-report:export" data-report="${kind}" data-format="${format}" data-material-id="${escapeHtml(materialId)}">${label}</button>`;
+      const summary = report.summary.length > 0
+        ? `<div class="hint materialReport__summary">${report.summary.map(escapeHtml).join(" • ")}</div>`
+        : "";
+      const rows = report.rows.map(row => `
+        <div class="materialReport__row" style="padding-left: ${row.depth * 16}px;">
+          <strong>${escapeHtml(row.title)}</strong> <span class="materialReport__detail">${escapeHtml(row.detail)}</span>
+          ${row.warn ? `<div class="materialReport__warn">⚠️ ${escapeHtml(row.warn)}</div>` : ""}
+        </div>
+      `).join("");
+      return `
+        <div class="materialReport__toolbar">${controls}${exportBtn("txt", "Export .txt")}${exportBtn("md", "Export .md")}</div>
+        ${summary}
+        <div class="materialReport__tree">${rows}</div>
+      `;
+    }
+
+    /**
+     * Collapsible report sections for the material editor; bodies are only computed while open.
+     * @param {string} materialId
+     * @returns {string}
+     */
+    function render(materialId) {
+      return Object.keys(REPORTS).map(kind => `
+        <details class="materialReport" data-material-report="${kind}" data-material-id="${escapeHtml(materialId)}"${openReports.has(kind) ? " open" : ""}>
+          <summary class="subsection__title">${REPORTS[kind].title}</summary>
+          <div data-material-report-body>${openReports.has(kind) ? renderBody(kind, materialId) : ""}</div>
+        </details>
+      `).join("");
+    }
+
+    function refresh(detailsEl) {
+      const body = detailsEl.querySelector("[data-material-report-body]");
+      if (!body) return;
+      body.innerHTML = detailsEl.open ? renderBody(detailsEl.dataset.materialReport, detailsEl.dataset.materialId) : "";
+    }
+
+    /**
+     * Download a report as plain text (indented) or Markdown (nested list).
+     * @param {("ingredients"|"usage")} kind
+     * @param {string} materialId
+     * @param {("txt"|"md")} format
+     */
+    function exportReport(kind, materialId, format) {
+      if (!REPORTS[kind] || !AF.core.getMaterialById(materialId)) return;
+      const report = buildReport(kind, materialId);
+      const md = format === "md";
+      const lines = [md ? `# ${report.heading}` : report.heading, ""];
+      if (report.summary.length > 0) {
+        report.summary.forEach(s => lines.push(md ? `- ${s}` : s));
+        lines.push("");
+      }
+      report.rows.forEach(row => {
+        const indent = "  ".repeat(row.depth);
+        lines.push(md ? `${indent}- **${row.title}** — ${row.detail}` : `${indent}${row.title} — ${row.detail}`);
+        if (row.warn) lines.push(md ? `${indent}  - ⚠️ ${row.warn}` : `${indent}  ! ${row.warn}`);
+      });
+
+      const safeName = String(AF.core.getMaterialById(materialId).name).trim()
+        .replace(/[<>:"/\\|?*\u0000-\u001F]/g, "").replace(/\s+/g, "-").slice(0, 60);
+      const blob = new Blob([lines.join("\n") + "\n"], { type: md ? "text/markdown" : "text/plain" });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement("a");
+      a.href = url;
+      a.download = `alchemy-factory-${safeName}-${REPORTS[kind].file}.${format}`;
+      document.body.appendChild(a);
+      a.click();
+      a.remove();
+      URL.revokeObjectURL(url);
+      setStatus(`Exported "${report.heading}" as ${md ? "Markdown" : "text"}.`);
+    }
+
+    /**
+     * Plan the material at the report rate and place the generated cards on the current canvas.
+     * @param {string} materialId
+     */
+    function place(materialId) {
+      if (!AF.core.getMaterialById(materialId)) return;
+      const plan = AF.calculator.planTargetProduction([{ materialId, rate }]);
+      if (plan.nodes.length === 0) {
+        setStatus("Nothing to place: no recipe or buy price for this material.", "warn");
+        return;
+      }
+      AF.ui.canvasClipboard.pasteBuild(AF.calculator.createBuildFromPlan(plan));
+      if (plan.issues.length > 0) {
+        setStatus(`Placed with ${plan.issues.length} issue${plan.issues.length > 1 ? "s" : ""}: ${plan.issues[0]}`, "warn");
+      }
+    }
+
+    function wire() {
+      // "toggle" does not bubble; listen in the capture phase so re-rendered editors need no rewiring.
+      document.addEventListener("toggle", (e) => {
+        const detailsEl = /** @type {HTMLDetailsElement} */ (e.target);
+        if (!detailsEl?.matches?.("details[data-material-report]")) return;
+        if (detailsEl.open) openReports.add(detailsEl.dataset.materialReport);
+        else openReports.delete(detailsEl.dataset.materialReport);
+        // Editors rendered with the section already open fire "toggle" too; their body is filled.
+        if (detailsEl.open && detailsEl.querySelector("[data-material-report-body]")?.childElementCount) return;
+        refresh(detailsEl);
+      }, true);
+
+      document.addEventListener("change", (e) => {
+        const input = e.target.closest?.("[data-material-report-rate]");
+        if (!input) return;
+        const value = Number(input.value);
+        if (!(value > 0)) {
+          input.value = num(rate);
+          return;
+        }
+        rate = value;
+        const detailsEl = input.closest("details[data-material-report]");
+        if (detailsEl) refresh(detailsEl);
+      });
+    }
+
+    return { render, exportReport, place, wire };
+  })();
+
+  AF.ui.materialReports = materialReports;
+
+  const restorePoints = (() => {
+    const KIND_LABELS = {
+      auto: "Automatic",
+      session: "Session start",
+      manual: "Manual",
+      migration: "Migration",
+      "before-restore": "Before restore",
+      "before-merge": "Before merge",
+      "before-delete": "Before delete",
+    };
+    const SCOPES = [
+      { id: "all", name: "Everything (all profiles, all tabs, skills, settings)" },
+      { id: "db", name: "Database of the active profile only" },
+      { id: "workspace", name: "One workspace tab" },
+    ];
+
+    function describeSummary(summary) {
+      const tabs = summary.tabs || [];
+      return `${summary.materials} materials • ${summary.recipes} recipes • ${summary.blueprints} blueprints • ${tabs.length} tab${tabs.length === 1 ? "" : "s"}`;
+    }
+
+    function renderList(listEl, points, selectedId, onSelect) {
+      listEl.innerHTML = "";
+      if (points.length === 0) {
+        listEl.innerHTML = `<div class="hint">No restore points yet. They are taken automatically every 10 minutes while you work.</div>`;
+        return;
+      }
+      points.forEach(p => {
+        const row = document.createElement("label");
+        row.className = "restorePoints__item";
+        row.innerHTML = `
+          <input type="radio" name="restorePoint" value="${p.id}" ${p.id === selectedId ? "checked" : ""} />
+          <div>
+            <div><strong>${escapeHtml(new Date(p.at).toLocaleString())}</strong> — ${escapeHtml(p.label || KIND_LABELS[p.kind] || p.kind)}</div>
+            <div class="hint">${escapeHtml(KIND_LABELS[p.kind] || p.kind)} • ${escapeHtml(describeSummary(p.summary))}</div>
+          </div>
+        `;
+        row.querySelector("input").addEventListener("change", () => onSelect(p.id));
+        listEl.appendChild(row);
+      });
+    }
+
+    /** Open the restore point list; restores the chosen scope after confirmation. */
+    async function open() {
+      if (!AF.core.getStorageInfo().restorePoints) {
+        await dialog.alert(
+          "Restore points need IndexedDB, which this browser does not allow for this page. Your data is still saved, but without restore points.",
+          { title: "Restore point" }
+        );
+        return;
+      }
+
+      let points = await AF.core.listRestorePoints();
+      let selectedId = points[0]?.id ?? null;
+      let scopeKind = "all";
+      let tabId = null;
+
+      const wrap = document.createElement("div");
+      wrap.className = "restorePoints";
+      wrap.innerHTML = `
+        <div class="hint" style="margin-top: 0;">
+          Snapshots of everything saved in this browser, taken at session start and every 10 minutes while you work;
+          the newest 30 are kept. Restoring first saves a "Before restore" point, so a restore can be reverted the same way.
+        </div>
+        <div>
+          <button type="button" class="btn btn--sm" data-restore-create>Create restore point now</button>
+        </div>
+        <div class="restorePoints__list" data-restore-list></div>
+        <div class="row">
+          <div class="field">
+            <label>Restore</label>
+            <select class="input" data-restore-scope></select>
+          </div>
+          <div class="field hidden" data-restore-tab-field>
+            <label>Workspace tab</label>
+            <select class="input" data-restore-tab></select>
+          </div>
+        </div>
+      `;
+      const listEl = wrap.querySelector("[data-restore-list]");
+      const scopeEl = wrap.querySelector("[data-restore-scope]");
+      const tabField = wrap.querySelector("[data-restore-tab-field]");
+      const tabEl = wrap.querySelector("[data-restore-tab]");
+
+      SCOPES.forEach(o => {
+        const option = document.createElement("option");
+        option.value = o.id;
+        option.textContent = o.name;
+        scopeEl.appendChild(option);
+      });
+
+      const renderTabs = () => {
+        const point = points.find(p => p.id === selectedId);
+        const tabs = point?.summary?.tabs || [];
+        tabEl.innerHTML = "";
+        tabs.forEach(t => {
+          const option = document.createElement("option");
+          option.value = t.id;
+          const current = (AF.state.workspaces.tabs || []).some(x => x.id === t.id);
+          option.textContent = current ? t.name : `${t.name} (closed)`;
+          tabEl.appendChild(option);
+        });
+        if (!tabs.some(t => t.id === tabId)) tabId = tabs[0]?.id ?? null;
+        if (tabId) tabEl.value = tabId;
+        tabField.classList.toggle("hidden", scopeKind !== "workspace");
+      };
+      const refresh = () => {
+        renderList(listEl, points, selectedId, (id) => {
+          selectedId = id;
+          renderTabs();
+        });
+        renderTabs();
+      };
+
+      scopeEl.addEventListener("change", () => {
+        scopeKind = scopeEl.value;
+        renderTabs();
+      });
+      tabEl.addEventListener("change", () => {
+        tabId = tabEl.value || null;
+      });
+      wrap.querySelector("[data-restore-create]").addEventListener("click", async () => {
+        AF.core.saveBuild();
+        const created = await AF.core.createRestorePoint("Manual", "manual");
+        if (!created) return;
+        points = await AF.core.listRestorePoints();
+        selectedId = created.id;
+        refresh();
+        setStatus("Restore point created.", "success");
+      });
+      refresh();
+
+      const res = await dialog.open({
+        title: "Restore Point",
+        contentEl: wrap,
+        buttons: [
+          { id: "cancel", label: "Cancel", kind: "default" },
+          { id: "restore", label: "Restore", kind: "danger" },
+        ],
+        defaultButtonId: "cancel",
+        cancelButtonId: "cancel",
+        enterAction: "none",
+        dialogClass: "dialog--restorePoints",
+      });
+      if (res?.id !== "restore") return;
+
+      const point = points.find(p => p.id === selectedId);
+      if (!point) {
+        setStatus("Select a restore point first.", "warning");
+        return;
+      }
+      if (scopeKind === "workspace" && !tabId) {
+        setStatus("That restore point has no workspace tabs.", "warning");
+        return;
+      }
+
+      const ok = await AF.core.restoreFromPoint(point.id, { kind: scopeKind, tabId: tabId || undefined });
+      if (!ok) {
+        setStatus("Could not restore from that point.", "error");
+        return;
+      }
+      const when = new Date(point.at).toLocaleString();
+      const what = scopeKind === "db" ? "Database" : scopeKind === "workspace" ? "Workspace tab" : "Everything";
+      setStatus(`${what} restored from ${when}.`, "success");
+    }
+
+    return { open };
+  })();
+
+  AF.ui.restorePoints = restorePoints;
+
+  const syncConflicts = (() => {
+    const CHOICES = [
+      { id: "mine", label: "This window" },
+      { id: "theirs", label: "Other window" },
+    ];
+
+    /**
+     * Ask which version to keep for records changed both here and in another window.
+     * Waits until any other dialog is closed; closing this one keeps this window's versions.
+     * @param {Array<StorageConflict>} conflicts
+     * @returns {Promise<Object<string, ("mine"|"theirs")>>}
+     */
+    async function resolve(conflicts) {
+      while (dialog.isOpen()) {
+        await new Promise(r => setTimeout(r, 500));
+      }
+
+      /** @type {Object<string, ("mine"|"theirs")>} */
+      const choices = {};
+      conflicts.forEach(c => (choices[c.key] = "mine"));
+
+      const wrap = document.createElement("div");
+      wrap.className = "syncConflicts";
+      wrap.innerHTML = `
+        <div class="hint" style="margin-top: 0;">
+          The planner is open in another window, and both windows changed the items below.
+          Pick the version to keep for each; the other version is discarded in both windows.
+        </div>
+        <div class="syncConflicts__list" data-conflict-list></div>
+      `;
+      const listEl = wrap.querySelector("[data-conflict-list]");
+      conflicts.forEach(c => {
+        const row = document.createElement("div");
+        row.className = "syncConflicts__item";
+        const describe = (deleted) => (deleted ? (c.kind === "workspace" ? "closed" : "deleted") : "edited");
+        row.innerHTML = `
+          <div>
+            <div><strong>${escapeHtml(c.name)}</strong> <span class="hint">${escapeHtml(c.kind)}</span></div>
+            <div class="hint">This window: ${describe(c.mineDeleted)} • Other window: ${describe(c.theirsDeleted)}</div>
+          </div>
+          <select class="input"></select>
+        `;
+        const select = row.querySelector("select");
+        CHOICES.forEach(o => {
+          const option = document.createElement("option");
+          option.value = o.id;
+          option.textContent = o.label;
+          select.appendChild(option);
+        });
+        select.value = choices[c.key];
+        select.addEventListener("change", () => {
+          choices[c.key] = select.value === "theirs" ? "theirs" : "mine";
+        });
+        listEl.appendChild(row);
+      });
+
+      const res = await dialog.open({
+        title: "Changed in Another Window",
+        contentEl: wrap,
+        buttons: [
+          { id: "theirs", label: "Use Other Window's", kind: "default" },
+          { id: "mine", label: "Keep This Window's", kind: "default" },
+          { id: "apply", label: "Apply", kind: "primary" },
+        ],
+        defaultButtonId: "apply",
+        cancelButtonId: "mine",
+        enterAction: "none",
+        closeOnOverlay: false,
+        dialogClass: "dialog--syncConflicts",
+      });
+
+      if (res?.id === "apply") return choices;
+      const all = res?.id === "theirs" ? "theirs" : "mine";
+      conflicts.forEach(c => (choices[c.key] = all));
+      return choices;
+    }
+
+    return { resolve };
+  })();
+
+  AF.ui.syncConflicts = syncConflicts;
+
+  const dbMerge = (() => {
+    const COLLECTION_LABELS = { materials: "Materials", machines: "Machines", recipes: "Recipes", blueprints: "Blueprints" };
+    const STATUS_LABELS = { added: "New", changed: "Changed", conflict: "Conflict", same: "Unchanged" };
+    const RESOLUTION_LABELS = {
+      add: "Add",
+      skip: "Skip",
+      keep: "Keep current",
+      incoming: "Use file's version",
+      copy: "Add as separate entry",
+    };
+    /** @type {Object<string, Array<DbMergeResolution>>} */
+    const RESOLUTIONS_BY_STATUS = {
+      added: ["add", "skip"],
+      changed: ["keep", "incoming"],
+      conflict: ["keep", "incoming", "copy"],
+      same: [],
+    };
+
+    /** Short, readable form of one field value; IDs are shown by name. */
+    function formatValue(value, names) {
+      if (value === null || value === undefined || value === "") return "—";
+      if (typeof value === "boolean") return value ? "yes" : "no";
+      if (typeof value === "string") return names[value] || value;
+      if (typeof value === "number") return String(value);
+      if (Array.isArray(value)) {
+        if (value.every(v => v && typeof v === "object" && "materialId" in v && "items" in v)) {
+          return value.map(v => `${v.items} × ${names[v.materialId] || v.materialId || "?"}`).join(", ") || "—";
+        }
+        return `${value.length} entr${value.length === 1 ? "y" : "ies"}`;
+      }
+      const json = JSON.stringify(value);
+      return json.length > 80 ? `${json.slice(0, 77)}…` : json;
+    }
+
+    function describeMatch(entry) {
+      if (entry.reason) return entry.reason;
+      if (entry.match === "name") return `Matched by name (ID differs here)`;
+      if (entry.match === "id") return "Matched by ID";
+      return "Not in this database";
+    }
+
+    /**
+     * @param {HTMLElement} listEl
+     * @param {DbDiff} diff
+     * @param {Object<string, DbMergeResolution>} choices
+     * @param {boolean} showAll
+     */
+    function renderEntries(listEl, diff, choices, showAll) {
+      listEl.innerHTML = "";
+      Object.keys(COLLECTION_LABELS).forEach(collection => {
+        const entries = diff.entries.filter(e => e.collection === collection && (showAll || e.status !== "same"));
+        if (entries.length === 0) return;
+
+        const section = document.createElement("div");
+        section.className = "dbMerge__section";
+        section.innerHTML = `<div class="dbMerge__sectionTitle">${COLLECTION_LABELS[collection]} (${entries.length})</div>`;
+        entries.forEach(entry => {
+          const row = document.createElement("div");
+          row.className = `dbMerge__item dbMerge__item--${entry.status}`;
+          const rename = entry.localName && entry.localName !== entry.name ? ` <span class="hint">(here: ${escapeHtml(entry.localName)})</span>` : "";
+          row.innerHTML = `
+            <div class="dbMerge__head">
+              <div>
+                <strong>${escapeHtml(entry.name)}</strong>${rename}
+                <span class="dbMerge__status">${STATUS_LABELS[entry.status]}</span>
+                <div class="hint">${escapeHtml(describeMatch(entry))}</div>
+              </div>
+            </div>
+          `;
+          const options = RESOLUTIONS_BY_STATUS[entry.status];
+          if (options.length > 0) {
+            const select = document.createElement("select");
+            select.className = "input";
+            options.forEach(id => {
+              const option = document.createElement("option");
+              option.value = id;
+              option.textContent = RESOLUTION_LABELS[id];
+              select.appendChild(option);
+            });
+            select.value = choices[entry.key];
+            select.addEventListener("change", () => (choices[entry.key] = /** @type {DbMergeResolution} */ (select.value)));
+            row.querySelector(".dbMerge__head").appendChild(select);
+          }
+          if (entry.differences.length > 0) {
+            const table = document.createElement("table");
+            table.className = "dbMerge__diff";
+            table.innerHTML = `
+              <thead><tr><th>Field</th><th>This database</th><th>File</th></tr></thead>
+              <tbody>
+                ${entry.differences.map(d => `
+                  <tr>
+                    <td>${escapeHtml(d.field)}</td>
+                    <td>${escapeHtml(formatValue(d.local, diff.names))}</td>
+                    <td>${escapeHtml(formatValue(d.incoming, diff.names))}</td>
+                  </tr>
+                `).join("")}
+              </tbody>
+            `;
+            row.appendChild(table);
+          }
+          section.appendChild(row);
+        });
+        listEl.appendChild(section);
+      });
+      if (!listEl.firstChild) {
+        listEl.innerHTML = `<div class="hint">Nothing to merge: every entry in the file is already in this database.</div>`;
+      }
+    }
+
+    /**
+     * Compare a DB/full-state JSON file with the current database and merge the chosen entries.
+     * @param {File} file
+     */
+    async function openFile(file) {
+      /** @type {DbDiff} */
+      let diff;
+      try {
+        diff = AF.core.diffDatabase(JSON.parse(await file.text()));
+      } catch (err) {
+        console.error(err);
+        setStatus("Failed to read the database file (invalid JSON).", "error");
+        return;
+      }
+      await review(diff, { label: file.name });
+    }
+
+    /**
+     * Show a diff, let the user pick a resolution per entry and merge. Also used by the spreadsheet import,
+     * which lists its skipped rows in `errors` and defaults matched entries to the file's version.
+     * @param {DbDiff} diff
+     * @param {{ label: string, title?: string, verb?: string, errors?: Array<DbSheetRowError>, preferIncoming?: boolean }} options
+     */
+    async function review(diff, options) {
+      /** @type {Object<string, DbMergeResolution>} */
+      const choices = {};
+      diff.entries.forEach(e => {
+        const preferIncoming = options.preferIncoming && (e.status === "changed" || e.status === "conflict");
+        choices[e.key] = preferIncoming ? "incoming" : AF.core.getDefaultMergeResolution(e.status);
+      });
+      const count = (status) => diff.entries.filter(e => e.status === status).length;
+      const byName = diff.entries.filter(e => e.match === "name").length;
+      const errors = options.errors || [];
+
+      const wrap = document.createElement("div");
+      wrap.className = "dbMerge";
+      wrap.innerHTML = `
+        <div class="hint" style="margin-top: 0;">
+          <strong>${escapeHtml(options.label)}</strong>: ${count("added")} new • ${count("changed")} changed •
+          ${count("conflict")} conflicting • ${count("same")} unchanged.
+          Entries are matched by ID, then by name; references to them in the file are rewritten to match.
+        </div>
+        ${errors.length > 0 ? `
+          <div class="dbMerge__errors">
+            <div class="dbMerge__sectionTitle">Skipped rows and columns (${errors.length})</div>
+            <ul>${errors.map(e => `<li>Row ${e.row}: ${escapeHtml(e.message)}</li>`).join("")}</ul>
+          </div>
+        ` : ""}
+        <div class="row">
+          <div class="field">
+            <label>Show</label>
+            <select class="input" data-merge-show>
+              <option value="changes">Differences only</option>
+              <option value="all">All entries</option>
+            </select>
+          </div>
+          <div class="field${byName === 0 ? " hidden" : ""}">
+            <label>IDs of entries matched by name (${byName})</label>
+            <select class="input" data-merge-ids>
+              <option value="local">Keep this database's IDs</option>
+              <option value="incoming">Use the file's IDs (rewrites all tabs and blueprints)</option>
+            </select>
+          </div>
+        </div>
+        <div class="row">
+          <button type="button" class="btn btn--sm" data-merge-all="keep">Keep all current</button>
+          <button type="button" class="btn btn--sm" data-merge-all="incoming">Use file's version for all</button>
+          ${diff.build ? `
+            <label class="checkboxRow">
+              <input type="checkbox" data-merge-open-build />
+              <div>Also open the file's production as a new tab</div>
+            </label>
+          ` : ""}
+        </div>
+        <div class="dbMerge__list" data-merge-list></div>
+      `;
+      const listEl = wrap.querySelector("[data-merge-list]");
+      const showEl = wrap.querySelector("[data-merge-show]");
+      const idsEl = wrap.querySelector("[data-merge-ids]");
+      const openBuildEl = wrap.querySelector("[data-merge-open-build]");
+      const refresh = () => renderEntries(listEl, diff, choices, showEl.value === "all");
+
+      showEl.addEventListener("change", refresh);
+      wrap.querySelectorAll("[data-merge-all]").forEach(btn => {
+        btn.addEventListener("click", () => {
+          const resolution = btn.getAttribute("data-merge-all");
+          diff.entries.forEach(e => {
+            if (e.status === "changed" || e.status === "conflict") choices[e.key] = /** @type {DbMergeResolution} */ (resolution);
+          });
+          refresh();
+        });
+      });
+      refresh();
+
+      const res = await dialog.open({
+        title: options.title || "Merge Database",
+        contentEl: wrap,
+        buttons: [
+          { id: "cancel", label: "Cancel", kind: "default" },
+          { id: "merge", label: "Merge", kind: "primary" },
+        ],
+        defaultButtonId: "merge",
+        cancelButtonId: "cancel",
+        enterAction: "none",
+        dialogClass: "dialog--dbMerge",
+      });
+      if (res?.id !== "merge") return;
+
+      const summary = await AF.core.mergeDatabase(diff, choices, {
+        adoptIncomingIds: idsEl.value === "incoming",
+        openBuild: !!openBuildEl?.checked,
+        label: options.label,
+      });
+      if (!summary) return;
+      const parts = [`${summary.added} added`, `${summary.updated} updated`];
+      if (summary.renamedLocal > 0) parts.push(`${summary.renamedLocal} re-identified`);
+      if (summary.openedBuild) parts.push("production opened in a new tab");
+      setStatus(`${options.verb || "Merged"} ${options.label}: ${parts.join(", ")}.`, "success");
+    }
+
+    function wireInput() {
+      const input = $("#mergeDbInput");
+      if (!input) return;
+      input.addEventListener("change", async () => {
+        const file = input.files?.[0];
+        if (!file) return;
+        await openFile(file);
+      });
+    }
+
+    return { openFile, review, wireInput };
+  })();
+
+  AF.ui.dbMerge = dbMerge;
+
+  const dbSheet = (() => {
+    /** File → Export Spreadsheet…: pick a table and a format, then download it. */
+    async function openExport() {
+      const wrap = document.createElement("div");
+      wrap.innerHTML = `
+        <div class="row">
+          <div class="field">
+            <label>Table</label>
+            <select class="input" data-sheet-table>
+              <option value="materials">Materials</option>
+              <option value="machines">Machines</option>
+              <option value="recipes">Recipes (one row per input/output)</option>
+            </select>
+          </div>
+          <div class="field">
+            <label>Format</label>
+            <select class="input" data-sheet-format>
+              <option value="csv">CSV (comma-separated)</option>
+              <option value="tsv">TSV (tab-separated)</option>
+            </select>
+          </div>
+        </div>
+        <div class="hint">Recipes name their machine and materials, so the file can be edited in a spreadsheet and imported again.</div>
+      `;
+      const res = await dialog.open({
+        title: "Export Spreadsheet",
+        contentEl: wrap,
+        buttons: [
+          { id: "cancel", label: "Cancel", kind: "default" },
+          { id: "export", label: "Export", kind: "primary" },
+        ],
+        defaultButtonId: "export",
+        cancelButtonId: "cancel",
+      });
+      if (res?.id !== "export") return;
+      AF.core.exportDbSheet(
+        /** @type {any} */ (wrap.querySelector("[data-sheet-table]").value),
+        /** @type {any} */ (wrap.querySelector("[data-sheet-format]").value)
+      );
+    }
+
+    /**
+     * Read a CSV/TSV table and review it like a database merge.
+     * @param {File} file
+     */
+    async function importFile(file) {
+      const result = AF.core.readDbSheet(await file.text());
+      if (!result.diff) {
+        await dialog.alert(result.errors.map(e => e.message).join("\n"), { title: "Cannot import spreadsheet" });
+        return;
+      }
+      await dbMerge.review(result.diff, {
+        label: file.name,
+        title: "Import Spreadsheet",
+        verb: "Imported",
+        errors: result.errors,
+        preferIncoming: true,
+      });
+    }
+
+    function wireInput() {
+      const input = $("#sheetImportInput");
+      if (!input) return;
+      input.addEventListener("change", async () => {
+        const file = input.files?.[0];
+        if (!file) return;
+        await importFile(file);
+      });
+    }
+
+    return { openExport, importFile, wireInput };
+  })();
+
+  AF.ui.dbSheet = dbSheet;
+
+  const dbDelete = (() => {
+    const NOUNS = { materials: "material", machines: "machine", recipes: "recipe" };
+
+    /** Entries the references can be re-pointed at, recipes labelled with their machine. */
+    function getReplacementOptions(collection, id) {
+      return AF.state.db[collection]
+        .filter(x => x.id !== id)
+        .map(x => {
+          const machine = collection === "recipes" ? AF.core.getMachineById(x.machineId) : null;
+          return { id: x.id, label: machine ? `${x.name} (${machine.name})` : x.name };
+        })
+        .sort((a, b) => a.label.localeCompare(b.label));
+    }
+
+    /**
+     * Ask before deleting a material, machine or recipe. When anything still uses it, an impact preview offers
+     * to remove those references or re-point them at another entry.
+     * @param {("materials"|"machines"|"recipes")} collection
+     * @param {string} id
+     * @returns {Promise<boolean>} true when the entry was deleted
+     */
+    async function run(collection, id) {
+      const item = AF.state.db[collection].find(x => x.id === id);
+      if (!item) return false;
+      const noun = NOUNS[collection];
+      const groups = AF.core.findDbReferences(collection, id);
+
+      if (groups.length === 0) {
+        const ok = await dialog.confirm(`Delete ${noun} "${item.name}"? Nothing else uses it.`, {
+          title: `Delete ${noun}`,
+          okText: "Delete",
+          danger: true,
+        });
+        if (!ok) return false;
+        AF.core.deleteDbEntry(collection, id, null);
+        return true;
+      }
+
+      const options = getReplacementOptions(collection, id);
+      const wrap = document.createElement("div");
+      wrap.className = "dbDelete";
+      wrap.innerHTML = `
+        <div class="hint" style="margin-top: 0;"><strong>${escapeHtml(item.name)}</strong> is still used by:</div>
+        <ul class="dbDelete__list">
+          ${groups.map(g => `
+            <li><strong>${escapeHtml(g.label)}</strong>: ${escapeHtml(g.items.join(", "))}</li>
+          `).join("")}
+        </ul>
+        <div class="hint">
+          <strong>Remove references</strong> clears them: recipe rows, toppers and storage rows using it are dropped,
+          cards keep their place without it. <strong>Replace</strong> points them at another ${noun} instead.
+        </div>
+        ${options.length > 0 ? `
+          <div class="field">
+            <label>Replace with</label>
+            <select class="input" data-delete-replacement>
+              ${options.map(o => `<option value="${escapeHtml(o.id)}">${escapeHtml(o.label)}</option>`).join("")}
+            </select>
+          </div>
+        ` : ""}
+      `;
+
+      const buttons = [
+        { id: "cancel", label: "Cancel", kind: "default" },
+        { id: "cascade", label: "Remove References & Delete", kind: "danger" },
+      ];
+      if (options.length > 0) buttons.push({ id: "replace", label: "Replace & Delete", kind: "primary" });
+      const res = await dialog.open({
+        title: `Delete ${noun}`,
+        contentEl: wrap,
+        buttons,
+        defaultButtonId: "cancel",
+        cancelButtonId: "cancel",
+        dialogClass: "dialog--dbDelete",
+      });
+      if (res?.id === "cascade") {
+        AF.core.deleteDbEntry(collection, id, null);
+        return true;
+      }
+      if (res?.id === "replace") {
+        const replacementId = wrap.querySelector("[data-delete-replacement]")?.value || null;
+        if (!replacementId) return false;
+        AF.core.deleteDbEntry(collection, id, replacementId);
+        return true;
+      }
+      return false;
+    }
+
+    return { run };
+  })();
+
+  AF.ui.dbDelete = dbDelete;
+
+  const dbCheck = (() => {
+    const COLLECTION_NOUNS = { materials: "Material", machines: "Machine", recipes: "Recipe" };
+
+    /**
+     * File → Check Database: run the database checks and list the findings. Clicking one closes the dialog and
+     * opens the entry in the database editor.
+     */
+    async function open() {
+      const issues = AF.core.checkDatabase();
+      if (issues.length === 0) {
+        setStatus("Database check: no problems found.", "success");
+        return;
+      }
+      const errors = issues.filter(i => i.severity === "error").length;
+
+      const wrap = document.createElement("div");
+      wrap.className = "dbCheck";
+      wrap.innerHTML = `
+        <div class="hint" style="margin-top: 0;">
+          ${errors} error(s) • ${issues.length - errors} warning(s). Click an entry to open it in the editor.
+        </div>
+        <div class="dbCheck__list">
+          ${issues.map((issue, idx) => `
+            <button type="button" class="dbCheck__item dbCheck__item--${issue.severity}" data-check-idx="${idx}">
+              <span class="dbCheck__severity">${issue.severity === "error" ? "Error" : "Warning"}</span>
+              <span class="dbCheck__name">${COLLECTION_NOUNS[issue.collection]} "${escapeHtml(issue.name)}"</span>
+              <span class="dbCheck__message">${escapeHtml(issue.message)}</span>
+            </button>
+          `).join("")}
+        </div>
+      `;
+      /** @type {DbCheckIssue|null} */
+      let picked = null;
+      wrap.addEventListener("click", (e) => {
+        const btn = e.target.closest?.("[data-check-idx]");
+        if (!btn) return;
+        picked = issues[Number(btn.getAttribute("data-check-idx"))] || null;
+        dialog.close();
+      });
+
+      await dialog.open({
+        title: "Check Database",
+        contentEl: wrap,
+        buttons: [{ id: "close", label: "Close", kind: "primary" }],
+        defaultButtonId: "close",
+        cancelButtonId: "close",
+        dialogClass: "dialog--dbCheck",
+      });
+      if (picked) revealDbEntry(picked.collection, picked.id);
+    }
+
+    return { open };
+  })();
 
-      const field = document.createElement("div");
-      field.className = "field";
+  AF.ui.dbCheck = dbCheck;
 
-      const input = document.createElement("input");
-      input.className = "input quickCalc__input";
-      input.type = "text";
-      input.placeholder = "e.g. (2+3)*4";
-      input.value = String(initial ?? "");
+  const profiles = (() => {
+    const COLLECTION_NOUNS = { materials: "Material", machines: "Machine", recipes: "Recipe", blueprints: "Blueprint" };
 
-      const result = document.createElement("div");
-      result.className = "quickCalc__result";
+    const profileName = (id) => (AF.state.profiles.find(p => p.id === id)?.name ?? id);
 
-      field.appendChild(input);
-      wrap.appendChild(hint);
-      wrap.appendChild(field);
-      wrap.appendChild(result);
+    /** Fill the header profile switcher. */
+    function render() {
+      const select = /** @type {HTMLSelectElement|null} */ ($("#profileSelect"));
+      if (!select) return;
+      const activeId = AF.core.getActiveProfileId();
+      select.innerHTML = AF.state.profiles
+        .map(p => `<option value="${escapeHtml(p.id)}"${p.id === activeId ? " selected" : ""}>${escapeHtml(p.name)}</option>`)
+        .join("");
+      select.value = activeId;
+    }
 
-      input.addEventListener("keydown", (e) => {
-        if (e.key !== "Enter") return;
-        e.preventDefault();
-        const expr = input.value;
-        try {
-          const val = evalExpression(expr);
-          const text = formatResult(val);
-          input.value = text;
-          input.select();
-          result.textContent = text;
-          result.classList.remove("is-error");
-        } catch (err) {
-          const msg = (err && err.message) ? String(err.message) : "Invalid expression.";
-          result.textContent = msg;
-          result.classList.add("is-error");
-        }
+    function wire() {
+      const select = /** @type {HTMLSelectElement|null} */ ($("#profileSelect"));
+      if (!select) return;
+      select.addEventListener("change", () => {
+        const id = select.value;
+        if (AF.core.switchProfile(id)) setStatus(`Switched to profile "${profileName(id)}".`, "info");
+        renderWorkspaceTabsUI();
       });
+    }
 
-      // Open dialog (Enter is reserved for our input handler)
-      void AF.ui.dialog
-        .open({
-          title: "Quick Calculator",
+    /** @returns {Promise<boolean>} true when a profile was created (and switched to) */
+    async function createNew() {
+      const name = await dialog.prompt("Name of the new database profile:", `Profile ${AF.state.profiles.length + 1}`, { title: "New profile" });
+      if (!name) return false;
+      const wrap = document.createElement("div");
+      wrap.innerHTML = `
+        <div>Start "${escapeHtml(name)}" as a copy of the current profile's database (materials, machines, recipes,
+        blueprints and cost settings), or empty?</div>
+      `;
+      const res = await dialog.open({
+        title: "New profile",
+        contentEl: wrap,
+        buttons: [
+          { id: "cancel", label: "Cancel", kind: "default" },
+          { id: "empty", label: "Start Empty", kind: "default" },
+          { id: "copy", label: `Copy "${profileName(AF.core.getActiveProfileId())}"`, kind: "primary" },
+        ],
+        defaultButtonId: "copy",
+        cancelButtonId: "cancel",
+      });
+      if (res?.id !== "copy" && res?.id !== "empty") return false;
+      const profile = AF.core.createProfile({ name, copyActive: res.id === "copy" });
+      AF.core.switchProfile(profile.id);
+      renderWorkspaceTabsUI();
+      setStatus(`Created profile "${profile.name}".`, "success");
+      return true;
+    }
+
+    /**
+     * Profile list with switch, new, rename and delete. Rename and delete ask in a follow-up dialog and then
+     * come back to the list.
+     */
+    async function manage() {
+      let selectedId = AF.core.getActiveProfileId();
+      for (;;) {
+        const activeId = AF.core.getActiveProfileId();
+        if (!AF.state.profiles.some(p => p.id === selectedId)) selectedId = activeId;
+
+        const wrap = document.createElement("div");
+        wrap.className = "profiles";
+        wrap.innerHTML = `
+          <div class="hint" style="margin-top: 0;">
+            Each profile has its own materials, machines, recipes, blueprints and cost settings. Workspace tabs belong
+            to one profile; the tab bar shows the tabs of the active profile.
+          </div>
+          <div class="profiles__list">
+            ${AF.state.profiles.map(p => {
+              const tabs = AF.core.getProfileTabs(p.id).length;
+              return `
+                <label class="profiles__item">
+                  <input type="radio" name="profile" value="${escapeHtml(p.id)}" ${p.id === selectedId ? "checked" : ""} />
+                  <div>
+                    <div><strong>${escapeHtml(p.name)}</strong>${p.id === activeId ? " — active" : ""}</div>
+                    <div class="hint">${tabs} workspace tab${tabs === 1 ? "" : "s"}</div>
+                  </div>
+                </label>
+              `;
+            }).join("")}
+          </div>
+        `;
+        wrap.querySelectorAll("input[name=profile]").forEach(input => {
+          input.addEventListener("change", () => (selectedId = /** @type {HTMLInputElement} */ (input).value));
+        });
+
+        const res = await dialog.open({
+          title: "Database Profiles",
           contentEl: wrap,
-          buttons: [{ id: "close", label: "Close", kind: "default" }],
-          defaultButtonId: "close",
+          buttons: [
+            { id: "close", label: "Close", kind: "default" },
+            { id: "new", label: "New Profile…", kind: "default" },
+            { id: "rename", label: "Rename…", kind: "default" },
+            { id: "delete", label: "Delete…", kind: "danger" },
+            { id: "switch", label: "Switch To", kind: "primary" },
+          ],
+          defaultButtonId: "switch",
           cancelButtonId: "close",
-          closeOnOverlay: true,
-          closeOnEsc: true,
           enterAction: "none",
-          dialogClass: "dialog--quickCalc",
-        })
-        .finally(() => {
-          isOpen = false;
+          dialogClass: "dialog--profiles",
         });
+        const profile = AF.state.profiles.find(p => p.id === selectedId) ?? null;
 
-      // Focus the input (dialog's built-in focus targets its own managed input, not ours)
-      setTimeout(() => {
-        input.focus();
-        input.select();
-      }, 0);
+        if (res?.id === "new") {
+          if (await createNew()) return;
+        } else if (res?.id === "switch" && profile) {
+          if (AF.core.switchProfile(profile.id)) setStatus(`Switched to profile "${profile.name}".`, "info");
+          renderWorkspaceTabsUI();
+          return;
+        } else if (res?.id === "rename" && profile) {
+          const name = await dialog.prompt("Rename this database profile:", profile.name, { title: "Rename profile" });
+          if (name && AF.core.renameProfile(profile.id, name)) {
+            renderWorkspaceTabsUI();
+            setStatus(`Renamed profile to "${name}".`, "success");
+          }
+        } else if (res?.id === "delete" && profile) {
+          if (profile.id === "default" || profile.id === activeId) {
+            await dialog.alert(
+              profile.id === "default"
+                ? "The default profile cannot be deleted."
+                : "This profile is active. Switch to another profile before deleting it.",
+              { title: "Cannot delete profile" }
+            );
+            continue;
+          }
+          const tabs = AF.core.getProfileTabs(profile.id).length;
+          const ok = await dialog.confirm(
+            `Delete profile "${profile.name}" with its database and ${tabs} workspace tab${tabs === 1 ? "" : "s"}?\n\nA restore point is taken first.`,
+            { title: "Delete profile", danger: true, okText: "Delete" }
+          );
+          if (ok && await AF.core.deleteProfile(profile.id)) {
+            renderWorkspaceTabsUI();
+            setStatus(`Deleted profile "${profile.name}".`, "info");
+          }
+        } else {
+          return;
+        }
+      }
     }
 
-    function handleGlobalKeydown(e) {
-      if (e.defaultPrevented) return;
-      if (e.ctrlKey || e.metaKey || e.altKey) return;
-      if (isTypingTarget(e.target)) return;
+    /** @param {ProfileMigrationReport} report */
+    function describeReport(report) {
+      const target = escapeHtml(profileName(report.toProfileId));
+      const line = (e) => `<li>${COLLECTION_NOUNS[e.collection]} "${escapeHtml(e.name)}" (${e.references} reference${e.references === 1 ? "" : "s"})</li>`;
+      const removed = report.unmapped.filter(e => e.collection !== "blueprints");
+      const copied = report.unmapped.filter(e => e.collection === "blueprints");
+      return `
+        <div>${report.mapped.length} entr${report.mapped.length === 1 ? "y" : "ies"} matched by name in "${target}".</div>
+        ${removed.length > 0 ? `
+          <div>Not found in "${target}"; these references are removed from the canvas (cards lose their machine or recipe):</div>
+          <ul class="profiles__report">${removed.map(line).join("")}</ul>
+        ` : ""}
+        ${copied.length > 0 ? `
+          <div>Blueprints not found in "${target}"; they are copied into it:</div>
+          <ul class="profiles__report">${copied.map(line).join("")}</ul>
+        ` : ""}
+      `;
+    }
 
-      if (e.key === "o" || e.key === "O") {
-        e.preventDefault();
-        open("");
+    /** Move the active workspace to another profile, after previewing what maps and what does not. */
+    async function migrate() {
+      const activeId = AF.core.getActiveProfileId();
+      const targets = AF.state.profiles.filter(p => p.id !== activeId);
+      if (targets.length === 0) {
+        await dialog.alert("There is no other database profile yet. Create one under Profile ⚙ first.", { title: "Move workspace" });
+        return;
       }
-    }
+      const tab = AF.core.getActiveWorkspaceTab();
+      if (!tab) return;
 
-    function wireGlobalHotkey() {
-      document.addEventListener("keydown", handleGlobalKeydown, true);
+      const wrap = document.createElement("div");
+      wrap.className = "profiles";
+      wrap.innerHTML = `
+        <div class="hint" style="margin-top: 0;">
+          Moves "${escapeHtml(tab.name)}" from "${escapeHtml(profileName(activeId))}" to another profile. Materials, machines,
+          recipes and blueprints are matched by name. Undo history of this tab is cleared.
+        </div>
+        <div class="field">
+          <label>Target profile</label>
+          <select class="input" data-migrate-target>
+            ${targets.map(p => `<option value="${escapeHtml(p.id)}">${escapeHtml(p.name)}</option>`).join("")}
+          </select>
+        </div>
+        <div data-migrate-report></div>
+      `;
+      const select = /** @type {HTMLSelectElement} */ (wrap.querySelector("[data-migrate-target]"));
+      const reportEl = wrap.querySelector("[data-migrate-report]");
+      const preview = () => {
+        const report = AF.core.previewWorkspaceMigration(select.value);
+        reportEl.innerHTML = report ? describeReport(report) : "";
+      };
+      select.addEventListener("change", preview);
+      preview();
+
+      const res = await dialog.open({
+        title: "Move Workspace to Profile",
+        contentEl: wrap,
+        buttons: [
+          { id: "cancel", label: "Cancel", kind: "default" },
+          { id: "move", label: "Move Workspace", kind: "primary" },
+        ],
+        defaultButtonId: "move",
+        cancelButtonId: "cancel",
+        enterAction: "none",
+        dialogClass: "dialog--profiles",
+      });
+      if (res?.id !== "move") return;
+
+      const report = AF.core.migrateWorkspaceToProfile(select.value);
+      if (!report) return;
+      renderWorkspaceTabsUI();
+      const unmapped = report.unmapped.length;
+      setStatus(
+        `Moved "${tab.name}" to profile "${profileName(report.toProfileId)}": ${report.mapped.length} matched, ${unmapped} unmapped.`,
+        unmapped > 0 ? "warn" : "success"
+      );
     }
 
-    return { open, wireGlobalHotkey };
+    return { render, manage, migrate, wire };
   })();
 
-  AF.ui.quickCalc = quickCalc;
+  AF.ui.profiles = profiles;
 
 
   // Export UI init for app.js orchestrator
@@ -603,11 +3676,20 @@
     wireWorkspaceTabs();
     wireSearch();
     quickCalc.wireGlobalHotkey();
+    historyMenu.wireGlobalHotkey();
+    historyMenu.renderMenu();
     wireAddButtons();
     wireListsAndForms();
     wireImportInput();
     wireBuildImportInput();
+    dbMerge.wireInput();
+    dbSheet.wireInput();
+    profiles.wire();
     wireCanvas();
+    canvasClipboard.wire();
+    canvasMinimap.wire();
+    materialReports.wire();
+    wireProductionSummary();
   }
 
   function wireMenus() {
@@ -620,7 +3702,7 @@
 
       const dropdownItem = e.target.closest?.("[data-action]");
       if (dropdownItem && dropdownItem.getAttribute("role") === "menuitem") {
-        void handleAction(dropdownItem.dataset.action);
+        void handleAction(dropdownItem.dataset.action, { ...dropdownItem.dataset });
         closeAllMenus();
         return;
       }
@@ -1055,7 +4137,7 @@
 
         const closed = AF.core?.closeWorkspaceTab?.(id);
         if (!closed) {
-          await AF.ui.dialog.alert("You must keep at least one workspace tab open.", { title: "Cannot close tab" });
+          await AF.ui.dialog.alert("You must keep at least one workspace tab open in this profile.", { title: "Cannot close tab" });
           return;
         }
         renderWorkspaceTabsUI();
@@ -1084,6 +4166,12 @@
         setStatus(`Renamed tab to "${name}".`, "success");
         return;
       }
+      case "workspace:migrate":
+        await profiles.migrate();
+        return;
+      case "profile:manage":
+        await profiles.manage();
+        return;
       case "file:new": {
         const ok = await AF.ui.dialog.confirm(
           "This will clear the local database stored in your browser. Continue?",
@@ -1098,9 +4186,43 @@
       case "file:export-full":
         AF.core?.exportFullState?.();
         return;
+      case "file:merge-db": {
+        const input = $("#mergeDbInput");
+        if (!input) return;
+        input.value = "";
+        input.click();
+        return;
+      }
+      case "file:export-sheet":
+        await dbSheet.openExport();
+        return;
+      case "file:import-sheet": {
+        const input = $("#sheetImportInput");
+        if (!input) return;
+        input.value = "";
+        input.click();
+        return;
+      }
       case "file:export-build":
         AF.core?.exportBuildState?.();
         return;
+      case "file:export-image":
+        await buildExport.openImageExport();
+        return;
+      case "file:build-sheet":
+        buildExport.openBuildSheet();
+        return;
+      case "file:copy-share-link": {
+        const link = await AF.core.createShareLink();
+        try {
+          await navigator.clipboard.writeText(link);
+          setStatus(`Copied share link for the active production (${Math.ceil(link.length / 1024)} KB).`, "success");
+        } catch {
+          // Permission denied or insecure context (file://): show the link to copy by hand.
+          await AF.ui.dialog.prompt("Copy this link to share the active production:", link, { title: "Share link", okText: "Done" });
+        }
+        return;
+      }
       case "file:load-build": {
         const input = $("#importBuildInput");
         if (!input) return;
@@ -1118,9 +4240,15 @@
       case "file:validate":
         validateCurrentBuild();
         return;
+      case "file:check-db":
+        await dbCheck.open();
+        return;
       case "file:cost-settings":
         openCostSettingsDialog();
         return;
+      case "file:restore-point":
+        await restorePoints.open();
+        return;
       case "file:clear-build": {
         const ok = await AF.ui.dialog.confirm(
           "Clear all machines and connections from the build canvas?",
@@ -1139,6 +4267,33 @@
       case "edit:skills":
         openSkillsDialog();
         return;
+      case "edit:copy":
+        await canvasClipboard.copy();
+        return;
+      case "edit:paste":
+        await canvasClipboard.paste();
+        return;
+      case "edit:undo":
+        historyMenu.undo();
+        return;
+      case "edit:redo":
+        historyMenu.redo();
+        return;
+      case "edit:history-jump":
+        historyMenu.jumpTo(data.historyId);
+        return;
+      case "tools:target-planner":
+        await targetPlanner.open(data.materialId);
+        return;
+      case "tools:simulate":
+        await simulationPanel.open();
+        return;
+      case "tools:profit-report":
+        await profitReport.open();
+        return;
+      case "tools:recipe-graph":
+        await recipeGraph.open();
+        return;
       case "dialog:close":
         closeDialog();
         return;
@@ -1160,6 +4315,9 @@
       case "canvas:center-all":
         centerAllMachinesAtOrigin();
         return;
+      case "canvas:tidy-layout":
+        tidyLayout();
+        return;
       case "canvas:jump-to-coords":
         jumpToCoordinates();
         return;
@@ -1211,6 +4369,12 @@
       case "material:choose-preferred-recipe":
         await choosePreferredRecipeForMaterial(data.materialId);
         return;
+      case "material-report:export":
+        materialReports.exportReport(data.report, data.materialId, data.format);
+        return;
+      case "material-report:place":
+        materialReports.place(data.materialId);
+        return;
       case "preferred-recipe:confirm":
         confirmPreferredRecipeDialogSelection();
         return;
@@ -1337,7 +4501,23 @@
       contextMenu.className = "contextMenu";
       contextMenu.style.left = `${e.clientX}px`;
       contextMenu.style.top = `${e.clientY}px`;
-      contextMenu.innerHTML = `
+
+      // Right-click on a connection: transport type + delete
+      const connectionId = e.target.tagName === "polyline" ? e.target.dataset.connectionId : null;
+      const connection = connectionId ? AF.state.build.connections.find(c => c.id === connectionId) : null;
+      const transport = connection ? AF.calculator.getConnectionTransport(connection) : null;
+
+      contextMenu.innerHTML = connection ? `
+        <button class="contextMenu__item" data-action="connection:set-transport" data-connection-id="${escapeHtml(connection.id)}" data-transport="conveyor">
+          <span>${transport === "conveyor" ? "✓ " : ""}🛤 Conveyor</span>
+        </button>
+        <button class="contextMenu__item" data-action="connection:set-transport" data-connection-id="${escapeHtml(connection.id)}" data-transport="thrown">
+          <span>${transport === "thrown" ? "✓ " : ""}🤚 Thrown</span>
+        </button>
+        <button class="contextMenu__item" data-action="connection:delete" data-connection-id="${escapeHtml(connection.id)}">
+          <span>🗑 Delete Connection</span>
+        </button>
+      ` : `
         <button class="contextMenu__item" data-action="canvas:add-machine">
           <span>+ Add Machine</span>
         </button>
@@ -1382,6 +4562,18 @@
 
     // Handle context menu actions
     document.addEventListener("click", (e) => {
+      const transportItem = e.target.closest("[data-action='connection:set-transport']");
+      if (transportItem) {
+        setConnectionTransport(transportItem.dataset.connectionId, transportItem.dataset.transport);
+        transportItem.closest(".contextMenu")?.remove();
+        return;
+      }
+      const deleteItem = e.target.closest("[data-action='connection:delete']");
+      if (deleteItem) {
+        deleteItem.closest(".contextMenu")?.remove();
+        void deleteConnection(deleteItem.dataset.connectionId);
+        return;
+      }
       if (e.target.closest("[data-action='canvas:add-machine']")) {
         const menu = e.target.closest(".contextMenu");
         if (menu) {
@@ -1659,21 +4851,12 @@
               // Update world position
               pm.x = initialPos.x + worldDx;
               pm.y = initialPos.y + worldDy;
-
-              // Update machine element position directly (faster than full re-render)
-              const machineEl = canvas.querySelector(`[data-placed-machine="${machineId}"]`);
-              if (machineEl) {
-                machineEl.style.left = `${pm.x}px`;
-                machineEl.style.top = `${pm.y}px`;
-              }
             }
           });
 
-          // Re-render connections only (still need this for connection lines to follow)
-          const svgEl = canvas.querySelector("#connectionsSvg");
-          if (svgEl) {
-            AF.render.renderConnections(svgEl);
-          }
+          // Move the rendered cards (mounting culled ones that were dragged into view) and redraw connections,
+          // without a full re-render
+          AF.render.syncCardPositions();
         }
       }
     });
@@ -1713,11 +4896,8 @@
         // Find all machines within selection box
         const selectedIds = [];
         AF.state.build.placedMachines.forEach(pm => {
-          const machineEl = document.querySelector(`[data-placed-machine="${pm.id}"]`);
-          if (!machineEl) return;
-
-          const width = machineEl.offsetWidth;
-          const height = machineEl.offsetHeight;
+          // Culled cards have no element; use their measured size
+          const { width, height } = AF.render.getPlacedMachineSize(pm.id);
 
           // Check if machine intersects with selection box
           const machineRight = pm.x + width;
@@ -1860,6 +5040,19 @@
         }
       }
 
+      // T toggles the selected connection between conveyor and thrown
+      if ((e.key === "t" || e.key === "T") && AF.state.build.selectedConnection && !e.ctrlKey && !e.metaKey && !e.altKey) {
+        if (e.target.tagName === "INPUT" || e.target.tagName === "TEXTAREA" || e.target.tagName === "SELECT") {
+          return;
+        }
+        const conn = AF.state.build.connections.find(c => c.id === AF.state.build.selectedConnection);
+        if (conn) {
+          const next = AF.calculator.getConnectionTransport(conn) === "thrown" ? "conveyor" : "thrown";
+          setConnectionTransport(conn.id, next);
+        }
+        return;
+      }
+
       // Delete key to remove selected machines or connection
       if (e.key === "Delete") {
         // Ignore if user is typing in an input field
@@ -2148,6 +5341,50 @@
     setTimeout(() => AF.render?.updateCameraTransform?.(), 0);
   }
 
+  /**
+   * Open the database sidebar on a material, machine or recipe. Recipes are shown in the editor of their first
+   * output material (expanded), or of their machine when they have no outputs.
+   * @param {("materials"|"machines"|"recipes")} collection
+   * @param {string} id
+   */
+  function revealDbEntry(collection, id) {
+    let kind = collection;
+    let selectId = id;
+    let recipeId = null;
+    if (collection === "recipes") {
+      const recipe = AF.core.getRecipeById(id);
+      if (!recipe) return;
+      recipeId = recipe.id;
+      const outputId = recipe.outputs.find(o => AF.core.getMaterialById(o.materialId))?.materialId;
+      if (outputId) {
+        kind = "materials";
+        selectId = outputId;
+      } else {
+        kind = "machines";
+        selectId = recipe.machineId;
+      }
+    }
+    if (!selectId || (kind !== "materials" && kind !== "machines")) return;
+
+    if (!AF.state.ui.sidebars.database) toggleDatabaseSidebar();
+    AF.state.ui.activeTab = kind;
+    AF.state.ui.filters[kind] = "";
+    const search = $(kind === "materials" ? "#materialSearch" : "#machineSearch");
+    if (search) search.value = "";
+    AF.state.ui.selected[kind] = selectId;
+    renderTabs();
+    if (kind === "materials") renderMaterials();
+    else renderMachines();
+
+    const editor = $(kind === "materials" ? "#materialEditor" : "#machineEditor");
+    const card = recipeId ? $$(".recipeCard").find(c => c.dataset.recipeId === recipeId) : null;
+    if (card) {
+      card.querySelector(".recipeCard__body")?.classList.remove("hidden");
+      card.classList.add("is-open");
+    }
+    (card || editor)?.scrollIntoView?.({ block: "nearest" });
+  }
+
   /**
    * Update layout grid columns based on which sidebars are open
    */
@@ -2436,11 +5673,7 @@
     let maxY = -Infinity;
 
     AF.state.build.placedMachines.forEach(pm => {
-      const machineEl = document.querySelector(`[data-placed-machine="${pm.id}"]`);
-      if (!machineEl) return;
-
-      const width = machineEl.offsetWidth;
-      const height = machineEl.offsetHeight;
+      const { width, height } = AF.render.getPlacedMachineSize(pm.id);
 
       minX = Math.min(minX, pm.x);
       minY = Math.min(minY, pm.y);
@@ -2467,6 +5700,36 @@
     setStatus("All machines centered at origin.");
   }
 
+  /**
+   * Arrange the selected cards (or the whole canvas when fewer than two are selected) in left-to-right flow
+   * layers with `AF.core.layoutBuild`. The arrangement keeps its old top-left corner; saving records one
+   * undo step ("Move N machines").
+   */
+  function tidyLayout() {
+    const selected = new Set(AF.state.build.selectedMachines);
+    const selectionOnly = selected.size > 1;
+    const cards = AF.state.build.placedMachines.filter(pm => !selectionOnly || selected.has(pm.id));
+    if (cards.length < 2) {
+      setStatus("Nothing to tidy: the canvas needs at least two machines.", "warn");
+      return;
+    }
+
+    const sizes = new Map(cards.map(pm => [pm.id, AF.render.getPlacedMachineSize(pm.id)]));
+    const positions = AF.core.layoutBuild(cards, AF.state.build.connections, sizes);
+    const originX = Math.min(...cards.map(pm => pm.x));
+    const originY = Math.min(...cards.map(pm => pm.y));
+    cards.forEach(pm => {
+      const pos = positions.get(pm.id);
+      if (!pos) return;
+      pm.x = Math.round(originX + pos.x);
+      pm.y = Math.round(originY + pos.y);
+    });
+
+    AF.core?.saveBuild?.();
+    AF.scheduler?.invalidate?.({ needsRecalc: false, needsRender: true, forceRecreate: true });
+    setStatus(`Tidied ${selectionOnly ? "the selection" : "the canvas"} (${cards.length} cards).`, "success");
+  }
+
   function addMachineToCanvas(machineId) {
     const machine = AF.core.getMachineById(machineId);
     if (!machine) return;
@@ -2651,6 +5914,25 @@
     }
   }
 
+  /**
+   * @param {string} connectionId
+   * @param {ConnectionTransport} transport
+   */
+  function setConnectionTransport(connectionId, transport) {
+    const conn = AF.state.build.connections.find(c => c.id === connectionId);
+    if (!conn) return;
+    if (AF.calculator.getConnectionTransport(conn) === transport) return;
+
+    conn.transport = transport === "thrown" ? "thrown" : "conveyor";
+    AF.core?.saveBuild?.();
+    AF.scheduler?.invalidate?.({ needsRecalc: true, needsRender: true });
+
+    const speed = AF.calculator.getTransportSpeed(conn);
+    setStatus(conn.transport === "thrown"
+      ? `Connection set to thrown (capped at ${speed}/min).`
+      : `Connection set to conveyor (${speed}/min per belt).`);
+  }
+
   function selectConnection(connectionId) {
     AF.state.build.selectedConnection = connectionId;
     AF.state.build.selectedMachines = []; // Deselect any selected machines
@@ -3018,45 +6300,22 @@
 
   async function deleteRecipe(recipeId) {
     if (!recipeId) return;
-    const ok = await AF.ui.dialog.confirm("Delete this recipe?", { title: "Delete recipe", danger: true });
-    if (!ok) return;
+    // Placed machines, toppers and blueprints using the recipe are handled by the impact preview
+    if (!(await dbDelete.run("recipes", recipeId))) return;
 
-    AF.state.db.recipes = AF.state.db.recipes.filter((r) => r.id !== recipeId);
-    AF.core?.saveDb?.();
-    renderMaterials(); // Re-render to update the recipe list
+    renderAllUIElements();
     setStatus("Recipe deleted.");
   }
 
   async function deleteSelected(kind) {
     const id = AF.state.ui.selected[kind];
     if (!id) return;
-    const ok = await AF.ui.dialog.confirm("Delete this item?", { title: "Delete item", danger: true });
-    if (!ok) return;
+    if (kind !== "materials" && kind !== "machines") return;
+    // Recipes, canvases, blueprints and cost settings using the entry are handled by the impact preview
+    if (!(await dbDelete.run(kind, id))) return;
 
-    if (kind === "materials") {
-      // Also remove material references from recipes
-      AF.state.db.recipes = AF.state.db.recipes.map((r) => ({
-        ...r,
-        inputs: r.inputs.filter((io) => io.materialId !== id),
-        outputs: r.outputs.filter((io) => io.materialId !== id),
-      }));
-      AF.state.db.materials = AF.state.db.materials.filter((m) => m.id !== id);
-      AF.state.ui.selected.materials = null;
-      AF.core?.saveDb?.();
-      renderAllUIElements();
-      setStatus("Material deleted.");
-      return;
-    }
-    if (kind === "machines") {
-      AF.state.db.machines = AF.state.db.machines.filter((m) => m.id !== id);
-      // Unset machine references in recipes
-      AF.state.db.recipes = AF.state.db.recipes.map((r) => (r.machineId === id ? { ...r, machineId: "" } : r));
-      AF.state.ui.selected.machines = null;
-      AF.core?.saveDb?.();
-      renderAllUIElements();
-      setStatus("Machine deleted.");
-      return;
-    }
+    renderAllUIElements();
+    setStatus(kind === "materials" ? "Material deleted." : "Machine deleted.");
   }
 
   function onSaveMaterial(form, id) {
@@ -3404,6 +6663,10 @@
       }
     });
 
+    document.querySelectorAll("#canvasMinimap [data-minimap-card]").forEach(rect => {
+      rect.classList.toggle("is-selected", selectedSet.has(rect.getAttribute("data-minimap-card")));
+    });
+
     // Update create blueprint button state
     updateCreateBlueprintButton();
   }
@@ -3488,6 +6751,7 @@
         toMachineId: childIdMap.get(templateConn.toMachineId),
         fromPortIdx: templateConn.fromPortIdx,
         toPortIdx: templateConn.toPortIdx,
+        transport: templateConn.transport,
         _parentBlueprintId: instanceId
       };
     });
@@ -3571,7 +6835,8 @@
       fromMachineId: c.fromMachineId,
       fromPortIdx: c.fromPortIdx,
       toMachineId: c.toMachineId,
-      toPortIdx: c.toPortIdx
+      toPortIdx: c.toPortIdx,
+      transport: c.transport
     }));
 
     const flattened = flattenMachineGraphForCanvas(graphMachines, graphConnections, offsetX, offsetY);
@@ -3624,6 +6889,7 @@
         fromPortIdx: templateConn.fromPortIdx,
         toMachineId: idMap.get(templateConn.toMachineId),
         toPortIdx: templateConn.toPortIdx,
+        transport: templateConn.transport,
       };
     });
 
@@ -3785,6 +7051,7 @@
         fromPortIdx: from.portIdx,
         toMachineId: to.machineId,
         toPortIdx: to.portIdx,
+        transport: conn.transport,
       });
     });
 
@@ -4096,8 +7363,10 @@
     const nameEl = $("#activeWorkspaceName");
     if (!list || !nameEl) return;
 
-    const tabs = Array.isArray(AF.state.workspaces?.tabs) ? AF.state.workspaces.tabs : [];
+    // Only the active profile's tabs are shown; the header profile switcher reaches the others.
+    const tabs = AF.core?.getProfileTabs?.() || [];
     const activeId = AF.state.workspaces?.activeId ?? null;
+    profiles.render();
 
     list.innerHTML = tabs
       .map(t => {
@@ -4277,6 +7546,9 @@
       }
     }
 
+    const reportsEl = fragment.querySelector('[data-material-reports]');
+    if (reportsEl) reportsEl.innerHTML = materialReports.render(m.id);
+
     // Create a wrapper div to convert the fragment to HTML string
     const wrapper = document.createElement('div');
     wrapper.appendChild(fragment);
@@ -4738,6 +8010,141 @@
   }
 
 
+  const BOTTLENECK_CAUSE_LABELS = {
+    supply: "⛏ Upstream supply shortage",
+    belt: "🛤 Belt / throw speed cap",
+    fuel: "🔥 Fuel shortage",
+    backpressure: "🧱 Downstream backpressure",
+    loop: "🔁 Feedback loop",
+  };
+
+  function bottleneckMachineName(machineId) {
+    const pm = machineId ? AF.core.findMachineInTree(machineId) : null;
+    if (!pm) return "(unknown)";
+    if (pm.type === "nursery") {
+      const plant = pm.plantId ? AF.core.getMaterialById(pm.plantId) : null;
+      return `Nursery${plant ? ` (${plant.name})` : ""}`;
+    }
+    const machine = pm.machineId ? AF.core.getMachineById(pm.machineId) : null;
+    const name = machine ? machine.name : "Machine";
+    return `${name}${pm.count > 1 ? ` ×${pm.count}` : ""}`;
+  }
+
+  /** @param {BottleneckStep} step */
+  function describeBottleneckStep(step) {
+    const machine = escapeHtml(bottleneckMachineName(step.machineId));
+    const material = escapeHtml(step.materialId ? (AF.core.getMaterialById(step.materialId)?.name || "(unknown)") : "output");
+    const rate = step.rate.toFixed(2);
+    const limit = step.limit.toFixed(2);
+    switch (step.kind) {
+      case "starved":
+        return `${machine} gets ${rate} of ${limit}/min ${material}`;
+      case "throttled":
+        return `${machine} can only ship ${rate} of ${limit}/min ${material}`;
+      case "supply":
+        return `${machine} gets ${rate} of ${limit}/min ${material}; suppliers already run at 100%`;
+      case "fuel":
+        return `${machine} burns ${limit}/min ${material} but gets ${rate}/min`;
+      case "belt":
+        return `${material} into ${machine} needs ${rate}/min; link capacity is ${limit}/min`;
+      case "backpressure":
+        return step.connectionIds.length === 0
+          ? `${machine}: ${material} output is not connected`
+          : `Downstream takes ${rate} of ${limit}/min ${material} from ${machine}`;
+      case "loop":
+        return `${machine} feeds back into this chain`;
+      default:
+        return machine;
+    }
+  }
+
+  /** @param {Array<BottleneckReport>} reports */
+  function renderBottleneckSection(reports) {
+    // Group affected machines by their shared root cause.
+    const groups = new Map();
+    reports.forEach(report => {
+      if (!groups.has(report.rootKey)) groups.set(report.rootKey, []);
+      groups.get(report.rootKey).push(report);
+    });
+
+    let html = `<div class="productionSection">
+      <div class="productionSection__title">🚧 Bottlenecks (${reports.length} machine${reports.length === 1 ? "" : "s"} limited)</div>
+      <div class="hint" style="margin-bottom: 8px;">Click a cause or machine to select it on the canvas.</div>`;
+
+    groups.forEach(group => {
+      const root = group[0].chain[group[0].chain.length - 1];
+      const rootMachineIds = [root.machineId, ...root.relatedMachineIds];
+      html += `<div class="bottleneck">
+        <button class="bottleneck__root" type="button"
+          data-bottleneck-machines="${escapeHtml(rootMachineIds.join(","))}"
+          data-bottleneck-connections="${escapeHtml(root.connectionIds.join(","))}">
+          <span class="bottleneck__cause">${escapeHtml(BOTTLENECK_CAUSE_LABELS[group[0].cause] || group[0].cause)}</span>
+          <span>${describeBottleneckStep(root)}</span>
+        </button>`;
+
+      group.forEach(report => {
+        const pct = Math.round(report.efficiency * 100);
+        const path = report.chain.length > 1
+          ? report.chain.slice(0, -1).map(step => `<span class="bottleneck__step">${describeBottleneckStep(step)}</span>`).join(" → ")
+          : "";
+        html += `<button class="bottleneck__affected" type="button"
+          data-bottleneck-machines="${escapeHtml(report.machineIds.join(","))}"
+          data-bottleneck-connections="">
+          • ${escapeHtml(bottleneckMachineName(report.machineId))} <span style="color: #ffa500;">${pct}%</span>
+          ${path ? `<span class="bottleneck__path">${path}</span>` : ""}
+        </button>`;
+      });
+
+      html += `</div>`;
+    });
+
+    html += `</div>`;
+    return html;
+  }
+
+  function wireProductionSummary() {
+    const summary = $("#productionSummary");
+    if (!summary) return;
+    summary.addEventListener("click", (e) => {
+      const target = e.target.closest?.("[data-bottleneck-machines]");
+      if (!target) return;
+      const split = (v) => String(v || "").split(",").filter(Boolean);
+      selectBottleneckTargets(split(target.dataset.bottleneckMachines), split(target.dataset.bottleneckConnections));
+    });
+  }
+
+  /**
+   * Select bottleneck machines/connections on the canvas. Blueprint children map to their top-level instance.
+   * A single belt (connection) root selects the connection itself.
+   */
+  function selectBottleneckTargets(machineIds, connectionIds) {
+    const topLevelConnections = connectionIds.filter(id => AF.state.build.connections.some(c => c.id === id));
+    if (topLevelConnections.length > 0 && connectionIds.length === topLevelConnections.length) {
+      selectConnection(topLevelConnections[0]);
+      setStatus("Selected the limiting connection.");
+      return;
+    }
+
+    const selected = new Set();
+    machineIds.forEach(id => {
+      let pm = AF.core.findMachineInTree(id);
+      while (pm && pm._isChildMachine && pm._parentBlueprintId) {
+        pm = AF.core.findMachineInTree(pm._parentBlueprintId);
+      }
+      if (pm && AF.state.build.placedMachines.some(p => p.id === pm.id)) selected.add(pm.id);
+    });
+    if (selected.size === 0) {
+      setStatus("Those machines are not on this canvas.", "warning");
+      return;
+    }
+
+    AF.state.build.selectedMachines = Array.from(selected);
+    AF.state.build.selectedConnection = null;
+    updateSelectionClasses();
+    AF.scheduler?.invalidate?.({ needsRecalc: false, needsRender: true });
+    setStatus(`Selected ${selected.size} machine${selected.size > 1 ? "s" : ""}.`);
+  }
+
   function renderProductionSummary() {
     const summary = $("#productionSummary");
     if (!summary) return;
@@ -4870,6 +8277,12 @@
     }
     html += `</div>`;
 
+    // Bottlenecks (precomputed root-cause chains)
+    const bottlenecks = Array.isArray(calc.bottlenecks) ? calc.bottlenecks : [];
+    if (bottlenecks.length > 0) {
+      html += renderBottleneckSection(bottlenecks);
+    }
+
     // Storage fill times (precomputed)
     const storageFillItems = Array.isArray(calc.storageFillItems) ? calc.storageFillItems : [];
     if (storageFillItems.length > 0) {
@@ -4944,6 +8357,35 @@
       html += `</div>`;
     }
 
+    // Sales (exports at sale price, precomputed)
+    const exportValues = calc.exportValues || new Map();
+    if (exportValues.size > 0) {
+      html += `<div class="productionSection">
+        <div class="productionSection__title">💵 Sales</div>`;
+
+      Array.from(exportValues.values())
+        .sort((a, b) => b.revenuePerMinute - a.revenuePerMinute)
+        .forEach(item => {
+          const costStr = item.costPerMinute != null ? `-${formatCoins(item.costPerMinute)}/min` : "no realised cost";
+          const profitStr = item.profitPerMinute != null ? `${formatCoins(item.profitPerMinute)}/min` : "?";
+          html += `<div class="productionItem" style="padding-left: 12px;">
+            <strong>${escapeHtml(item.material.name)}</strong>: ${item.rate.toFixed(2)}/min @ ${item.unitPrice.toFixed(2)}c
+            <span style="color: var(--ok); margin-left: 8px;">+${formatCoins(item.revenuePerMinute)}/min</span>
+            <div class="hint">Realised cost ${escapeHtml(costStr)} • Profit ${escapeHtml(profitStr)}</div>
+          </div>`;
+        });
+
+      const totalRevenue = Number(calc.totalRevenue) || 0;
+      const totalProfit = Number(calc.totalProfit) || 0;
+      html += `<div class="productionItem" style="margin-top: 8px; padding-top: 8px; border-top: 1px solid var(--border); font-weight: bold;">
+        Revenue: <span style="color: var(--ok);">+${formatCoins(totalRevenue)}/min</span>
+        • Profit: <span style="color: ${totalProfit >= 0 ? "var(--ok)" : "var(--danger)"};">${formatCoins(totalProfit)}/min</span>
+      </div>
+      <div class="hint">Profit is revenue minus this build's total cost above.</div>`;
+
+      html += `</div>`;
+    }
+
     summary.innerHTML = html;
   }
 
@@ -5068,6 +8510,7 @@
     if (!dialog) return;
 
     renderSkillsList();
+    skillOptimizer.render();
     dialog.classList.remove("hidden");
 
     // Close on overlay click
@@ -5216,6 +8659,7 @@
           fromPortIdx: conn.fromPortIdx,
           toMachineId: idToBlueprintId.get(conn.toMachineId),
           toPortIdx: conn.toPortIdx,
+          transport: conn.transport,
         };
       });
 
@@ -5371,6 +8815,7 @@
             fromPortIdx: conn.fromPortIdx,
             toMachineId: blueprintInstance.id,
             toPortIdx: String(inputIndex),
+            transport: conn.transport,
           });
           console.log(`Reconnected input: ${AF.core.getMaterialById(conn.materialId)?.name} from ${conn.fromMachineId} to blueprint port ${inputIndex}`);
         }
@@ -5390,6 +8835,7 @@
             fromPortIdx: String(outputIndex),
             toMachineId: conn.toMachineId,
             toPortIdx: conn.toPortIdx,
+            transport: conn.transport,
           });
           console.log(`Reconnected output: ${AF.core.getMaterialById(conn.materialId)?.name} from blueprint port ${outputIndex} to ${conn.toMachineId}`);
         }
@@ -5447,6 +8893,7 @@
           fromPortIdx: childConn.fromPortIdx,
           toMachineId: idMap.get(childConn.toMachineId),
           toPortIdx: childConn.toPortIdx,
+          transport: childConn.transport,
         };
       });
 
@@ -5488,6 +8935,7 @@
           fromPortIdx: templateConn.fromPortIdx,
           toMachineId: idMap.get(templateConn.toMachineId),
           toPortIdx: templateConn.toPortIdx,
+          transport: templateConn.transport,
         };
       });
 
@@ -5534,7 +8982,7 @@
     AF.state.currentBlueprintEdit = previousState.editContext;
 
     // Persist the restored state
-    // If we're back to main canvas, this saves it to localStorage
+    // If we're back to main canvas, this persists it
     // If we're still nested, saveBuild() will save the main canvas from stack bottom
     AF.core.saveBuild();
 
@@ -5597,6 +9045,7 @@
         toMachineId: `${instanceId}__${idToBlueprintId.get(conn.toMachineId)}`,
         fromPortIdx: conn.fromPortIdx,
         toPortIdx: conn.toPortIdx,
+        transport: conn.transport,
         _parentBlueprintId: instanceId
       };
     });
@@ -5621,7 +9070,8 @@
         fromMachineId: idToBlueprintId.get(conn.fromMachineId),
         toMachineId: idToBlueprintId.get(conn.toMachineId),
         fromPortIdx: conn.fromPortIdx,
-        toPortIdx: conn.toPortIdx
+        toPortIdx: conn.toPortIdx,
+        transport: conn.transport
       })),
       inputs: analysis.inputs,
       outputs: analysis.outputs
@@ -5718,6 +9168,7 @@
         fromPortIdx: conn.fromPortIdx,
         toMachineId: idToBlueprintId.get(conn.toMachineId),
         toPortIdx: conn.toPortIdx,
+        transport: conn.transport,
       };
     });
 
@@ -5798,6 +9249,7 @@
         toMachineId: childIdMap.get(templateConn.toMachineId),
         fromPortIdx: templateConn.fromPortIdx,
         toPortIdx: templateConn.toPortIdx,
+        transport: templateConn.transport,
         _parentBlueprintId: instanceId
       };
     });
@@ -5857,6 +9309,7 @@
         fromPortIdx: conn.fromPortIdx,
         toMachineId: idToBlueprintId.get(conn.toMachineId),
         toPortIdx: conn.toPortIdx,
+        transport: conn.transport,
       };
     });
 
@@ -6502,7 +9955,8 @@
     showValidationWarning,
     setStatus,
     renderAllUIElements,
-    renderProductionSummary
+    renderProductionSummary,
+    renderHistoryMenu: historyMenu.renderMenu
   });
 
 })();
@@ -0,0 +1,60 @@
+// Build sheet checks, run through the headless `buildSheet` entry point (app/headless.node.js).
+//
+// Run from the repo root:
+//   node --test
+
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+
+const { plan, buildSheet } = require("../app/headless.node.js");
+
+function loadFixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(__dirname, "fixtures", `${name}.json`), "utf8"));
+}
+
+function materialId(input, name) {
+  const material = input.database.materials.find(m => m.name === name);
+  assert.ok(material, `fixture has no material "${name}"`);
+  return material.id;
+}
+
+/**
+ * Rows of the sheet section that starts with `heading`, as arrays of cell texts.
+ * @param {string} html
+ * @param {string} heading
+ */
+function sectionRows(html, heading) {
+  const start = html.indexOf(`<h2>${heading}</h2>`);
+  assert.ok(start >= 0, `sheet has a "${heading}" section`);
+  const end = html.indexOf("<h2>", start + 1);
+  const section = html.slice(start, end < 0 ? undefined : end);
+  const body = section.slice(section.indexOf("<tbody>"), section.indexOf("</tbody>"));
+  return Array.from(body.matchAll(/<tr>(.*?)<\/tr>/g), row => Array.from(row[1].matchAll(/<td[^>]*>(.*?)<\/td>/g), cell => cell[1]));
+}
+
+test("build sheet: materials to buy are listed by name with their cost", () => {
+  // The Charcoal-fueled Glass plan places a Wood portal before a Limestone portal (Wood 200c, Limestone 600c).
+  const input = loadFixture("self-fueled-glass");
+  const { build } = plan(input, [{ materialId: materialId(input, "Glass"), rate: 10 }], { fuelMaterialId: materialId(input, "Charcoal") });
+  const portals = build.placedMachines.filter(pm => pm.type === "purchasing_portal").map(pm => pm.materialId);
+  assert.equal(portals.length, 2);
+  assert.equal(portals[0], materialId(input, "Wood"));
+
+  const html = buildSheet({ ...input, build }, { title: "Glass line" });
+  assert.match(html, /<title>Glass line – Build Sheet<\/title>/);
+
+  const buys = sectionRows(html, "Materials to buy");
+  assert.deepEqual(buys.map(cells => cells[0]), ["Limestone", "Wood"]);
+  buys.forEach(cells => {
+    assert.match(cells[2], /c\/min$/, `${cells[0]} has a cost`);
+    assert.equal(cells[3], "Purchasing Portal");
+  });
+  assert.match(html, /<tfoot><tr><th>Total<\/th>/);
+
+  const products = sectionRows(html, "Products");
+  assert.deepEqual(products, [["Glass", "10.00/min"]]);
+});
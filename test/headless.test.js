@@ -0,0 +1,156 @@
+// Golden builds for the headless calculator (app/headless.node.js).
+//
+// Each fixture in test/fixtures is a full-state export (`{ database, build, skills }`) with only the DB entries
+// it uses, so it can also be opened in the app via File → Import. The expected numbers are worked out by hand
+// from the recipe data noted next to each test.
+//
+// Run from the repo root:
+//   node --test
+
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+
+const { calculate, simulate } = require("../app/headless.node.js");
+
+function loadFixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(__dirname, "fixtures", `${name}.json`), "utf8"));
+}
+
+function materialId(input, name) {
+  const material = input.database.materials.find(m => m.name === name);
+  assert.ok(material, `fixture has no material "${name}"`);
+  return material.id;
+}
+
+function assertClose(actual, expected, message) {
+  assert.ok(Math.abs(actual - expected) < 1e-6, `${message}: expected ${expected}, got ${actual}`);
+}
+
+/**
+ * @param {{ build: { placedMachines: Array<Object>, connections: Array<Object> } }} result
+ */
+function indexResult(result) {
+  const machines = new Map();
+  result.build.placedMachines.forEach(pm => {
+    machines.set(pm.id, pm);
+    (pm.childMachines || []).forEach(child => machines.set(child.id, child));
+  });
+  const connections = new Map(result.build.connections.map(c => [c.id, c]));
+  return {
+    efficiency: (id) => machines.get(id).efficiency,
+    rate: (id) => connections.get(id).actualRate,
+  };
+}
+
+test("heating device with toppers: grouped ports and fuel scale with the toppers", () => {
+  // Table Saw: 1 Wood -> 200 Plank / 400s = 30 Plank/min. Two Crucible toppers making Charcoal
+  // (1 Plank -> 1 Charcoal / 4s) need 2 × 15 = 30 Plank/min. Heat is 1 (Furnace) + 2 × 4 (Crucible) = 9 P,
+  // so Wood fuel (2000 P) burns 60 × 9 / 2000 = 0.27/min.
+  const input = loadFixture("heating-toppers");
+  const result = calculate(input);
+  const { efficiency, rate } = indexResult(result);
+
+  assertClose(efficiency("pm_saw"), 1, "saw efficiency");
+  assertClose(efficiency("pm_furnace"), 1, "furnace efficiency");
+  assertClose(rate("conn_1"), 0.15, "wood into the saw");
+  assertClose(rate("conn_2"), 30, "planks into the grouped topper input");
+  assertClose(rate("conn_3"), 0.27, "fuel");
+  assertClose(rate("conn_4"), 30, "charcoal out of the grouped topper output");
+  assertClose(result.calc.netProduction.exports.get(materialId(input, "Charcoal")), 30, "charcoal export");
+
+  const sim = simulate(input, { durationMin: 60 });
+  const charcoal = sim.exports.find(e => e.materialId === materialId(input, "Charcoal"));
+  assertClose(charcoal.finalRate, 30, "simulated charcoal rate");
+});
+
+test("nursery: growth and fertilizer rates follow the plant and fertilizer values", () => {
+  // Flax needs 24 nutrient, Basic Fertilizer gives 12 fertility: 2s per plant = 30 Flax/min per nursery, and
+  // 144 / 12 = 12s per fertilizer = 5/min per nursery. Four Grinders (1 Flax / 6s) take 40 of the 60 Flax/min,
+  // so the two nurseries run at 2/3 and need 10 × 2/3 fertilizer.
+  const input = loadFixture("nursery");
+  const result = calculate(input);
+  const { efficiency, rate } = indexResult(result);
+
+  assertClose(efficiency("pm_nursery"), 2 / 3, "nursery efficiency");
+  assertClose(efficiency("pm_grinder"), 1, "grinder efficiency");
+  assertClose(rate("conn_1"), 20 / 3, "fertilizer into the nurseries");
+  assertClose(rate("conn_2"), 40, "flax out of the nurseries");
+  assertClose(result.calc.netProduction.exports.get(materialId(input, "Flax Fiber")), 40, "flax fiber export");
+
+  const sim = simulate(input, { durationMin: 60 });
+  const fiber = sim.exports.find(e => e.materialId === materialId(input, "Flax Fiber"));
+  assertClose(fiber.finalRate, 40, "simulated flax fiber rate");
+});
+
+test("cycle: fertilizer -> nursery -> plant ash -> fertilizer settles on the fixed point", () => {
+  // The Assembler makes 15 Basic Fertilizer/min from 15 Quicklime Powder + 15 Plant Ash. The Crucible could make
+  // 20 Plant Ash/min (1 Sage / 3s) and the Sage nursery 20 Sage/min (36 / 12 = 3s), but only 15 Plant Ash is
+  // used, so both run at 75%. The nursery then takes 5 × 0.75 fertilizer and the rest goes to the Export node.
+  const input = loadFixture("cycle");
+  const result = calculate(input);
+  const { efficiency, rate } = indexResult(result);
+
+  assertClose(efficiency("pm_assembler"), 1, "assembler efficiency");
+  assertClose(efficiency("pm_crucible"), 0.75, "crucible efficiency");
+  assertClose(efficiency("pm_nursery"), 0.75, "nursery efficiency");
+  assertClose(rate("conn_2"), 15, "plant ash back into the assembler");
+  assertClose(rate("conn_3"), 3.75, "fertilizer fed back to the nursery");
+  assertClose(rate("conn_4"), 11.25, "fertilizer surplus to the export node");
+  assertClose(result.calc.netProduction.exports.get(materialId(input, "Basic Fertilizer")), 11.25, "fertilizer export");
+
+  // Without stock the loop has nothing to start from: the simulation finds it and reports that it never starts.
+  const sim = simulate(input, { durationMin: 30 });
+  assert.equal(sim.loops.length, 1);
+  assert.deepEqual([...sim.loops[0].machineIds].sort(), ["pm_assembler", "pm_crucible", "pm_nursery"]);
+  assert.equal(sim.loops[0].startsUp, false);
+  const fertilizer = sim.exports.find(e => e.materialId === materialId(input, "Basic Fertilizer"));
+  assertClose(fertilizer.steadyRate, 11.25, "steady-state fertilizer export");
+});
+
+test("blueprint instance ×N: child machines act as N copies", () => {
+  // The blueprint holds one Table Saw (30 Plank/min). Placed ×3 it can supply 90 Plank/min; six Grinders making
+  // Large Wooden Gears (1 Plank / 6s) take 60, so the saws run at 2/3 and need 0.45 × 2/3 Wood/min.
+  const input = loadFixture("blueprint-count");
+  const result = calculate(input);
+  const { efficiency, rate } = indexResult(result);
+
+  assertClose(efficiency("bpi_planks__saw"), 2 / 3, "child saw efficiency");
+  assertClose(efficiency("pm_grinder"), 1, "grinder efficiency");
+  assertClose(rate("conn_1"), 0.3, "wood into the blueprint");
+  assertClose(rate("conn_2"), 60, "planks out of the blueprint");
+
+  // One copy (×1) caps the line at 30 Plank/min instead, and the grinders are flagged as short of input.
+  const single = loadFixture("blueprint-count");
+  single.build.placedMachines.find(pm => pm.id === "bpi_planks").count = 1;
+  const singleCalc = calculate(single);
+  const singleResult = indexResult(singleCalc);
+  assertClose(singleResult.efficiency("bpi_planks__saw"), 1, "child saw efficiency at ×1");
+  assertClose(singleResult.rate("conn_2"), 30, "planks out of the blueprint at ×1");
+  assert.equal(singleCalc.build.placedMachines.find(pm => pm.id === "pm_grinder").hasInsufficientInputs, true);
+
+  const sim = simulate(input, { durationMin: 60 });
+  const gears = sim.exports.find(e => e.materialId === materialId(input, "Large Wooden Gear"));
+  assertClose(gears.finalRate, 60, "simulated gear rate");
+});
+
+test("export node: flow into it is counted and valued as exports", () => {
+  // 60 Large Wooden Gears/min at a sale price of 5 (no Shop Profit points).
+  const input = loadFixture("blueprint-count");
+  const result = calculate(input);
+  const gearId = materialId(input, "Large Wooden Gear");
+
+  assertClose(result.calc.netProduction.exports.get(gearId), 60, "gear export");
+  assert.equal(result.calc.netProduction.imports.size, 0);
+  const value = result.calc.exportValues.get(gearId);
+  assertClose(value.unitPrice, 5, "unit price");
+  assertClose(value.revenuePerMinute, 300, "revenue");
+  assertClose(result.calc.totalRevenue, 300, "total revenue");
+
+  // Shop Profit adds 3% per point to the sale price.
+  const withSkill = calculate({ ...input, skills: { ...input.skills, shopProfit: 2 } });
+  assertClose(withSkill.calc.exportValues.get(gearId).revenuePerMinute, 300 * 1.06, "revenue with Shop Profit 2");
+});
@@ -0,0 +1,40 @@
+// Material editor reports, run through the headless `materialUsage` entry point (app/headless.node.js).
+//
+// Run from the repo root:
+//   node --test
+
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+
+const { materialUsage } = require("../app/headless.node.js");
+
+function loadFixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(__dirname, "fixtures", `${name}.json`), "utf8"));
+}
+
+function materialId(input, name) {
+  const material = input.database.materials.find(m => m.name === name);
+  assert.ok(material, `fixture has no material "${name}"`);
+  return material.id;
+}
+
+test("where is this used: consuming recipes are listed by name", () => {
+  // The fixture stores the three Plank recipes as Small Wooden Gear, Charcoal, Large Wooden Gear.
+  const input = loadFixture("plank-usage");
+  const tree = materialUsage(input, materialId(input, "Wood"));
+
+  assert.equal(tree.materialName, "Wood");
+  assert.deepEqual(tree.consumers.map(c => c.recipeName), ["Plank"]);
+  const plank = tree.consumers[0].products[0];
+  assert.equal(plank.materialName, "Plank");
+  assert.deepEqual(plank.consumers.map(c => c.recipeName), ["Charcoal", "Large Wooden Gear", "Small Wooden Gear"]);
+  plank.consumers.forEach(c => {
+    assert.equal(c.products.length, 1);
+    assert.equal(c.products[0].materialName, c.recipeName);
+    assert.equal(c.products[0].consumers.length, 0);
+  });
+});
@@ -0,0 +1,117 @@
+// Target-rate planner checks, run through the headless `plan` entry point (app/headless.node.js).
+//
+// Run from the repo root:
+//   node --test
+
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+
+const { calculate, simulate, plan } = require("../app/headless.node.js");
+
+function loadFixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(__dirname, "fixtures", `${name}.json`), "utf8"));
+}
+
+function materialId(input, name) {
+  const material = input.database.materials.find(m => m.name === name);
+  assert.ok(material, `fixture has no material "${name}"`);
+  return material.id;
+}
+
+/**
+ * A Glass plan that burns Charcoal: the Charcoal furnace has to fuel itself from its own output.
+ * @param {Object} [options] extra PlanOptions
+ */
+function planSelfFueledGlass(options = {}) {
+  const input = loadFixture("self-fueled-glass");
+  const charcoalId = materialId(input, "Charcoal");
+  const result = plan(input, [{ materialId: materialId(input, "Glass"), rate: 10 }], { fuelMaterialId: charcoalId, ...options });
+  return { input, charcoalId, ...result };
+}
+
+function assertSelfFueled({ input, charcoalId, plan: result, build }) {
+  // Results come from the engine's VM context, so compare contents rather than array prototypes.
+  assert.equal(result.issues.length, 0, result.issues.join(" "));
+
+  const charcoal = result.nodes.find(n => n.materialId === charcoalId);
+  assert.equal(charcoal.kind, "heated");
+  const selfLink = result.links.find(l => l.fromNodeId === charcoal.id && l.toNodeId === charcoal.id);
+  assert.ok(selfLink, "charcoal node has a link to itself");
+  assert.equal(selfLink.isFuel, true);
+  assert.ok(Math.abs(selfLink.rate - charcoal.fuelRate) < 1e-6, `self link carries the node's fuel (${selfLink.rate} vs ${charcoal.fuelRate})`);
+
+  const selfConnection = build.connections.find(c => c.fromMachineId === c.toMachineId);
+  assert.ok(selfConnection, "generated build wires the furnace to its own fuel port");
+  assert.equal(selfConnection.toPortIdx, "fuel");
+  assert.equal(selfConnection.fromPortIdx, `grouped-output-${charcoalId}`);
+
+  // The furnace only runs below 100% because its topper count is rounded up, and no fuel comes from outside.
+  // The self link is a loop, so the efficiency is only as exact as the underclock solver's fixed point.
+  const calc = calculate({ ...input, build });
+  const furnace = calc.build.placedMachines.find(pm => pm.id === selfConnection.fromMachineId);
+  const expected = charcoal.machinesExact / (charcoal.count * charcoal.toppersPerDevice);
+  assert.ok(Math.abs(furnace.efficiency - expected) < 1e-3, `furnace efficiency ${furnace.efficiency}, expected ${expected}`);
+  assert.equal(simulate({ ...input, build }, { durationMin: 30 }).imports.length, 0);
+}
+
+test("planner: a heated producer that burns its own output gets a self fuel link", () => {
+  assertSelfFueled(planSelfFueledGlass());
+});
+
+/**
+ * 100 Glass/min with the given Alchemy Efficiency points, fueled with Charcoal.
+ * @param {number} alchemyEfficiency
+ * @param {Object} [options] extra PlanOptions
+ */
+function planGlassWithAlchemy(alchemyEfficiency, options = {}) {
+  const input = loadFixture("self-fueled-glass");
+  input.skills = { ...input.skills, alchemyEfficiency };
+  const glassId = materialId(input, "Glass");
+  const result = plan(input, [{ materialId: glassId, rate: 100 }], { fuelMaterialId: materialId(input, "Charcoal"), ...options });
+  return { input, glassId, ...result };
+}
+
+/**
+ * Check that the calculator gets the full target rate out of a plan made with Alchemy Efficiency points.
+ * The calculator does not scale recipe outputs by that skill, so the plan must not count on it.
+ * @param {Object} [options] extra PlanOptions
+ */
+function assertDeliversWithAlchemy(options = {}) {
+  const { input, glassId, plan: result, build } = planGlassWithAlchemy(10, options);
+  assert.equal(result.issues.length, 0, result.issues.join(" "));
+
+  const { calc } = calculate({ ...input, build });
+  const delivered = calc.netProduction.exports.get(glassId);
+  assert.ok(Math.abs(delivered - 100) < 1e-3, `delivers ${delivered} Glass/min, planned 100`);
+  assert.equal(calc.netProduction.imports.size, 0);
+}
+
+test("planner: generated builds deliver the target rate with Alchemy Efficiency points", () => {
+  assertDeliversWithAlchemy();
+});
+
+// The recipe mix optimizer sizes its plans differently but wires them through the same linker.
+["cost", "machines", "heat"].forEach(objective => {
+  test(`recipe mix optimizer (${objective}): the self-fueled heated producer keeps its fuel link`, () => {
+    const result = planSelfFueledGlass({ objective });
+    assert.equal(result.plan.objective, objective);
+    assertSelfFueled(result);
+  });
+});
+
+["cost", "machines", "heat"].forEach(objective => {
+  test(`recipe mix optimizer (${objective}): Alchemy Efficiency points do not change the mix`, () => {
+    // Same output model as the calculator: the skill changes neither the machine counts nor the shadow prices.
+    const summary = ({ plan: result }) => JSON.stringify({
+      nodes: result.nodes.map(n => [n.id, n.count, n.machinesExact]),
+      objectiveValue: result.objectiveValue,
+      explanation: result.explanation,
+    });
+    assert.equal(summary(planGlassWithAlchemy(10, { objective })), summary(planGlassWithAlchemy(0, { objective })));
+    assertDeliversWithAlchemy({ objective });
+  });
+});